@@ -1,5 +1,11 @@
-import { When, Then } from '@cucumber/cucumber';
+import { Given, When, Then, DataTable } from '@cucumber/cucumber';
 import * as assert from 'assert';
+import { CalendarExportActions } from '../../src/renderer/react/actions/CalendarExportActions';
+import { ScenarioActions } from '../../src/renderer/react/actions/ScenarioActions';
+import { ResourceLevelingActions } from '../../src/renderer/react/actions/ResourceLevelingActions';
+import { CandidateSuggestionActions } from '../../src/renderer/react/actions/CandidateSuggestionActions';
+import { AllocationActions } from '../../src/renderer/react/actions/AllocationActions';
+import { AllocationAuditActions } from '../../src/renderer/react/actions/AllocationAuditActions';
 
 When('I add a resource allocation for member {string} on project {string}', function (memberId: string, projectId: string) {
   const state = this.getState();
@@ -21,3 +27,385 @@ Then('resource allocations should contain {int} entries', function (expected: nu
   const allocations = this.getState().resourceAllocations || [];
   assert.strictEqual(allocations.length, expected);
 });
+
+let calendarFiles: Array<{ filename: string; content: string }> = [];
+
+function getCalendarMember(state: any, name: string): any {
+  const members = (state.globalConfig?.teams || []).flatMap((team: any) => team.members || []);
+  return members.find((member: any) => `${member.firstName} ${member.lastName}` === name);
+}
+
+Given('team member {string} with allocation phase {string} on project {string} from {string} to {string}', function (name: string, phaseName: string, projectName: string, startDate: string, endDate: string) {
+  // Browser scripts register themselves on window, which is recreated for every scenario
+  ['../../src/renderer/js/utils/team-helpers.js', '../../src/renderer/js/utils/vacation-helpers.js'].forEach(script => {
+    delete require.cache[require.resolve(script)];
+    require(script);
+  });
+
+  const state = this.getState();
+  const [firstName, lastName] = name.split(' ');
+  const member = { id: 'tm-calendar', firstName, lastName, vacationDays: {} };
+  state.setGlobalConfig({ ...state.globalConfig, teams: [{ id: 'team-calendar', name: 'Calendar Team', members: [member] }] });
+  state.setResourceAllocations([{
+    id: 'alloc-calendar',
+    projectId: 'project-calendar',
+    projectName,
+    teamMemberId: member.id,
+    phaseAllocations: [{ phaseId: 'development', phaseName, phaseTotalMDs: 20, allocatedMDs: 12, startDate, endDate }],
+    monthlyAllocations: {},
+    startDate,
+    endDate,
+  }]);
+});
+
+Given('the team member {string} has a holiday on {string} and {int} hours of training on {string}', function (name: string, holiday: string, hours: number, trainingDate: string) {
+  const member = getCalendarMember(this.getState(), name);
+  member.vacationDays[holiday.slice(0, 4)] = [holiday, { date: trainingDate, type: 'training', hours }];
+});
+
+Given('another team member is also named {string}', function (name: string) {
+  const state = this.getState();
+  const [firstName, lastName] = name.split(' ');
+  const [team] = state.globalConfig.teams;
+  state.setGlobalConfig({
+    ...state.globalConfig,
+    teams: [{ ...team, members: [...team.members, { id: 'tm-calendar-2', firstName, lastName, vacationDays: {} }] }]
+  });
+});
+
+Given('the team member {string} has a half day and {int} hours of holiday on {string}', function (name: string, hours: number, date: string) {
+  const member = getCalendarMember(this.getState(), name);
+  member.vacationDays[date.slice(0, 4)] = [{ date, type: 'holiday', fraction: 0.5 }, { date, type: 'holiday', hours }];
+});
+
+When('I export the team calendars', function () {
+  calendarFiles = new CalendarExportActions().buildCalendarFiles();
+});
+
+When('I export a combined team calendar', function () {
+  calendarFiles = new CalendarExportActions().buildCalendarFiles(undefined, { combined: true });
+});
+
+Then('the calendar files should be {string}', function (filenames: string) {
+  assert.deepStrictEqual(calendarFiles.map(f => f.filename), filenames.split(','));
+});
+
+Then('the calendar file {string} should have {int} events with distinct UIDs', function (filename: string, count: number) {
+  const file = calendarFiles.find(f => f.filename === filename);
+  assert.ok(file, `No calendar file ${filename}`);
+  const IcsParser = require('../../src/renderer/js/utils/ics-parser.js');
+  const uids = IcsParser.parseIcsEvents(file.content).map((event: any) => event.uid);
+  assert.strictEqual(uids.length, count);
+  assert.strictEqual(new Set(uids).size, count, `Duplicate UIDs: ${uids.join(', ')}`);
+});
+
+Then('the calendar file {string} should contain the all-day event {string} from {string} until {string}', function (filename: string, summary: string, start: string, end: string) {
+  const file = calendarFiles.find(f => f.filename === filename);
+  assert.ok(file, `No calendar file ${filename} in ${calendarFiles.map(f => f.filename).join(', ')}`);
+
+  const IcsParser = require('../../src/renderer/js/utils/ics-parser.js');
+  const event = IcsParser.parseIcsEvents(file.content).find((e: any) => e.summary === summary);
+  assert.ok(event, `No event "${summary}" in ${filename}`);
+  assert.ok(event.allDay, `Event "${summary}" is not an all-day event`);
+  assert.strictEqual(event.start.date, start);
+  assert.strictEqual(event.end.date, end);
+});
+
+let savedBaselineAllocations: any[] | null = null;
+let scenarioComparison: any = null;
+
+function getPlannedMDs(allocations: any[], memberId: string, month: string): number {
+  return allocations
+    .filter(allocation => allocation.teamMemberId === memberId)
+    .reduce((sum, allocation) => sum + (allocation.monthlyAllocations?.[month]?.planned || 0), 0);
+}
+
+function getScenarioByName(world: any, name: string): any {
+  return world.getActions(ScenarioActions).getScenarios().find((scenario: any) => scenario.name === name);
+}
+
+function captureSavedAllocations(): void {
+  savedBaselineAllocations = null;
+  const dataManager = (global as any).window.app.managers.data;
+  dataManager.saveResourceAllocations = async (allocations: any[]) => {
+    savedBaselineAllocations = allocations;
+    return { success: true };
+  };
+  dataManager.saveAllocationScenarios = async () => ({ success: true });
+}
+
+Given('the baseline allocations give member {string} {int} MDs in {string}', function (memberId: string, mds: number, month: string) {
+  captureSavedAllocations();
+  this.getState().setResourceAllocations([{
+    id: 'alloc-scenario',
+    projectId: 'project-scenario',
+    projectName: 'Scenario Project',
+    teamMemberId: memberId,
+    monthlyAllocations: { [month]: { planned: mds, actual: 0 } },
+  }]);
+});
+
+When('I create and switch to the allocation scenario {string}', async function (name: string) {
+  const actions = this.getActions(ScenarioActions);
+  const result = await actions.createScenario(name);
+  assert.ok(result.success, result.error);
+  assert.ok((await actions.switchScenario(result.scenario!.id)).success);
+});
+
+When('I change member {string} to {int} MDs in {string}', function (memberId: string, mds: number, month: string) {
+  const state = this.getState();
+  state.setResourceAllocations(state.resourceAllocations.map((allocation: any) => allocation.teamMemberId === memberId
+    ? { ...allocation, monthlyAllocations: { ...allocation.monthlyAllocations, [month]: { planned: mds, actual: 0 } } }
+    : allocation));
+});
+
+When('I switch back to the baseline allocations', async function () {
+  assert.ok((await this.getActions(ScenarioActions).switchScenario(null)).success);
+});
+
+When('I promote the allocation scenario {string}', async function (name: string) {
+  const result = await this.getActions(ScenarioActions).promoteScenario(getScenarioByName(this, name).id);
+  assert.ok(result.success, result.error);
+});
+
+When('I discard the allocation scenario {string}', async function (name: string) {
+  const result = await this.getActions(ScenarioActions).discardScenario(getScenarioByName(this, name).id);
+  assert.ok(result.success, result.error);
+});
+
+When('I compare the allocation scenario {string} with a capacity of {int} MDs per month', function (name: string, capacity: number) {
+  const actions = this.getActions(ScenarioActions);
+  const scenario = getScenarioByName(this, name);
+  scenarioComparison = actions.compareAllocations(
+    actions.getBaselineAllocations(),
+    actions.getScenarioAllocations(scenario.id),
+    ['2026-01', '2026-02', '2026-03', '2026-04'],
+    () => capacity
+  );
+});
+
+Then('member {string} should have {int} MDs in {string}', function (memberId: string, mds: number, month: string) {
+  assert.strictEqual(getPlannedMDs(this.getState().resourceAllocations, memberId, month), mds);
+});
+
+Then('the allocation scenario {string} should give member {string} {int} MDs in {string}', function (name: string, memberId: string, mds: number, month: string) {
+  assert.strictEqual(getPlannedMDs(getScenarioByName(this, name).allocations, memberId, month), mds);
+});
+
+Then('the saved baseline allocations should give member {string} {int} MDs in {string}', function (memberId: string, mds: number, month: string) {
+  assert.ok(savedBaselineAllocations, 'Baseline allocations were not saved');
+  assert.strictEqual(getPlannedMDs(savedBaselineAllocations!, memberId, month), mds);
+});
+
+Then('there should be {int} allocation scenarios', function (expected: number) {
+  assert.strictEqual(this.getActions(ScenarioActions).getScenarios().length, expected);
+  assert.strictEqual(this.getState().activeScenarioId, null);
+});
+
+Then('the comparison should show {int} overloaded months in the baseline and {int} in the scenario', function (baseline: number, scenario: number) {
+  assert.strictEqual(scenarioComparison.baseline.overloadedCells, baseline);
+  assert.strictEqual(scenarioComparison.scenario.overloadedCells, scenario);
+});
+
+Then('the comparison should list {int} changed member-month(s)', function (expected: number) {
+  assert.strictEqual(scenarioComparison.changedCells.length, expected);
+});
+
+let levelingMembers: any[] = [];
+let levelingCapacity = 0;
+let levelingOverrides: Record<string, { priority?: string; fixedDeadline?: boolean }> = {};
+let levelingPlan: any = null;
+
+function givenLevelingMembers(memberIds: string[], role: string, capacity: number): void {
+  levelingMembers = memberIds.map(id => ({ id, firstName: id, lastName: '', role, vendorId: 'internal', vendorType: 'internal', monthlyCapacity: 22 }));
+  levelingCapacity = capacity;
+  levelingOverrides = {};
+  captureSavedAllocations();
+}
+
+Given('team member {string} with role {string} and a capacity of {int} MDs per month', function (memberId: string, role: string, capacity: number) {
+  givenLevelingMembers([memberId], role, capacity);
+});
+
+Given('team members {string} and {string} with role {string} and a capacity of {int} MDs per month', function (first: string, second: string, role: string, capacity: number) {
+  givenLevelingMembers([first, second], role, capacity);
+});
+
+Given('member {string} is allocated {int} MDs on project {string} and {int} MDs on project {string} in {string}', function (memberId: string, firstMDs: number, firstProject: string, secondMDs: number, secondProject: string, month: string) {
+  this.getState().setResourceAllocations([[firstProject, firstMDs], [secondProject, secondMDs]].map(([projectName, mds]) => ({
+    id: `alloc-${projectName}`,
+    projectId: `project-${projectName}`,
+    projectName,
+    teamMemberId: memberId,
+    phaseAllocations: [{ phaseId: 'development', phaseName: 'Development', phaseTotalMDs: mds, allocatedMDs: mds, startDate: `${month}-01`, endDate: `${month}-28` }],
+    phaseMonthlyBreakdown: { development: { [month]: mds } },
+    originalPhaseMonthlyBreakdown: { development: { [month]: mds } },
+    monthlyAllocations: { [month]: { planned: mds, actual: mds } },
+    startDate: `${month}-01`,
+    endDate: `${month}-28`,
+  })));
+});
+
+Given('the {string} allocation of project {string} is locked', function (month: string, projectName: string) {
+  const allocation = this.getState().resourceAllocations.find((item: any) => item.projectName === projectName);
+  this.getState().setResourceAllocations(this.getState().resourceAllocations.map((item: any) => (item === allocation
+    ? { ...item, monthlyAllocations: { ...item.monthlyAllocations, [month]: { ...item.monthlyAllocations[month], locked: true } } }
+    : item)));
+});
+
+Then('the {string} allocation of project {string} should still be locked with {int} MDs', function (month: string, projectName: string, mds: number) {
+  const allocation = levelingPlan.allocations.find((item: any) => item.projectName === projectName);
+  assert.deepStrictEqual(allocation.monthlyAllocations[month], { planned: mds, actual: mds, locked: true });
+});
+
+Given('project {string} has high priority', function (projectName: string) {
+  levelingOverrides[projectName] = { ...levelingOverrides[projectName], priority: 'high' };
+});
+
+Given('project {string} has a fixed deadline', function (projectName: string) {
+  levelingOverrides[projectName] = { ...levelingOverrides[projectName], fixedDeadline: true };
+});
+
+When('I level the allocations from {string}', function (fromMonth: string) {
+  const actions = this.getActions(ResourceLevelingActions);
+  const settings = actions.getProjectSettings().map((project: any) => ({ ...project, ...levelingOverrides[project.projectName] }));
+  levelingPlan = actions.levelAllocations(this.getState().resourceAllocations, levelingMembers, settings, () => levelingCapacity, { fromMonth });
+});
+
+When('I apply the leveling plan', async function () {
+  const result = await this.getActions(ResourceLevelingActions).applyLevelingPlan(levelingPlan);
+  assert.ok(result.success, result.error);
+});
+
+Then('the leveling plan should reassign {int} MDs of project {string} from {string} to {string} in {string}', function (mds: number, projectName: string, from: string, to: string, month: string) {
+  const move = levelingPlan.moves.find((item: any) => item.type === 'swap' && item.projectName === projectName && item.fromMemberId === from && item.toMemberId === to && item.fromMonth === month);
+  assert.ok(move, `No reassignment found in ${JSON.stringify(levelingPlan.moves)}`);
+  assert.strictEqual(move.mds, mds);
+  assert.strictEqual(getPlannedMDs(levelingPlan.allocations, to, month), mds);
+});
+
+Then('the leveling plan should shift {int} MDs of project {string} for {string} from {string} to {string}', function (mds: number, projectName: string, memberId: string, fromMonth: string, toMonth: string) {
+  const move = levelingPlan.moves.find((item: any) => item.type === 'shift' && item.projectName === projectName && item.fromMemberId === memberId && item.fromMonth === fromMonth && item.toMonth === toMonth);
+  assert.ok(move, `No shift found in ${JSON.stringify(levelingPlan.moves)}`);
+  assert.strictEqual(move.mds, mds);
+  const allocation = levelingPlan.allocations.find((item: any) => item.projectName === projectName && item.teamMemberId === memberId);
+  assert.strictEqual(allocation.phaseMonthlyBreakdown.development[toMonth], mds);
+  assert.ok(allocation.endDate >= `${toMonth}-01`, 'Allocation end date should cover the shifted month');
+});
+
+Then('the leveling plan should leave {int} over-allocated member-month(s)', function (expected: number) {
+  assert.strictEqual(levelingPlan.after.overloadedCells, expected);
+});
+
+Then('the leveling plan should have {int} moves', function (expected: number) {
+  assert.strictEqual(levelingPlan.moves.length, expected);
+});
+
+Then('the leveling plan should leave member {string} over-allocated by {int} MDs in {string}', function (memberId: string, excess: number, month: string) {
+  assert.deepStrictEqual(levelingPlan.unresolved, [{ memberId, month, excess }]);
+});
+
+let candidateMembers: any[] = [];
+let candidateFreeMDs: Record<string, number> = {};
+let suggestedCandidates: any[] = [];
+
+function askForCandidates(world: any, criteria: any): void {
+  suggestedCandidates = world.getActions(CandidateSuggestionActions).rankCandidates(
+    candidateMembers,
+    { startDate: '2026-03-01', endDate: '2026-04-30', ...criteria },
+    (memberId: string) => ({ free: candidateFreeMDs[memberId], capacity: 40 })
+  );
+}
+
+Given('these team members could be assigned:', function (table: DataTable) {
+  candidateFreeMDs = {};
+  candidateMembers = table.hashes().map(row => {
+    const [firstName, lastName] = row.name.split(' ');
+    candidateFreeMDs[row.id] = Number(row.freeMDs);
+    return { id: row.id, firstName, lastName, role: row.role, vendorId: row.vendorId, vendorType: 'internal', seniority: row.seniority, monthlyCapacity: 20 };
+  });
+});
+
+When('I ask for {string} candidates for a phase needing {int} MDs from {string}', function (role: string, mds: number, phaseRole: string) {
+  askForCandidates(this, { role, requiredMDsByRole: { [phaseRole]: mds } });
+});
+
+When('I ask for {string} candidates for a phase needing {int} MDs from {string} preferring vendor {string} and seniority {string}', function (role: string, mds: number, phaseRole: string, vendorId: string, seniority: string) {
+  askForCandidates(this, { role, requiredMDsByRole: { [phaseRole]: mds }, vendorId, seniority });
+});
+
+When('I ask for candidates of any role for a phase needing {int} MDs from {string}', function (mds: number, phaseRole: string) {
+  askForCandidates(this, { requiredMDsByRole: { [phaseRole]: mds } });
+});
+
+Then('the suggested candidates should be {string}', function (names: string) {
+  assert.deepStrictEqual(suggestedCandidates.map(candidate => candidate.fullName), names.split(', '));
+});
+
+Then('candidate {string} should be explained by {string}', function (name: string, reason: string) {
+  const candidate = suggestedCandidates.find(item => item.fullName === name);
+  assert.ok(candidate.reasons.some((item: any) => item.text === reason), `Reasons: ${JSON.stringify(candidate.reasons)}`);
+});
+
+Given('team member {string} with role {string} has no allocations', function (name: string, role: string) {
+  const [firstName, lastName] = name.split(' ');
+  const member = { id: 'free-member', firstName, lastName, role, vendorId: 'internal', vendorType: 'internal', monthlyCapacity: 22 };
+  const WorkingDaysCalculator = require('../../src/renderer/js/components/working-days-calculator.js');
+  // The app replaces the class with an instance at startup
+  (global as any).window.WorkingDaysCalculator = new WorkingDaysCalculator();
+  Object.assign((global as any).window.TeamHelpers, {
+    getAllTeamMembers: () => [member],
+    getTeamMemberById: (id: string) => (id === member.id ? member : null),
+  });
+});
+
+When('I ask for {string} candidates between {string} and {string}', function (role: string, startDate: string, endDate: string) {
+  suggestedCandidates = this.getActions(CandidateSuggestionActions).suggestCandidates({ role, startDate, endDate });
+});
+
+let auditEntries: any[] = [];
+
+function getMemberAllocationId(world: any, memberId: string): string {
+  const allocation = world.getState().resourceAllocations.find((item: any) => item.teamMemberId === memberId);
+  assert.ok(allocation, `No allocation for member ${memberId}`);
+  return allocation.id;
+}
+
+Given('my user name is {string}', function (userName: string) {
+  auditEntries = [];
+  const dataManager = (global as any).window.app.managers.data;
+  dataManager.getSettings = async () => ({ userName });
+  dataManager.appendAllocationAuditEntries = async (entries: any[]) => {
+    auditEntries.push(...entries);
+    return true;
+  };
+  dataManager.loadAllocationAuditLog = async () => auditEntries;
+});
+
+When('I update the allocation of member {string} to {int} MDs in {string} because {string}', async function (memberId: string, mds: number, month: string, reason: string) {
+  const result = await this.getActions(AllocationActions).updateMonthlyAllocation(getMemberAllocationId(this, memberId), month, mds, reason);
+  assert.ok(result.success, result.error);
+});
+
+When('I delete the allocation of member {string} because {string}', async function (memberId: string, reason: string) {
+  const result = await this.getActions(AllocationActions).deleteAllocation(getMemberAllocationId(this, memberId), reason);
+  assert.ok(result.success, result.error);
+});
+
+Then('the change history of member {string} should be:', async function (memberId: string, table: DataTable) {
+  const result = await this.getActions(AllocationAuditActions).loadAuditLog({ memberId });
+  assert.ok(result.success, result.error);
+
+  const actual = result.entries!.map((entry: any) => {
+    const change = entry.changes[0] || { month: '', before: 0, after: 0 };
+    return {
+      action: entry.action,
+      user: entry.user,
+      month: change.month,
+      before: String(change.before),
+      after: String(change.after),
+      reason: entry.reason
+    };
+  });
+  assert.deepStrictEqual(actual, table.hashes());
+});
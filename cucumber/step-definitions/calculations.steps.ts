@@ -1,6 +1,8 @@
 import { Given, When, Then } from '@cucumber/cucumber';
 import * as assert from 'assert';
 import { CalculatorFactory } from '../../src/renderer/react/actions/calculators/CalculatorFactory';
+import { SimulationActions } from '../../src/renderer/react/actions/SimulationActions';
+import { runMonteCarloSimulation } from '../../src/renderer/react/utils/monteCarloSimulation';
 
 let factory: CalculatorFactory | null = null;
 let calcResult: any = null;
@@ -52,3 +54,116 @@ Then('the calculation result should have KPI data', function () {
   assert.ok(calcResult, 'No calculation result');
   assert.ok(calcResult.kpiData, 'No KPI data in result');
 });
+
+const SIMULATION_SEED = 42;
+
+Given('the project has the simulation phases and resources', function () {
+  const state = this.getState();
+  state.setProject({
+    ...state.currentProject,
+    phases: {
+      development: { manDays: 50, effort: { G1: 20, G2: 60, TA: 10, PM: 10 } },
+      testing: { manDays: 40, effort: { G1: 0, G2: 50, TA: 30, PM: 20 } },
+      selectedPhaseResources: {
+        G1: { vendorId: 'vendor-external', jobCluster: 'jc-dev-ext', seniority: 'Senior' },
+        G2: { vendorId: 'vendor-internal', jobCluster: 'jc-dev', seniority: 'Senior' },
+        TA: { vendorId: 'vendor-external', jobCluster: 'jc-ta-ext', seniority: 'Senior' },
+        PM: { vendorId: 'vendor-internal', jobCluster: 'jc-pm', seniority: 'Senior' }
+      }
+    }
+  });
+});
+
+const updateFeature = (world: any, featureId: string, changes: any) => {
+  const state = world.getState();
+  state.setProject({
+    ...state.currentProject,
+    features: state.currentProject.features.map((feature: any) => feature.id === featureId ? { ...feature, ...changes } : feature)
+  });
+};
+
+Given('feature {string} has a risk margin of {int}%', function (featureId: string, riskMargin: number) {
+  const feature = this.getState().currentProject.features.find((item: any) => item.id === featureId);
+  updateFeature(this, featureId, { riskMargin, expertise: 100, realManDays: feature.manDays / (1 + riskMargin / 100) });
+});
+
+Given('feature {string} has a three-point estimate of {float}, {float} and {float} man days', function (featureId: string, optimistic: number, mostLikely: number, pessimistic: number) {
+  const expected = (optimistic + 4 * mostLikely + pessimistic) / 6;
+  updateFeature(this, featureId, {
+    optimisticManDays: optimistic,
+    mostLikelyManDays: mostLikely,
+    pessimisticManDays: pessimistic,
+    realManDays: expected,
+    expertise: 100,
+    riskMargin: 0,
+    manDays: expected
+  });
+});
+
+When('I run a simulation of {int} iterations with {int}% rate and {int}% effort split variation', async function (iterations: number, rateVariation: number, effortSplitVariation: number) {
+  this.simulationOptions = { iterations, rateVariation: rateVariation / 100, effortSplitVariation: effortSplitVariation / 100, seed: SIMULATION_SEED };
+  this.simulation = await this.getActions(SimulationActions).runSimulation(this.simulationOptions);
+});
+
+Then('every simulated cost should be {int} and every simulated effort {int}', function (cost: number, effort: number) {
+  const { cost: costs, effort: efforts, deterministic } = this.simulation;
+  assert.strictEqual(Math.round(deterministic.cost), cost);
+  assert.strictEqual(Math.round(costs.min), cost);
+  assert.strictEqual(Math.round(costs.max), cost);
+  assert.strictEqual(Math.round(efforts.p90), effort);
+  assert.strictEqual(costs.deterministicConfidence, 1);
+});
+
+Then('the simulated cost percentiles should be increasing', function () {
+  const { p10, p50, p80, p90 } = this.simulation.cost;
+  assert.ok(p10 < p50 && p50 < p80 && p80 < p90, `Percentiles not increasing: ${[p10, p50, p80, p90].join(', ')}`);
+});
+
+Then('the mean simulated cost should be within {int}% of the deterministic cost', function (tolerance: number) {
+  const { cost, deterministic } = this.simulation;
+  const difference = Math.abs(cost.mean - deterministic.cost) / deterministic.cost;
+  assert.ok(difference <= tolerance / 100, `Mean ${cost.mean} is ${(difference * 100).toFixed(1)}% from ${deterministic.cost}`);
+});
+
+Then('the largest contributor to the cost variance should be {string}', function (featureId: string) {
+  assert.strictEqual(this.simulation.topContributors[0]?.featureId, featureId);
+});
+
+Then('running the simulation again with the same seed should give the same percentiles', async function () {
+  const again = await this.getActions(SimulationActions).runSimulation(this.simulationOptions);
+  assert.deepStrictEqual(
+    [again.cost.p10, again.cost.p50, again.cost.p90],
+    [this.simulation.cost.p10, this.simulation.cost.p50, this.simulation.cost.p90]
+  );
+});
+
+When('I run a simulation of {int} iterations in a worker', async function (iterations: number) {
+  // Stands in for the Web Worker: runs the simulation on the request and posts the messages back
+  const createWorker = () => {
+    const worker: any = {
+      terminated: false,
+      terminate() { this.terminated = true; },
+      postMessage({ model, options }: any) {
+        setTimeout(() => {
+          const result = runMonteCarloSimulation(model, options, completed => worker.onmessage({ data: { type: 'progress', completed } }));
+          worker.onmessage({ data: { type: 'result', result } });
+        });
+      }
+    };
+    this.simulationWorker = worker;
+    return worker as Worker;
+  };
+
+  this.simulationProgress = [];
+  this.simulation = await this.getActions(SimulationActions).runSimulation(
+    { iterations, seed: SIMULATION_SEED },
+    { createWorker, onProgress: (completed: number, total: number) => this.simulationProgress.push(completed / total) }
+  );
+});
+
+Then('the worker should have reported progress and a result of {int} iterations', function (iterations: number) {
+  assert.strictEqual(this.simulation.iterations, iterations);
+  assert.ok(this.simulationProgress.length > 0, 'No progress reported');
+  assert.strictEqual(this.simulationProgress[this.simulationProgress.length - 1], 1);
+  assert.ok(this.simulationWorker.terminated, 'Worker not terminated');
+});
@@ -1,5 +1,7 @@
-import { When, Then } from '@cucumber/cucumber';
+import { Given, When, Then, Before } from '@cucumber/cucumber';
 import * as assert from 'assert';
+import { CapacityActions } from '../../src/renderer/react/actions/CapacityActions.ts';
+import { getMemberCalendarName } from '../../src/renderer/react/hooks/useResourceOverviewHeatmap.ts';
 
 let lastWorkingDays: number = 0;
 
@@ -20,3 +22,225 @@ Then('working days should be between {int} and {int}', function (min: number, ma
   assert.ok(lastWorkingDays >= min && lastWorkingDays <= max,
     `Working days ${lastWorkingDays} not between ${min} and ${max}`);
 });
+
+let configuredCalculator: any = null;
+
+Before(function () {
+  configuredCalculator = null;
+});
+
+function getHolidayCalculator(): any {
+  if (!configuredCalculator) {
+    const WorkingDaysCalculator = require('../../src/renderer/js/components/working-days-calculator.js');
+    configuredCalculator = new WorkingDaysCalculator();
+  }
+  return configuredCalculator;
+}
+
+When('I calculate working days for April 2031 in Italy', function () {
+  lastWorkingDays = getHolidayCalculator().calculateWorkingDays(4, 2031, 'IT');
+});
+
+Given('holiday calendars are configured with a {string} calendar and a closure on {string}', function (code: string, closureDate: string) {
+  getHolidayCalculator().configureHolidays({
+    holidayCalendars: [
+      {
+        code,
+        name: 'Germany',
+        rules: [
+          { type: 'fixed', month: 10, day: 3, name: 'German Unity Day' },
+          { type: 'easter', calendar: 'western', offset: -2, name: 'Good Friday' },
+        ],
+      },
+    ],
+    companyClosures: [{ type: 'date', date: closureDate, name: 'Christmas Eve closure' }],
+  });
+});
+
+Then('{string} should be a holiday in {string}', function (dateString: string, country: string) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const isHoliday = getHolidayCalculator().isNationalHoliday(new Date(year, month - 1, day), country);
+  assert.ok(isHoliday, `${dateString} is not a holiday in ${country}`);
+});
+
+Then('{string} should not be a holiday in {string}', function (dateString: string, country: string) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const isHoliday = getHolidayCalculator().isNationalHoliday(new Date(year, month - 1, day), country);
+  assert.ok(!isHoliday, `${dateString} is a holiday in ${country}`);
+});
+
+Then('a member in office {string} should have {int} available days in {string}', function (calendarCode: string, expected: number, month: string) {
+  const [country, region] = calendarCode.split('-');
+  const member = { id: `member-${calendarCode}`, holidayCalendar: { country, region } };
+  const available = getHolidayCalculator().calculateAvailableCapacity(member, month);
+  assert.strictEqual(available, expected, `Expected ${expected} available days for ${calendarCode}, got ${available}`);
+});
+
+const WEEKDAY_NUMBERS: Record<string, number> = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+let patternMember: any = null;
+
+function parseWeekdays(days: string): number[] {
+  return days.split(',').map(day => WEEKDAY_NUMBERS[day.trim()]);
+}
+
+Given('a team member working {int}% on {string}', function (fte: number, days: string) {
+  patternMember = {
+    id: 'member-part-time',
+    workingPatterns: [{ effectiveFrom: null, ftePercentage: fte, weekdays: parseWeekdays(days) }],
+  };
+});
+
+Given('from {string} the team member works {int}% on {string}', function (effectiveFrom: string, fte: number, days: string) {
+  patternMember.workingPatterns.push({ effectiveFrom, ftePercentage: fte, weekdays: parseWeekdays(days) });
+});
+
+Then('the team member should have {float} available days in {string}', function (expected: number, month: string) {
+  const available = getHolidayCalculator().calculateAvailableCapacity(patternMember, month);
+  assert.strictEqual(available, expected, `Expected ${expected} available days, got ${available}`);
+});
+
+function addLeave(entry: Record<string, unknown>): void {
+  const year = String(entry.date).slice(0, 4);
+  patternMember.vacationDays = patternMember.vacationDays || {};
+  patternMember.vacationDays[year] = patternMember.vacationDays[year] || [];
+  patternMember.vacationDays[year].push(entry);
+}
+
+Given('the team member has a {string} leave of {float} days on {string}', function (type: string, fraction: number, date: string) {
+  addLeave({ date, type, fraction });
+});
+
+Given('the team member has a {string} leave of {int} hours on {string}', function (type: string, hours: number, date: string) {
+  addLeave({ date, type, hours });
+});
+
+Then('the team member should have {float} vacation days in {string}', function (expected: number, month: string) {
+  const { total } = getHolidayCalculator().getVacationBreakdown(patternMember, month);
+  assert.strictEqual(total, expected, `Expected ${expected} vacation days, got ${total}`);
+});
+
+Then('the team member should have {float} {string} days in {string}', function (expected: number, type: string, month: string) {
+  const { byType } = getHolidayCalculator().getVacationBreakdown(patternMember, month);
+  assert.strictEqual(byType[type], expected, `Expected ${expected} ${type} days, got ${byType[type]}`);
+});
+
+Given('the team member works for a vendor in {string}', function (country: string) {
+  patternMember.vendorId = 'vendor-abroad';
+  this.getState().setGlobalConfig({ suppliers: [{ id: 'vendor-abroad', name: 'Vendor Abroad', country }] });
+  // The app replaces the class with an instance at startup
+  (global as any).window.WorkingDaysCalculator = getHolidayCalculator();
+  (global as any).window.TeamHelpers.getTeamMemberById = (id: string) => (id === patternMember.id ? patternMember : null);
+});
+
+Then('the capacity of the team member in {string} should be {float} working days of {float}', function (month: string, baseWorkingDays: number, monthlyCapacity: number) {
+  const result = this.getActions(CapacityActions).calculateAvailableCapacity(patternMember.id, month);
+  assert.ok(result.success, result.error);
+  assert.deepStrictEqual({ baseWorkingDays: result.baseWorkingDays, monthlyCapacity: result.monthlyCapacity }, { baseWorkingDays, monthlyCapacity });
+});
+
+Then('the holiday calendar of the team member should be shown as {string}', function (name: string) {
+  assert.strictEqual(getMemberCalendarName(patternMember), name);
+});
+
+Then('the capacity of the team member in {string} should deduct {float} vacation days', function (month: string, vacationDays: number) {
+  const result = this.getActions(CapacityActions).calculateAvailableCapacity(patternMember.id, month);
+  assert.ok(result.success, result.error);
+  assert.strictEqual(result.vacationDays, vacationDays);
+});
+
+Then('a {string} leave of {int} hours and one of {int} hours on the same date should both be kept', function (type: string, first: number, second: number) {
+  const VacationHelpers = require('../../src/renderer/js/utils/vacation-helpers.js');
+  assert.ok(!VacationHelpers.isSameVacationEntry({ date: '2026-12-02', type, hours: first }, { date: '2026-12-02', type, hours: second }));
+});
+
+Then('a half day and a full day of {string} on the same date should both be kept', function (type: string) {
+  const VacationHelpers = require('../../src/renderer/js/utils/vacation-helpers.js');
+  assert.ok(!VacationHelpers.isSameVacationEntry({ date: '2026-12-02', type, fraction: 0.5 }, { date: '2026-12-02', type }));
+  assert.ok(VacationHelpers.isSameVacationEntry('2026-12-02', { date: '2026-12-02', type: 'holiday', fraction: 1 }));
+});
+
+let importMembers: any[] = [];
+let vacationImportPreview: any = null;
+
+function getImportMember(name: string): any {
+  const member = importMembers.find(m => `${m.firstName} ${m.lastName}` === name);
+  assert.ok(member, `Team member ${name} not found`);
+  return member;
+}
+
+Given('the team members {string} and {string}', function (first: string, second: string) {
+  importMembers = [first, second].map((person, index) => {
+    const [, firstName, lastName, email] = /^(\S+) (\S+) <(.+)>$/.exec(person) as RegExpExecArray;
+    return { id: `tm-${index + 1}`, firstName, lastName, email, vacationDays: {} };
+  });
+});
+
+Given('{string} already has a holiday on {string}', function (name: string, date: string) {
+  const member = getImportMember(name);
+  member.vacationDays[date.slice(0, 4)] = [date];
+});
+
+When('I preview the vacation import of:', function (ics: string) {
+  const IcsParser = require('../../src/renderer/js/utils/ics-parser.js');
+  const VacationImportHelpers = require('../../src/renderer/js/utils/vacation-import-helpers.js');
+  vacationImportPreview = VacationImportHelpers.buildVacationImportPreview(IcsParser.parseIcsEvents(ics), importMembers);
+});
+
+When('I preview the vacation import in the {string} time zone of:', function (timeZone: string, ics: string) {
+  const IcsParser = require('../../src/renderer/js/utils/ics-parser.js');
+  const VacationImportHelpers = require('../../src/renderer/js/utils/vacation-import-helpers.js');
+  vacationImportPreview = VacationImportHelpers.buildVacationImportPreview(IcsParser.parseIcsEvents(ics, { timeZone }), importMembers);
+});
+
+Then('the vacation import should add {int} new days for {string} and skip {int} duplicate', function (added: number, name: string, skipped: number) {
+  const item = vacationImportPreview.members.find((m: any) => m.member === getImportMember(name));
+  assert.ok(item, `No vacations previewed for ${name}`);
+  assert.strictEqual(item.newCount, added, `Expected ${added} new days, got ${item.newCount}`);
+  assert.strictEqual(item.duplicateCount, skipped, `Expected ${skipped} duplicates, got ${item.duplicateCount}`);
+});
+
+Then('the vacation import should leave {int} event unmatched', function (expected: number) {
+  assert.strictEqual(vacationImportPreview.unmatched.length, expected);
+});
+
+When('I merge the vacation import', function () {
+  const VacationHelpers = require('../../src/renderer/js/utils/vacation-helpers.js');
+  const VacationImportHelpers = require('../../src/renderer/js/utils/vacation-import-helpers.js');
+  vacationImportPreview.members.forEach((item: any) => {
+    const member = getImportMember(`${item.member.firstName} ${item.member.lastName}`);
+    const previous = member.vacationDays;
+    const result = VacationHelpers.mergeVacationEntries(member.vacationDays, VacationImportHelpers.groupNewEntriesByYear(item));
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.added, item.newCount);
+    assert.strictEqual(member.vacationDays, previous, 'The merge changed the member');
+    member.vacationDays = result.vacationDays;
+  });
+});
+
+When('I add the vacation days {string} to {string}', async function (dates: string, name: string) {
+  const TeamManager = require('../../src/renderer/js/components/team-manager.js');
+  const teamManager = new TeamManager({
+    loadTeamMembers: async () => importMembers,
+    saveTeamMembers: async () => {},
+  }, null);
+  await teamManager.loadTeamMembers();
+  const result = await teamManager.addVacationDays(getImportMember(name).id, 2026, dates.split(','));
+  assert.ok(result.success, result.error);
+});
+
+Then('{string} should have {int} vacation entries in {int}', function (name: string, expected: number, year: number) {
+  const entries = getImportMember(name).vacationDays[year] || [];
+  assert.strictEqual(entries.length, expected, `Expected ${expected} entries, got ${JSON.stringify(entries)}`);
+});
+
+Then('{string} should have a leave on {string}', function (name: string, date: string) {
+  const entries = getImportMember(name).vacationDays[date.slice(0, 4)] || [];
+  assert.ok(entries.some((entry: any) => (typeof entry === 'string' ? entry : entry.date) === date),
+    `No leave on ${date}: ${JSON.stringify(entries)}`);
+});
+
+Then('{string} should have a {int} hour {string} leave on {string}', function (name: string, hours: number, type: string, date: string) {
+  const entries = getImportMember(name).vacationDays[date.slice(0, 4)] || [];
+  assert.ok(entries.some((entry: any) => entry.date === date && entry.type === type && entry.hours === hours),
+    `No ${hours}h ${type} leave on ${date}: ${JSON.stringify(entries)}`);
+});
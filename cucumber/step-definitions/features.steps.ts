@@ -1,6 +1,14 @@
-import { When, Then } from '@cucumber/cucumber';
+import { Given, When, Then } from '@cucumber/cucumber';
 import * as assert from 'assert';
 import { FeatureActions } from '../../src/renderer/react/actions/FeatureActions.ts';
+import { FeatureImportActions } from '../../src/renderer/react/actions/FeatureImportActions.ts';
+import { FeatureBulkActions } from '../../src/renderer/react/actions/FeatureBulkActions.ts';
+import { VersionHistoryActions } from '../../src/renderer/react/actions/VersionHistoryActions.ts';
+import {
+  calculatePertEstimate,
+  getEstimateConfidence,
+  validateThreePointEstimate
+} from '../../src/renderer/react/utils/pertEstimation.ts';
 
 When('I add a feature with name {string} and manDays {int}', function (name: string, manDays: number) {
   const actions = this.getActions(FeatureActions);
@@ -79,3 +87,314 @@ Then('adding a feature should throw an error', function () {
     });
   });
 });
+
+When('I add a feature {string} with a three-point estimate of {float}, {float} and {float} man days', function (name: string, optimistic: number, mostLikely: number, pessimistic: number) {
+  const actions = this.getActions(FeatureActions);
+  const { expected, standardDeviation } = calculatePertEstimate(optimistic, mostLikely, pessimistic);
+  actions.addFeature({
+    id: `F-${name}`,
+    name,
+    description: '',
+    category: 'General',
+    featureType: 'New Development',
+    supplier: 'vendor-internal',
+    optimisticManDays: optimistic,
+    mostLikelyManDays: mostLikely,
+    pessimisticManDays: pessimistic,
+    pertExpectedManDays: expected,
+    pertStandardDeviation: standardDeviation,
+    realManDays: expected,
+    expertise: 100,
+    riskMargin: 0,
+    manDays: expected,
+  });
+});
+
+const findFeature = (world: any, name: string) => {
+  const feature = world.getState().currentProject.features.find((item: any) => item.name === name);
+  assert.ok(feature, `Feature "${name}" not found`);
+  return feature;
+};
+
+Then('the feature {string} should have an expected value of {float} and a standard deviation of {float} man days', function (name: string, expected: number, standardDeviation: number) {
+  const feature = findFeature(this, name);
+  assert.strictEqual(feature.pertExpectedManDays, expected);
+  assert.strictEqual(feature.realManDays, expected);
+  assert.strictEqual(feature.pertStandardDeviation, standardDeviation);
+});
+
+Then('the feature {string} should have a three-point estimate of {float}, {float} and {float} man days', function (name: string, optimistic: number, mostLikely: number, pessimistic: number) {
+  const feature = findFeature(this, name);
+  assert.deepStrictEqual(
+    [feature.optimisticManDays, feature.mostLikelyManDays, feature.pessimisticManDays],
+    [optimistic, mostLikely, pessimistic]
+  );
+});
+
+Then('the feature {string} should have a {string} confidence', function (name: string, level: string) {
+  assert.strictEqual(getEstimateConfidence(findFeature(this, name))?.level, level);
+});
+
+Then('the feature {string} should have no confidence', function (name: string) {
+  assert.strictEqual(getEstimateConfidence(findFeature(this, name)), null);
+});
+
+Then('the three-point estimate of {float}, {float} and {float} man days should be refused', function (optimistic: number, mostLikely: number, pessimistic: number) {
+  assert.ok(validateThreePointEstimate(optimistic, mostLikely, pessimistic));
+});
+
+Then('the three-point estimate of {float}, {float} and {float} man days should be accepted', function (optimistic: number, mostLikely: number, pessimistic: number) {
+  assert.strictEqual(validateThreePointEstimate(optimistic, mostLikely, pessimistic), null);
+});
+
+Then('the confidence totals should be P50 {float}, P80 {float} and P90 {float}', function (p50: number, p80: number, p90: number) {
+  const totals = this.getActions(FeatureActions).calculateConfidenceTotals(this.getState().currentProject.features);
+  assert.deepStrictEqual({ p50: totals.p50, p80: totals.p80, p90: totals.p90 }, { p50, p80, p90 });
+  assert.strictEqual(totals.threePointCount, 3);
+});
+
+Given('the configuration has the categories {string} and {string}', function (first: string, second: string) {
+  const featureTypes = [
+    { id: 'ft-screen', name: 'Screen', averageMDs: 3 },
+    { id: 'ft-service', name: 'Service', averageMDs: 5 }
+  ];
+  const categories = [first, second].map(name => ({
+    id: `cat-${name.split(' ')[0].toLowerCase()}`,
+    name,
+    featureTypes
+  }));
+  (global as any).window.app.configManager.getCategories = () => categories;
+});
+
+Given('the category {string} only has the feature type {string}', function (categoryName: string, featureTypeName: string) {
+  const configManager = (global as any).window.app.configManager;
+  const categories = configManager.getCategories().map((category: any) => (category.name === categoryName
+    ? { ...category, featureTypes: category.featureTypes.filter((featureType: any) => featureType.name === featureTypeName) }
+    : category));
+  configManager.getCategories = () => categories;
+});
+
+Given('a features spreadsheet:', function (content: string) {
+  const actions = this.getActions(FeatureImportActions);
+  this.importSheet = actions.readWorkbook(content)[0];
+  this.importMapping = actions.suggestColumnMapping(this.importSheet.headers);
+});
+
+Then('the suggested columns should be id {string}, name {string}, category {string}, featureType {string}, supplier {string} and realManDays {string}', function (id: string, name: string, category: string, featureType: string, supplier: string, realManDays: string) {
+  const headerOf = (column: number | null) => (column === null ? null : this.importSheet.headers[column]);
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(this.importMapping).map(([field, column]) => [field, headerOf(column as number | null)])),
+    { id, name, description: null, category, featureType, supplier, realManDays }
+  );
+});
+
+When('I preview the import with the suggested columns', function () {
+  this.importPreview = this.getActions(FeatureImportActions).buildPreview(this.importSheet, this.importMapping);
+});
+
+When('I import the spreadsheet with the suggested columns', function () {
+  const actions = this.getActions(FeatureImportActions);
+  this.importResult = actions.importFeatures(actions.buildPreview(this.importSheet, this.importMapping));
+});
+
+When('I undo the last import', function () {
+  assert.strictEqual(this.getActions(FeatureImportActions).undoLastImport(), true);
+});
+
+const findImportRow = (world: any, rowNumber: number) => {
+  const row = world.importPreview.rows.find((item: any) => item.rowNumber === rowNumber);
+  assert.ok(row, `Import row ${rowNumber} not found`);
+  return row;
+};
+
+Then('import row {int} should create {string} with category {string}, feature type {string}, supplier {string} and {float} real man days', function (rowNumber: number, id: string, category: string, featureType: string, supplier: string, realManDays: number) {
+  const { action, feature } = findImportRow(this, rowNumber);
+  assert.strictEqual(action, 'create');
+  assert.deepStrictEqual(
+    { id: feature.id, category: feature.category, featureType: feature.featureType, supplier: feature.supplier, realManDays: feature.realManDays },
+    { id, category, featureType, supplier, realManDays }
+  );
+});
+
+Then('import row {int} should update {string} with category {string}, feature type {string} and the note {string}', function (rowNumber: number, id: string, category: string, featureType: string, note: string) {
+  const { action, feature, notes, errors } = findImportRow(this, rowNumber);
+  assert.strictEqual(action, 'update');
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual({ id: feature.id, category: feature.category, featureType: feature.featureType }, { id, category, featureType });
+  assert.ok(notes.includes(note), `No note "${note}" in ${JSON.stringify(notes)}`);
+});
+
+Then('import row {int} should have the error {string}', function (rowNumber: number, error: string) {
+  assert.deepStrictEqual(findImportRow(this, rowNumber).errors, [error]);
+});
+
+Then('import row {int} should have the errors {string}, {string} and {string}', function (rowNumber: number, first: string, second: string, third: string) {
+  assert.deepStrictEqual(findImportRow(this, rowNumber).errors, [first, second, third]);
+});
+
+Then('the import should have created {int}, updated {int} and skipped {int} features', function (created: number, updated: number, skipped: number) {
+  assert.deepStrictEqual(this.importResult, { created, updated, skipped });
+});
+
+const findFeatureById = (world: any, id: string) => {
+  const feature = world.getState().currentProject.features.find((item: any) => item.id === id);
+  assert.ok(feature, `Feature ${id} not found`);
+  return feature;
+};
+
+Then('feature {string} should have description {string} and {float} man days', function (id: string, description: string, manDays: number) {
+  const feature = findFeatureById(this, id);
+  assert.strictEqual(feature.description, description);
+  assert.strictEqual(feature.manDays, manDays);
+});
+
+Then('feature {string} should have {float} man days', function (id: string, manDays: number) {
+  assert.strictEqual(findFeatureById(this, id).manDays, manDays);
+});
+
+Given('the project has the features:', function (table: any) {
+  const actions = this.getActions(FeatureActions);
+  table.hashes().forEach((row: any) => {
+    const realManDays = parseFloat(row.realManDays);
+    actions.addFeature({
+      id: row.id,
+      name: row.id,
+      description: `Feature ${row.id}`,
+      category: 'cat-frontend',
+      featureType: 'ft-screen',
+      supplier: row.supplier,
+      jobCluster: row.jobCluster,
+      seniority: row.seniority,
+      realManDays,
+      expertise: 100,
+      riskMargin: 10,
+      manDays: actions.calculateManDays(realManDays, 100, 10),
+      ...(row.level ? { level: row.level } : {}),
+      ...(row.parentId ? { parentId: row.parentId } : {}),
+    });
+  });
+});
+
+const parseBulkChanges = (table: any) => Object.fromEntries(
+  table.raw().map(([field, value]: [string, string]) => [field, /^-?[\d.]+$/.test(value) ? parseFloat(value) : value])
+);
+
+When('I preview a bulk edit of the features {string} with:', function (ids: string, table: any) {
+  this.bulkPreview = this.getActions(FeatureBulkActions).previewBulkEdit(ids.split(','), parseBulkChanges(table));
+});
+
+When('I bulk edit the features {string} with:', function (ids: string, table: any) {
+  this.getActions(FeatureBulkActions).applyBulkEdit(ids.split(','), parseBulkChanges(table));
+});
+
+Then('the bulk edit should change the man days by {float} and the cost by {float}', function (manDays: number, cost: number) {
+  assert.deepStrictEqual(
+    { manDays: this.bulkPreview.manDaysDelta, cost: this.bulkPreview.costDelta },
+    { manDays, cost }
+  );
+});
+
+Then('feature {string} should have category {string} and feature type {string}', function (id: string, category: string, featureType: string) {
+  const feature = findFeatureById(this, id);
+  assert.deepStrictEqual({ category: feature.category, featureType: feature.featureType }, { category, featureType });
+});
+
+Then('a bulk edit with expertise {int} should be refused with {string}', function (expertise: number, message: string) {
+  assert.strictEqual(this.getActions(FeatureBulkActions).validateChanges({ expertise }), message);
+});
+
+Then('a bulk edit with feature type {string} only should be refused with {string}', function (featureType: string, message: string) {
+  assert.strictEqual(this.getActions(FeatureBulkActions).validateChanges({ featureType }), message);
+});
+
+When('I delete the features {string}', function (ids: string) {
+  assert.strictEqual(this.getActions(FeatureActions).deleteFeatures(ids.split(',')), ids.split(',').length);
+});
+
+Given('a saved project {string} with the features {string}', function (name: string, ids: string) {
+  const filePath = `/tmp/test-projects/${name}.json`;
+  this.savedProjects = {
+    [filePath]: {
+      project: { id: 'other-project', name },
+      features: ids.split(',').map(id => ({ id, name: id, description: id, manDays: 1 }))
+    }
+  };
+  (global as any).window.app.dataManager = {
+    currentProjectPath: '/tmp/test-projects/current.json',
+    listProjects: async () => Object.entries(this.savedProjects).map(([path, data]: [string, any]) => ({ filePath: path, project: data.project })),
+    readProject: async (path: string) => structuredClone(this.savedProjects[path]) || null,
+    writeProject: async (data: any, path: string) => {
+      this.savedProjects[path] = data;
+      return true;
+    }
+  };
+});
+
+When('I move the features {string} to the project {string}', async function (ids: string, name: string) {
+  const actions = this.getActions(FeatureBulkActions);
+  const target = (await actions.listMoveTargets()).find((project: any) => project.name === name);
+  assert.ok(target, `Project "${name}" not listed`);
+  this.moveResult = await actions.moveFeatures(ids.split(','), target.filePath);
+});
+
+Then('the project {string} should have the features {string}', function (name: string, ids: string) {
+  const project: any = Object.values(this.savedProjects).find((data: any) => data.project.name === name);
+  assert.deepStrictEqual(project.features.map((feature: any) => feature.id), ids.split(','));
+});
+
+Then('the move should have renamed {string} to {string}', function (from: string, to: string) {
+  assert.deepStrictEqual(this.moveResult.renamed, [{ from, to }]);
+});
+
+Then('the feature tree should be {string} with the depths {string}', function (ids: string, depths: string) {
+  const rows = this.getActions(FeatureActions).getFeatureTree(this.getState().currentProject.features);
+  assert.deepStrictEqual(
+    { ids: rows.map((row: any) => row.feature.id).join(','), depths: rows.map((row: any) => row.depth).join(',') },
+    { ids, depths }
+  );
+});
+
+Then('feature {string} should roll up {float} man days and a cost of {float}', function (id: string, manDays: number, cost: number) {
+  const rows = this.getActions(FeatureActions).getFeatureTree(this.getState().currentProject.features);
+  const row = rows.find((item: any) => item.feature.id === id);
+  assert.deepStrictEqual({ manDays: row.rollUp.manDays, cost: row.rollUp.cost }, { manDays, cost });
+});
+
+When('I move feature {string} under {string}', function (id: string, parentId: string) {
+  this.getActions(FeatureActions).setFeatureParent(id, parentId);
+});
+
+When('I move feature {string} to the top level', function (id: string) {
+  this.getActions(FeatureActions).setFeatureParent(id, null);
+});
+
+Then('moving feature {string} under {string} should be refused with {string}', function (id: string, parentId: string, message: string) {
+  assert.throws(() => this.getActions(FeatureActions).setFeatureParent(id, parentId), { message });
+});
+
+Then('feature {string} should be under {string}', function (id: string, parentId: string) {
+  assert.strictEqual(findFeatureById(this, id).parentId, parentId);
+});
+
+Then('feature {string} should be at the top level', function (id: string) {
+  assert.strictEqual(findFeatureById(this, id).parentId, undefined);
+});
+
+When('I delete feature {string}', function (id: string) {
+  const index = this.getState().currentProject.features.findIndex((feature: any) => feature.id === id);
+  this.getActions(FeatureActions).deleteFeature(index);
+});
+
+Given('I keep a copy of the features', function () {
+  this.featuresCopy = structuredClone(this.getState().currentProject.features);
+});
+
+Then('the comparison with the copy should report {string} moved from {string} to {string}', function (id: string, fromParentId: string, toParentId: string) {
+  const comparison = this.getActions(VersionHistoryActions).compareFeatures(this.getState().currentProject, { features: this.featuresCopy });
+  const change = comparison.regrouped.find((item: any) => item.id === id);
+  assert.ok(change, `${id} not reported as moved`);
+  assert.deepStrictEqual(
+    { from: change.fromParentId || 'the top level', to: change.toParentId || 'the top level' },
+    { from: fromParentId, to: toParentId }
+  );
+});
@@ -1,5 +1,14 @@
-import { When, Then } from '@cucumber/cucumber';
+import { Given, When, Then, After, DataTable } from '@cucumber/cucumber';
 import * as assert from 'assert';
+import { ProjectActions } from '../../src/renderer/react/actions/ProjectsActions';
+import { ProjectMergeActions } from '../../src/renderer/react/actions/ProjectMergeActions';
+import type { MergeSide } from '../../src/renderer/react/actions/ProjectMergeActions';
+import { WorkspaceBackupActions } from '../../src/renderer/react/actions/WorkspaceBackupActions';
+import { ProjectBundleActions } from '../../src/renderer/react/actions/ProjectBundleActions';
+import { ProjectMigrationActions, CURRENT_SCHEMA_VERSION } from '../../src/renderer/react/actions/ProjectMigrationActions';
+import { SchemaValidationActions } from '../../src/renderer/react/actions/SchemaValidationActions';
+import { ProjectTemplateActions } from '../../src/renderer/react/actions/ProjectTemplateActions';
+import { WorkspaceActions } from '../../src/renderer/react/actions/WorkspaceActions';
 
 Then('the current project name should be {string}', function (expected: string) {
   assert.strictEqual(this.getState().currentProject.project.name, expected);
@@ -35,3 +44,663 @@ Then('the approval status should be {string}', function (expected: string) {
 When('I set approval status to {string}', function (status: string) {
   this.getState().setProjectApprovalStatus(status);
 });
+
+Given('the saved project {string} has a backup of fixture {string}', function (filePath: string, fixtureName: string) {
+  const backupPath = filePath.replace(/([^/]+)\.json$/, '.backups/$1/2026-01-10T09-00-00-000Z.json');
+  this.projectBackup = {
+    backupPath,
+    fileName: '2026-01-10T09-00-00-000Z.json',
+    createdAt: '2026-01-10T09:00:00.000Z',
+    fileSize: 2048,
+    data: this.loadFixture(fixtureName)
+  };
+  this.restoredBackups = [];
+  this.savedProjectsListed = 0;
+
+  (global as any).window.app.dataManager = {
+    currentProjectPath: null,
+    listProjectBackups: async (path: string) => (path === filePath ? [this.projectBackup] : []),
+    restoreProjectBackup: async (path: string, backup: string) => {
+      this.restoredBackups.push({ filePath: path, backupPath: backup });
+      return true;
+    },
+    listProjects: async () => {
+      this.savedProjectsListed++;
+      return [];
+    }
+  };
+});
+
+Given('the backup has saved vendor costs of {int} and {int}', function (first: number, second: number) {
+  this.projectBackup.data.calculationData = {
+    vendorCosts: [{ finalTotCost: first }, { totCost: second }]
+  };
+});
+
+When('I list the backups of saved project {string}', async function (filePath: string) {
+  this.listedBackups = await this.getActions(ProjectActions).listProjectBackups(filePath);
+});
+
+Then('the backup preview should show {int} features costing {int} from {string}', function (featureCount: number, totalCost: number, costSource: string) {
+  assert.strictEqual(this.listedBackups.length, 1);
+  assert.strictEqual(this.listedBackups[0].featureCount, featureCount);
+  assert.strictEqual(this.listedBackups[0].totalCost, totalCost);
+  assert.strictEqual(this.listedBackups[0].costSource, costSource);
+});
+
+When('I restore the backup of saved project {string}', async function (filePath: string) {
+  this.restoreResult = await this.getActions(ProjectActions).restoreProjectBackup(filePath, this.projectBackup.backupPath);
+});
+
+Then('the backup should be restored over {string}', function (filePath: string) {
+  assert.strictEqual(this.restoreResult, true);
+  assert.deepStrictEqual(this.restoredBackups, [{ filePath, backupPath: this.projectBackup.backupPath }]);
+});
+
+Then('the saved projects list should be reloaded', function () {
+  assert.strictEqual(this.savedProjectsListed, 1);
+});
+
+Given('the project from fixture {string} was moved to the trash on {string} with {int} days retention', function (fixtureName: string, deletedAt: string, retentionDays: number) {
+  const trashItem = {
+    trashPath: `/tmp/test-projects/.trash/${deletedAt.replace(/[:.]/g, '-')}__full.json`,
+    fileName: 'full.json',
+    deletedAt,
+    expiresAt: new Date(new Date(deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString(),
+    fileSize: 2048,
+    data: this.loadFixture(fixtureName)
+  };
+  this.trash = [trashItem];
+  this.savedProjectsListed = 0;
+  this.fileNameTaken = false;
+
+  (global as any).window.app.dataManager = {
+    listTrash: async () => ({ items: this.trash, retentionDays }),
+    restoreFromTrash: async (trashPath: string) => {
+      // The data manager reports the failure and returns null
+      if (this.fileNameTaken) return null;
+      this.trash = this.trash.filter((item: any) => item.trashPath !== trashPath);
+      return `/tmp/test-projects/${trashItem.fileName}`;
+    },
+    purgeFromTrash: async (trashPath: string) => {
+      this.trash = this.trash.filter((item: any) => item.trashPath !== trashPath);
+      return true;
+    },
+    emptyTrash: async () => {
+      const purged = this.trash.length;
+      this.trash = [];
+      return purged;
+    },
+    listProjects: async () => {
+      this.savedProjectsListed++;
+      return [];
+    }
+  };
+});
+
+Given('a saved project already has its file name', function () {
+  this.fileNameTaken = true;
+});
+
+When('I list the trash', async function () {
+  this.trashListing = await this.getActions(ProjectActions).listTrash();
+});
+
+Then('the trash should show project {string} with {int} features costing {int}', function (projectName: string, featureCount: number, totalCost: number) {
+  assert.strictEqual(this.trashListing.items.length, 1);
+  const [item] = this.trashListing.items;
+  assert.strictEqual(item.projectName, projectName);
+  assert.strictEqual(item.projectCode, this.trash[0].data.project.id);
+  assert.strictEqual(item.featureCount, featureCount);
+  assert.strictEqual(item.totalCost, totalCost);
+});
+
+Then('the trashed project should be purged on {string}', function (expiresAt: string) {
+  assert.strictEqual(this.trashListing.retentionDays, 30);
+  assert.strictEqual(this.trashListing.items[0].expiresAt, expiresAt);
+});
+
+When('I restore the trashed project', async function () {
+  this.restoredFromTrash = await this.getActions(ProjectActions).restoreFromTrash(this.trash[0].trashPath);
+});
+
+Then('the project should be restored to {string}', function (filePath: string) {
+  assert.strictEqual(this.restoredFromTrash, filePath);
+  assert.strictEqual(this.trash.length, 0);
+});
+
+Then('the project should not be restored', function () {
+  assert.strictEqual(this.restoredFromTrash, null);
+  assert.strictEqual(this.savedProjectsListed, 0);
+});
+
+When('I empty the trash', async function () {
+  assert.strictEqual(await this.getActions(ProjectActions).purgeTrash(), true);
+});
+
+Then('the trash should still hold {int} project(s)', async function (count: number) {
+  const { items } = await this.getActions(ProjectActions).listTrash();
+  assert.strictEqual(items.length, count);
+});
+
+Given('a merge base from fixture {string}', function (fixtureName: string) {
+  this.mergeBase = this.loadFixture(fixtureName);
+  this.mergeCopies = {
+    my: this.loadFixture(fixtureName),
+    their: this.loadFixture(fixtureName)
+  };
+  this.mergedProject = null;
+});
+
+When('{word} copy sets the man days of feature {string} to {int}', function (side: string, featureId: string, manDays: number) {
+  const feature = this.mergeCopies[side].features.find((f: any) => f.id === featureId);
+  feature.manDays = manDays;
+});
+
+When('{word} copy adds feature {string} named {string} with {int} man days', function (side: string, featureId: string, name: string, manDays: number) {
+  this.mergeCopies[side].features.push({ id: featureId, name, description: name, manDays, rate: 400 });
+});
+
+When('{word} copy removes feature {string}', function (side: string, featureId: string) {
+  const copy = this.mergeCopies[side];
+  copy.features = copy.features.filter((f: any) => f.id !== featureId);
+});
+
+When('{word} copy changes the description of assumption {string} to {string}', function (side: string, assumptionId: string, description: string) {
+  const assumption = this.mergeCopies[side].assumptions.find((a: any) => a.id === assumptionId);
+  assumption.description = description;
+});
+
+When('the copies are merged', function () {
+  this.mergeResult = this.getActions(ProjectMergeActions).mergeProjects(this.mergeBase, this.mergeCopies.my, this.mergeCopies.their);
+});
+
+When('I keep {word} version of {string}', function (side: string, conflictKey: string) {
+  const resolution: MergeSide = side === 'my' ? 'mine' : 'theirs';
+  this.mergedProject = this.getActions(ProjectMergeActions).applyResolutions(this.mergeResult, { [conflictKey]: resolution });
+});
+
+Then('the merge should have {int} conflict(s)', function (expected: number) {
+  assert.strictEqual(this.mergeResult.conflicts.length, expected);
+});
+
+Then('the merged feature {string} should have {int} man days', function (featureId: string, manDays: number) {
+  const merged = this.mergedProject || this.mergeResult.merged;
+  const feature = merged.features.find((f: any) => f.id === featureId);
+  assert.ok(feature, `Feature ${featureId} not in merged project`);
+  assert.strictEqual(feature.manDays, manDays);
+});
+
+Then('the merged assumption {string} description should be {string}', function (assumptionId: string, description: string) {
+  const merged = this.mergedProject || this.mergeResult.merged;
+  assert.strictEqual(merged.assumptions.find((a: any) => a.id === assumptionId)?.description, description);
+});
+
+Then('the merged project should contain feature {string}', function (featureId: string) {
+  const merged = this.mergedProject || this.mergeResult.merged;
+  assert.ok(merged.features.some((f: any) => f.id === featureId));
+});
+
+Then('the merged project should not contain feature {string}', function (featureId: string) {
+  const merged = this.mergedProject || this.mergeResult.merged;
+  assert.ok(!merged.features.some((f: any) => f.id === featureId));
+});
+
+const PROJECTS_FOLDER = '/tmp/test-projects';
+
+const savedProjectEntry = (fileName: string, name: string, lastModified: string) => ({
+  filePath: `${PROJECTS_FOLDER}/${fileName}`,
+  fileName,
+  project: { id: fileName.replace('.json', ''), name, version: '1.0', lastModified },
+  fileSize: 1024,
+  lastModified
+});
+
+Given('the saved projects list:', function (table: DataTable) {
+  this.savedProjectsList = table.hashes().map(row => savedProjectEntry(row.fileName, row.name, row.lastModified));
+});
+
+Given('I follow the projects folder', function () {
+  (global as any).window.electronAPI.onProjectsFolderChanged = (callback: (change: any) => void) => {
+    this.projectsFolderListener = callback;
+    return () => { this.projectsFolderListener = null; };
+  };
+
+  const actions = this.getActions(ProjectActions);
+  actions.setupProjectsFolderListener((change: any) => {
+    this.savedProjectsList = actions.applyProjectsFolderChange(this.savedProjectsList, change);
+  });
+});
+
+When('the projects folder reports {string} of {string} named {string} modified {string}', function (type: string, fileName: string, name: string, lastModified: string) {
+  this.projectsFolderListener({ type, filePath: `${PROJECTS_FOLDER}/${fileName}`, project: savedProjectEntry(fileName, name, lastModified) });
+});
+
+When('the projects folder reports {string} of {string}', function (type: string, fileName: string) {
+  this.projectsFolderListener({ type, filePath: `${PROJECTS_FOLDER}/${fileName}` });
+});
+
+Then('the saved projects list should be {string}', function (expected: string) {
+  assert.strictEqual(this.savedProjectsList.map((p: any) => p.project.name).join(', '), expected);
+});
+
+Given('a workspace backup with files:', function (table: DataTable) {
+  this.workspaceBackup = {
+    success: true,
+    backupPath: '/tmp/Workspace_Backup.json.gz',
+    createdAt: '2026-01-10T09:00:00.000Z',
+    projectsPath: '/tmp/test-projects',
+    entries: table.hashes().map(row => ({
+      path: row.path,
+      category: row.category,
+      projectName: row.projectName || null,
+      size: 100,
+      modified: '2026-01-10T09:00:00.000Z',
+      status: row.status,
+      localModified: row.status === 'new' ? null : '2026-01-12T09:00:00.000Z'
+    }))
+  };
+  this.restoredWorkspaceFiles = null;
+
+  (global as any).window.app.dataManager = {
+    createBackup: async () => ({ success: true }),
+    inspectBackup: async () => this.workspaceBackup,
+    restoreBackup: async (backupPath: string, selectedPaths: string[]) => {
+      assert.strictEqual(backupPath, this.workspaceBackup.backupPath);
+      this.restoredWorkspaceFiles = selectedPaths;
+      return { success: true, restored: selectedPaths, errors: [] };
+    }
+  };
+});
+
+Then('the default restore selection should be {string}', function (expected: string) {
+  const selection = this.getActions(WorkspaceBackupActions).getDefaultSelection(this.workspaceBackup.entries);
+  assert.strictEqual(selection.sort().join(', '), expected);
+});
+
+Then('the restore groups should be {string}', function (expected: string) {
+  const actions = this.getActions(WorkspaceBackupActions);
+  const groups = actions.groupEntries(this.workspaceBackup.entries)
+    .map((group: any) => `${group.label}: ${group.entries.map((entry: any) => actions.describeEntry(entry)).join(', ')}`);
+  assert.strictEqual(groups.join(' | '), expected);
+});
+
+When('I restore {string} from the workspace backup', async function (paths: string) {
+  const actions = this.getActions(WorkspaceBackupActions);
+  const manifest = await actions.inspectBackup();
+  this.workspaceRestoreResult = await actions.restoreBackup(manifest, paths.split(', '));
+});
+
+Then('the workspace backup should restore {string}', function (expected: string) {
+  assert.strictEqual(this.workspaceRestoreResult.success, true);
+  assert.deepStrictEqual(this.restoredWorkspaceFiles, expected.split(', '));
+  assert.deepStrictEqual(this.workspaceRestoreResult.restored, expected.split(', '));
+});
+
+const withCategories = (config: any, names: string) => ({
+  ...config,
+  categories: names.split(', ').map(name => ({ id: name, name, featureTypes: [] }))
+});
+
+Given('a global configuration from fixture {string} with categories {string}', function (fixtureName: string, categories: string) {
+  this.globalConfig = withCategories(this.loadFixture(fixtureName), categories);
+});
+
+When('I bundle the project from fixture {string}', function (fixtureName: string) {
+  this.projectBundle = this.getActions(ProjectBundleActions).createBundle(this.loadFixture(fixtureName), this.globalConfig);
+});
+
+Then('the bundle should contain vendors {string}', function (expected: string) {
+  assert.strictEqual(this.projectBundle.config.vendors.map((vendor: any) => vendor.id).sort().join(', '), expected);
+});
+
+Then('the bundle should contain categories {string}', function (expected: string) {
+  assert.strictEqual(this.projectBundle.config.categories.map((category: any) => category.id).sort().join(', '), expected);
+});
+
+Given('a bundle of fixture {string} made with the configuration of fixture {string}', function (projectFixture: string, configFixture: string) {
+  const senderConfig = withCategories(this.loadFixture(configFixture), 'Security, UI, Backend');
+  this.projectBundle = this.getActions(ProjectBundleActions).createBundle(this.loadFixture(projectFixture), senderConfig);
+  this.globalConfig = JSON.parse(JSON.stringify(senderConfig));
+});
+
+Given('my global configuration has no vendor {string}', function (vendorId: string) {
+  this.globalConfig.vendors = this.globalConfig.vendors.filter((vendor: any) => vendor.id !== vendorId);
+});
+
+Given('my global configuration renames vendor {string} to {string}', function (vendorId: string, name: string) {
+  this.globalConfig.vendors.find((vendor: any) => vendor.id === vendorId).name = name;
+});
+
+Given('the bundle was made with calculation parameters of {int} working hours per day', function (hours: number) {
+  this.projectBundle.config.calculationParams = { workingDaysPerMonth: 20, workingHoursPerDay: hours };
+});
+
+Given('my global configuration uses {int} working hours per day', function (hours: number) {
+  this.globalConfig.calculationParams = { workingDaysPerMonth: 20, workingHoursPerDay: hours };
+});
+
+When('the bundle is compared with my global configuration', function () {
+  const actions = this.getActions(ProjectBundleActions);
+  this.bundleItems = actions.analyzeBundle(this.projectBundle, this.globalConfig);
+  this.bundleResolutions = actions.getDefaultResolutions(this.bundleItems);
+});
+
+Then('bundle item {string} should be {string} and imported as {string}', function (key: string, status: string, action: string) {
+  const item = this.bundleItems.find((candidate: any) => candidate.key === key);
+  assert.ok(item, `No bundle item ${key}`);
+  assert.strictEqual(item.status, status);
+  assert.strictEqual(this.bundleResolutions[key].action, action);
+});
+
+When('I import the bundle mapping {string} to {string}', function (key: string, targetId: string) {
+  this.bundleImport = this.getActions(ProjectBundleActions).applyImport(this.projectBundle, this.globalConfig, {
+    [key]: { action: 'map', targetId }
+  });
+});
+
+When('I import the bundle replacing {string}', function (key: string) {
+  this.bundleImport = this.getActions(ProjectBundleActions).applyImport(this.projectBundle, this.globalConfig, {
+    [key]: { action: 'replace' }
+  });
+});
+
+When('I import the bundle with the default choices as a copy', function () {
+  const actions = this.getActions(ProjectBundleActions);
+  const projectId = this.projectBundle.project.project.id;
+  this.bundleImport = actions.applyImport(this.projectBundle, this.globalConfig, {}, {
+    projectId: actions.getCopyId(projectId, [projectId])
+  });
+});
+
+Then('imported feature {string} should use vendor {string} without a saved rate', function (featureId: string, vendorId: string) {
+  const feature = this.bundleImport.project.features.find((candidate: any) => candidate.id === featureId);
+  assert.strictEqual(feature.supplier, vendorId);
+  assert.strictEqual(feature.rate, undefined);
+  assert.strictEqual(this.bundleImport.remappedFeatures, 1);
+});
+
+Then('the import should not change my global configuration', function () {
+  assert.strictEqual(this.bundleImport.configChanged, false);
+  assert.deepStrictEqual(this.bundleImport.globalConfig, this.globalConfig);
+});
+
+Then('my global configuration should have vendor {string}', function (vendorId: string) {
+  assert.strictEqual(this.bundleImport.configChanged, true);
+  assert.ok(this.bundleImport.globalConfig.vendors.some((vendor: any) => vendor.id === vendorId));
+  assert.ok(!this.globalConfig.vendors.some((vendor: any) => vendor.id === vendorId), 'The original configuration was modified');
+});
+
+Then('my global configuration should use {int} working hours per day after the import', function (hours: number) {
+  assert.strictEqual(this.bundleImport.configChanged, true);
+  assert.strictEqual(this.bundleImport.globalConfig.calculationParams.workingHoursPerDay, hours);
+});
+
+Then('the imported project id should be {string}', function (expected: string) {
+  assert.strictEqual(this.bundleImport.project.project.id, expected);
+});
+
+Given('an unversioned project file from fixture {string} with:', function (fixtureName: string, table: DataTable) {
+  const project = this.loadFixture(fixtureName);
+  delete project.schemaVersion;
+  delete project.project.approvalStatus;
+  table.raw().forEach(([field, value]) => {
+    project[field] = JSON.parse(value);
+  });
+  this.projectFile = project;
+  this.projectFileCopy = JSON.parse(JSON.stringify(project));
+});
+
+Given('a project file from fixture {string} at the current schema version', function (fixtureName: string) {
+  this.projectFile = { ...this.loadFixture(fixtureName), schemaVersion: CURRENT_SCHEMA_VERSION };
+  this.projectFileCopy = JSON.parse(JSON.stringify(this.projectFile));
+});
+
+When('the project file is migrated', function () {
+  this.migration = this.getActions(ProjectMigrationActions).migrateProject(this.projectFile, { now: '2026-01-10T09:00:00.000Z' });
+});
+
+Then('the migrated project should be at the current schema version', function () {
+  assert.strictEqual(this.migration.project.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.strictEqual(this.migration.report.toVersion, CURRENT_SCHEMA_VERSION);
+});
+
+Then('the migration report should list schema versions {string}', function (expected: string) {
+  assert.strictEqual(this.migration.report.migrated, true);
+  assert.strictEqual(this.migration.report.steps.map((step: any) => step.version).join(', '), expected);
+});
+
+Then('the migration report should list no changes', function () {
+  assert.strictEqual(this.migration.report.migrated, false);
+  assert.deepStrictEqual(this.migration.report.steps, []);
+  assert.strictEqual(this.migration.project, this.projectFile);
+});
+
+Then('the migration report should say the file is newer than supported', function () {
+  assert.strictEqual(this.migration.report.newerThanSupported, true);
+  assert.strictEqual(this.migration.report.migrated, false);
+});
+
+Then('the migrated project should have vendors {string}', function (expected: string) {
+  const config = this.migration.project.config;
+  assert.strictEqual(config.vendors.map((vendor: any) => `${vendor.id} (${vendor.type})`).join(', '), expected);
+  assert.ok(config.projectOverrides, 'Project overrides missing');
+  assert.strictEqual(config.suppliers, undefined);
+});
+
+Then('the migrated project approval status should be {string}', function (expected: string) {
+  assert.strictEqual(this.migration.project.project.approvalStatus, expected);
+  assert.strictEqual(this.migration.project.approvalStatus, undefined);
+});
+
+Then('the migrated project should have {int} phases with supplier {string} for {string}', function (count: number, supplier: string, role: string) {
+  const phases = this.migration.project.phases;
+  assert.strictEqual(Object.keys(phases).filter(key => key !== 'selectedSuppliers').length, count);
+  assert.strictEqual(phases.selectedSuppliers[role], supplier);
+  assert.strictEqual(phases.development.lastModified, '2026-01-10T09:00:00.000Z');
+});
+
+Then('the migrated project should have feature-based override {int} for {string}', function (value: number, featureId: string) {
+  assert.strictEqual(this.migration.project.featureBasedOverrides[featureId], value);
+  assert.strictEqual(this.migration.project.finalMDsOverrides, undefined);
+});
+
+Then('the original project file should be unchanged', function () {
+  assert.deepStrictEqual(this.projectFile, this.projectFileCopy);
+});
+
+Given('a project file from fixture {string}', function (fixtureName: string) {
+  this.projectFile = this.loadFixture(fixtureName);
+});
+
+Given('the project from fixture {string} as opened by the application', function (fixtureName: string) {
+  this.projectFile = this.getActions(ProjectMigrationActions).migrateProject(this.loadFixture(fixtureName)).project;
+});
+
+Given('a file with content:', function (content: string) {
+  this.projectFile = JSON.parse(content);
+});
+
+When('the file is validated against the published schemas', function () {
+  this.fileValidation = this.getActions(SchemaValidationActions).validateFile(this.projectFile);
+});
+
+Then('it should be recognised as a {string} file', function (fileType: string) {
+  assert.strictEqual(this.fileValidation.fileType, fileType);
+});
+
+Then('it should be recognised as a {string} file with no problems', function (fileType: string) {
+  assert.strictEqual(this.fileValidation.fileType, fileType);
+  assert.deepStrictEqual(this.fileValidation.errors, []);
+  assert.strictEqual(this.fileValidation.valid, true);
+});
+
+Then('the validation should list:', function (table: DataTable) {
+  assert.strictEqual(this.fileValidation.valid, false);
+  assert.deepStrictEqual(this.fileValidation.errors, table.hashes());
+});
+
+Then('the validation should report the upgrade to the current schema version', function () {
+  assert.strictEqual(this.fileValidation.migration.migrated, true);
+  assert.strictEqual(this.fileValidation.migration.toVersion, CURRENT_SCHEMA_VERSION);
+});
+
+When('the project file is checked before saving with an empty description on its first feature', function () {
+  this.projectFile.features[0].description = '';
+  try {
+    this.getActions(SchemaValidationActions).assertValid('project', this.projectFile);
+    this.checkError = null;
+  } catch (error) {
+    this.checkError = error;
+  }
+});
+
+Then('the check should fail with {string}', function (message: string) {
+  assert.ok(this.checkError, 'Expected the check to fail');
+  assert.strictEqual(this.checkError.message, message);
+  assert.strictEqual(this.checkError.validationErrors.length, 1);
+});
+
+When('the project file is saved as template {string} replacing:', function (name: string, table: DataTable) {
+  const replacements = table.hashes().map(row => ({ text: row.text, placeholder: row.placeholder }));
+  this.template = this.getActions(ProjectTemplateActions).createTemplate(this.projectFile, { name, replacements });
+});
+
+Then('the template should ask for {string}', function (expected: string) {
+  assert.strictEqual(this.template.placeholders.join(', '), expected);
+});
+
+Then('template assumption {string} should read {string}', function (assumptionId: string, expected: string) {
+  assert.strictEqual(this.template.content.assumptions.find((a: any) => a.id === assumptionId).description, expected);
+});
+
+When('project {string} with code {string} is created from the template on {string} with:', function (name: string, code: string, now: string, table: DataTable) {
+  this.newProjectContent = this.getActions(ProjectTemplateActions).applyTemplate(this.template, { name, code, description: '' }, table.rowsHash(), now);
+});
+
+Then('new project assumption {string} should read {string}', function (assumptionId: string, expected: string) {
+  assert.strictEqual(this.newProjectContent.assumptions.find((a: any) => a.id === assumptionId).description, expected);
+});
+
+Then('new project feature {string} should read {string}', function (featureId: string, expected: string) {
+  assert.strictEqual(this.newProjectContent.features.find((f: any) => f.id === featureId).description, expected);
+});
+
+Then('the new project description should be {string}', function (expected: string) {
+  assert.strictEqual(this.newProjectContent.description, expected);
+});
+
+Then('the new project {string} phase should have effort G2 {int} and supplier {string} for {string}', function (phaseId: string, effort: number, supplier: string, role: string) {
+  assert.strictEqual(this.newProjectContent.phases[phaseId].effort.G2, effort);
+  assert.strictEqual(this.newProjectContent.phases.selectedSuppliers[role], supplier);
+});
+
+Then('the new project working package should be enabled', function () {
+  assert.strictEqual(this.newProjectContent.workingPackageData.enabled, true);
+  assert.strictEqual(this.newProjectContent.workingPackageData.gto.totalAmount, 1000);
+});
+
+Then('the new project features and assumptions should be dated {string}', function (now: string) {
+  [...this.newProjectContent.features, ...this.newProjectContent.assumptions].forEach((item: any) => {
+    assert.strictEqual(item.created, now);
+    assert.strictEqual(item.modified, now);
+  });
+  assert.strictEqual(this.newProjectContent.phases.development.lastModified, now);
+});
+
+Given('the saved project templates {string}', function (names: string) {
+  const actions = this.getActions(ProjectTemplateActions);
+  this.storedTemplates = names.split(',').map(name => actions.createTemplate({ project: { id: 'P', name: 'P' } }, { name: name.trim() }));
+
+  (global as any).window.app.dataManager = {
+    loadProjectTemplates: async () => this.storedTemplates,
+    saveProjectTemplates: async (templates: any[]) => {
+      this.storedTemplates = templates;
+      return true;
+    }
+  };
+});
+
+When('the project file is saved as template {string}', async function (name: string) {
+  await this.getActions(ProjectTemplateActions).saveAsTemplate(this.projectFile, { name });
+});
+
+Then('the saved project templates should be {string}', async function (expected: string) {
+  const templates = await this.getActions(ProjectTemplateActions).loadTemplates();
+  assert.strictEqual(templates.map((template: any) => template.name).join(', '), expected);
+});
+
+Then('saved template {string} should have {int} features', function (name: string, count: number) {
+  assert.strictEqual(this.storedTemplates.find((template: any) => template.name === name).content.features.length, count);
+});
+
+// In-memory localStorage for the recent projects lists (removed after the scenario)
+const createLocalStorage = () => {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => (items.has(key) ? items.get(key)! : null),
+    setItem: (key: string, value: string) => { items.set(key, String(value)); },
+    removeItem: (key: string) => { items.delete(key); }
+  };
+};
+
+After(function () {
+  if (this.workspaces) {
+    delete (global as any).localStorage;
+  }
+});
+
+Given('the workspaces {string} at {string} and {string} at {string} with {string} active', function (firstName: string, firstPath: string, secondName: string, secondPath: string, activeName: string) {
+  this.workspaces = [
+    { id: 'ws-1', name: firstName, projectsPath: firstPath, configPath: null, allocationsPath: null },
+    { id: 'ws-2', name: secondName, projectsPath: secondPath, configPath: null, allocationsPath: null }
+  ];
+  this.activeWorkspaceId = this.workspaces.find((workspace: any) => workspace.name === activeName).id;
+  this.switchFails = false;
+  (global as any).localStorage = createLocalStorage();
+
+  (global as any).window.app.dataManager = {
+    listWorkspaces: async () => ({ workspaces: this.workspaces, activeWorkspaceId: this.activeWorkspaceId }),
+    saveWorkspace: async (workspace: any) => ({ ...workspace, id: 'ws-3' }),
+    deleteWorkspace: async () => true,
+    switchWorkspace: async (workspaceId: string) => {
+      // The data manager reports the failure and returns null
+      if (this.switchFails) return null;
+      this.activeWorkspaceId = workspaceId;
+      return this.workspaces.find((workspace: any) => workspace.id === workspaceId);
+    }
+  };
+});
+
+Then('a workspace named {string} at {string} should be refused with {string}', async function (name: string, projectsPath: string, message: string) {
+  await assert.rejects(this.getActions(WorkspaceActions).saveWorkspace({ name, projectsPath }), { message });
+});
+
+Then('a workspace named {string} at {string} should be accepted', async function (name: string, projectsPath: string) {
+  const saved = await this.getActions(WorkspaceActions).saveWorkspace({ name, projectsPath });
+  assert.strictEqual(saved.name, name);
+});
+
+Given('the recent projects are {string}', function (names: string) {
+  const recents = names.split(',').map(name => name.trim()).filter(Boolean).map(name => ({ id: name, name }));
+  (global as any).localStorage.setItem('recent-projects', JSON.stringify(recents));
+});
+
+Given('switching workspace fails', function () {
+  this.switchFails = true;
+});
+
+When('I switch to workspace {string}', async function (name: string) {
+  const workspace = this.workspaces.find((item: any) => item.name === name);
+  await this.getActions(WorkspaceActions).switchWorkspace(workspace.id);
+});
+
+Then('the active workspace should be {string}', async function (name: string) {
+  const { workspaces, activeWorkspaceId } = await this.getActions(WorkspaceActions).loadWorkspaces();
+  assert.strictEqual(workspaces.find((workspace: any) => workspace.id === activeWorkspaceId).name, name);
+});
+
+Then('the recent projects should be {string}', function (expected: string) {
+  const recents = JSON.parse((global as any).localStorage.getItem('recent-projects') || '[]');
+  assert.strictEqual(recents.map((project: any) => project.name).join(', '), expected);
+});
@@ -36,6 +36,15 @@ function setupWindowMock() {
     deleteProjectFile: async () => ({ success: true }),
     checkFileExists: async () => false,
     listProjects: async () => ([]),
+    listProjectBackups: async () => ({ success: true, backups: [] }),
+    restoreProjectBackup: async () => ({ success: true }),
+    writeProjectFile: async () => ({ success: true }),
+    acquireProjectLock: async () => ({ success: true, acquired: true }),
+    releaseProjectLock: async () => ({ success: true }),
+    onProjectsFolderChanged: () => () => {},
+    createWorkspaceBackup: async () => ({ success: true, filePath: '/tmp/Workspace_Backup.json.gz', fileCount: 0 }),
+    inspectWorkspaceBackup: async () => ({ success: false, canceled: true }),
+    restoreWorkspaceBackup: async () => ({ success: true, restored: [], errors: [] }),
 
     // Projects folder operations
     getProjectsPath: async () => '/tmp/test-projects',
@@ -54,6 +63,10 @@ function setupWindowMock() {
     // Resource Allocations
     loadResourceAllocations: async () => ([]),
     saveResourceAllocations: async () => ({ success: true }),
+    loadAllocationScenarios: async () => ({ scenarios: [] }),
+    saveAllocationScenarios: async () => ({ success: true }),
+    loadAllocationAudit: async () => ({ success: true, data: [] }),
+    appendAllocationAudit: async () => ({ success: true }),
 
     // Menu actions
     onMenuAction: () => {},
@@ -70,6 +83,7 @@ function setupWindowMock() {
     saveExcelFile: async () => ({ success: true }),
     exportTicketReport: async () => ({ success: true }),
     exportResourceOverview: async () => ({ success: true }),
+    exportAllocationAudit: async () => ({ success: true, filename: 'Allocation_Audit_Log.xlsx' }),
 
     // Window controls
     minimize: async () => {},
@@ -15,3 +15,160 @@ Feature: Resource Allocations
     When I add a resource allocation for member "member-1" on project "test-project-full"
     And I delete the resource allocation at index 0
     Then resource allocations should contain 0 entries
+
+  Scenario: Allocations and vacations are exported as one calendar per member
+    Given team member "Jane Doe" with allocation phase "Development" on project "Apollo" from "2026-09-01" to "2026-09-30"
+    And the team member "Jane Doe" has a holiday on "2026-08-10" and 4 hours of training on "2026-08-14"
+    When I export the team calendars
+    Then the calendar file "Jane_Doe.ics" should contain the all-day event "Apollo - Development" from "2026-09-01" until "2026-10-01"
+    And the calendar file "Jane_Doe.ics" should contain the all-day event "Vacation" from "2026-08-10" until "2026-08-11"
+    And the calendar file "Jane_Doe.ics" should contain the all-day event "Training (4h)" from "2026-08-14" until "2026-08-15"
+
+  Scenario: Leave entries on the same date become separate calendar events
+    Given team member "Jane Doe" with allocation phase "Development" on project "Apollo" from "2026-09-01" to "2026-09-30"
+    And the team member "Jane Doe" has a half day and 2 hours of holiday on "2026-08-10"
+    When I export the team calendars
+    Then the calendar file "Jane_Doe.ics" should have 3 events with distinct UIDs
+
+  Scenario: Team members with the same name get separate calendar files
+    Given team member "Jane Doe" with allocation phase "Development" on project "Apollo" from "2026-09-01" to "2026-09-30"
+    And another team member is also named "Jane Doe"
+    When I export the team calendars
+    Then the calendar files should be "Jane_Doe-tm-calendar.ics,Jane_Doe-tm-calendar-2.ics"
+    And the calendar file "Jane_Doe-tm-calendar.ics" should contain the all-day event "Apollo - Development" from "2026-09-01" until "2026-10-01"
+
+  Scenario: A combined calendar names the team member in each event
+    Given team member "Jane Doe" with allocation phase "Development" on project "Apollo" from "2026-09-01" to "2026-09-30"
+    When I export a combined team calendar
+    Then the calendar file "team-calendar.ics" should contain the all-day event "Jane Doe: Apollo - Development" from "2026-09-01" until "2026-10-01"
+
+  Scenario: A what-if scenario is a sandbox over the baseline allocations
+    Given the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I create and switch to the allocation scenario "Hire later"
+    And I change member "member-1" to 25 MDs in "2026-03"
+    Then member "member-1" should have 25 MDs in "2026-03"
+    When I switch back to the baseline allocations
+    Then member "member-1" should have 10 MDs in "2026-03"
+    And the allocation scenario "Hire later" should give member "member-1" 25 MDs in "2026-03"
+
+  Scenario: Promoting a scenario replaces and saves the baseline
+    Given the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I create and switch to the allocation scenario "Hire later"
+    And I change member "member-1" to 25 MDs in "2026-03"
+    And I promote the allocation scenario "Hire later"
+    Then member "member-1" should have 25 MDs in "2026-03"
+    And the saved baseline allocations should give member "member-1" 25 MDs in "2026-03"
+    And there should be 0 allocation scenarios
+
+  Scenario: Discarding the active scenario restores the baseline
+    Given the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I create and switch to the allocation scenario "Hire later"
+    And I change member "member-1" to 25 MDs in "2026-03"
+    And I discard the allocation scenario "Hire later"
+    Then member "member-1" should have 10 MDs in "2026-03"
+    And there should be 0 allocation scenarios
+
+  Scenario: Comparing a scenario counts overloaded months against capacity
+    Given the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I create and switch to the allocation scenario "Hire later"
+    And I change member "member-1" to 25 MDs in "2026-03"
+    And I compare the allocation scenario "Hire later" with a capacity of 20 MDs per month
+    Then the comparison should show 0 overloaded months in the baseline and 1 in the scenario
+    And the comparison should list 1 changed member-month
+
+  Scenario: Leveling reassigns overflow to an equally skilled member
+    Given team members "dev-1" and "dev-2" with role "G2" and a capacity of 20 MDs per month
+    And member "dev-1" is allocated 15 MDs on project "Apollo" and 15 MDs on project "Zeus" in "2026-03"
+    When I level the allocations from "2026-03"
+    Then the leveling plan should reassign 10 MDs of project "Apollo" from "dev-1" to "dev-2" in "2026-03"
+    And the leveling plan should leave 0 over-allocated member-months
+
+  Scenario: Leveling shifts lower priority work to later months
+    Given team member "dev-1" with role "G2" and a capacity of 20 MDs per month
+    And member "dev-1" is allocated 15 MDs on project "Apollo" and 15 MDs on project "Zeus" in "2026-03"
+    And project "Apollo" has high priority
+    When I level the allocations from "2026-03"
+    Then the leveling plan should shift 10 MDs of project "Zeus" for "dev-1" from "2026-03" to "2026-04"
+    And the leveling plan should leave 0 over-allocated member-months
+
+  Scenario: Leveling leaves locked months untouched
+    Given team member "dev-1" with role "G2" and a capacity of 20 MDs per month
+    And member "dev-1" is allocated 15 MDs on project "Apollo" and 15 MDs on project "Zeus" in "2026-03"
+    And project "Apollo" has high priority
+    And the "2026-03" allocation of project "Zeus" is locked
+    When I level the allocations from "2026-03"
+    Then the leveling plan should shift 10 MDs of project "Apollo" for "dev-1" from "2026-03" to "2026-04"
+    And the "2026-03" allocation of project "Zeus" should still be locked with 15 MDs
+
+  Scenario: Leveling never shifts work past a fixed deadline
+    Given team member "dev-1" with role "G2" and a capacity of 20 MDs per month
+    And member "dev-1" is allocated 15 MDs on project "Apollo" and 15 MDs on project "Zeus" in "2026-03"
+    And project "Apollo" has a fixed deadline
+    And project "Zeus" has a fixed deadline
+    When I level the allocations from "2026-03"
+    Then the leveling plan should have 0 moves
+    And the leveling plan should leave member "dev-1" over-allocated by 10 MDs in "2026-03"
+
+  Scenario: Applying a leveling plan saves the rebalanced allocations
+    Given team members "dev-1" and "dev-2" with role "G2" and a capacity of 20 MDs per month
+    And member "dev-1" is allocated 15 MDs on project "Apollo" and 15 MDs on project "Zeus" in "2026-03"
+    When I level the allocations from "2026-03"
+    And I apply the leveling plan
+    Then member "dev-1" should have 20 MDs in "2026-03"
+    And member "dev-2" should have 10 MDs in "2026-03"
+    And the saved baseline allocations should give member "dev-2" 10 MDs in "2026-03"
+
+  Scenario: Candidates for a phase role are ranked by free capacity with reasons
+    Given these team members could be assigned:
+      | id | name     | role | vendorId | seniority | freeMDs |
+      | m1 | Ann Busy | G2   | v1       | Senior    | 5       |
+      | m2 | Bob Free | G2   | v1       | Senior    | 30      |
+      | m3 | Cid Lead | PM   | v1       | Senior    | 40      |
+    When I ask for "G2" candidates for a phase needing 20 MDs from "G2"
+    Then the suggested candidates should be "Bob Free, Ann Busy"
+    And candidate "Ann Busy" should be explained by "Only 5.0 MD free of the 20.0 MD needed"
+    And candidate "Bob Free" should be explained by "30.0 MD free covers the 20.0 MD needed"
+
+  Scenario: Free capacity only counts the days of the first and last months inside the phase window
+    Given team member "Dee Free" with role "G2" has no allocations
+    When I ask for "G2" candidates between "2026-03-25" and "2026-04-05"
+    Then candidate "Dee Free" should be explained by "8.0 MD free in the phase window (100% of capacity)"
+
+  Scenario: Vendor and seniority preferences break ties between candidates
+    Given these team members could be assigned:
+      | id | name     | role | vendorId | seniority | freeMDs |
+      | m1 | Ann Busy | G2   | v1       | Senior    | 30      |
+      | m2 | Bob Free | G2   | v2       | Mid-Level | 30      |
+      | m3 | Cid Lead | G2   | v2       | Senior    | 30      |
+    When I ask for "G2" candidates for a phase needing 20 MDs from "G2" preferring vendor "v2" and seniority "Senior"
+    Then the suggested candidates should be "Cid Lead, Bob Free, Ann Busy"
+    And candidate "Bob Free" should be explained by "Seniority Mid-Level is one level from Senior"
+
+  Scenario: Without a role filter members whose role has no effort in the phase rank last
+    Given these team members could be assigned:
+      | id | name     | role | vendorId | seniority | freeMDs |
+      | m1 | Ann Busy | G2   | v1       | Senior    | 5       |
+      | m3 | Cid Lead | PM   | v1       | Senior    | 40      |
+    When I ask for candidates of any role for a phase needing 20 MDs from "G2"
+    Then the suggested candidates should be "Ann Busy, Cid Lead"
+    And candidate "Cid Lead" should be explained by "Phase has no effort planned for role PM"
+
+  Scenario: Allocation changes are recorded with author, old and new MDs and reason
+    Given my user name is "Jane Smith"
+    And the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I update the allocation of member "member-1" to 15 MDs in "2026-03" because "Go-live moved"
+    And I delete the allocation of member "member-1" because "Project cancelled"
+    Then the change history of member "member-1" should be:
+      | action | user       | month   | before | after | reason            |
+      | delete | Jane Smith | 2026-03 | 15     | 0     | Project cancelled |
+      | update | Jane Smith | 2026-03 | 10     | 15    | Go-live moved     |
+
+  Scenario: Edits in a what-if scenario are only recorded when it is promoted
+    Given my user name is "Jane Smith"
+    And the baseline allocations give member "member-1" 10 MDs in "2026-03"
+    When I create and switch to the allocation scenario "Hire later"
+    And I update the allocation of member "member-1" to 25 MDs in "2026-03" because "Trying it out"
+    And I promote the allocation scenario "Hire later"
+    Then the change history of member "member-1" should be:
+      | action | user       | month   | before | after | reason                        |
+      | update | Jane Smith | 2026-03 | 10     | 25    | Promoted scenario "Hire later" |
@@ -25,3 +25,24 @@ Feature: Calculation Engine
     When I create a calculator and run calculation
     Then the calculation result should have vendor costs
     And the calculation result should have KPI data
+
+  Scenario: Without uncertainty the simulation gives the deterministic estimate
+    Given the project has the simulation phases and resources
+    When I run a simulation of 500 iterations with 0% rate and 0% effort split variation
+    Then every simulated cost should be 40450 and every simulated effort 90
+
+  Scenario: The simulation samples feature ranges and ranks the features by variance
+    Given the project has the simulation phases and resources
+    And feature "F001" has a risk margin of 20%
+    And feature "F002" has a three-point estimate of 15, 22 and 47 man days
+    When I run a simulation of 5000 iterations with 10% rate and 20% effort split variation
+    Then the simulated cost percentiles should be increasing
+    And the mean simulated cost should be within 3% of the deterministic cost
+    And the largest contributor to the cost variance should be "F002"
+    And running the simulation again with the same seed should give the same percentiles
+
+  Scenario: The simulation runs in a worker when one is provided
+    Given the project has the simulation phases and resources
+    And feature "F002" has a three-point estimate of 15, 22 and 47 man days
+    When I run a simulation of 1000 iterations in a worker
+    Then the worker should have reported progress and a result of 1000 iterations
@@ -13,3 +13,149 @@ Feature: Capacity Planning
   Scenario: January 2026 has correct working days for Italy
     When I calculate working days for January 2026 in Italy
     Then working days should be between 20 and 23
+
+  Scenario: Movable feasts are computed for years without hard-coded data
+    Then "2031-04-14" should be a holiday in "IT"
+    And "2031-04-13" should be a holiday in "RO"
+    And "2031-06-02" should be a holiday in "RO"
+
+  Scenario: Working days beyond 2030 exclude holidays
+    When I calculate working days for April 2031 in Italy
+    Then working days should be between 20 and 20
+
+  Scenario: Additional country calendars and company closures come from configuration
+    Given holiday calendars are configured with a "DE" calendar and a closure on "2031-12-24"
+    Then "2031-10-03" should be a holiday in "DE"
+    And "2031-12-24" should be a holiday in "IT"
+    And "2031-12-24" should be a holiday in "DE"
+
+  Scenario: Office calendars add local holidays to the national calendar
+    Then "2026-12-07" should be a holiday in "IT-MI"
+    And "2026-12-08" should be a holiday in "IT-MI"
+    And "2026-12-07" should not be a holiday in "IT-RM"
+    And "2026-06-29" should be a holiday in "IT-RM"
+
+  Scenario: Available capacity uses the team member's office calendar
+    Then a member in office "IT-MI" should have 20 available days in "2026-12"
+    And a member in office "IT-RM" should have 21 available days in "2026-12"
+    And a member in office "IT-XX" should have 21 available days in "2026-12"
+
+  Scenario: Part-time members working every weekday have proportionally less capacity
+    Given a team member working 80% on "Mon,Tue,Wed,Thu,Fri"
+    Then the team member should have 16.8 available days in "2026-12"
+
+  Scenario: Members with a fixed day off only count the days they work
+    Given a team member working 80% on "Mon,Tue,Wed,Thu"
+    Then the team member should have 18 available days in "2026-12"
+
+  Scenario: Working pattern changes apply from their effective date
+    Given a team member working 100% on "Mon,Tue,Wed,Thu,Fri"
+    And from "2026-12-16" the team member works 50% on "Mon,Tue,Wed,Thu,Fri"
+    Then the team member should have 15.5 available days in "2026-12"
+
+  Scenario: Part-time capacity uses the holiday calendar of the member's vendor country
+    Given a team member working 80% on "Mon,Tue,Wed,Thu,Fri"
+    And the team member works for a vendor in "RO"
+    Then the capacity of the team member in "2027-01" should be 14.4 working days of 17.6
+    And the holiday calendar of the team member should be shown as "Romania"
+
+  Scenario: Leave on a national holiday of the vendor country is not deducted
+    Given a team member working 100% on "Mon,Tue,Wed,Thu,Fri"
+    And the team member works for a vendor in "RO"
+    And the team member has a "holiday" leave of 1 days on "2026-12-01"
+    And the team member has a "holiday" leave of 1 days on "2026-12-02"
+    Then the capacity of the team member in "2026-12" should deduct 1 vacation days
+
+  Scenario: Half-day and hourly leave is counted precisely by type
+    Given a team member working 100% on "Mon,Tue,Wed,Thu,Fri"
+    And the team member has a "holiday" leave of 0.5 days on "2026-12-02"
+    And the team member has a "training" leave of 4 hours on "2026-12-03"
+    And the team member has a "sick" leave of 1 days on "2026-12-04"
+    And the team member has a "holiday" leave of 1 days on "2026-12-08"
+    Then the team member should have 2 vacation days in "2026-12"
+    And the team member should have 0.5 "holiday" days in "2026-12"
+    And the team member should have 0.5 "training" days in "2026-12"
+    And the team member should have 1 "sick" days in "2026-12"
+
+  Scenario: Several leave entries on one date never take more than that day
+    Given a team member working 100% on "Mon,Tue,Wed,Thu,Fri"
+    And the team member has a "training" leave of 2 hours on "2026-12-02"
+    And the team member has a "training" leave of 3 hours on "2026-12-02"
+    And the team member has a "holiday" leave of 1 days on "2026-12-03"
+    And the team member has a "sick" leave of 1 days on "2026-12-03"
+    Then the team member should have 1.63 vacation days in "2026-12"
+    And the team member should have 0.63 "training" days in "2026-12"
+    And a "training" leave of 2 hours and one of 3 hours on the same date should both be kept
+    And a half day and a full day of "holiday" on the same date should both be kept
+
+  Scenario: Leave for part-time members only removes the time they would have worked
+    Given a team member working 80% on "Mon,Tue,Wed,Thu,Fri"
+    And the team member has a "holiday" leave of 1 days on "2026-12-02"
+    And the team member has a "training" leave of 8 hours on "2026-12-03"
+    Then the team member should have 1.6 vacation days in "2026-12"
+
+  Scenario: Vacations imported from an iCalendar file are matched by e-mail or name
+    Given the team members "Jane Doe <jane.doe@example.com>" and "Mario Rossi <mario.rossi@example.com>"
+    And "Jane Doe" already has a holiday on "2026-08-10"
+    When I preview the vacation import of:
+      """
+      BEGIN:VCALENDAR
+      VERSION:2.0
+      BEGIN:VEVENT
+      UID:1
+      SUMMARY:Summer vacation
+      DTSTART;VALUE=DATE:20260807
+      DTEND;VALUE=DATE:20260812
+      ATTENDEE;CN=Jane:mailto:Jane.Doe@example.com
+      END:VEVENT
+      BEGIN:VEVENT
+      UID:2
+      SUMMARY:Rossi Mario - training
+      DTSTART:20260814T090000
+      DTEND:20260814T130000
+      END:VEVENT
+      BEGIN:VEVENT
+      UID:3
+      SUMMARY:Out of office - John Smith
+      DTSTART;VALUE=DATE:20260817
+      END:VEVENT
+      END:VCALENDAR
+      """
+    Then the vacation import should add 2 new days for "Jane Doe" and skip 1 duplicate
+    And the vacation import should add 1 new days for "Mario Rossi" and skip 0 duplicate
+    And the vacation import should leave 1 event unmatched
+    When I merge the vacation import
+    Then "Jane Doe" should have 3 vacation entries in 2026
+    And "Mario Rossi" should have a 4 hour "training" leave on "2026-08-14"
+
+  Scenario: Vacation days added to a team member skip the leave already stored
+    Given the team members "Jane Doe <jane.doe@example.com>" and "Mario Rossi <mario.rossi@example.com>"
+    And "Jane Doe" already has a holiday on "2026-08-10"
+    When I add the vacation days "2026-08-10,2026-08-11" to "Jane Doe"
+    Then "Jane Doe" should have 2 vacation entries in 2026
+    And "Jane Doe" should have a leave on "2026-08-11"
+
+  Scenario: UTC and time-zone event times are imported on the local dates
+    Given the team members "Jane Doe <jane.doe@example.com>" and "Mario Rossi <mario.rossi@example.com>"
+    When I preview the vacation import in the "Europe/Rome" time zone of:
+      """
+      BEGIN:VCALENDAR
+      VERSION:2.0
+      BEGIN:VEVENT
+      UID:1
+      SUMMARY:Doe Jane - holiday
+      DTSTART:20260105T230000Z
+      DTEND:20260106T230000Z
+      END:VEVENT
+      BEGIN:VEVENT
+      UID:2
+      SUMMARY:Rossi Mario - training
+      DTSTART;TZID=America/New_York:20260107T190000
+      DTEND;TZID=America/New_York:20260107T210000
+      END:VEVENT
+      END:VCALENDAR
+      """
+    And I merge the vacation import
+    Then "Jane Doe" should have 1 vacation entries in 2026
+    And "Jane Doe" should have a leave on "2026-01-06"
+    And "Mario Rossi" should have a 2 hour "training" leave on "2026-01-08"
@@ -51,3 +51,199 @@ Feature: Feature Management
     Given a project is loaded from fixture "full-project"
     Then feature at index 0 should have role "G2"
     And feature at index 1 should have role "G1"
+
+  Scenario: A three-point estimate gives the PERT expected value and standard deviation
+    When I add a feature "Login" with a three-point estimate of 4, 6 and 14 man days
+    Then the feature "Login" should have an expected value of 7 and a standard deviation of 1.67 man days
+    And the feature "Login" should have a "medium" confidence
+
+  Scenario: A three-point estimate must be ordered
+    Then the three-point estimate of 6, 4 and 14 man days should be refused
+    And the three-point estimate of 4, 6 and 14 man days should be accepted
+
+  Scenario: Project totals at P50, P80 and P90 add up the feature uncertainties
+    When I add a feature "Login" with a three-point estimate of 4, 6 and 14 man days
+    And I add a feature "Reports" with a three-point estimate of 8, 10 and 20 man days
+    And I add a feature "Settings" with a three-point estimate of 9, 10 and 11 man days
+    And I add a feature with name "Export" and manDays 10
+    Then the feature "Settings" should have a "high" confidence
+    And the feature "Export" should have no confidence
+    And the confidence totals should be P50 38.3, P80 40.5 and P90 41.7
+
+  Scenario: Spreadsheet columns are mapped to feature fields from their headers
+    Given a features spreadsheet:
+      """
+      Code;Title;Area;Type;Vendor;Effort
+      BR-100;Login page;Frontend;Screen;Internal Team;5
+      """
+    Then the suggested columns should be id "Code", name "Title", category "Area", featureType "Type", supplier "Vendor" and realManDays "Effort"
+
+  Scenario: The import preview fuzzy-matches configuration names and reports errors per row
+    Given the configuration has the categories "Frontend Development" and "Backend"
+    And a features spreadsheet:
+      """
+      ID,Name,Category,Feature Type,Supplier,Man Days
+      BR-100,Login page,frontend develop,screen,Internal Team,"4,5"
+      BR-101,Orders API,backend,,External,8
+      BR-101,Orders export,backend,,External,3
+      BR 102,Reports,Marketing,,Internal Team,abc
+      ,Settings,Backend,,Internal Team,
+      """
+    When I preview the import with the suggested columns
+    Then import row 2 should create "BR-100" with category "cat-frontend", feature type "ft-screen", supplier "vendor-internal" and 4.5 real man days
+    And import row 3 should create "BR-101" with category "cat-backend", feature type "", supplier "vendor-external" and 8 real man days
+    And import row 4 should have the error "ID BR-101 is already used on row 3"
+    And import row 5 should have the errors "ID must contain only letters, numbers, hyphens and underscores", "Category \"Marketing\" not found in the configuration" and "Real man days \"abc\" must be a number greater than 0"
+    And import row 6 should create "BR-102" with category "cat-backend", feature type "", supplier "vendor-internal" and 0 real man days
+    And import row 6 should have the error "Real man days are required"
+
+  Scenario: The import reads thousands separators and refuses ambiguous numbers
+    Given the configuration has the categories "Frontend Development" and "Backend"
+    And a features spreadsheet:
+      """
+      ID;Name;Category;Supplier;Giorni
+      BR-100;Portal;Backend;Internal Team;1.234,5
+      BR-101;Archive;Backend;Internal Team;1,234.5
+      BR-102;Reports;Backend;Internal Team;1,234
+      """
+    When I preview the import with the suggested columns
+    Then import row 2 should create "BR-100" with category "cat-backend", feature type "", supplier "vendor-internal" and 1234.5 real man days
+    And import row 3 should create "BR-101" with category "cat-backend", feature type "", supplier "vendor-internal" and 1234.5 real man days
+    And import row 4 should have the error "Real man days \"1,234\" could be thousands or decimals: write it without the thousands separator or with a decimal point"
+
+  Scenario: Importing adds and updates features in one operation that can be undone
+    Given a project is loaded from fixture "full-project"
+    And the configuration has the categories "Frontend Development" and "Backend"
+    And a features spreadsheet:
+      """
+      ID,Description,Category,Supplier,Real Man Days
+      F001,Login with SSO,,,20
+      BR-200,Audit log,Backend,Internal Team,10
+      BR-201,Broken row,Unknown,Internal Team,2
+      """
+    When I import the spreadsheet with the suggested columns
+    Then the import should have created 1, updated 1 and skipped 1 features
+    And features count should be 4
+    And feature "F001" should have description "Login with SSO" and 22 man days
+    And feature "BR-200" should have description "Audit log" and 11 man days
+    When I undo the last import
+    Then features count should be 3
+    And feature "F001" should have 15 man days
+
+  Scenario: Importing new real man days scales the three-point estimate
+    When I add a feature "Login" with a three-point estimate of 4, 6 and 14 man days
+    And a features spreadsheet:
+      """
+      ID,Description,Real Man Days
+      F-Login,Login page,14
+      """
+    And I import the spreadsheet with the suggested columns
+    Then the feature "Login" should have a three-point estimate of 8, 12 and 28 man days
+    And the feature "Login" should have an expected value of 14 and a standard deviation of 3.33 man days
+
+  Scenario: An import moving a feature to another category clears a feature type it does not have
+    Given the configuration has the categories "Frontend Development" and "Backend"
+    And the category "Backend" only has the feature type "Service"
+    And the project has the features:
+      | id | supplier        | jobCluster | seniority | realManDays |
+      | B1 | vendor-internal | jc-dev     | Senior    | 10          |
+    And a features spreadsheet:
+      """
+      ID,Category
+      B1,Backend
+      """
+    When I preview the import with the suggested columns
+    Then import row 2 should update "B1" with category "cat-backend", feature type "" and the note "Feature type cleared: not available in the new category"
+
+  Scenario: A bulk edit previews the man days and cost delta before it is applied
+    Given the project has the features:
+      | id | supplier        | jobCluster | seniority | realManDays |
+      | B1 | vendor-internal | jc-dev     | Senior    | 10          |
+      | B2 | vendor-internal | jc-dev     | Senior    | 20          |
+      | B3 | vendor-external | jc-dev-ext | Senior    | 5           |
+    When I preview a bulk edit of the features "B1,B2" with:
+      | realManDaysPercent | 10 |
+      | riskMargin         | 20 |
+    Then the bulk edit should change the man days by 6.6 and the cost by 2970
+    And feature "B1" should have 11 man days
+    When I bulk edit the features "B1,B2" with:
+      | realManDaysPercent | 10 |
+      | riskMargin         | 20 |
+    Then feature "B1" should have 13.2 man days
+    And feature "B2" should have 26.4 man days
+    And feature "B3" should have 5.5 man days
+
+  Scenario: A bulk category change clears the feature types the new category does not have
+    Given the configuration has the categories "Frontend Development" and "Backend"
+    And the project has the features:
+      | id | supplier        | jobCluster | seniority | realManDays |
+      | B1 | vendor-internal | jc-dev     | Senior    | 10          |
+      | B2 | vendor-internal | jc-dev     | Senior    | 20          |
+    When I bulk edit the features "B1,B2" with:
+      | category    | cat-backend |
+      | featureType | ft-service  |
+    Then feature "B1" should have category "cat-backend" and feature type "ft-service"
+    When I bulk edit the features "B1" with:
+      | category | cat-frontend |
+    Then feature "B1" should have category "cat-frontend" and feature type "ft-service"
+    And a bulk edit with expertise 0 should be refused with "Expertise must be between 1 and 100"
+    And a bulk edit with feature type "ft-screen" only should be refused with "Choose the category of the feature type"
+
+  Scenario: Selected features are deleted in one operation
+    Given a project is loaded from fixture "full-project"
+    When I delete the features "F001,F003"
+    Then features count should be 1
+    And feature at index 0 should have name "Dashboard"
+
+  Scenario: Selected features are moved to another saved project
+    Given a project is loaded from fixture "full-project"
+    And a saved project "Phase 2" with the features "F003,F010,BR-002"
+    When I move the features "F001,F003" to the project "Phase 2"
+    Then features count should be 1
+    And the project "Phase 2" should have the features "F003,F010,BR-002,F001,BR-003"
+    And the move should have renamed "F003" to "BR-003"
+
+  Scenario: Epics, features and tasks roll up the man days and costs of the items below them
+    Given the project has the features:
+      | id | level   | parentId | supplier        | jobCluster | seniority | realManDays |
+      | E1 | epic    |          | vendor-internal | jc-dev     | Senior    | 0           |
+      | T1 | task    | F1       | vendor-internal | jc-dev     | Senior    | 10          |
+      | F1 | feature | E1       | vendor-internal | jc-dev     | Senior    | 20          |
+      | F2 | feature | E1       | vendor-internal | jc-dev     | Senior    | 5           |
+      | F3 | feature |          | vendor-internal | jc-dev     | Senior    | 2           |
+    Then the feature tree should be "E1,F1,T1,F2,F3" with the depths "0,1,2,1,0"
+    And feature "F1" should roll up 33 man days and a cost of 14850
+    And feature "E1" should roll up 38.5 man days and a cost of 17325
+
+  Scenario: Features are reparented only under a level that can contain them
+    Given the project has the features:
+      | id | level   | parentId | supplier        | jobCluster | seniority | realManDays |
+      | E1 | epic    |          | vendor-internal | jc-dev     | Senior    | 0           |
+      | F1 | feature | E1       | vendor-internal | jc-dev     | Senior    | 20          |
+      | T1 | task    | F1       | vendor-internal | jc-dev     | Senior    | 10          |
+      | F2 | feature |          | vendor-internal | jc-dev     | Senior    | 5           |
+    And I keep a copy of the features
+    Then moving feature "F2" under "T1" should be refused with "A task cannot contain a feature"
+    And moving feature "E1" under "T1" should be refused with "A feature cannot be moved under one of its own children"
+    And moving feature "F1" under "F1" should be refused with "A feature cannot be its own parent"
+    When I move feature "T1" under "F2"
+    And I move feature "F1" to the top level
+    Then the feature tree should be "E1,F1,F2,T1" with the depths "0,0,0,1"
+    And feature "F2" should roll up 16.5 man days and a cost of 7425
+    And the comparison with the copy should report "T1" moved from "F1" to "F2"
+    And the comparison with the copy should report "F1" moved from "E1" to "the top level"
+
+  Scenario: Deleting a parent moves the items below it up one level
+    Given the project has the features:
+      | id | level   | parentId | supplier        | jobCluster | seniority | realManDays |
+      | E1 | epic    |          | vendor-internal | jc-dev     | Senior    | 0           |
+      | F1 | feature | E1       | vendor-internal | jc-dev     | Senior    | 20          |
+      | T1 | task    | F1       | vendor-internal | jc-dev     | Senior    | 10          |
+      | T2 | task    | F1       | vendor-internal | jc-dev     | Senior    | 4           |
+    When I delete feature "F1"
+    Then features count should be 3
+    And feature "T1" should be under "E1"
+    And feature "T2" should be under "E1"
+    When I delete the features "E1"
+    Then feature "T1" should be at the top level
+    And the feature tree should be "T1,T2" with the depths "0,0"
@@ -40,3 +40,274 @@ Feature: Project Management
     Then the project should be marked as dirty
     When a project is loaded from fixture "full-project"
     Then the project should not be marked as dirty
+
+  Scenario: Backup preview falls back to feature costs
+    Given the saved project "/tmp/test-projects/full.json" has a backup of fixture "full-project"
+    When I list the backups of saved project "/tmp/test-projects/full.json"
+    Then the backup preview should show 3 features costing 20500 from "features"
+
+  Scenario: Backup preview uses saved vendor costs
+    Given the saved project "/tmp/test-projects/full.json" has a backup of fixture "full-project"
+    And the backup has saved vendor costs of 12000 and 3000
+    When I list the backups of saved project "/tmp/test-projects/full.json"
+    Then the backup preview should show 3 features costing 15000 from "calculations"
+
+  Scenario: Restoring a backup of a closed project refreshes the project list
+    Given the saved project "/tmp/test-projects/full.json" has a backup of fixture "full-project"
+    When I restore the backup of saved project "/tmp/test-projects/full.json"
+    Then the backup should be restored over "/tmp/test-projects/full.json"
+    And the saved projects list should be reloaded
+
+  Scenario: The trash lists deleted projects with a preview and when they are purged
+    Given the project from fixture "full-project" was moved to the trash on "2026-01-10T09:00:00.000Z" with 30 days retention
+    When I list the trash
+    Then the trash should show project "Full Test Project" with 3 features costing 20500
+    And the trashed project should be purged on "2026-02-09T09:00:00.000Z"
+
+  Scenario: Restoring a project from the trash refreshes the project list
+    Given the project from fixture "full-project" was moved to the trash on "2026-01-10T09:00:00.000Z" with 30 days retention
+    When I restore the trashed project
+    Then the project should be restored to "/tmp/test-projects/full.json"
+    And the saved projects list should be reloaded
+
+  Scenario: A project that cannot be restored from the trash stays there
+    Given the project from fixture "full-project" was moved to the trash on "2026-01-10T09:00:00.000Z" with 30 days retention
+    And a saved project already has its file name
+    When I restore the trashed project
+    Then the project should not be restored
+    And the trash should still hold 1 project
+
+  Scenario: Emptying the trash deletes every trashed project
+    Given the project from fixture "full-project" was moved to the trash on "2026-01-10T09:00:00.000Z" with 30 days retention
+    When I empty the trash
+    Then the trash should still hold 0 projects
+
+  Scenario: Concurrent changes to different items are merged
+    Given a merge base from fixture "full-project"
+    When my copy sets the man days of feature "F001" to 20
+    And their copy adds feature "F004" named "Reporting" with 8 man days
+    And their copy changes the description of assumption "A001" to "Test data by April"
+    And the copies are merged
+    Then the merge should have 0 conflicts
+    And the merged feature "F001" should have 20 man days
+    And the merged feature "F004" should have 8 man days
+    And the merged assumption "A001" description should be "Test data by April"
+
+  Scenario: The same feature changed on both sides is a conflict
+    Given a merge base from fixture "full-project"
+    When my copy sets the man days of feature "F002" to 30
+    And their copy sets the man days of feature "F002" to 40
+    And the copies are merged
+    Then the merge should have 1 conflict
+    And the merged feature "F002" should have 40 man days
+    When I keep my version of "features:F002"
+    Then the merged feature "F002" should have 30 man days
+
+  Scenario: A feature I deleted but they changed is a conflict
+    Given a merge base from fixture "full-project"
+    When my copy removes feature "F003"
+    And their copy sets the man days of feature "F003" to 12
+    And the copies are merged
+    Then the merge should have 1 conflict
+    And the merged project should contain feature "F003"
+    When I keep my version of "features:F003"
+    Then the merged project should not contain feature "F003"
+
+  Scenario: Projects folder events update the saved projects list live
+    Given the saved projects list:
+      | fileName   | name  | lastModified             |
+      | alpha.json | Alpha | 2026-01-01T00:00:00.000Z |
+      | beta.json  | Beta  | 2026-02-01T00:00:00.000Z |
+    And I follow the projects folder
+    When the projects folder reports "add" of "gamma.json" named "Gamma" modified "2026-03-01T00:00:00.000Z"
+    And the projects folder reports "change" of "alpha.json" named "Alpha v2" modified "2026-04-01T00:00:00.000Z"
+    And the projects folder reports "delete" of "beta.json"
+    Then the saved projects list should be "Alpha v2, Gamma"
+
+  Scenario: Workspace restore selects only new files and groups them by category
+    Given a workspace backup with files:
+      | path                       | category | projectName | status    |
+      | settings.json              | settings |             | conflict  |
+      | capacity/allocations.json  | capacity |             | new       |
+      | beta_p2.json               | project  | Beta        | identical |
+      | alpha_p1.json              | project  | Alpha       | conflict  |
+      | gamma_p3.json              | project  | Gamma       | new       |
+    Then the default restore selection should be "capacity/allocations.json, gamma_p3.json"
+    And the restore groups should be "Projects: Alpha, Beta, Gamma | Capacity Planning: Resource allocations | Settings: Settings and global configuration (vendors, categories, teams)"
+
+  Scenario: Restoring selected files of a workspace backup
+    Given a workspace backup with files:
+      | path                      | category | projectName | status   |
+      | alpha_p1.json             | project  | Alpha       | conflict |
+      | capacity/allocations.json | capacity |             | new      |
+    When I restore "alpha_p1.json, capacity/allocations.json" from the workspace backup
+    Then the workspace backup should restore "alpha_p1.json, capacity/allocations.json"
+
+  Scenario: A project bundle holds the configuration the project depends on
+    Given a global configuration from fixture "config" with categories "Security, UI, Backend, Mobile"
+    When I bundle the project from fixture "full-project"
+    Then the bundle should contain vendors "vendor-external, vendor-internal"
+    And the bundle should contain categories "Backend, Security, UI"
+
+  Scenario: Importing a bundle compares its configuration with mine
+    Given a bundle of fixture "full-project" made with the configuration of fixture "config"
+    And my global configuration has no vendor "vendor-external"
+    And my global configuration renames vendor "vendor-internal" to "In-house"
+    When the bundle is compared with my global configuration
+    Then bundle item "vendors:vendor-external" should be "missing" and imported as "add"
+    And bundle item "vendors:vendor-internal" should be "changed" and imported as "keep"
+    And bundle item "categories:UI" should be "identical" and imported as "keep"
+
+  Scenario: Mapping a bundled vendor moves the project to my vendor
+    Given a bundle of fixture "full-project" made with the configuration of fixture "config"
+    And my global configuration has no vendor "vendor-external"
+    When I import the bundle mapping "vendors:vendor-external" to "vendor-internal"
+    Then imported feature "F002" should use vendor "vendor-internal" without a saved rate
+    And the import should not change my global configuration
+
+  Scenario: Importing a bundle as a copy adds the missing configuration
+    Given a bundle of fixture "full-project" made with the configuration of fixture "config"
+    And my global configuration has no vendor "vendor-external"
+    When I import the bundle with the default choices as a copy
+    Then my global configuration should have vendor "vendor-external"
+    And the imported project id should be "test-project-full-COPY"
+
+  Scenario: Bundled calculation parameters are compared and can replace mine
+    Given a bundle of fixture "full-project" made with the configuration of fixture "config"
+    And the bundle was made with calculation parameters of 7 working hours per day
+    And my global configuration uses 8 working hours per day
+    When the bundle is compared with my global configuration
+    Then bundle item "settings:calculationParams" should be "changed" and imported as "keep"
+    When I import the bundle replacing "settings:calculationParams"
+    Then my global configuration should use 7 working hours per day after the import
+
+  Scenario: An unversioned project file is upgraded step by step
+    Given an unversioned project file from fixture "base-project" with:
+      | config            | {"suppliers":[{"id":"S1","name":"Supplier 1"}],"internalResources":[{"id":"R1","name":"Internal 1"}]} |
+      | approvalStatus    | "Approved"                                                          |
+      | finalMDsOverrides | {"F001": 12}                                                        |
+      | phases            | {"selectedSuppliers":{"G1":"S1","G2":null,"TA":null,"PM":null}}     |
+    When the project file is migrated
+    Then the migrated project should be at the current schema version
+    And the migration report should list schema versions "1, 2, 3, 4"
+    And the migrated project should have vendors "S1 (Supplier), R1 (Internal)"
+    And the migrated project approval status should be "Approved"
+    And the migrated project should have 8 phases with supplier "S1" for "G1"
+    And the migrated project should have feature-based override 12 for "F001"
+    And the original project file should be unchanged
+
+  Scenario: Only the migrations after the file's schema version run
+    Given an unversioned project file from fixture "full-project" with:
+      | schemaVersion     | 2            |
+      | finalMDsOverrides | {"F001": 12} |
+    When the project file is migrated
+    Then the migration report should list schema versions "3"
+    And the migrated project should be at the current schema version
+
+  Scenario: A project file at the current schema version is not changed
+    Given a project file from fixture "full-project" at the current schema version
+    When the project file is migrated
+    Then the migration report should list no changes
+
+  Scenario: A project file from a newer version of the application is left as is
+    Given an unversioned project file from fixture "full-project" with:
+      | schemaVersion | 99 |
+    When the project file is migrated
+    Then the migration report should say the file is newer than supported
+    And the original project file should be unchanged
+
+  Scenario: A project file is validated as it will be opened
+    Given a project file from fixture "full-project"
+    When the file is validated against the published schemas
+    Then it should be recognised as a "project" file with no problems
+    And the validation should report the upgrade to the current schema version
+
+  Scenario: Every schema problem of a project file is listed with its JSON path
+    Given an unversioned project file from fixture "full-project" with:
+      | features | [{"id":"F001","description":"Login","manDays":-2},{"id":"F002","description":"","expertise":"80"}] |
+    When the file is validated against the published schemas
+    Then the validation should list:
+      | path                      | message          |
+      | $.features[0].manDays     | must be >= 0     |
+      | $.features[1].description | must not be empty |
+      | $.features[1].expertise   | must be a number |
+
+  Scenario: Global configuration and allocations files are validated against their own schemas
+    Given a file with content:
+      """
+      {"vendors":[{"id":"V1","name":"Vendor 1","type":"Partner"}],"categories":[],"calculationParams":{"workingDaysPerMonth":0},"rateMatrixConfig":{}}
+      """
+    When the file is validated against the published schemas
+    Then it should be recognised as a "globalConfig" file
+    And the validation should list:
+      | path                                     | message                             |
+      | $.vendors[0].type                        | must be one of: "External", "Internal" |
+      | $.calculationParams.workingDaysPerMonth  | must be > 0                         |
+    Given a file with content:
+      """
+      {"allocations":[{"id":"A1","projectId":"P1","monthlyAllocations":{"2026-01":{"planned":-1}}}]}
+      """
+    When the file is validated against the published schemas
+    Then it should be recognised as a "allocations" file
+    And the validation should list:
+      | path                                                | message      |
+      | $.allocations[0].teamMemberId                       | is required  |
+      | $.allocations[0].monthlyAllocations["2026-01"].planned | must be >= 0 |
+
+  Scenario: Saving data that does not match its schema is refused with the problems found
+    Given the project from fixture "full-project" as opened by the application
+    When the project file is checked before saving with an empty description on its first feature
+    Then the check should fail with "Project file is invalid: $.features[0].description must not be empty"
+
+  Scenario: A new project created from a template gets its content with placeholders filled in
+    Given an unversioned project file from fixture "full-project" with:
+      | phases             | {"development":{"manDays":10,"effort":{"G1":0,"G2":80,"TA":20,"PM":0}},"selectedSuppliers":{"G2":"vendor-internal"}} |
+      | workingPackageData | {"enabled":true,"gto":{"enabled":true,"totalAmount":1000}}                                                           |
+    When the project file is saved as template "Web portal" replacing:
+      | text     | placeholder     |
+      | Client   | clientName      |
+      | REST API | integrationName |
+      | Project  | projectName     |
+    Then the template should ask for "integrationName, clientName"
+    And template assumption "A001" should read "{{clientName}} provides test data by March"
+    When project "Globex Portal" with code "GLX-001" is created from the template on "2026-03-02T10:00:00.000Z" with:
+      | clientName | Globex |
+    Then new project assumption "A001" should read "Globex provides test data by March"
+    And new project feature "F003" should read "{{integrationName}} endpoints"
+    And the new project description should be "Globex Portal with features, phases, and assumptions"
+    And the new project "development" phase should have effort G2 80 and supplier "vendor-internal" for "G2"
+    And the new project working package should be enabled
+    And the new project features and assumptions should be dated "2026-03-02T10:00:00.000Z"
+
+  Scenario: Saving a template with the name of an existing one replaces it
+    Given the saved project templates "Web portal, Mobile app"
+    And a project file from fixture "full-project"
+    When the project file is saved as template "web portal"
+    Then the saved project templates should be "Mobile app, web portal"
+    And saved template "web portal" should have 3 features
+
+  Scenario: A workspace needs a unique name and its own projects folder
+    Given the workspaces "Default" at "/tmp/test-projects" and "ACME" at "/tmp/acme" with "Default" active
+    Then a workspace named "acme" at "/tmp/other" should be refused with "A workspace named \"ACME\" already exists"
+    And a workspace named "Globex" at "/tmp/acme" should be refused with "Workspace \"ACME\" already uses this projects folder"
+    And a workspace named "Globex" at "/tmp/globex" should be accepted
+
+  Scenario: Recent projects are kept per workspace
+    Given the workspaces "Default" at "/tmp/test-projects" and "ACME" at "/tmp/acme" with "Default" active
+    And the recent projects are "Portal, Billing"
+    When I switch to workspace "ACME"
+    Then the active workspace should be "ACME"
+    And the recent projects should be ""
+    When the recent projects are "ACME CRM"
+    And I switch to workspace "Default"
+    Then the recent projects should be "Portal, Billing"
+    When I switch to workspace "ACME"
+    Then the recent projects should be "ACME CRM"
+
+  Scenario: Recent projects are unchanged when switching workspace fails
+    Given the workspaces "Default" at "/tmp/test-projects" and "ACME" at "/tmp/acme" with "Default" active
+    And the recent projects are "Portal, Billing"
+    And switching workspace fails
+    When I switch to workspace "ACME"
+    Then the active workspace should be "Default"
+    And the recent projects should be "Portal, Billing"
@@ -3,6 +3,9 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
 
 // Initialize default projects folder
 // Check for OneDrive path first, fall back to ~/Documents/Software Estimation Projects
@@ -10,6 +13,27 @@ const oneDrivePath = path.join(os.homedir(), 'OneDrive - Unicredit', 'Documentaz
 const fallbackPath = path.join(os.homedir(), 'Documents', 'Software Estimation Projects');
 const defaultProjectsPath = fsSync.existsSync(path.join(os.homedir(), 'OneDrive - Unicredit')) ? oneDrivePath : fallbackPath;
 
+// Timestamped copies kept per project in <projects>/.backups (settings.maxProjectBackups overrides)
+const DEFAULT_MAX_PROJECT_BACKUPS = 10;
+
+// Deleted projects are moved to <projects>/.trash and purged after this many days (settings.trashRetentionDays
+// overrides, 0 keeps them until the trash is emptied); trashed files are named <deletion timestamp>__<file name>
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z__(.+\.json)$/;
+
+// Lock files in <folder>/.locks tell other users (e.g. on a shared drive) who has a project open
+const PROJECT_LOCK_STALE_MS = 12 * 60 * 60 * 1000;
+const lockSessionId = `${os.hostname()}-${process.pid}-${Date.now()}`;
+const heldProjectLocks = new Set();
+
+// Incremental index of project metadata (persisted in userData), so listing a large folder
+// only parses new or changed files; a watcher keeps it current and notifies the renderer
+const projectIndex = new Map(); // filePath -> { mtimeMs, size, entry }
+let projectIndexPath = null; // Projects folder the index belongs to
+let projectIndexSaveTimer = null;
+let projectsWatcher = null;
+const projectWatchTimers = new Map();
+
 let mainWindow;
 
 // Create the main application window
@@ -69,8 +93,9 @@ function createWindow() {
         mainWindow = null;
     });
 
-    // Ensure default projects folder exists
-    ensureProjectsFolder();
+    // Ensure default projects folder exists, then follow its changes
+    ensureProjectsFolder().then(watchProjectsFolder).then(() => purgeExpiredTrash())
+        .catch(error => console.warn('Failed to purge expired trash:', error));
 }
 
 // Ensure projects folder exists
@@ -94,6 +119,50 @@ async function getProjectsPath() {
     }
 }
 
+// Named workspaces (settings.workspaces): a projects folder with optionally its own global configuration
+// file and allocations file. settings.projectsPath is always the active workspace's folder, and
+// settings.globalConfig its configuration (the others are kept in settings.workspaceGlobalConfigs)
+function getWorkspaces(settings) {
+    if (Array.isArray(settings.workspaces) && settings.workspaces.length > 0) {
+        return settings.workspaces;
+    }
+    // Before workspaces existed: the projects folder is the only one
+    return [{
+        id: 'default',
+        name: 'Default',
+        projectsPath: settings.projectsPath || defaultProjectsPath,
+        configPath: null,
+        allocationsPath: null
+    }];
+}
+
+async function getActiveWorkspace() {
+    const settings = await loadSettings();
+    const workspaces = getWorkspaces(settings);
+    return workspaces.find(workspace => workspace.id === settings.activeWorkspaceId) || workspaces[0];
+}
+
+// Global configuration file of the active workspace (config/defaults.json in its folder unless set)
+async function getGlobalConfigPath() {
+    const workspace = await getActiveWorkspace();
+    return workspace.configPath || path.join(await getProjectsPath(), 'config', 'defaults.json');
+}
+
+// Allocations file of the active workspace (capacity/allocations.json in its folder unless set)
+async function getAllocationsPath() {
+    const workspace = await getActiveWorkspace();
+    return workspace.allocationsPath || path.join(await getProjectsPath(), 'capacity', 'allocations.json');
+}
+
+// A file that belongs to the workspace's allocations (scenarios, audit log): next to the allocations
+// file, prefixed with its name unless it is the default allocations.json, so that workspaces sharing a
+// folder but not their allocations file do not share these either
+async function getAllocationsDataPath(fileName) {
+    const allocationsPath = await getAllocationsPath();
+    const baseName = path.basename(allocationsPath, path.extname(allocationsPath));
+    return path.join(path.dirname(allocationsPath), baseName === 'allocations' ? fileName : `${baseName}-${fileName}`);
+}
+
 // Load application settings
 async function loadSettings() {
     try {
@@ -120,29 +189,82 @@ async function saveSettings(settings) {
     }
 }
 
+function getProjectIndexFile() {
+    return path.join(app.getPath('userData'), 'projects-index.json');
+}
+
+// Switch the in-memory index to a projects folder, starting from the saved index if it matches
+async function loadProjectIndex(projectsPath) {
+    if (projectIndexPath === projectsPath) {
+        return;
+    }
+
+    projectIndex.clear();
+    projectIndexPath = projectsPath;
+    try {
+        const saved = JSON.parse(await fs.readFile(getProjectIndexFile(), 'utf8'));
+        if (saved.projectsPath === projectsPath) {
+            Object.entries(saved.files || {}).forEach(([filePath, item]) => projectIndex.set(filePath, item));
+        }
+    } catch (error) {
+        // No saved index yet: it is built by the first listing
+    }
+}
+
+function scheduleProjectIndexSave() {
+    clearTimeout(projectIndexSaveTimer);
+    projectIndexSaveTimer = setTimeout(() => {
+        const content = JSON.stringify({ projectsPath: projectIndexPath, files: Object.fromEntries(projectIndex) });
+        writeFileAtomic(getProjectIndexFile(), content).catch(error => console.warn('Failed to save projects index:', error));
+    }, 1000);
+}
+
+// List entry of a project file, parsing it only if it changed since it was indexed (null: not a project)
+async function indexProjectFile(filePath, stats) {
+    const cached = projectIndex.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.entry;
+    }
+
+    let entry = null;
+    try {
+        const projectData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (projectData.project) {
+            entry = {
+                fileName: path.basename(filePath),
+                filePath: filePath,
+                project: projectData.project,
+                fileSize: stats.size,
+                lastModified: stats.mtime.toISOString()
+            };
+        }
+    } catch (error) {
+        console.warn('Failed to read project file:', path.basename(filePath), error);
+    }
+
+    projectIndex.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, entry });
+    scheduleProjectIndexSave();
+    return entry;
+}
+
 // Get list of saved projects
 async function listProjects() {
     try {
         const projectsPath = await getProjectsPath();
+        await loadProjectIndex(projectsPath);
+
         const files = await fs.readdir(projectsPath);
+        const listed = new Set();
         const projects = [];
 
         for (const file of files) {
             if (file.endsWith('.json')) {
+                const filePath = path.join(projectsPath, file);
+                listed.add(filePath);
                 try {
-                    const filePath = path.join(projectsPath, file);
-                    const stats = await fs.stat(filePath);
-                    const content = await fs.readFile(filePath, 'utf8');
-                    const projectData = JSON.parse(content);
-
-                    if (projectData.project) {
-                        projects.push({
-                            fileName: file,
-                            filePath: filePath,
-                            project: projectData.project,
-                            fileSize: stats.size,
-                            lastModified: stats.mtime.toISOString()
-                        });
+                    const entry = await indexProjectFile(filePath, await fs.stat(filePath));
+                    if (entry) {
+                        projects.push(entry);
                     }
                 } catch (error) {
                     console.warn('Failed to read project file:', file, error);
@@ -150,6 +272,14 @@ async function listProjects() {
             }
         }
 
+        // Forget files deleted while the app was not watching
+        for (const filePath of projectIndex.keys()) {
+            if (!listed.has(filePath)) {
+                projectIndex.delete(filePath);
+                scheduleProjectIndexSave();
+            }
+        }
+
         return projects.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
     } catch (error) {
         console.error('Failed to list projects:', error);
@@ -157,6 +287,277 @@ async function listProjects() {
     }
 }
 
+// Write a file atomically: write and flush a temp file next to it, then rename over the target
+async function writeFileAtomic(filePath, content) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    let handle;
+
+    try {
+        handle = await fs.open(tempPath, 'w');
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        if (handle) {
+            await handle.close().catch(() => {});
+        }
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Folder holding the backups of one project file
+async function getProjectBackupsDir(filePath) {
+    const projectsPath = await getProjectsPath();
+    return path.join(projectsPath, '.backups', path.basename(filePath, '.json'));
+}
+
+// Copy the current project file into its backups folder, then drop the oldest copies over the limit
+async function backupProjectFile(filePath) {
+    const settings = await loadSettings();
+    const maxBackups = Number.isInteger(settings.maxProjectBackups) ? settings.maxProjectBackups : DEFAULT_MAX_PROJECT_BACKUPS;
+    if (maxBackups <= 0 || !fsSync.existsSync(filePath)) {
+        return null;
+    }
+
+    const backupsDir = await getProjectBackupsDir(filePath);
+    await fs.mkdir(backupsDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupsDir, `${timestamp}.json`);
+    await fs.copyFile(filePath, backupPath);
+
+    // ISO timestamps sort chronologically
+    const backups = (await fs.readdir(backupsDir)).filter(file => file.endsWith('.json')).sort();
+    for (const file of backups.slice(0, Math.max(0, backups.length - maxBackups))) {
+        await fs.unlink(path.join(backupsDir, file));
+    }
+
+    return backupPath;
+}
+
+async function getTrashDir() {
+    return path.join(await getProjectsPath(), '.trash');
+}
+
+async function getTrashRetentionDays() {
+    const settings = await loadSettings();
+    return Number.isInteger(settings.trashRetentionDays) ? settings.trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Original file name and deletion time of a trashed file (null if it is not one)
+function parseTrashFileName(fileName) {
+    const match = TRASH_FILE_PATTERN.exec(fileName);
+    if (!match) {
+        return null;
+    }
+    const [, date, hours, minutes, seconds, millis, originalFileName] = match;
+    return { originalFileName, deletedAt: `${date}T${hours}:${minutes}:${seconds}.${millis}Z` };
+}
+
+// Rename, or copy and delete when the trash is on another device
+async function moveFile(fromPath, toPath) {
+    try {
+        await fs.rename(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        await fs.copyFile(fromPath, toPath);
+        await fs.unlink(fromPath);
+    }
+}
+
+// Move a project file to the trash (its backups stay in .backups, so they are still there if it is restored)
+async function moveProjectToTrash(filePath) {
+    const trashDir = await getTrashDir();
+    await fs.mkdir(trashDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const trashPath = path.join(trashDir, `${timestamp}__${path.basename(filePath)}`);
+    await moveFile(filePath, trashPath);
+    return trashPath;
+}
+
+// Permanently delete trashed projects older than the retention period
+async function purgeExpiredTrash() {
+    const retentionDays = await getTrashRetentionDays();
+    if (retentionDays <= 0) {
+        return 0;
+    }
+
+    const trashDir = await getTrashDir();
+    const files = await fs.readdir(trashDir).catch(() => []);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let purged = 0;
+
+    for (const file of files) {
+        const trashed = parseTrashFileName(file);
+        if (trashed && new Date(trashed.deletedAt).getTime() < cutoff) {
+            try {
+                await fs.unlink(path.join(trashDir, file));
+                purged++;
+            } catch (error) {
+                console.warn('Failed to purge trashed project:', file, error);
+            }
+        }
+    }
+    return purged;
+}
+
+// Path of a file in the trash; refuses anything else
+async function resolveTrashPath(trashPath) {
+    const trashDir = await getTrashDir();
+    if (path.dirname(path.resolve(trashPath)) !== path.resolve(trashDir) || !parseTrashFileName(path.basename(trashPath))) {
+        throw new Error('Not a file in the trash');
+    }
+    return trashPath;
+}
+
+// Modification time, size and content hash of a project file, or null if it does not exist
+async function getFileFingerprint(filePath, content = null) {
+    try {
+        const stats = await fs.stat(filePath);
+        const fileContent = content ?? await fs.readFile(filePath, 'utf8');
+        return {
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            hash: crypto.createHash('sha256').update(fileContent).digest('hex')
+        };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Whether a file no longer matches the fingerprint taken when it was loaded or saved
+async function hasFileChangedSince(filePath, expected) {
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats) {
+        return false; // Deleted meanwhile: saving recreates it
+    }
+    if (stats.mtimeMs === expected.mtimeMs && stats.size === expected.size) {
+        return false;
+    }
+
+    // Only a different content counts (e.g. a sync client may just touch the file)
+    const current = await getFileFingerprint(filePath);
+    return current.hash !== expected.hash;
+}
+
+function getProjectLockPath(filePath) {
+    return path.join(path.dirname(filePath), '.locks', `${path.basename(filePath)}.lock`);
+}
+
+async function readProjectLock(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(getProjectLockPath(filePath), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// A lock is stale when not refreshed for a long time, or when its process on this machine is gone
+function isProjectLockStale(lock) {
+    if (Date.now() - new Date(lock.updatedAt).getTime() > PROJECT_LOCK_STALE_MS) {
+        return true;
+    }
+    if (lock.host === os.hostname()) {
+        try {
+            process.kill(lock.pid, 0);
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+    return false;
+}
+
+async function writeProjectLock(filePath, openedAt = new Date().toISOString()) {
+    const settings = await loadSettings();
+    const lock = {
+        sessionId: lockSessionId,
+        user: settings.userName?.trim() || os.userInfo().username,
+        host: os.hostname(),
+        pid: process.pid,
+        openedAt,
+        updatedAt: new Date().toISOString()
+    };
+
+    const lockPath = getProjectLockPath(filePath);
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    await fs.writeFile(lockPath, JSON.stringify(lock, null, 2), 'utf8');
+    heldProjectLocks.add(filePath);
+    return lock;
+}
+
+async function releaseProjectLock(filePath) {
+    heldProjectLocks.delete(filePath);
+    const lock = await readProjectLock(filePath);
+    if (lock?.sessionId === lockSessionId) {
+        await fs.unlink(getProjectLockPath(filePath)).catch(() => {});
+    }
+}
+
+// Watch the projects folder and push add/change/delete events to the renderer
+async function watchProjectsFolder() {
+    if (projectsWatcher) {
+        projectsWatcher.close();
+        projectsWatcher = null;
+    }
+
+    const projectsPath = await getProjectsPath();
+    await loadProjectIndex(projectsPath);
+
+    try {
+        projectsWatcher = fsSync.watch(projectsPath, { persistent: false }, (eventType, fileName) => {
+            if (!fileName || !fileName.toString().endsWith('.json')) {
+                return;
+            }
+
+            // One save fires several events (and sync clients write in steps): handle the last one
+            const filePath = path.join(projectsPath, fileName.toString());
+            clearTimeout(projectWatchTimers.get(filePath));
+            projectWatchTimers.set(filePath, setTimeout(() => {
+                projectWatchTimers.delete(filePath);
+                handleProjectFileEvent(filePath).catch(error => console.warn('Failed to process projects folder change:', error));
+            }, 300));
+        });
+        projectsWatcher.on('error', error => console.warn('Projects folder watcher stopped:', error));
+    } catch (error) {
+        // E.g. unsupported on some network drives: the list still refreshes on demand
+        console.warn('Cannot watch projects folder:', projectsPath, error.message);
+    }
+}
+
+async function handleProjectFileEvent(filePath) {
+    const wasListed = !!projectIndex.get(filePath)?.entry;
+    const stats = await fs.stat(filePath).catch(() => null);
+
+    let change = null;
+    if (stats) {
+        const entry = await indexProjectFile(filePath, stats);
+        if (entry) {
+            change = { type: wasListed ? 'change' : 'add', filePath, project: entry };
+        } else if (wasListed) {
+            change = { type: 'delete', filePath };
+        }
+    } else if (projectIndex.has(filePath)) {
+        projectIndex.delete(filePath);
+        scheduleProjectIndexSave();
+        if (wasListed) {
+            change = { type: 'delete', filePath };
+        }
+    }
+
+    if (change && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('projects-folder-changed', change);
+    }
+}
+
 // IPC handlers for project management
 ipcMain.handle('get-projects-path', async () => {
     return await getProjectsPath();
@@ -166,8 +567,14 @@ ipcMain.handle('set-projects-path', async (event, newPath) => {
     try {
         const settings = await loadSettings();
         settings.projectsPath = newPath;
+        // The folder belongs to the active workspace
+        if (Array.isArray(settings.workspaces)) {
+            settings.workspaces = settings.workspaces.map(workspace =>
+                workspace.id === settings.activeWorkspaceId ? { ...workspace, projectsPath: newPath || defaultProjectsPath } : workspace);
+        }
         await saveSettings(settings);
         await ensureProjectsFolder();
+        await watchProjectsFolder();
         return { success: true, path: newPath };
     } catch (error) {
         return { success: false, error: error.message };
@@ -201,21 +608,53 @@ ipcMain.handle('list-projects', async () => {
     }
 });
 
-ipcMain.handle('save-project-file', async (event, projectData) => {
+// options.expectedFilePath/expectedFingerprint: the file as it was loaded; a different content on disk is
+// reported as a conflict (with the other version) instead of being overwritten, unless options.force is set
+ipcMain.handle('save-project-file', async (event, projectData, options = {}) => {
     try {
         
         const projectsPath = await getProjectsPath();
         const fileName = `${projectData.project.name.replace(/[^a-z0-9]/gi, '_')}_${projectData.project.id}.json`;
         const filePath = path.join(projectsPath, fileName);
 
+        const { expectedFilePath, expectedFingerprint, force } = options || {};
+        if (!force && expectedFingerprint && expectedFilePath === filePath && await hasFileChangedSince(filePath, expectedFingerprint)) {
+            const content = await fs.readFile(filePath, 'utf8');
+            const lock = await readProjectLock(filePath);
+
+            return {
+                success: false,
+                conflict: true,
+                error: 'The project file was modified by someone else after it was opened',
+                filePath,
+                fileName,
+                data: JSON.parse(content),
+                fingerprint: await getFileFingerprint(filePath, content),
+                lockedBy: lock && lock.sessionId !== lockSessionId && !isProjectLockStale(lock) ? lock : null
+            };
+        }
+
         const jsonString = JSON.stringify(projectData, null, 2);
-        
-        await fs.writeFile(filePath, jsonString);
+
+        // Keep the previous version, then replace the file in one step so a crash never leaves it half written
+        try {
+            await backupProjectFile(filePath);
+        } catch (error) {
+            console.warn('Failed to back up project before saving:', error);
+        }
+        await writeFileAtomic(filePath, jsonString);
+
+        if (heldProjectLocks.has(filePath)) {
+            const lock = await readProjectLock(filePath);
+            await writeProjectLock(filePath, lock?.sessionId === lockSessionId ? lock.openedAt : undefined)
+                .catch(error => console.warn('Failed to refresh project lock:', error));
+        }
 
         return {
             success: true,
             filePath: filePath,
-            fileName: fileName
+            fileName: fileName,
+            fingerprint: await getFileFingerprint(filePath, jsonString)
         };
     } catch (error) {
         return { success: false, error: error.message };
@@ -228,21 +667,216 @@ ipcMain.handle('load-project-file', async (event, filePath) => {
         const projectData = JSON.parse(content);
         
         
-        return { success: true, data: projectData };
+        return { success: true, data: projectData, fingerprint: await getFileFingerprint(filePath, content) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// List the backups of a project file, newest first, with their content for preview
+ipcMain.handle('list-project-backups', async (event, filePath) => {
+    try {
+        const backupsDir = await getProjectBackupsDir(filePath);
+
+        let files;
+        try {
+            files = (await fs.readdir(backupsDir)).filter(file => file.endsWith('.json')).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { success: true, backups: [] };
+            }
+            throw error;
+        }
+
+        const backups = [];
+        for (const file of files) {
+            const backupPath = path.join(backupsDir, file);
+            try {
+                const stats = await fs.stat(backupPath);
+                const data = JSON.parse(await fs.readFile(backupPath, 'utf8'));
+                backups.push({ backupPath, fileName: file, createdAt: stats.mtime.toISOString(), fileSize: stats.size, data });
+            } catch (error) {
+                console.warn('Failed to read project backup:', backupPath, error);
+            }
+        }
+
+        return { success: true, backups };
     } catch (error) {
+        console.error('Failed to list project backups:', error);
+        return { success: false, error: error.message, backups: [] };
+    }
+});
+
+// Replace a project file with one of its backups (the current version is backed up first)
+ipcMain.handle('restore-project-backup', async (event, filePath, backupPath) => {
+    try {
+        const backupsDir = await getProjectBackupsDir(filePath);
+        if (path.dirname(path.resolve(backupPath)) !== path.resolve(backupsDir)) {
+            return { success: false, error: 'Backup does not belong to this project' };
+        }
+
+        const content = await fs.readFile(backupPath, 'utf8');
+        JSON.parse(content); // Refuse to restore a damaged backup
+
+        await backupProjectFile(filePath);
+        await writeFileAtomic(filePath, content);
+
+        return { success: true, filePath };
+    } catch (error) {
+        console.error('Failed to restore project backup:', error);
         return { success: false, error: error.message };
     }
 });
 
+// Write a project other than the one open (e.g. features moved to it); refused while someone else has it open
+ipcMain.handle('write-project-file', async (event, filePath, projectData) => {
+    try {
+        const lock = await readProjectLock(filePath);
+        if (lock && lock.sessionId !== lockSessionId && !isProjectLockStale(lock)) {
+            return { success: false, lockedBy: lock, error: `The project is open by ${lock.user || 'another user'}` };
+        }
+
+        const jsonString = JSON.stringify(projectData, null, 2);
+        try {
+            await backupProjectFile(filePath);
+        } catch (error) {
+            console.warn('Failed to back up project before writing:', error);
+        }
+        await writeFileAtomic(filePath, jsonString);
+
+        return { success: true, filePath, fingerprint: await getFileFingerprint(filePath, jsonString) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Mark a project as opened by this user; if someone else already has it open, report who instead
+ipcMain.handle('acquire-project-lock', async (event, filePath) => {
+    try {
+        const lock = await readProjectLock(filePath);
+        if (lock && lock.sessionId !== lockSessionId && !isProjectLockStale(lock)) {
+            return { success: true, acquired: false, lockedBy: lock };
+        }
+
+        await writeProjectLock(filePath, lock?.sessionId === lockSessionId ? lock.openedAt : undefined);
+        return { success: true, acquired: true };
+    } catch (error) {
+        console.error('Failed to acquire project lock:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('release-project-lock', async (event, filePath) => {
+    try {
+        await releaseProjectLock(filePath);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Deleting a project moves it to the trash, from where it can be restored until it is purged
 ipcMain.handle('delete-project-file', async (event, filePath) => {
     try {
-        await fs.unlink(filePath);
+        await releaseProjectLock(filePath);
+        const trashPath = await moveProjectToTrash(filePath);
+        await purgeExpiredTrash().catch(error => console.warn('Failed to purge expired trash:', error));
+        return { success: true, trashPath };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// List the trashed projects, most recently deleted first, with their content for preview
+ipcMain.handle('list-trash', async () => {
+    try {
+        await purgeExpiredTrash();
+        const retentionDays = await getTrashRetentionDays();
+        const trashDir = await getTrashDir();
+
+        let files;
+        try {
+            files = await fs.readdir(trashDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { success: true, items: [], retentionDays };
+            }
+            throw error;
+        }
+
+        const items = [];
+        for (const file of files) {
+            const trashed = parseTrashFileName(file);
+            if (!trashed) continue;
+
+            const trashPath = path.join(trashDir, file);
+            try {
+                const stats = await fs.stat(trashPath);
+                const data = JSON.parse(await fs.readFile(trashPath, 'utf8'));
+                items.push({
+                    trashPath,
+                    fileName: trashed.originalFileName,
+                    deletedAt: trashed.deletedAt,
+                    expiresAt: retentionDays > 0
+                        ? new Date(new Date(trashed.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+                        : null,
+                    fileSize: stats.size,
+                    data
+                });
+            } catch (error) {
+                console.warn('Failed to read trashed project:', trashPath, error);
+            }
+        }
+
+        items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        return { success: true, items, retentionDays };
+    } catch (error) {
+        console.error('Failed to list trash:', error);
+        return { success: false, error: error.message, items: [] };
+    }
+});
+
+// Move a trashed project back to the projects folder under its original name
+ipcMain.handle('restore-from-trash', async (event, trashPath) => {
+    try {
+        await resolveTrashPath(trashPath);
+        const { originalFileName } = parseTrashFileName(path.basename(trashPath));
+        const filePath = path.join(await getProjectsPath(), originalFileName);
+
+        if (fsSync.existsSync(filePath)) {
+            return { success: false, error: `A project file named ${originalFileName} already exists: delete or rename it first` };
+        }
+
+        await moveFile(trashPath, filePath);
+        return { success: true, filePath };
+    } catch (error) {
+        console.error('Failed to restore project from trash:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('purge-from-trash', async (event, trashPath) => {
+    try {
+        await fs.unlink(await resolveTrashPath(trashPath));
         return { success: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
+ipcMain.handle('empty-trash', async () => {
+    try {
+        const trashDir = await getTrashDir();
+        const files = (await fs.readdir(trashDir).catch(() => [])).filter(file => parseTrashFileName(file));
+        for (const file of files) {
+            await fs.unlink(path.join(trashDir, file));
+        }
+        return { success: true, purged: files.length };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('check-file-exists', async (event, filePath) => {
     try {
         await fs.access(filePath, fs.constants.F_OK);
@@ -261,15 +895,157 @@ ipcMain.handle('get-settings', async () => {
     }
 });
 
-ipcMain.handle('save-settings', async (event, settings) => {
-    return await saveSettings(settings);
+ipcMain.handle('save-settings', async (event, settings) => {
+    return await saveSettings(settings);
+});
+
+ipcMain.handle('open-projects-folder', async () => {
+    try {
+        const projectsPath = await getProjectsPath();
+        await shell.openPath(projectsPath);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('list-workspaces', async () => {
+    try {
+        const settings = await loadSettings();
+        const workspaces = getWorkspaces(settings);
+        const active = workspaces.find(workspace => workspace.id === settings.activeWorkspaceId) || workspaces[0];
+        return { success: true, workspaces, activeWorkspaceId: active.id };
+    } catch (error) {
+        return { success: false, error: error.message, workspaces: [] };
+    }
+});
+
+// Add a workspace, or update the one with the same id (the active one's folder change applies at once)
+ipcMain.handle('save-workspace', async (event, workspace) => {
+    try {
+        if (!workspace?.name?.trim() || !workspace.projectsPath?.trim()) {
+            return { success: false, error: 'A workspace needs a name and a projects folder' };
+        }
+
+        const settings = await loadSettings();
+        const workspaces = getWorkspaces(settings);
+        const saved = {
+            id: workspace.id || `workspace-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: workspace.name.trim(),
+            projectsPath: workspace.projectsPath.trim(),
+            configPath: workspace.configPath?.trim() || null,
+            allocationsPath: workspace.allocationsPath?.trim() || null
+        };
+
+        const exists = workspaces.some(item => item.id === saved.id);
+        const currentConfigPath = await getGlobalConfigPath();
+        settings.workspaces = exists ? workspaces.map(item => (item.id === saved.id ? saved : item)) : [...workspaces, saved];
+        settings.activeWorkspaceId = settings.activeWorkspaceId || workspaces[0].id;
+
+        const isActive = saved.id === settings.activeWorkspaceId;
+        if (isActive) {
+            settings.projectsPath = saved.projectsPath;
+        }
+        const result = await saveSettings(settings);
+        if (!result.success) {
+            return result;
+        }
+
+        await fs.mkdir(saved.projectsPath, { recursive: true });
+
+        // A new workspace starts from a copy of the active one's global configuration file
+        const configPath = saved.configPath || path.join(saved.projectsPath, 'config', 'defaults.json');
+        if (!exists && !fsSync.existsSync(configPath) && fsSync.existsSync(currentConfigPath)) {
+            await fs.mkdir(path.dirname(configPath), { recursive: true });
+            await fs.copyFile(currentConfigPath, configPath);
+        }
+
+        if (isActive) {
+            await watchProjectsFolder();
+        }
+        return { success: true, workspace: saved };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Remove a workspace from the list (its folder and files are left untouched)
+ipcMain.handle('delete-workspace', async (event, workspaceId) => {
+    try {
+        const settings = await loadSettings();
+        const workspaces = getWorkspaces(settings);
+        const activeId = settings.activeWorkspaceId || workspaces[0].id;
+        if (workspaceId === activeId) {
+            return { success: false, error: 'The active workspace cannot be removed: switch to another one first' };
+        }
+
+        settings.workspaces = workspaces.filter(workspace => workspace.id !== workspaceId);
+        settings.activeWorkspaceId = activeId;
+        if (settings.workspaceGlobalConfigs) {
+            delete settings.workspaceGlobalConfigs[workspaceId];
+        }
+        return await saveSettings(settings);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Make a workspace the active one: its folder becomes the projects folder and its global configuration is swapped in
+ipcMain.handle('switch-workspace', async (event, workspaceId) => {
+    try {
+        const settings = await loadSettings();
+        const workspaces = getWorkspaces(settings);
+        const current = workspaces.find(workspace => workspace.id === settings.activeWorkspaceId) || workspaces[0];
+        const target = workspaces.find(workspace => workspace.id === workspaceId);
+        if (!target) {
+            return { success: false, error: 'Workspace not found' };
+        }
+
+        if (target.id !== current.id) {
+            settings.workspaceGlobalConfigs = settings.workspaceGlobalConfigs || {};
+            if (settings.globalConfig) {
+                settings.workspaceGlobalConfigs[current.id] = settings.globalConfig;
+            }
+            settings.globalConfig = settings.workspaceGlobalConfigs[target.id];
+            delete settings.workspaceGlobalConfigs[target.id];
+        }
+
+        settings.workspaces = workspaces;
+        settings.activeWorkspaceId = target.id;
+        settings.projectsPath = target.projectsPath;
+        const result = await saveSettings(settings);
+        if (!result.success) {
+            return result;
+        }
+
+        for (const filePath of Array.from(heldProjectLocks)) {
+            await releaseProjectLock(filePath).catch(() => {});
+        }
+        await ensureProjectsFolder();
+        await watchProjectsFolder();
+        return { success: true, workspace: target, previousWorkspaceId: current.id };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('get-global-config-path', async () => {
+    return await getGlobalConfigPath();
 });
 
-ipcMain.handle('open-projects-folder', async () => {
+// Pick a JSON file for a workspace (global configuration or allocations); it may not exist yet
+ipcMain.handle('choose-workspace-file', async (event, title) => {
     try {
-        const projectsPath = await getProjectsPath();
-        await shell.openPath(projectsPath);
-        return { success: true };
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: title || 'Select File',
+            properties: ['openFile', 'promptToCreate'],
+            filters: [{ name: 'JSON Files', extensions: ['json'] }]
+        });
+
+        if (!result.canceled && result.filePaths.length > 0) {
+            return { success: true, path: result.filePaths[0] };
+        }
+        return { success: false, canceled: true };
     } catch (error) {
         return { success: false, error: error.message };
     }
@@ -278,9 +1054,8 @@ ipcMain.handle('open-projects-folder', async () => {
 // Create default configuration file if it doesn't exist
 ipcMain.handle('create-default-config', async (event, configData) => {
     try {
-        const projectsPath = await getProjectsPath();
-        const configDir = path.join(projectsPath, 'config');
-        const configFile = path.join(configDir, 'defaults.json');
+        const configFile = await getGlobalConfigPath();
+        const configDir = path.dirname(configFile);
         
         // Check if file already exists
         try {
@@ -308,9 +1083,8 @@ ipcMain.handle('create-default-config', async (event, configData) => {
 // Update defaults.json with current global configuration
 ipcMain.handle('update-default-config', async (event, configData) => {
     try {
-        const projectsPath = await getProjectsPath();
-        const configDir = path.join(projectsPath, 'config');
-        const configFile = path.join(configDir, 'defaults.json');
+        const configFile = await getGlobalConfigPath();
+        const configDir = path.dirname(configFile);
 
         // Create config directory if it doesn't exist
         await fs.mkdir(configDir, { recursive: true });
@@ -326,11 +1100,51 @@ ipcMain.handle('update-default-config', async (event, configData) => {
     }
 });
 
-// Load global resource allocations from capacity/allocations.json
-ipcMain.handle('load-resource-allocations', async () => {
+// Load project templates from config/templates.json (shared with everyone using the projects folder)
+ipcMain.handle('load-project-templates', async () => {
+    try {
+        const projectsPath = await getProjectsPath();
+        const templatesPath = path.join(projectsPath, 'config', 'templates.json');
+
+        try {
+            const parsed = JSON.parse(await fs.readFile(templatesPath, 'utf8'));
+            return { success: true, data: parsed.templates || [] };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { success: true, data: [] };
+            }
+            throw error;
+        }
+    } catch (error) {
+        console.error('Failed to load project templates:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+});
+
+// Save project templates to config/templates.json
+ipcMain.handle('save-project-templates', async (event, templates) => {
     try {
         const projectsPath = await getProjectsPath();
-        const allocationsPath = path.join(projectsPath, 'capacity', 'allocations.json');
+        const configDir = path.join(projectsPath, 'config');
+        const templatesPath = path.join(configDir, 'templates.json');
+
+        await fs.mkdir(configDir, { recursive: true });
+        await writeFileAtomic(templatesPath, JSON.stringify({
+            templates: templates || [],
+            lastModified: new Date().toISOString()
+        }, null, 2));
+
+        return { success: true, filePath: templatesPath };
+    } catch (error) {
+        console.error('Failed to save project templates:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Load resource allocations from the workspace's allocations file (capacity/allocations.json by default)
+ipcMain.handle('load-resource-allocations', async () => {
+    try {
+        const allocationsPath = await getAllocationsPath();
 
         try {
             const data = await fs.readFile(allocationsPath, 'utf8');
@@ -352,15 +1166,13 @@ ipcMain.handle('load-resource-allocations', async () => {
     }
 });
 
-// Save global resource allocations to capacity/allocations.json
+// Save resource allocations to the workspace's allocations file
 ipcMain.handle('save-resource-allocations', async (event, allocations) => {
     try {
-        const projectsPath = await getProjectsPath();
-        const capacityDir = path.join(projectsPath, 'capacity');
-        const allocationsPath = path.join(capacityDir, 'allocations.json');
+        const allocationsPath = await getAllocationsPath();
 
         // Ensure capacity directory exists
-        await fs.mkdir(capacityDir, { recursive: true });
+        await fs.mkdir(path.dirname(allocationsPath), { recursive: true });
 
         // Save allocations
         const dataToSave = {
@@ -378,6 +1190,334 @@ ipcMain.handle('save-resource-allocations', async (event, allocations) => {
     }
 });
 
+// Load what-if allocation scenarios (capacity/scenarios.json by default, next to the allocations file)
+ipcMain.handle('load-allocation-scenarios', async () => {
+    try {
+        const scenariosPath = await getAllocationsDataPath('scenarios.json');
+
+        try {
+            const data = await fs.readFile(scenariosPath, 'utf8');
+            const parsed = JSON.parse(data);
+            return {
+                success: true,
+                data: parsed.scenarios || []
+            };
+        } catch (error) {
+            // File doesn't exist, return empty array
+            if (error.code === 'ENOENT') {
+                return { success: true, data: [] };
+            }
+            throw error;
+        }
+    } catch (error) {
+        console.error('Failed to load allocation scenarios:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+});
+
+// Save what-if allocation scenarios next to the allocations file
+ipcMain.handle('save-allocation-scenarios', async (event, scenarios) => {
+    try {
+        const scenariosPath = await getAllocationsDataPath('scenarios.json');
+
+        await fs.mkdir(path.dirname(scenariosPath), { recursive: true });
+
+        const dataToSave = {
+            scenarios: scenarios || [],
+            lastModified: new Date().toISOString()
+        };
+
+        await fs.writeFile(scenariosPath, JSON.stringify(dataToSave, null, 2));
+        console.log('Allocation scenarios saved:', scenariosPath);
+
+        return { success: true, filePath: scenariosPath };
+    } catch (error) {
+        console.error('Failed to save allocation scenarios:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Load the allocation audit trail (capacity/audit-log.jsonl by default, one event per line)
+ipcMain.handle('load-allocation-audit', async () => {
+    try {
+        const auditPath = await getAllocationsDataPath('audit-log.jsonl');
+
+        try {
+            const data = await fs.readFile(auditPath, 'utf8');
+            const entries = [];
+            data.split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    // Keep the rest of the trail readable if one line is damaged
+                    console.warn(`Skipping invalid audit log line ${index + 1}:`, error.message);
+                }
+            });
+            return { success: true, data: entries };
+        } catch (error) {
+            // File doesn't exist, return empty array
+            if (error.code === 'ENOENT') {
+                return { success: true, data: [] };
+            }
+            throw error;
+        }
+    } catch (error) {
+        console.error('Failed to load allocation audit log:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+});
+
+// Append allocation audit entries to the audit log next to the allocations file (never rewritten)
+ipcMain.handle('append-allocation-audit', async (event, entries) => {
+    try {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return { success: true, count: 0 };
+        }
+
+        const auditPath = await getAllocationsDataPath('audit-log.jsonl');
+
+        await fs.mkdir(path.dirname(auditPath), { recursive: true });
+        await fs.appendFile(auditPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+
+        return { success: true, count: entries.length, filePath: auditPath };
+    } catch (error) {
+        console.error('Failed to append allocation audit entries:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Workspace backup: one gzip-compressed JSON archive with every project file, the capacity
+// data (allocations, scenarios, audit log), config/defaults.json and the settings (which hold
+// the global configuration: vendors, categories, teams). Paths are relative to the projects folder,
+// except the workspace files below: they are stored under their default path whatever file the
+// workspace uses, and restored to the file the active workspace uses.
+const WORKSPACE_BACKUP_FORMAT = 'software-estimation-workspace-backup';
+const WORKSPACE_SETTINGS_ENTRY = 'settings.json';
+const WORKSPACE_FILE_ENTRIES = {
+    'config/defaults.json': { category: 'config', resolve: getGlobalConfigPath },
+    'capacity/allocations.json': { category: 'capacity', resolve: getAllocationsPath },
+    'capacity/scenarios.json': { category: 'capacity', resolve: () => getAllocationsDataPath('scenarios.json') },
+    'capacity/audit-log.jsonl': { category: 'capacity', resolve: () => getAllocationsDataPath('audit-log.jsonl') }
+};
+// Settings of this installation rather than of the backed up workspace: kept on restore
+const WORKSPACE_LOCAL_SETTINGS = ['projectsPath', 'workspaces', 'activeWorkspaceId', 'workspaceGlobalConfigs'];
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+async function collectWorkspaceFiles(projectsPath) {
+    const entries = [];
+    const addFile = async (entryPath, filePath, category) => {
+        const stats = await fs.stat(filePath);
+        entries.push({
+            path: entryPath,
+            category,
+            modified: stats.mtime.toISOString(),
+            content: await fs.readFile(filePath, 'utf8')
+        });
+    };
+    const addFolderFile = (relativePath, category) =>
+        addFile(relativePath.split(path.sep).join('/'), path.join(projectsPath, relativePath), category);
+    const readDir = async (dir) => (await fs.readdir(path.join(projectsPath, dir), { withFileTypes: true }).catch(() => []))
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'));
+
+    for (const [entryPath, { category, resolve }] of Object.entries(WORKSPACE_FILE_ENTRIES)) {
+        const filePath = await resolve();
+        if (await fs.access(filePath).then(() => true, () => false)) {
+            await addFile(entryPath, filePath, category);
+        }
+    }
+    // Those folder files are either the workspace files above or another workspace's
+    const isWorkspaceEntry = (relativePath) => WORKSPACE_FILE_ENTRIES[relativePath.split(path.sep).join('/')] !== undefined;
+
+    for (const entry of await readDir('')) {
+        if (entry.name.endsWith('.json')) await addFolderFile(entry.name, 'project');
+    }
+    for (const entry of await readDir('capacity')) {
+        if (!isWorkspaceEntry(path.join('capacity', entry.name))) await addFolderFile(path.join('capacity', entry.name), 'capacity');
+    }
+    for (const entry of await readDir('config')) {
+        if (entry.name.endsWith('.json') && !isWorkspaceEntry(path.join('config', entry.name))) {
+            await addFolderFile(path.join('config', entry.name), 'config');
+        }
+    }
+
+    return entries;
+}
+
+async function readWorkspaceBackup(backupPath) {
+    const archive = JSON.parse((await gunzip(await fs.readFile(backupPath))).toString('utf8'));
+    if (archive?.format !== WORKSPACE_BACKUP_FORMAT || !Array.isArray(archive.files)) {
+        throw new Error('Not a workspace backup file');
+    }
+    return archive;
+}
+
+// Where an archive entry goes; refuses paths that would escape the projects folder
+async function resolveWorkspaceEntryPath(projectsPath, relativePath) {
+    if (relativePath === WORKSPACE_SETTINGS_ENTRY) {
+        return path.join(app.getPath('userData'), 'settings.json');
+    }
+    if (WORKSPACE_FILE_ENTRIES[relativePath]) {
+        return await WORKSPACE_FILE_ENTRIES[relativePath].resolve();
+    }
+
+    const target = path.resolve(projectsPath, relativePath);
+    if (!target.startsWith(path.resolve(projectsPath) + path.sep)) {
+        throw new Error(`Invalid path in backup: ${relativePath}`);
+    }
+    return target;
+}
+
+ipcMain.handle('create-workspace-backup', async (event, options = {}) => {
+    try {
+        const projectsPath = await getProjectsPath();
+        const files = await collectWorkspaceFiles(projectsPath);
+
+        if (options.includeSettings !== false) {
+            files.push({
+                path: WORKSPACE_SETTINGS_ENTRY,
+                category: 'settings',
+                modified: new Date().toISOString(),
+                content: JSON.stringify(await loadSettings(), null, 2)
+            });
+        }
+
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Save Workspace Backup',
+            defaultPath: path.join(app.getPath('downloads'), `Workspace_Backup_${new Date().toISOString().split('T')[0]}.json.gz`),
+            filters: [
+                { name: 'Workspace Backups', extensions: ['gz'] },
+                { name: 'All Files', extensions: ['*'] }
+            ]
+        });
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+
+        const archive = {
+            format: WORKSPACE_BACKUP_FORMAT,
+            version: 1,
+            createdAt: new Date().toISOString(),
+            application: 'Software Estimation Manager',
+            projectsPath,
+            files
+        };
+        await fs.writeFile(result.filePath, await gzip(JSON.stringify(archive)));
+
+        return { success: true, filePath: result.filePath, fileCount: files.length };
+    } catch (error) {
+        console.error('Failed to create workspace backup:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Pick a workspace backup and compare each of its files with the current workspace
+ipcMain.handle('inspect-workspace-backup', async (event, backupPath = null) => {
+    try {
+        if (!backupPath) {
+            const result = await dialog.showOpenDialog(mainWindow, {
+                title: 'Open Workspace Backup',
+                properties: ['openFile'],
+                filters: [
+                    { name: 'Workspace Backups', extensions: ['gz'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+            if (result.canceled || result.filePaths.length === 0) {
+                return { success: false, canceled: true };
+            }
+            backupPath = result.filePaths[0];
+        }
+
+        const archive = await readWorkspaceBackup(backupPath);
+        const projectsPath = await getProjectsPath();
+
+        const entries = [];
+        for (const file of archive.files) {
+            const target = await resolveWorkspaceEntryPath(projectsPath, file.path);
+            const local = await fs.readFile(target, 'utf8').catch(() => null);
+            const localStats = local === null ? null : await fs.stat(target);
+
+            let projectName = null;
+            if (file.category === 'project') {
+                try {
+                    projectName = JSON.parse(file.content).project?.name || null;
+                } catch (error) {
+                    // Listed by file name
+                }
+            }
+
+            entries.push({
+                path: file.path,
+                category: file.category,
+                projectName,
+                size: Buffer.byteLength(file.content, 'utf8'),
+                modified: file.modified,
+                status: local === null ? 'new' : local === file.content ? 'identical' : 'conflict',
+                localModified: localStats ? localStats.mtime.toISOString() : null
+            });
+        }
+
+        return {
+            success: true,
+            backupPath,
+            createdAt: archive.createdAt,
+            projectsPath: archive.projectsPath,
+            entries
+        };
+    } catch (error) {
+        console.error('Failed to read workspace backup:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Restore the selected files of a workspace backup (overwritten project files are backed up first)
+ipcMain.handle('restore-workspace-backup', async (event, backupPath, selectedPaths = []) => {
+    try {
+        const archive = await readWorkspaceBackup(backupPath);
+        const projectsPath = await getProjectsPath();
+        const selected = new Set(selectedPaths);
+
+        const restored = [];
+        const errors = [];
+        for (const file of archive.files.filter(entry => selected.has(entry.path))) {
+            try {
+                const target = await resolveWorkspaceEntryPath(projectsPath, file.path);
+                let content = file.content;
+
+                if (file.path === WORKSPACE_SETTINGS_ENTRY) {
+                    // The backup may come from another machine: keep this installation's folder and workspaces
+                    const current = await loadSettings();
+                    current.projectsPath = current.projectsPath || projectsPath;
+                    const restoredSettings = JSON.parse(content);
+                    WORKSPACE_LOCAL_SETTINGS.forEach(key => {
+                        if (current[key] === undefined) {
+                            delete restoredSettings[key];
+                        } else {
+                            restoredSettings[key] = current[key];
+                        }
+                    });
+                    content = JSON.stringify(restoredSettings, null, 2);
+                } else if (file.category === 'project') {
+                    await backupProjectFile(target);
+                }
+
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await writeFileAtomic(target, content);
+                restored.push(file.path);
+            } catch (error) {
+                errors.push({ path: file.path, error: error.message });
+            }
+        }
+
+        return { success: errors.length === 0, restored, errors, ...(errors.length > 0 && { error: `${errors.length} file(s) could not be restored` }) };
+    } catch (error) {
+        console.error('Failed to restore workspace backup:', error);
+        return { success: false, error: error.message, restored: [], errors: [] };
+    }
+});
+
 // Legacy file operations for export functionality
 ipcMain.handle('save-file', async (event, defaultPath, data) => {
     try {
@@ -400,6 +1540,56 @@ ipcMain.handle('save-file', async (event, defaultPath, data) => {
     }
 });
 
+// iCalendar export: a single file goes through a save dialog,
+// several files (one per team member) are written to a chosen folder
+ipcMain.handle('save-ics-files', async (event, files) => {
+    try {
+        if (!Array.isArray(files) || files.length === 0) {
+            return { success: false, error: 'No calendar files to save' };
+        }
+
+        if (files.length === 1) {
+            const result = await dialog.showSaveDialog(mainWindow, {
+                defaultPath: files[0].filename,
+                filters: [
+                    { name: 'iCalendar Files', extensions: ['ics'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (result.canceled) {
+                return { success: false, canceled: true };
+            }
+
+            await fs.writeFile(result.filePath, files[0].content, 'utf8');
+            return { success: true, filePaths: [result.filePath] };
+        }
+
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Choose a folder for the calendar files',
+            properties: ['openDirectory', 'createDirectory']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+        }
+
+        const folder = result.filePaths[0];
+        const filePaths = [];
+        for (const file of files) {
+            // Never let a file name escape the chosen folder
+            const filePath = path.join(folder, path.basename(file.filename));
+            await fs.writeFile(filePath, file.content, 'utf8');
+            filePaths.push(filePath);
+        }
+
+        return { success: true, filePaths };
+    } catch (error) {
+        console.error('[IPC] Calendar export error:', error);
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('open-file', async (event) => {
     try {
         const result = await dialog.showOpenDialog(mainWindow, {
@@ -1261,7 +2451,7 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
       const worksheet = workbook.addWorksheet(sheetName, { tabColor: { argb: 'FF4ECDC4' } });
 
       // Title
-      worksheet.mergeCells('A1:P1');
+      worksheet.mergeCells('A1:Q1');
       const titleCell = worksheet.getCell('A1');
       titleCell.value = `Annual Capacity Heatmap - ${yearToExport}`;
       titleCell.font = { name: 'Calibri', size: 14, bold: true, color: { argb: 'FFFFFFFF' } };
@@ -1270,7 +2460,7 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
       worksheet.getRow(1).height = 25;
 
       // Headers
-      const headers = ['Member', 'Role', 'Vendor', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Avg %'];
+      const headers = ['Member', 'Role', 'Vendor', 'Working Pattern', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Avg %'];
       const headerRow = worksheet.addRow(headers);
       headerRow.font = styles.headerGray.font;
       headerRow.fill = styles.headerGray.fill;
@@ -1282,6 +2472,7 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
           member.fullName,
           member.role,
           member.vendorName,
+          member.workingPattern || 'Full time',
           ...(member.months || []).map(m => `${m.utilization.toFixed(0)}%`),
           `${member.yearlyAverage.toFixed(0)}%`
         ];
@@ -1289,15 +2480,15 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
         const dataRow = worksheet.addRow(row);
         const fillColor = idx % 2 === 0 ? 'FFFFFFFF' : 'FFF5F5F5';
 
-        for (let i = 1; i <= 16; i++) {
+        for (let i = 1; i <= 17; i++) {
           const cell = dataRow.getCell(i);
           cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fillColor } };
           cell.border = styles.dataLight.border;
           cell.font = { name: 'Calibri', size: 11 };
 
-          // Color code the utilization cells (columns 4-15)
-          if (i >= 4 && i <= 15 && member.months && member.months[i - 4]) {
-            const util = member.months[i - 4].utilization;
+          // Color code the utilization cells (columns 5-16)
+          if (i >= 5 && i <= 16 && member.months && member.months[i - 5]) {
+            const util = member.months[i - 5].utilization;
             cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: getUtilizationColor(util) } };
             cell.font = { name: 'Calibri', size: 11, bold: true, color: { argb: 'FF000000' } };
           }
@@ -1309,11 +2500,12 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
         { width: 20 },  // Member
         { width: 15 },  // Role
         { width: 15 },  // Vendor
+        { width: 18 },  // Working Pattern
         ...Array(13).fill(null).map(() => ({ width: 10 }))  // 12 months + Avg
       ];
 
       // Freeze panes
-      worksheet.views = [{ state: 'frozen', ySplit: 2, xSplit: 3 }];
+      worksheet.views = [{ state: 'frozen', ySplit: 2, xSplit: 4 }];
     };
 
     // Create heatmap sheets for both years
@@ -1428,6 +2620,113 @@ ipcMain.handle('export-resource-overview', async (event, exportData) => {
   }
 });
 
+ipcMain.handle('export-allocation-audit', async (event, exportData) => {
+  try {
+    console.log('[IPC] Starting allocation audit export');
+
+    const ExcelJSLib = global.ExcelJS || require('exceljs');
+    const workbook = new ExcelJSLib.Workbook();
+
+    workbook.creator = 'Allocation Audit Log';
+    workbook.lastModifiedBy = 'Allocation Audit Log';
+    workbook.created = new Date();
+    workbook.modified = new Date();
+
+    const border = { top: { style: 'thin', color: { argb: 'FFE0E0E0' } }, left: { style: 'thin', color: { argb: 'FFE0E0E0' } }, bottom: { style: 'thin', color: { argb: 'FFE0E0E0' } }, right: { style: 'thin', color: { argb: 'FFE0E0E0' } } };
+    const actionColors = { create: 'FFD4EDDA', update: 'FFFFF3CD', delete: 'FFF8D7DA' };
+
+    const worksheet = workbook.addWorksheet('Audit Log', { tabColor: { argb: 'FF333333' } });
+
+    // Title
+    worksheet.mergeCells('A1:K1');
+    const titleCell = worksheet.getCell('A1');
+    titleCell.value = exportData.title || 'Allocation Change History';
+    titleCell.font = { name: 'Calibri', size: 14, bold: true, color: { argb: 'FFFFFFFF' } };
+    titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF333333' } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    worksheet.getRow(1).height = 25;
+
+    // Headers
+    const headerRow = worksheet.addRow(['Timestamp', 'User', 'Action', 'Project', 'Member', 'Allocation', 'Month', 'Before MDs', 'After MDs', 'Delta', 'Reason']);
+    headerRow.font = { name: 'Calibri', size: 12, bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF333333' } };
+    headerRow.height = 20;
+
+    // One row per changed month, one row for entries without MD changes
+    (exportData.entries || []).forEach(entry => {
+      const changes = entry.changes && entry.changes.length > 0 ? entry.changes : [null];
+      changes.forEach(change => {
+        const row = worksheet.addRow([
+          new Date(entry.timestamp).toLocaleString(),
+          entry.user,
+          entry.action,
+          entry.projectName,
+          entry.memberName || entry.teamMemberId,
+          entry.allocationId,
+          change ? change.month : '',
+          change ? change.before : '',
+          change ? change.after : '',
+          change ? Math.round((change.after - change.before) * 100) / 100 : '',
+          entry.reason || ''
+        ]);
+
+        row.eachCell({ includeEmpty: true }, cell => {
+          cell.font = { name: 'Calibri', size: 11 };
+          cell.border = border;
+        });
+        row.getCell(3).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: actionColors[entry.action] || 'FFFFFFFF' } };
+      });
+    });
+
+    worksheet.columns = [
+      { width: 20 },  // Timestamp
+      { width: 16 },  // User
+      { width: 10 },  // Action
+      { width: 24 },  // Project
+      { width: 20 },  // Member
+      { width: 28 },  // Allocation
+      { width: 10 },  // Month
+      { width: 12 },  // Before
+      { width: 12 },  // After
+      { width: 10 },  // Delta
+      { width: 40 }   // Reason
+    ];
+    worksheet.views = [{ state: 'frozen', ySplit: 2 }];
+
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    // Generate filename
+    const timestamp = new Date().toISOString().split('T')[0];
+    const filename = `Allocation_Audit_Log_${timestamp}.xlsx`;
+    const downloadsPath = app.getPath('downloads');
+    let filePath = path.join(downloadsPath, filename);
+
+    // Handle file collision
+    if (fsSync.existsSync(filePath)) {
+      const timeStr = new Date().toISOString().replace(/[:.]/g, '').slice(0, -5);
+      const ext = path.extname(filename);
+      const basename = path.basename(filename, ext);
+      filePath = path.join(downloadsPath, `${basename}_${timeStr}${ext}`);
+    }
+
+    fsSync.writeFileSync(filePath, buffer);
+
+    console.log(`[IPC] Allocation audit export saved: ${filePath}`);
+    return {
+      success: true,
+      filename: path.basename(filePath),
+      path: filePath
+    };
+
+  } catch (error) {
+    console.error('[IPC] Error during allocation audit export:', error);
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    };
+  }
+});
+
 ipcMain.handle('confirm-window-close', (event, canClose) => {
     if (mainWindow && canClose) {
         mainWindow.destroy();
@@ -1468,6 +2767,23 @@ ipcMain.handle('trigger-action', async (event, action) => {
 // App event handlers
 app.whenReady().then(createWindow);
 
+// Locks must be gone before the process exits, so they are released synchronously
+app.on('will-quit', () => {
+    projectsWatcher?.close();
+
+    for (const filePath of heldProjectLocks) {
+        try {
+            const lockPath = getProjectLockPath(filePath);
+            if (JSON.parse(fsSync.readFileSync(lockPath, 'utf8')).sessionId === lockSessionId) {
+                fsSync.unlinkSync(lockPath);
+            }
+        } catch (error) {
+            console.warn('Failed to release project lock:', filePath, error.message);
+        }
+    }
+    heldProjectLocks.clear();
+});
+
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') {
         app.quit();
@@ -4,11 +4,31 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
     // Project file operations
-    saveProjectFile: (projectData) => ipcRenderer.invoke('save-project-file', projectData),
+    saveProjectFile: (projectData, options) => ipcRenderer.invoke('save-project-file', projectData, options),
     loadProjectFile: (filePath) => ipcRenderer.invoke('load-project-file', filePath),
     deleteProjectFile: (filePath) => ipcRenderer.invoke('delete-project-file', filePath),
     checkFileExists: (filePath) => ipcRenderer.invoke('check-file-exists', filePath),
     listProjects: () => ipcRenderer.invoke('list-projects'),
+    acquireProjectLock: (filePath) => ipcRenderer.invoke('acquire-project-lock', filePath),
+    releaseProjectLock: (filePath) => ipcRenderer.invoke('release-project-lock', filePath),
+    listProjectBackups: (filePath) => ipcRenderer.invoke('list-project-backups', filePath),
+    restoreProjectBackup: (filePath, backupPath) => ipcRenderer.invoke('restore-project-backup', filePath, backupPath),
+    writeProjectFile: (filePath, projectData) => ipcRenderer.invoke('write-project-file', filePath, projectData),
+    // Trash of deleted projects (.trash in the projects folder)
+    listTrash: () => ipcRenderer.invoke('list-trash'),
+    restoreFromTrash: (trashPath) => ipcRenderer.invoke('restore-from-trash', trashPath),
+    purgeFromTrash: (trashPath) => ipcRenderer.invoke('purge-from-trash', trashPath),
+    emptyTrash: () => ipcRenderer.invoke('empty-trash'),
+    // Workspace backup (all projects, capacity data, configuration and settings)
+    createWorkspaceBackup: (options) => ipcRenderer.invoke('create-workspace-backup', options),
+    inspectWorkspaceBackup: (backupPath) => ipcRenderer.invoke('inspect-workspace-backup', backupPath),
+    restoreWorkspaceBackup: (backupPath, selectedPaths) => ipcRenderer.invoke('restore-workspace-backup', backupPath, selectedPaths),
+    // Live add/change/delete events of the projects folder; returns an unsubscribe function
+    onProjectsFolderChanged: (callback) => {
+        const listener = (event, change) => callback(change);
+        ipcRenderer.on('projects-folder-changed', listener);
+        return () => ipcRenderer.removeListener('projects-folder-changed', listener);
+    },
 
     // Projects folder operations
     getProjectsPath: () => ipcRenderer.invoke('get-projects-path'),
@@ -16,6 +36,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     chooseProjectsFolder: () => ipcRenderer.invoke('choose-projects-folder'),
     openProjectsFolder: () => ipcRenderer.invoke('open-projects-folder'),
 
+    // Workspaces (named projects folders with their own configuration and allocations)
+    listWorkspaces: () => ipcRenderer.invoke('list-workspaces'),
+    saveWorkspace: (workspace) => ipcRenderer.invoke('save-workspace', workspace),
+    deleteWorkspace: (workspaceId) => ipcRenderer.invoke('delete-workspace', workspaceId),
+    switchWorkspace: (workspaceId) => ipcRenderer.invoke('switch-workspace', workspaceId),
+    chooseWorkspaceFile: (title) => ipcRenderer.invoke('choose-workspace-file', title),
+    getGlobalConfigPath: () => ipcRenderer.invoke('get-global-config-path'),
+
     // Settings operations
     getSettings: () => ipcRenderer.invoke('get-settings'),
     saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
@@ -28,6 +56,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     loadResourceAllocations: () => ipcRenderer.invoke('load-resource-allocations'),
     saveResourceAllocations: (allocations) => ipcRenderer.invoke('save-resource-allocations', allocations),
 
+    // Project templates (Global - config/templates.json)
+    loadProjectTemplates: () => ipcRenderer.invoke('load-project-templates'),
+    saveProjectTemplates: (templates) => ipcRenderer.invoke('save-project-templates', templates),
+
+    // What-if allocation scenarios (Global - capacity/scenarios.json)
+    loadAllocationScenarios: () => ipcRenderer.invoke('load-allocation-scenarios'),
+    saveAllocationScenarios: (scenarios) => ipcRenderer.invoke('save-allocation-scenarios', scenarios),
+
+    // Allocation audit trail (Global - capacity/audit-log.jsonl, append-only)
+    loadAllocationAudit: () => ipcRenderer.invoke('load-allocation-audit'),
+    appendAllocationAudit: (entries) => ipcRenderer.invoke('append-allocation-audit', entries),
+
     // Menu actions
     onMenuAction: (callback) => ipcRenderer.on('menu-action', callback),
 
@@ -38,11 +78,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // File operations (legacy for export)
     saveFile: (defaultPath, data) => ipcRenderer.invoke('save-file', defaultPath, data),
     openFile: () => ipcRenderer.invoke('open-file'),
+    saveIcsFiles: (files) => ipcRenderer.invoke('save-ics-files', files),
 
     // Excel export file operations
     saveExcelFile: (filename, data) => ipcRenderer.invoke('save-excel-file', { filename, data }),
     exportTicketReport: (exportData) => ipcRenderer.invoke('export-ticket-report', exportData),
     exportResourceOverview: (exportData) => ipcRenderer.invoke('export-resource-overview', exportData),
+    exportAllocationAudit: (exportData) => ipcRenderer.invoke('export-allocation-audit', exportData),
 
     // Window controls
     minimize: () => ipcRenderer.invoke('window-minimize'),
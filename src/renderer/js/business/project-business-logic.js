@@ -129,6 +129,7 @@ class ProjectBusinessLogic extends BaseComponent {
 
             // Create project data structure
             const projectData = {
+                schemaVersion: window.projectMigrationActions?.currentVersion,
                 project: {
                     id: formData.code,
                     code: formData.code,
@@ -165,6 +166,18 @@ class ProjectBusinessLogic extends BaseComponent {
                 }
             };
 
+            // Start from a template: its features, assumptions, phases and settings, placeholders filled in
+            if (formData.template && window.projectTemplateActions) {
+                const content = window.projectTemplateActions.applyTemplate(formData.template, formData, formData.placeholderValues);
+                projectData.project.description = content.description;
+                projectData.project.template = { id: formData.template.id, name: formData.template.name };
+                projectData.features = content.features;
+                projectData.assumptions = content.assumptions;
+                if (content.phases) projectData.phases = content.phases;
+                if (content.workingPackageData) projectData.workingPackageData = content.workingPackageData;
+                if (content.config) projectData.config = content.config;
+            }
+
             // DEBUG: Verify project data before loading
             console.log('🔍 DEBUG: projectData before loadProjectData:', {
                 id: projectData.project.id,
@@ -189,7 +202,9 @@ class ProjectBusinessLogic extends BaseComponent {
             }
 
             console.log(`Created new project: ${formData.name}`);
-            NotificationManager.success(`Project "${formData.name}" created successfully`);
+            NotificationManager.success(formData.template
+                ? `Project "${formData.name}" created from template "${formData.template.name}"`
+                : `Project "${formData.name}" created successfully`);
 
         } catch (error) {
             console.error('Failed to create new project:', error);
@@ -235,7 +250,11 @@ class ProjectBusinessLogic extends BaseComponent {
         try {
             console.log(`Loading project data from source: ${source}`);
             console.trace(`🔍 DEBUG: loadProjectData called with source: ${source}`);
-            
+
+            // Upgrade files saved with an older project format before validating them
+            const migration = this.migrateProjectData(projectData);
+            projectData = migration.project;
+
             // Validate project data
             this.validateProjectData(projectData);
 
@@ -275,6 +294,8 @@ class ProjectBusinessLogic extends BaseComponent {
             await this.waitForProjectInStore();
             console.log('✅ Project synchronized in store');
 
+            this.reportProjectMigration(projectData, migration.report);
+
             // Create initial version for new projects (AFTER store sync)
             if (source && source.startsWith('new-project-')) {
                 try {
@@ -311,6 +332,44 @@ class ProjectBusinessLogic extends BaseComponent {
         }
     }
 
+    /**
+     * Run the schema migrations the project needs (see ProjectMigrationActions)
+     * @returns {{project: Object, report: Object|null}} the upgraded project and what was done
+     */
+    migrateProjectData(projectData) {
+        const migrationActions = window.projectMigrationActions;
+        if (!migrationActions) {
+            console.warn('⚠️ projectMigrationActions not available, project loaded without schema migration');
+            return { project: projectData, report: null };
+        }
+
+        const result = migrationActions.migrateProject(projectData);
+        if (result.report.migrated) {
+            console.log('🔧 Project schema migration:', result.report);
+        }
+        return result;
+    }
+
+    /**
+     * Tell the user how the project was upgraded; the upgraded project is unsaved until they save it
+     */
+    reportProjectMigration(projectData, report) {
+        this.lastMigrationReport = report;
+        if (!report || (!report.migrated && !report.newerThanSupported)) {
+            return;
+        }
+
+        const message = `"${projectData.project.name}": ${window.projectMigrationActions.describeReport(report)}`;
+        if (report.newerThanSupported) {
+            NotificationManager.warning(message, { duration: 10000 });
+            return;
+        }
+
+        this.app.store?.getState().markDirty();
+        NotificationManager.info(`${message}. Save the project to keep the upgrade.`, { duration: 10000 });
+        window.dispatchEvent(new CustomEvent('project-migrated', { detail: report }));
+    }
+
     validateProjectData(projectData) {
         if (!projectData || typeof projectData !== 'object') {
             throw new Error('Invalid project data');
@@ -335,6 +394,18 @@ class ProjectBusinessLogic extends BaseComponent {
         if (!projectData.config || typeof projectData.config !== 'object') {
             throw new Error('Invalid configuration data');
         }
+
+        // Anything else the project file schema rejects is reported, not fatal: the project
+        // opens so it can be fixed, but saving is refused until it matches the schema
+        const schemaResult = window.schemaValidationActions?.validateProject(projectData);
+        if (schemaResult && !schemaResult.valid) {
+            console.warn('Project does not match the project file schema:', schemaResult.errors);
+            NotificationManager.warning(
+                `The project has ${schemaResult.errors.length} validation problem(s) to fix before saving: ` +
+                window.schemaValidationActions.formatErrors(schemaResult.errors),
+                { duration: 10000 }
+            );
+        }
     }
 
     notifyProjectLoaded(projectData) {
@@ -385,7 +456,16 @@ class ProjectBusinessLogic extends BaseComponent {
             }
 
             // Save project (now includes manual finalMDsOverrides modifications)
-            const result = await this.app.dataManager.saveProject(state.currentProject);
+            let result = await this.app.dataManager.saveProject(state.currentProject);
+
+            // Someone else saved the file since it was opened: merge instead of overwriting their work
+            if (result.conflict) {
+                result = await this.resolveSaveConflict(state.currentProject, result);
+                if (!result) {
+                    NotificationManager.warning('Save cancelled: the project file was changed by someone else');
+                    return { success: false, cancelled: true };
+                }
+            }
             
             if (result.success) {
                 // Mark as clean
@@ -427,6 +507,71 @@ class ProjectBusinessLogic extends BaseComponent {
         }
     }
 
+    /**
+     * Three-way merge of a save conflict: the user picks a side for each conflicting item
+     * (or overwrites the file with their version), then the result is saved
+     * @returns {Promise<Object|null>} the save result, or null if the user cancelled
+     */
+    async resolveSaveConflict(myProject, conflict) {
+        const mergeActions = window.projectMergeActions;
+        if (!mergeActions) {
+            throw new Error(conflict.error || 'The project file was changed by someone else');
+        }
+
+        const merge = mergeActions.mergeProjects(this.app.dataManager.baseProjectData, myProject, conflict.data);
+        const decision = await this.showMergeDialog(merge, conflict);
+        if (!decision) {
+            return null;
+        }
+
+        const project = decision.overwrite ? myProject : mergeActions.applyResolutions(merge, decision.resolutions);
+        this.app.dataManager.acceptExternalVersion(conflict);
+
+        const result = await this.app.dataManager.saveProject(project);
+        if (result.conflict) {
+            // Changed again while the user was merging
+            return this.resolveSaveConflict(project, result);
+        }
+
+        if (result.success && project !== myProject) {
+            await this.loadProjectData(project, `file:${result.filePath}`);
+        }
+        return result;
+    }
+
+    /**
+     * Show the merge dialog
+     * @returns {Promise<{overwrite: boolean, resolutions: Object}|null>} null if cancelled
+     */
+    showMergeDialog(merge, conflict) {
+        return new Promise((resolve) => {
+            const ProjectMergeModal = window.ReactComponents?.ProjectMergeModal;
+            if (!ProjectMergeModal || !window.ReactDOM) {
+                const overwrite = confirm('The project file was changed by someone else since you opened it. Overwrite their changes with yours?');
+                resolve(overwrite ? { overwrite: true, resolutions: {} } : null);
+                return;
+            }
+
+            const container = document.createElement('div');
+            document.body.appendChild(container);
+            const root = window.ReactDOM.createRoot(container);
+
+            const close = (decision) => {
+                root.unmount();
+                container.remove();
+                resolve(decision);
+            };
+
+            root.render(window.React.createElement(ProjectMergeModal, {
+                merge,
+                lockedBy: conflict.lockedBy,
+                onMerge: (resolutions) => close({ overwrite: false, resolutions }),
+                onOverwrite: () => close({ overwrite: true, resolutions: {} }),
+                onCancel: () => close(null)
+            }));
+        });
+    }
+
     async closeCurrentProject() {
         try {
             if (!this.app.store) {
@@ -446,9 +591,9 @@ class ProjectBusinessLogic extends BaseComponent {
             // Clear current project
             state.setProject(null);
             
-            // Clear data manager state
+            // Clear data manager state (and release the project lock)
             if (this.app.dataManager) {
-                this.app.dataManager.currentProjectPath = null;
+                await this.app.dataManager.closeProjectFile();
             }
 
             // Reset window title to default
@@ -479,6 +624,15 @@ class ProjectBusinessLogic extends BaseComponent {
                 await this.loadProjectData(projectData, `file:${filePath}`);
                 console.log(`✅ Project loaded successfully: ${projectData.project.name}`);
                 NotificationManager.success(`Project loaded successfully`);
+
+                const lock = this.app.dataManager.currentProjectLock;
+                if (lock) {
+                    NotificationManager.warning(
+                        `"${projectData.project.name}" is also open by ${lock.user} (${lock.host}) since ${new Date(lock.openedAt).toLocaleString()}. ` +
+                        'Your save will be checked against their changes.',
+                        { duration: 10000 }
+                    );
+                }
             } else {
                 throw new Error('Invalid project data returned from DataManager');
             }
@@ -522,16 +676,24 @@ class ProjectBusinessLogic extends BaseComponent {
         }
     }
 
+    /**
+     * Export a saved project as a bundle (the open project is exported with its unsaved changes)
+     */
     async exportSavedProject(filePath) {
         try {
             if (!this.app.dataManager) {
                 throw new Error('Data manager not available');
             }
 
-            // This would typically open a file dialog and export
-            // For now, just log the action
-            console.log(`Exporting project: ${filePath}`);
-            NotificationManager.success('Export functionality would be implemented here');
+            const state = this.app.store?.getState();
+            const projectData = filePath === this.app.dataManager.currentProjectPath && state?.currentProject
+                ? state.currentProject
+                : await this.app.dataManager.readProject(filePath);
+            if (!projectData?.project) {
+                throw new Error('Project could not be read');
+            }
+
+            await this.exportProjectBundle(projectData);
         } catch (error) {
             console.error('Failed to export project:', error);
             NotificationManager.error(`Failed to export project: ${error.message}`);
@@ -539,13 +701,223 @@ class ProjectBusinessLogic extends BaseComponent {
         }
     }
 
+    /**
+     * Save a project bundle: the project plus the vendors, categories and phase definitions it depends on
+     * @returns {Promise<boolean>} false if the user cancelled
+     */
+    async exportProjectBundle(projectData) {
+        const bundleActions = window.projectBundleActions;
+        if (!bundleActions) {
+            throw new Error('Project bundles are not available');
+        }
+
+        const bundle = bundleActions.createBundle(projectData, this.app.managers?.config?.globalConfig);
+        const fileName = `${projectData.project.name.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.bundle.json`;
+
+        if (window.electronAPI?.saveFile) {
+            const result = await window.electronAPI.saveFile(fileName, bundle);
+            if (result.canceled) {
+                return false;
+            }
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save bundle');
+            }
+        } else {
+            Helpers.downloadAsFile(JSON.stringify(bundle, null, 2), fileName, 'application/json');
+        }
+
+        NotificationManager.success(
+            `Project "${projectData.project.name}" exported with ${bundle.config.vendors.length} vendor(s) and ${bundle.config.categories.length} category(ies)`
+        );
+        return true;
+    }
+
+    /**
+     * Import a project bundle (or a plain project file) and save it to the projects folder.
+     * The bundled configuration is mapped or merged into the global configuration first.
+     * @returns {Promise<boolean>} false if the user cancelled
+     */
+    async importProject() {
+        try {
+            if (!window.electronAPI?.openFile) {
+                NotificationManager.warning('Importing project files is only available in the desktop application');
+                return false;
+            }
+
+            const file = await window.electronAPI.openFile();
+            if (file.canceled) {
+                return false;
+            }
+            if (!file.success) {
+                throw new Error(file.error || 'Failed to open file');
+            }
+
+            const bundleActions = window.projectBundleActions;
+            let projectData = file.data;
+
+            if (bundleActions?.isBundle(file.data)) {
+                const configManager = this.app.managers?.config;
+                const globalConfig = configManager?.globalConfig || {};
+                const items = bundleActions.analyzeBundle(file.data, globalConfig);
+
+                const projectId = file.data.project.project?.id;
+                const savedProjects = await this.app.dataManager.listProjects();
+                const existingIds = savedProjects.map(saved => saved.project?.id).filter(Boolean);
+                const existing = savedProjects.find(saved => saved.project?.id === projectId) || null;
+
+                const decision = await this.showBundleImportDialog(file.data, items, existing);
+                if (!decision) {
+                    return false;
+                }
+
+                const result = bundleActions.applyImport(file.data, globalConfig, decision.resolutions, {
+                    projectId: decision.asCopy ? bundleActions.getCopyId(projectId, existingIds) : undefined
+                });
+
+                if (result.configChanged) {
+                    configManager.globalConfig = result.globalConfig;
+                    const saved = await configManager.saveGlobalConfig();
+                    if (!saved.success) {
+                        throw new Error(saved.error || 'Failed to update the global configuration');
+                    }
+                }
+                projectData = result.project;
+            }
+
+            // Open it as a new, unsaved project, then save it under its own file name
+            await this.app.dataManager.closeProjectFile();
+            await this.loadProjectData(projectData, 'import');
+            this.app.store?.getState().markDirty();
+            await this.saveCurrentProject();
+
+            NotificationManager.success(`Project "${projectData.project.name}" imported`);
+            return true;
+        } catch (error) {
+            console.error('Failed to import project:', error);
+            NotificationManager.error(`Failed to import project: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Show the bundle import dialog
+     * @returns {Promise<{resolutions: Object, asCopy: boolean}|null>} null if cancelled
+     */
+    showBundleImportDialog(bundle, items, existingProject) {
+        return new Promise((resolve) => {
+            const BundleImportModal = window.ReactComponents?.BundleImportModal;
+            if (!BundleImportModal || !window.ReactDOM) {
+                const proceed = confirm(`Import "${bundle.project.project?.name}" adding the missing configuration items?`);
+                resolve(proceed ? { resolutions: {}, asCopy: !!existingProject } : null);
+                return;
+            }
+
+            const container = document.createElement('div');
+            document.body.appendChild(container);
+            const root = window.ReactDOM.createRoot(container);
+
+            const close = (decision) => {
+                root.unmount();
+                container.remove();
+                resolve(decision);
+            };
+
+            root.render(window.React.createElement(BundleImportModal, {
+                bundle,
+                items,
+                existingProject,
+                globalConfig: this.app.managers?.config?.globalConfig || {},
+                onImport: (resolutions, asCopy) => close({ resolutions, asCopy }),
+                onCancel: () => close(null)
+            }));
+        });
+    }
+
+    /**
+     * Check a file against the published JSON Schemas and list every problem, without opening it
+     * (project files and bundles, global configuration exports and allocations files)
+     * @param {string|null} filePath - Saved project to check; asks for a file when omitted
+     * @returns {Promise<Object|null>} The validation result, null if cancelled
+     */
+    async validateProjectFile(filePath = null) {
+        try {
+            const validator = window.schemaValidationActions;
+            if (!validator) {
+                throw new Error('Schema validation not available');
+            }
+
+            let data;
+            let fileName;
+            if (filePath) {
+                data = await this.app.dataManager.readProject(filePath);
+                if (!data) {
+                    return null;
+                }
+                fileName = filePath;
+            } else {
+                if (!window.electronAPI?.openFile) {
+                    NotificationManager.warning('Validating files is only available in the desktop application');
+                    return null;
+                }
+
+                const file = await window.electronAPI.openFile();
+                if (file.canceled) {
+                    return null;
+                }
+                if (!file.success) {
+                    throw new Error(file.error || 'Failed to open file');
+                }
+                data = file.data;
+                fileName = file.filePath;
+            }
+
+            const result = validator.validateFile(data);
+            await this.showValidationReport(fileName.split(/[\\/]/).pop(), result);
+            return result;
+        } catch (error) {
+            console.error('Failed to validate file:', error);
+            NotificationManager.error(`Failed to validate file: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Show the problems found by validateProjectFile
+     * @returns {Promise<void>} Resolves when the report is closed
+     */
+    showValidationReport(fileName, result) {
+        return new Promise((resolve) => {
+            const SchemaValidationModal = window.ReactComponents?.SchemaValidationModal;
+            if (!SchemaValidationModal || !window.ReactDOM) {
+                const problems = result.errors.map(error => `${error.path} ${error.message}`).join('\n');
+                alert(result.valid ? `${fileName}: no problems found` : `${fileName}:\n${problems}`);
+                resolve();
+                return;
+            }
+
+            const container = document.createElement('div');
+            document.body.appendChild(container);
+            const root = window.ReactDOM.createRoot(container);
+
+            root.render(window.React.createElement(SchemaValidationModal, {
+                fileName,
+                result,
+                onClose: () => {
+                    root.unmount();
+                    container.remove();
+                    resolve();
+                }
+            }));
+        });
+    }
+
     async deleteSavedProject(filePath) {
         try {
             if (!this.app.dataManager) {
                 throw new Error('Data manager not available');
             }
 
-            const confirmed = confirm('Are you sure you want to delete this project? This action cannot be undone.');
+            const confirmed = confirm('Move this project to the trash? It can be restored from Projects → Trash.');
             if (!confirmed) {
                 return;
             }
@@ -560,7 +932,7 @@ class ProjectBusinessLogic extends BaseComponent {
                 await this.loadSavedProjects();
                 
                 console.log(`✅ Project deleted successfully: ${filePath}`);
-                NotificationManager.success('Project deleted successfully');
+                NotificationManager.success('Project moved to the trash');
             } else {
                 throw new Error('Delete operation failed');
             }
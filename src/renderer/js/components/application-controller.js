@@ -273,7 +273,17 @@ class ApplicationController extends BaseComponent {
         // Initialize WorkingDaysCalculator instance globally
         if (window.WorkingDaysCalculator && typeof window.WorkingDaysCalculator === 'function') {
             window.WorkingDaysCalculator = new window.WorkingDaysCalculator();
+            window.WorkingDaysCalculator.configureHolidays(this.managers.config.globalConfig);
             console.log('✅ WorkingDaysCalculator instance initialized');
+
+            // Keep holiday calendars in sync with global configuration changes
+            if (window.appStore) {
+                window.appStore.subscribe((state, previousState) => {
+                    if (state.globalConfig && state.globalConfig !== previousState.globalConfig) {
+                        window.WorkingDaysCalculator.configureHolidays(state.globalConfig);
+                    }
+                });
+            }
         }
 
         console.log('Core managers initialized');
@@ -298,6 +308,12 @@ class ApplicationController extends BaseComponent {
                 window.appStore.getState().setResourceAllocations(allocations || []);
                 console.log('✅ Resource allocations loaded:', allocations?.length || 0, 'items');
             }
+
+            // What-if scenarios are loaded alongside; the app always starts on the baseline
+            const scenarios = await this.managers.data.loadAllocationScenarios();
+            if (window.appStore) {
+                window.appStore.getState().setAllocationScenarios(scenarios || []);
+            }
         } catch (error) {
             console.error('❌ Failed to load resource allocations:', error);
             // Set empty array on error
@@ -661,6 +677,9 @@ class ApplicationController extends BaseComponent {
             <div class="context-menu-item" data-action="export-excel" style="padding: var(--spacing-sm); cursor: pointer; border-radius: var(--radius-sm);">
                 <i class="fas fa-file-excel"></i> Export as Excel
             </div>
+            <div class="context-menu-item" data-action="export-bundle" style="padding: var(--spacing-sm); cursor: pointer; border-radius: var(--radius-sm);">
+                <i class="fas fa-box"></i> Export as Bundle (with configuration)
+            </div>
             <div style="height: 1px; background: var(--border-primary); margin: var(--spacing-xs) 0;"></div>
             <div class="context-menu-item" data-action="export-global-config" style="padding: var(--spacing-sm); cursor: pointer; border-radius: var(--radius-sm);">
                 <i class="fas fa-globe"></i> Export Global Configuration
@@ -686,6 +705,8 @@ class ApplicationController extends BaseComponent {
             if (action) {
                 if (action === 'export-global-config') {
                     await this.exportGlobalConfiguration();
+                } else if (action === 'export-bundle') {
+                    await this.exportProjectBundle();
                 } else {
                     const format = action.replace('export-', '');
                     await this.exportProject(format);
@@ -767,8 +788,8 @@ class ApplicationController extends BaseComponent {
      * Export project as CSV
      */
     async exportCSV(filename) {
-        // Export features to CSV using FeatureManager
-        const csvData = this.managers.feature?.generateCSV();
+        // Export features to CSV (in hierarchy order) using the data serializers
+        const csvData = this.managers.data.serializers.generateCSV(StateSelectors.getCurrentProject() || {});
         if (!csvData) {
             throw new Error('No CSV data available');
         }
@@ -868,15 +889,18 @@ class ApplicationController extends BaseComponent {
 
         // Headers
         const headers = [
-            'ID', 'Description', 'Category', 'Feature Type', 'Supplier', 
+            'ID', 'Level', 'Parent ID', 'Description', 'Category', 'Feature Type', 'Supplier', 
             'Real Man Days', 'Expertise %', 'Risk Margin %', 
-            'Calculated Man Days', 'Notes', 'Created', 'Modified'
+            'Calculated Man Days', 'Rolled-up Man Days', 'Notes', 'Created', 'Modified'
         ];
 
-        // Convert features to rows
-        const rows = features.map(feature => [
+        // Convert features to rows, each parent followed by its children
+        const hierarchyRows = this.managers.data.serializers.getHierarchyRows(features);
+        const rows = hierarchyRows.map(({ feature, depth, rollUp }) => [
             feature.id || '',
-            feature.description || '',
+            feature.level || 'feature',
+            feature.parentId || '',
+            '  '.repeat(depth) + (feature.description || ''),
             this.managers.feature?.getCategoryName(currentProject, feature.category) || '',
             this.managers.feature?.getFeatureTypeName(currentProject, feature.featureType) || '',
             this.managers.feature?.getSupplierName(currentProject, feature.supplier) || '',
@@ -884,6 +908,7 @@ class ApplicationController extends BaseComponent {
             feature.expertise || 100,
             feature.riskMargin || 0,
             feature.manDays || 0,
+            rollUp.manDays,
             feature.notes || '',
             feature.created ? new Date(feature.created).toLocaleDateString() : '',
             feature.modified ? new Date(feature.modified).toLocaleDateString() : ''
@@ -894,12 +919,15 @@ class ApplicationController extends BaseComponent {
 
         // Set column widths
         const columnWidths = [
-            {wch: 12}, {wch: 40}, {wch: 15}, {wch: 18}, {wch: 15},
-            {wch: 12}, {wch: 12}, {wch: 12}, {wch: 15},
+            {wch: 12}, {wch: 10}, {wch: 12}, {wch: 40}, {wch: 15}, {wch: 18}, {wch: 15},
+            {wch: 12}, {wch: 12}, {wch: 12}, {wch: 15}, {wch: 15},
             {wch: 30}, {wch: 12}, {wch: 12}
         ];
         worksheet['!cols'] = columnWidths;
 
+        // Outline levels let Excel collapse the children of each epic and feature
+        worksheet['!rows'] = [{}, ...hierarchyRows.map(({ depth }) => (depth > 0 ? { level: Math.min(depth, 7) } : {}))];
+
         return worksheet;
     }
 
@@ -1665,7 +1693,7 @@ class ApplicationController extends BaseComponent {
      */
     async createFeaturesSheetExcelJS(workbook) {
         const worksheet = workbook.addWorksheet('Features', {
-            properties: { tabColor: { argb: 'FF00B050' } },
+            properties: { tabColor: { argb: 'FF00B050' }, outlineProperties: { summaryBelow: false } },
             views: [{ state: 'frozen', ySplit: 1 }]
         });
 
@@ -1722,14 +1750,15 @@ class ApplicationController extends BaseComponent {
         };
 
         // Title
-        worksheet.mergeCells('A1:J1');
+        worksheet.mergeCells('A1:M1');
         const titleCell = worksheet.getCell('A1');
         titleCell.value = 'PROJECT FEATURES';
         titleCell.style = styles.title;
         worksheet.getRow(1).height = 30;
 
         // Headers - updated with Feature Type column
-        const headers = ['ID', 'Description', 'Category', 'Feature Type', 'Supplier', 'Real MD', 'Expertise %', 'Risk %', 'Calculated MD', 'Notes'];
+        // Same column order as the SheetJS export and the CSV
+        const headers = ['ID', 'Level', 'Parent ID', 'Description', 'Category', 'Feature Type', 'Supplier', 'Real MD', 'Expertise %', 'Risk %', 'Calculated MD', 'Rolled-up MD', 'Notes'];
         const headerRow = worksheet.getRow(2);
         headers.forEach((header, index) => {
             const cell = headerRow.getCell(index + 1);
@@ -1737,26 +1766,31 @@ class ApplicationController extends BaseComponent {
             cell.style = styles.header;
         });
 
-        // Data rows
-        features.forEach((feature, index) => {
+        // Data rows in hierarchy order; outline levels make the children collapsible in Excel
+        const hierarchyRows = this.managers.data.serializers.getHierarchyRows(features);
+        hierarchyRows.forEach(({ feature, depth, rollUp }, index) => {
             const row = worksheet.getRow(index + 3);
+            row.outlineLevel = Math.min(depth, 7);
             
             // Alternate row colors
             const fillColor = index % 2 === 0 ? 'FFF2F2F2' : 'FFFFFFFF';
             
             row.getCell(1).value = feature.id;
-            row.getCell(2).value = feature.description;
-            row.getCell(3).value = lookupCategoryName(feature.category); // Category name instead of ID
-            row.getCell(4).value = lookupFeatureTypeDescription(feature.category, feature.featureType); // Feature type description
-            row.getCell(5).value = lookupSupplierName(feature.supplier); // Supplier name instead of ID
-            row.getCell(6).value = feature.realManDays || 0;
-            row.getCell(7).value = feature.expertise ?? 100;
-            row.getCell(8).value = feature.riskMargin ?? 10; // Use nullish coalescing to handle 0 correctly
-            row.getCell(9).value = feature.manDays || 0;
-            row.getCell(10).value = feature.notes || '';
+            row.getCell(2).value = feature.level || 'feature';
+            row.getCell(3).value = feature.parentId || '';
+            row.getCell(4).value = feature.description;
+            row.getCell(5).value = lookupCategoryName(feature.category); // Category name instead of ID
+            row.getCell(6).value = lookupFeatureTypeDescription(feature.category, feature.featureType); // Feature type description
+            row.getCell(7).value = lookupSupplierName(feature.supplier); // Supplier name instead of ID
+            row.getCell(8).value = feature.realManDays || 0;
+            row.getCell(9).value = feature.expertise ?? 100;
+            row.getCell(10).value = feature.riskMargin ?? 10; // Use nullish coalescing to handle 0 correctly
+            row.getCell(11).value = feature.manDays || 0;
+            row.getCell(12).value = rollUp.manDays;
+            row.getCell(13).value = feature.notes || '';
             
             // Apply styles
-            for (let i = 1; i <= 10; i++) {
+            for (let i = 1; i <= headers.length; i++) {
                 const cell = row.getCell(i);
                 cell.style = {
                     fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: fillColor } },
@@ -1769,13 +1803,15 @@ class ApplicationController extends BaseComponent {
                 };
                 
                 // Number formatting for numeric columns
-                if (i === 6 || i === 9) { // Real MD and Calculated MD
+                if (i === 8 || i === 11 || i === 12) { // Real MD, Calculated MD and Rolled-up MD
                     cell.numFmt = '#,##0.0';
                     cell.alignment = { horizontal: 'right' };
-                } else if (i === 7 || i === 8) { // Expertise and Risk percentages
+                } else if (i === 9 || i === 10) { // Expertise and Risk percentages
                     cell.numFmt = '0%';
                     cell.value = cell.value / 100; // Convert to percentage
                     cell.alignment = { horizontal: 'right' };
+                } else if (i === 4) { // Description, indented under its parent
+                    cell.alignment = { vertical: 'top', wrapText: true, indent: depth * 2 };
                 } else {
                     cell.alignment = { vertical: 'top', wrapText: true };
                 }
@@ -1793,17 +1829,17 @@ class ApplicationController extends BaseComponent {
         const totalRealMD = features.reduce((sum, f) => sum + (f.realManDays || 0), 0);
         const totalCalcMD = features.reduce((sum, f) => sum + (f.manDays || 0), 0);
         
-        summaryRow.getCell(6).value = totalRealMD;
-        summaryRow.getCell(6).numFmt = '#,##0.0';
-        summaryRow.getCell(6).style = {
+        summaryRow.getCell(8).value = totalRealMD;
+        summaryRow.getCell(8).numFmt = '#,##0.0';
+        summaryRow.getCell(8).style = {
             font: { bold: true },
             fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2EFDA' } },
             alignment: { horizontal: 'right' }
         };
         
-        summaryRow.getCell(9).value = totalCalcMD;
-        summaryRow.getCell(9).numFmt = '#,##0.0';
-        summaryRow.getCell(9).style = {
+        summaryRow.getCell(11).value = totalCalcMD;
+        summaryRow.getCell(11).numFmt = '#,##0.0';
+        summaryRow.getCell(11).style = {
             font: { bold: true },
             fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2EFDA' } },
             alignment: { horizontal: 'right' }
@@ -1812,6 +1848,8 @@ class ApplicationController extends BaseComponent {
         // Set column widths - updated for new Feature Type column
         worksheet.columns = [
             { width: 12 }, // ID
+            { width: 10 }, // Level
+            { width: 12 }, // Parent ID
             { width: 40 }, // Description
             { width: 15 }, // Category
             { width: 25 }, // Feature Type (new column)
@@ -1820,6 +1858,7 @@ class ApplicationController extends BaseComponent {
             { width: 12 }, // Expertise
             { width: 10 }, // Risk
             { width: 12 }, // Calculated MD
+            { width: 14 }, // Rolled-up MD
             { width: 30 }  // Notes
         ];
     }
@@ -2316,6 +2355,23 @@ class ApplicationController extends BaseComponent {
         ];
     }
 
+    /**
+     * Export the current project as a bundle with the configuration it depends on
+     */
+    async exportProjectBundle() {
+        const currentProject = StateSelectors.getCurrentProject();
+        if (!currentProject) return;
+
+        try {
+            await this.managers.project.exportProjectBundle(currentProject);
+        } catch (error) {
+            console.error('Failed to export project bundle:', error);
+            if (window.NotificationManager) {
+                NotificationManager.show('Failed to export project bundle', 'error');
+            }
+        }
+    }
+
     /**
      * Export global configuration
      */
@@ -2357,9 +2413,11 @@ class ApplicationController extends BaseComponent {
                 'show-recent-projects': () => this.managers.project?.showLoadProjectModal(),
                 'load-project-file': () => this.managers.project?.importProject(),
                 'import-project': () => this.managers.project?.importProject(),
+                'validate-project': () => this.managers.project?.validateProjectFile(),
                 'export-json': () => this.exportProject('json'),
                 'export-csv': () => this.exportProject('csv'),
                 'export-excel': () => this.exportProject('excel'),
+                'export-bundle': () => this.exportProjectBundle(),
                 'backup-data': () => this.backupData(),
                 'restore-data': () => this.restoreData(),
                 'open-settings': () => this.managers.navigation.navigateTo('configuration')
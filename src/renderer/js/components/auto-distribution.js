@@ -662,7 +662,9 @@ class AutoDistribution {
             } catch (error) {
                 // Fallback to basic working days calculation (no vacations/allocations)
                 const [year, month] = monthString.split('-').map(Number);
-                const basicWorkingDays = this.workingDaysCalculator.calculateWorkingDays(month, year, teamMember.country || 'IT');
+                const basicWorkingDays = this.workingDaysCalculator.hasWorkingPattern?.(teamMember)
+                    ? this.workingDaysCalculator.calculateMemberWorkingDays(teamMember, new Date(year, month - 1, 1), new Date(year, month, 0))
+                    : this.workingDaysCalculator.calculateWorkingDays(month, year, teamMember.country || 'IT');
                 totalCapacity += basicWorkingDays;
             }
         }
@@ -196,6 +196,24 @@ class ConfigurationManager extends BaseComponent {
             };
         }
 
+        // Merge holiday calendars by code: stored rule sets override defaults
+        if (storedConfig.holidayCalendars && Array.isArray(storedConfig.holidayCalendars)) {
+            merged.holidayCalendars = merged.holidayCalendars || [];
+            storedConfig.holidayCalendars.forEach(storedCalendar => {
+                const index = merged.holidayCalendars.findIndex(c => c.code === storedCalendar.code);
+                if (index >= 0) {
+                    merged.holidayCalendars[index] = storedCalendar;
+                } else {
+                    merged.holidayCalendars.push(storedCalendar);
+                }
+            });
+        }
+
+        // Company closures are user-maintained: stored list replaces defaults
+        if (storedConfig.companyClosures && Array.isArray(storedConfig.companyClosures)) {
+            merged.companyClosures = storedConfig.companyClosures;
+        }
+
         // Preserve rateMatrixConfig from stored config if it has more data
         if (storedConfig.rateMatrixConfig) {
             // Merge locations
@@ -279,6 +297,8 @@ class ConfigurationManager extends BaseComponent {
         const defaultCategories = await this.defaultConfigManager.getDefaultCategories();
         const defaultTeams = await this.defaultConfigManager.getDefaultTeams();
         const phaseDefinitions = await this.defaultConfigManager.getPhaseDefinitions();
+        const holidayCalendars = await this.defaultConfigManager.getHolidayCalendars();
+        const companyClosures = await this.defaultConfigManager.getCompanyClosures();
 
         console.log('[ConfigManager] Loaded from defaults.json:', {
             vendorsCount: defaultVendors?.length || 0,
@@ -295,6 +315,8 @@ class ConfigurationManager extends BaseComponent {
             rateMatrixConfig: rateMatrixConfig,
             categories: normalizedCategories || [],
             teams: defaultTeams || [],
+            holidayCalendars: holidayCalendars || [],
+            companyClosures: companyClosures || [],
             calculationParams: this.createDefaultCalculationParams()
         };
     }
@@ -960,6 +982,9 @@ class ConfigurationValidators {
             throw new Error('Global configuration must be an object');
         }
 
+        // Published global configuration schema (provided by the React layer)
+        window.schemaValidationActions?.assertValid('globalConfig', config);
+
         const requiredProps = ['vendors', 'categories', 'calculationParams', 'rateMatrixConfig'];
         for (const prop of requiredProps) {
             if (!(prop in config)) {
@@ -970,6 +995,42 @@ class ConfigurationValidators {
         this.validateVendors(config.vendors);
         this.validateCategories(config.categories);
         this.validateCalculationParams(config.calculationParams);
+
+        if (config.holidayCalendars !== undefined || config.companyClosures !== undefined) {
+            this.validateHolidayConfig(config);
+        }
+    }
+
+    validateHolidayConfig(config) {
+        const calendars = config.holidayCalendars || [];
+        const closures = config.companyClosures || [];
+
+        if (!Array.isArray(calendars) || !Array.isArray(closures)) {
+            throw new Error('Holiday calendars and company closures must be arrays');
+        }
+
+        calendars.forEach((calendar, index) => {
+            if (!calendar.code || !Array.isArray(calendar.rules)) {
+                throw new Error(`Holiday calendar at index ${index} missing required fields (code, rules)`);
+            }
+            if (calendar.regions !== undefined && !Array.isArray(calendar.regions)) {
+                throw new Error(`Holiday calendar ${calendar.code} regions must be an array`);
+            }
+            (calendar.regions || []).forEach((region, regionIndex) => {
+                if (!region.code || !Array.isArray(region.rules)) {
+                    throw new Error(`Region at index ${regionIndex} of holiday calendar ${calendar.code} missing required fields (code, rules)`);
+                }
+            });
+            if (window.HolidayCalendar) {
+                calendar.rules.forEach(rule => window.HolidayCalendar.validateRule(rule));
+                (calendar.regions || []).forEach(region =>
+                    region.rules.forEach(rule => window.HolidayCalendar.validateRule(rule)));
+            }
+        });
+
+        if (window.HolidayCalendar) {
+            closures.forEach(rule => window.HolidayCalendar.validateRule(rule));
+        }
     }
 
     validateVendors(vendors) {
@@ -30,6 +30,7 @@ class ConfigurationUIManager {
                         <button class="tab-button" data-tab="global">Global Config</button>
                         <button class="tab-button" data-tab="vendors-rates">Vendors & Rates</button>
                         <button class="tab-button" data-tab="teams">Teams</button>
+                        <button class="tab-button" data-tab="holidays">Holidays</button>
                         <button class="tab-button" data-tab="categories">Categories</button>
                         <button class="tab-button" data-tab="parameters">Parameters</button>
                     </div>
@@ -51,6 +52,7 @@ class ConfigurationUIManager {
             { id: 'global', title: 'Global Default Configuration', description: 'These settings apply to all new projects by default. Projects can override these settings individually.' },
             { id: 'vendors-rates', title: 'Vendors & Rates Configuration', description: 'Manage all external suppliers and internal resources, and configure their rate matrix based on location, seniority, and job cluster.' },
             { id: 'teams', title: 'Teams & Team Members Configuration', description: 'Manage teams and their members. Each team member must be associated with a vendor (supplier or internal resource).' },
+            { id: 'holidays', title: 'Holiday Calendars Configuration', description: 'Manage national, regional and office holiday calendars used for capacity planning.' },
             { id: 'categories', title: 'Feature Categories Configuration', description: 'Manage feature categories and their complexity multipliers.' },
             { id: 'parameters', title: 'Calculation Parameters', description: 'Configure global calculation parameters like working days, currency, and margins.' }
         ];
@@ -123,6 +125,9 @@ class ConfigurationUIManager {
                 case 'teams':
                     await this.loadTeamsConfig(contentDiv);
                     break;
+                case 'holidays':
+                    await this.loadHolidaysConfig(contentDiv);
+                    break;
                 case 'categories':
                     await this.loadCategoriesConfig(contentDiv);
                     break;
@@ -196,6 +201,18 @@ class ConfigurationUIManager {
         teamsManager.renderTeamsPage(contentDiv);
     }
 
+    /**
+     * Carica configurazione calendari festività
+     */
+    async loadHolidaysConfig(contentDiv) {
+        if (!this.subManagers.has('holidays')) {
+            this.subManagers.set('holidays', new HolidayCalendarsConfigManager(this.app, this.configManager));
+        }
+
+        const holidaysManager = this.subManagers.get('holidays');
+        holidaysManager.renderHolidaysPage(contentDiv);
+    }
+
     /**
      * Carica configurazione categorie
      */
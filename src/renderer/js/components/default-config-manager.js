@@ -15,7 +15,15 @@ class DefaultConfigManager {
         }
 
         try {
-            if (window.electronAPI && window.electronAPI.getProjectsPath) {
+            if (window.electronAPI && window.electronAPI.getGlobalConfigPath) {
+                // The active workspace's configuration file (config/defaults.json in its folder unless set)
+                const sanitizedPath = this._sanitizePath(await window.electronAPI.getGlobalConfigPath());
+                if (!sanitizedPath) {
+                    throw new Error('Invalid configuration path - security validation failed');
+                }
+                this.configPath = `file://${sanitizedPath}`;
+                return this.configPath;
+            } else if (window.electronAPI && window.electronAPI.getProjectsPath) {
                 const projectsPath = await window.electronAPI.getProjectsPath();
                 const sanitizedPath = this._sanitizePath(projectsPath);
                 if (!sanitizedPath) {
@@ -150,6 +158,8 @@ class DefaultConfigManager {
         validatedConfig.phaseDefinitions = Array.isArray(config.phaseDefinitions) ? config.phaseDefinitions : [];
         validatedConfig.categories = Array.isArray(config.categories) ? config.categories : [];
         validatedConfig.defaultTeams = Array.isArray(config.defaultTeams) ? config.defaultTeams : [];
+        validatedConfig.holidayCalendars = Array.isArray(config.holidayCalendars) ? config.holidayCalendars : [];
+        validatedConfig.companyClosures = Array.isArray(config.companyClosures) ? config.companyClosures : [];
 
         return validatedConfig;
     }
@@ -179,6 +189,16 @@ class DefaultConfigManager {
         return this.config.defaultTeams || [];
     }
 
+    async getHolidayCalendars() {
+        await this.loadConfiguration();
+        return this.config.holidayCalendars || [];
+    }
+
+    async getCompanyClosures() {
+        await this.loadConfiguration();
+        return this.config.companyClosures || [];
+    }
+
     
     reset() {
         this.config = null;
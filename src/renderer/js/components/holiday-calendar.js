@@ -0,0 +1,470 @@
+/**
+ * Holiday Calendar
+ *
+ * Computes public holidays for any year from rule sets instead of
+ * hard-coded date lists. Supports:
+ * - Fixed-date feasts (e.g. 25 April)
+ * - Movable feasts relative to Western or Orthodox Easter
+ *   (Good Friday, Easter Monday, Pentecost, ...)
+ * - Nth weekday of a month (e.g. last Monday of May)
+ * - One-off dates (useful for company closures)
+ *
+ * Built-in calendars cover Italy (IT) and Romania (RO). Additional
+ * countries are defined as rule sets in config/defaults.json
+ * (`holidayCalendars`), and company-specific closure days are read from
+ * `companyClosures`.
+ *
+ * A calendar may define `regions` (offices/cities) with extra rules such as
+ * patron saint days. Regional calendars are addressed as `<country>-<region>`
+ * (e.g. 'IT-MI') and include all country-level holidays.
+ *
+ * Rule format:
+ *   { type: 'fixed', month: 4, day: 25, name: 'Liberation Day' }
+ *   { type: 'easter', calendar: 'western' | 'orthodox', offset: 1, name: 'Easter Monday' }
+ *   { type: 'nthWeekday', month: 5, weekday: 1, nth: -1, name: 'Spring Bank Holiday' }
+ *   { type: 'date', date: '2031-12-24', name: 'Christmas Eve closure' }
+ * Every rule accepts optional `fromYear` / `toYear` bounds.
+ */
+
+class HolidayCalendar {
+    constructor(config = null) {
+        this.calendars = {};
+        this.companyClosures = [];
+        this._cache = new Map(); // calendarCode-year -> Map(dateString -> holiday)
+
+        HolidayCalendar.BUILT_IN_CALENDARS.forEach(calendar => this.registerCalendar(calendar));
+
+        if (config) {
+            this.configure(config);
+        }
+    }
+
+    /**
+     * Apply holiday configuration from global config.
+     * Calendars with the same code as a built-in one replace it.
+     * @param {Object} config Object with `holidayCalendars` and `companyClosures` arrays
+     */
+    configure(config = {}) {
+        this.calendars = {};
+        HolidayCalendar.BUILT_IN_CALENDARS.forEach(calendar => this.registerCalendar(calendar));
+
+        (config.holidayCalendars || []).forEach(calendar => {
+            try {
+                this.registerCalendar(calendar);
+            } catch (error) {
+                console.warn(`Skipping invalid holiday calendar ${calendar?.code}:`, error.message);
+            }
+        });
+
+        this.companyClosures = (config.companyClosures || []).filter(rule => {
+            try {
+                HolidayCalendar.validateRule(rule);
+                return true;
+            } catch (error) {
+                console.warn('Skipping invalid company closure:', error.message);
+                return false;
+            }
+        });
+
+        this.clearCache();
+    }
+
+    /**
+     * Register (or replace) a calendar rule set
+     * @param {Object} calendar Calendar with `code`, `name` and `rules`
+     */
+    registerCalendar(calendar) {
+        if (!calendar || !calendar.code) {
+            throw new Error('Holiday calendar code is required');
+        }
+        if (!Array.isArray(calendar.rules)) {
+            throw new Error(`Holiday calendar ${calendar.code} must define a rules array`);
+        }
+
+        if (calendar.code.includes(HolidayCalendar.REGION_SEPARATOR)) {
+            throw new Error(`Holiday calendar code ${calendar.code} must not contain "${HolidayCalendar.REGION_SEPARATOR}"`);
+        }
+
+        calendar.rules.forEach(rule => HolidayCalendar.validateRule(rule));
+
+        const regions = calendar.regions || [];
+        if (!Array.isArray(regions)) {
+            throw new Error(`Holiday calendar ${calendar.code} regions must be an array`);
+        }
+        regions.forEach(region => {
+            if (!region.code || !Array.isArray(region.rules)) {
+                throw new Error(`Region in holiday calendar ${calendar.code} missing required fields (code, rules)`);
+            }
+            region.rules.forEach(rule => HolidayCalendar.validateRule(rule));
+        });
+
+        this.calendars[calendar.code] = {
+            code: calendar.code,
+            name: calendar.name || calendar.code,
+            rules: calendar.rules,
+            regions: regions.map(region => ({
+                code: region.code,
+                name: region.name || region.code,
+                rules: region.rules
+            }))
+        };
+        this.clearCache();
+    }
+
+    /**
+     * Get available calendars with their regions
+     * @returns {Array} Array of { code, name, regions: [{ code, name }] }
+     */
+    getCalendars() {
+        return Object.values(this.calendars).map(({ code, name, regions }) => ({
+            code,
+            name,
+            regions: regions.map(region => ({ code: region.code, name: region.name }))
+        }));
+    }
+
+    /**
+     * Check if a calendar (or regional calendar) is defined
+     * @param {string} code Calendar code, e.g. 'IT' or 'IT-MI'
+     * @returns {boolean}
+     */
+    hasCalendar(code) {
+        const { country, region } = HolidayCalendar.parseCalendarCode(code);
+        const calendar = this.calendars[country];
+        if (!calendar) return false;
+        return !region || calendar.regions.some(r => r.code === region);
+    }
+
+    /**
+     * Get a display name for a calendar code, e.g. 'Italy - Milan'
+     * @param {string} code Calendar code
+     * @returns {string}
+     */
+    getCalendarName(code) {
+        const { country, region } = HolidayCalendar.parseCalendarCode(code);
+        const calendar = this.calendars[country];
+        if (!calendar) return code;
+
+        const regionEntry = region ? calendar.regions.find(r => r.code === region) : null;
+        return regionEntry ? `${calendar.name} - ${regionEntry.name}` : calendar.name;
+    }
+
+    /**
+     * Get all holidays (national holidays and company closures) in a year
+     * @param {number} year Year
+     * @param {string} code Calendar code
+     * @returns {Array} Sorted array of { date, name, type } where type is 'holiday' or 'closure'
+     */
+    getHolidays(year, code = 'IT') {
+        return Array.from(this._getHolidayMap(year, code).values())
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Check if a date is a holiday or company closure
+     * @param {Date|string} date Date object or YYYY-MM-DD string
+     * @param {string} code Calendar code
+     * @returns {boolean}
+     */
+    isHoliday(date, code = 'IT') {
+        return this.getHoliday(date, code) !== null;
+    }
+
+    /**
+     * Get holiday details for a date
+     * @param {Date|string} date Date object or YYYY-MM-DD string
+     * @param {string} code Calendar code
+     * @returns {Object|null} Holiday { date, name, type } or null
+     */
+    getHoliday(date, code = 'IT') {
+        const dateString = typeof date === 'string' ? date : HolidayCalendar.formatDate(date);
+        const year = parseInt(dateString.split('-')[0], 10);
+        return this._getHolidayMap(year, code).get(dateString) || null;
+    }
+
+    /**
+     * Clear computed holidays cache
+     */
+    clearCache() {
+        this._cache.clear();
+    }
+
+    /**
+     * Compute (and cache) the holiday map for a calendar/year
+     * @private
+     */
+    _getHolidayMap(year, code) {
+        const cacheKey = `${code}-${year}`;
+        if (this._cache.has(cacheKey)) {
+            return this._cache.get(cacheKey);
+        }
+
+        const holidays = new Map();
+        const { country, region } = HolidayCalendar.parseCalendarCode(code);
+        const calendar = this.calendars[country];
+
+        if (calendar) {
+            const regionEntry = region ? calendar.regions.find(r => r.code === region) : null;
+            const rules = regionEntry ? [...calendar.rules, ...regionEntry.rules] : calendar.rules;
+
+            rules.forEach(rule => {
+                const date = HolidayCalendar.resolveRule(rule, year);
+                if (date && !holidays.has(date)) {
+                    holidays.set(date, { date, name: rule.name || 'Holiday', type: 'holiday' });
+                }
+            });
+        }
+
+        this.companyClosures.forEach(rule => {
+            // Closures can be limited to countries ('IT') or specific offices ('IT-MI')
+            if (Array.isArray(rule.countries) && rule.countries.length > 0 &&
+                !rule.countries.includes(country) && !rule.countries.includes(code)) {
+                return;
+            }
+            const date = HolidayCalendar.resolveRule(rule, year);
+            if (date && !holidays.has(date)) {
+                holidays.set(date, { date, name: rule.name || 'Company closure', type: 'closure' });
+            }
+        });
+
+        this._cache.set(cacheKey, holidays);
+        return holidays;
+    }
+
+    /**
+     * Build a calendar code from a member calendar reference
+     * @param {Object|string} reference { country, region } or calendar code
+     * @returns {string|null} Calendar code such as 'IT' or 'IT-MI'
+     */
+    static toCalendarCode(reference) {
+        if (!reference) return null;
+        if (typeof reference === 'string') return reference;
+        if (!reference.country) return null;
+        return reference.region
+            ? `${reference.country}${HolidayCalendar.REGION_SEPARATOR}${reference.region}`
+            : reference.country;
+    }
+
+    /**
+     * Split a calendar code into country and region
+     * @param {string} code Calendar code such as 'IT' or 'IT-MI'
+     * @returns {Object} { country, region }
+     */
+    static parseCalendarCode(code) {
+        const [country, ...regionParts] = String(code || '').split(HolidayCalendar.REGION_SEPARATOR);
+        return { country, region: regionParts.length > 0 ? regionParts.join(HolidayCalendar.REGION_SEPARATOR) : null };
+    }
+
+    /**
+     * Resolve a rule to a YYYY-MM-DD date for the given year
+     * @param {Object} rule Holiday rule
+     * @param {number} year Year
+     * @returns {string|null} Date string, or null if the rule does not apply to the year
+     */
+    static resolveRule(rule, year) {
+        if (rule.fromYear && year < rule.fromYear) return null;
+        if (rule.toYear && year > rule.toYear) return null;
+
+        switch (rule.type) {
+            case 'fixed':
+                return HolidayCalendar.formatDate(new Date(year, rule.month - 1, rule.day));
+
+            case 'easter': {
+                const easter = rule.calendar === 'orthodox'
+                    ? HolidayCalendar.computeOrthodoxEaster(year)
+                    : HolidayCalendar.computeWesternEaster(year);
+                easter.setDate(easter.getDate() + (rule.offset || 0));
+                return HolidayCalendar.formatDate(easter);
+            }
+
+            case 'nthWeekday':
+                return HolidayCalendar._resolveNthWeekday(rule, year);
+
+            case 'date':
+                return rule.date.startsWith(`${year}-`) ? rule.date : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Validate a holiday rule
+     * @param {Object} rule Holiday rule
+     * @throws {Error} If the rule is malformed
+     */
+    static validateRule(rule) {
+        if (!rule || !HolidayCalendar.RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Invalid holiday rule type: ${rule?.type}`);
+        }
+
+        const isMonth = value => Number.isInteger(value) && value >= 1 && value <= 12;
+
+        if (rule.type === 'fixed' && (!isMonth(rule.month) || !Number.isInteger(rule.day) || rule.day < 1 || rule.day > 31)) {
+            throw new Error(`Invalid fixed holiday rule: ${rule.name || JSON.stringify(rule)}`);
+        }
+        if (rule.type === 'easter' && rule.offset !== undefined && !Number.isInteger(rule.offset)) {
+            throw new Error(`Invalid easter offset: ${rule.offset}`);
+        }
+        if (rule.type === 'easter' && rule.calendar && !['western', 'orthodox'].includes(rule.calendar)) {
+            throw new Error(`Invalid easter calendar: ${rule.calendar}`);
+        }
+        if (rule.type === 'nthWeekday' && (!isMonth(rule.month) || !Number.isInteger(rule.weekday) ||
+            rule.weekday < 0 || rule.weekday > 6 || ![1, 2, 3, 4, 5, -1].includes(rule.nth))) {
+            throw new Error(`Invalid nth weekday rule: ${rule.name || JSON.stringify(rule)}`);
+        }
+        if (rule.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(rule.date || '')) {
+            throw new Error(`Invalid date rule: ${rule.date}`);
+        }
+    }
+
+    /**
+     * Western (Gregorian) Easter Sunday - anonymous Gregorian algorithm
+     * @param {number} year Year
+     * @returns {Date} Easter Sunday (local time)
+     */
+    static computeWesternEaster(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Orthodox Easter Sunday - Meeus Julian algorithm converted to the Gregorian calendar
+     * @param {number} year Year
+     * @returns {Date} Easter Sunday (local time, Gregorian calendar)
+     */
+    static computeOrthodoxEaster(year) {
+        const a = year % 4;
+        const b = year % 7;
+        const c = year % 19;
+        const d = (19 * c + 15) % 30;
+        const e = (2 * a + 4 * b - d + 34) % 7;
+        const month = Math.floor((d + e + 114) / 31);
+        const day = ((d + e + 114) % 31) + 1;
+
+        // Julian to Gregorian offset (13 days for 1900-2099)
+        const julianOffset = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+
+        return new Date(year, month - 1, day + julianOffset);
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD using local time
+     * @param {Date} date Date
+     * @returns {string}
+     */
+    static formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Resolve nth (or last, nth = -1) weekday of a month
+     * @private
+     */
+    static _resolveNthWeekday(rule, year) {
+        if (rule.nth === -1) {
+            const date = new Date(year, rule.month, 0); // Last day of month
+            while (date.getDay() !== rule.weekday) {
+                date.setDate(date.getDate() - 1);
+            }
+            return HolidayCalendar.formatDate(date);
+        }
+
+        const date = new Date(year, rule.month - 1, 1);
+        while (date.getDay() !== rule.weekday) {
+            date.setDate(date.getDate() + 1);
+        }
+        date.setDate(date.getDate() + (rule.nth - 1) * 7);
+
+        // 5th weekday may not exist in every month
+        return date.getMonth() === rule.month - 1 ? HolidayCalendar.formatDate(date) : null;
+    }
+}
+
+HolidayCalendar.MIN_YEAR = 1583;
+HolidayCalendar.MAX_YEAR = 4099;
+
+HolidayCalendar.RULE_TYPES = ['fixed', 'easter', 'nthWeekday', 'date'];
+
+HolidayCalendar.REGION_SEPARATOR = '-';
+
+HolidayCalendar.BUILT_IN_CALENDARS = [
+    {
+        code: 'IT',
+        name: 'Italy',
+        rules: [
+            { type: 'fixed', month: 1, day: 1, name: "New Year's Day" },
+            { type: 'fixed', month: 1, day: 6, name: 'Epiphany' },
+            { type: 'easter', calendar: 'western', offset: 1, name: 'Easter Monday' },
+            { type: 'fixed', month: 4, day: 25, name: 'Liberation Day' },
+            { type: 'fixed', month: 5, day: 1, name: 'Labour Day' },
+            { type: 'fixed', month: 6, day: 2, name: 'Republic Day' },
+            { type: 'fixed', month: 8, day: 15, name: 'Assumption of Mary' },
+            { type: 'fixed', month: 11, day: 1, name: "All Saints' Day" },
+            { type: 'fixed', month: 12, day: 8, name: 'Immaculate Conception' },
+            { type: 'fixed', month: 12, day: 25, name: 'Christmas Day' },
+            { type: 'fixed', month: 12, day: 26, name: "St. Stephen's Day" }
+        ],
+        regions: [
+            { code: 'MI', name: 'Milan', rules: [{ type: 'fixed', month: 12, day: 7, name: "Sant'Ambrogio" }] },
+            { code: 'RM', name: 'Rome', rules: [{ type: 'fixed', month: 6, day: 29, name: 'Santi Pietro e Paolo' }] },
+            { code: 'TO', name: 'Turin', rules: [{ type: 'fixed', month: 6, day: 24, name: 'San Giovanni Battista' }] },
+            { code: 'GE', name: 'Genoa', rules: [{ type: 'fixed', month: 6, day: 24, name: 'San Giovanni Battista' }] },
+            { code: 'FI', name: 'Florence', rules: [{ type: 'fixed', month: 6, day: 24, name: 'San Giovanni Battista' }] },
+            { code: 'BO', name: 'Bologna', rules: [{ type: 'fixed', month: 10, day: 4, name: 'San Petronio' }] },
+            { code: 'NA', name: 'Naples', rules: [{ type: 'fixed', month: 9, day: 19, name: 'San Gennaro' }] },
+            { code: 'PA', name: 'Palermo', rules: [{ type: 'fixed', month: 7, day: 15, name: 'Santa Rosalia' }] },
+            { code: 'BA', name: 'Bari', rules: [{ type: 'fixed', month: 12, day: 6, name: 'San Nicola' }] },
+            { code: 'VR', name: 'Verona', rules: [{ type: 'fixed', month: 5, day: 21, name: 'San Zeno' }] }
+        ]
+    },
+    {
+        code: 'RO',
+        name: 'Romania',
+        rules: [
+            { type: 'fixed', month: 1, day: 1, name: "New Year's Day" },
+            { type: 'fixed', month: 1, day: 2, name: "New Year's Day" },
+            { type: 'fixed', month: 1, day: 6, name: 'Epiphany', fromYear: 2024 },
+            { type: 'fixed', month: 1, day: 7, name: 'St. John the Baptist', fromYear: 2024 },
+            { type: 'fixed', month: 1, day: 24, name: 'Union Day' },
+            { type: 'easter', calendar: 'orthodox', offset: -2, name: 'Orthodox Good Friday', fromYear: 2018 },
+            { type: 'easter', calendar: 'orthodox', offset: 0, name: 'Orthodox Easter' },
+            { type: 'easter', calendar: 'orthodox', offset: 1, name: 'Orthodox Easter Monday' },
+            { type: 'fixed', month: 5, day: 1, name: 'Labour Day' },
+            { type: 'fixed', month: 6, day: 1, name: "Children's Day" },
+            { type: 'easter', calendar: 'orthodox', offset: 49, name: 'Orthodox Pentecost' },
+            { type: 'easter', calendar: 'orthodox', offset: 50, name: 'Orthodox Whit Monday' },
+            { type: 'fixed', month: 8, day: 15, name: 'Assumption of Mary' },
+            { type: 'fixed', month: 11, day: 30, name: "St. Andrew's Day" },
+            { type: 'fixed', month: 12, day: 1, name: 'National Day' },
+            { type: 'fixed', month: 12, day: 25, name: 'Christmas Day' },
+            { type: 'fixed', month: 12, day: 26, name: 'Christmas Day' }
+        ]
+    }
+];
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+    window.HolidayCalendar = HolidayCalendar;
+}
@@ -0,0 +1,840 @@
+/**
+ * Holiday Calendars Configuration Manager
+ * Manages national holiday calendars, their regional/office calendars
+ * (e.g. patron saint days per city) and company closure days.
+ *
+ * Built-in calendars (IT, RO) are edited by storing a copy in
+ * globalConfig.holidayCalendars, which overrides the built-in rule set.
+ */
+
+class HolidayCalendarsConfigManager {
+    constructor(app, configManager) {
+        this.app = app;
+        this.configManager = configManager;
+        this.container = null;
+        this.selectedCalendarCode = null;
+        this.previewRegion = '';
+        this.previewYear = new Date().getFullYear();
+        this.ruleTarget = null; // { scope: 'calendar' | 'region' | 'closures', regionCode }
+
+        this.isSaving = false;
+
+        this.boundClickHandler = this.handleClick.bind(this);
+        this.boundSubmitHandler = this.handleSubmit.bind(this);
+        this.boundChangeHandler = this.handleChange.bind(this);
+    }
+
+    /**
+     * Get the shared holiday calendar engine
+     */
+    getEngine() {
+        return window.WorkingDaysCalculator?.holidayCalendar || null;
+    }
+
+    /**
+     * Render the holiday calendars configuration page
+     */
+    renderHolidaysPage(container) {
+        if (!container) return;
+
+        if (this.container) {
+            this.container.removeEventListener('click', this.boundClickHandler);
+            this.container.removeEventListener('submit', this.boundSubmitHandler);
+            this.container.removeEventListener('change', this.boundChangeHandler);
+        }
+        this.container = container;
+
+        container.innerHTML = `
+            <div class="holidays-config-container">
+                <div class="teams-header">
+                    <h2><i class="fas fa-calendar-day"></i> Holiday Calendars</h2>
+                    <p class="teams-description">
+                        Public holidays are computed from rules for every year. Add regions or offices to a country
+                        for local holidays (e.g. patron saint days), then assign them to team members in Teams.
+                    </p>
+                </div>
+
+                <div class="teams-table-container">
+                    <div class="teams-master-detail-layout">
+                        <div class="teams-master-panel">
+                            <div class="panel-header">
+                                <h3>Calendars</h3>
+                                <button class="btn btn-small btn-primary" data-action="add-calendar">
+                                    <i class="fas fa-plus"></i> Add Calendar
+                                </button>
+                            </div>
+                            <div class="teams-list" id="holiday-calendars-list"></div>
+                        </div>
+                        <div class="teams-detail-panel">
+                            <div class="team-details-section" id="holiday-calendar-details">
+                                <div class="no-selection-message">
+                                    <i class="fas fa-info-circle"></i>
+                                    <p>Select a calendar to view and edit its holidays</p>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="holiday-closures-section" id="holiday-closures-section"></div>
+            </div>
+
+            ${this.renderModals()}
+        `;
+
+        container.addEventListener('click', this.boundClickHandler);
+        container.addEventListener('submit', this.boundSubmitHandler);
+        container.addEventListener('change', this.boundChangeHandler);
+
+        this.renderCalendarsList();
+        this.renderCalendarDetails();
+        this.renderClosures();
+    }
+
+    renderModals() {
+        return `
+            <div id="holiday-calendar-modal" class="modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 id="holiday-calendar-modal-title">Add Calendar</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="holiday-calendar-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="holiday-calendar-code">Code *</label>
+                                    <input type="text" id="holiday-calendar-code" required maxlength="10" placeholder="e.g. DE or MI">
+                                </div>
+                                <div class="form-group">
+                                    <label for="holiday-calendar-name">Name *</label>
+                                    <input type="text" id="holiday-calendar-name" required maxlength="100" placeholder="e.g. Germany or Milan">
+                                </div>
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary modal-close">Cancel</button>
+                        <button type="submit" class="btn btn-primary" form="holiday-calendar-form">Save</button>
+                    </div>
+                </div>
+            </div>
+
+            <div id="holiday-rule-modal" class="modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 id="holiday-rule-modal-title">Add Holiday</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="holiday-rule-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="holiday-rule-name">Name *</label>
+                                    <input type="text" id="holiday-rule-name" required maxlength="100">
+                                </div>
+                                <div class="form-group">
+                                    <label for="holiday-rule-type">Type *</label>
+                                    <select id="holiday-rule-type">
+                                        <option value="fixed">Fixed date every year</option>
+                                        <option value="easter">Relative to Easter</option>
+                                        <option value="nthWeekday">Nth weekday of month</option>
+                                        <option value="date">Single date</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-row holiday-rule-fields" data-rule-types="fixed nthWeekday">
+                                <div class="form-group">
+                                    <label for="holiday-rule-month">Month</label>
+                                    <input type="number" id="holiday-rule-month" min="1" max="12" value="1">
+                                </div>
+                                <div class="form-group holiday-rule-fields" data-rule-types="fixed">
+                                    <label for="holiday-rule-day">Day</label>
+                                    <input type="number" id="holiday-rule-day" min="1" max="31" value="1">
+                                </div>
+                            </div>
+                            <div class="form-row holiday-rule-fields" data-rule-types="easter">
+                                <div class="form-group">
+                                    <label for="holiday-rule-easter-calendar">Easter</label>
+                                    <select id="holiday-rule-easter-calendar">
+                                        <option value="western">Western</option>
+                                        <option value="orthodox">Orthodox</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="holiday-rule-offset">Days from Easter Sunday</label>
+                                    <input type="number" id="holiday-rule-offset" min="-100" max="100" value="0">
+                                </div>
+                            </div>
+                            <div class="form-row holiday-rule-fields" data-rule-types="nthWeekday">
+                                <div class="form-group">
+                                    <label for="holiday-rule-weekday">Weekday</label>
+                                    <select id="holiday-rule-weekday">
+                                        ${HolidayCalendarsConfigManager.WEEKDAYS.map((name, index) => `<option value="${index}">${name}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="holiday-rule-nth">Occurrence</label>
+                                    <select id="holiday-rule-nth">
+                                        <option value="1">First</option>
+                                        <option value="2">Second</option>
+                                        <option value="3">Third</option>
+                                        <option value="4">Fourth</option>
+                                        <option value="5">Fifth</option>
+                                        <option value="-1">Last</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-group holiday-rule-fields" data-rule-types="date">
+                                <label for="holiday-rule-date">Date</label>
+                                <input type="date" id="holiday-rule-date">
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="holiday-rule-from-year">From Year</label>
+                                    <input type="number" id="holiday-rule-from-year" min="1583" max="4099">
+                                </div>
+                                <div class="form-group">
+                                    <label for="holiday-rule-to-year">To Year</label>
+                                    <input type="number" id="holiday-rule-to-year" min="1583" max="4099">
+                                </div>
+                            </div>
+                            <div class="form-group holiday-closure-fields">
+                                <label for="holiday-rule-countries">Limit to calendars</label>
+                                <input type="text" id="holiday-rule-countries" placeholder="e.g. IT, IT-MI (empty = all offices)">
+                                <small class="form-help">Comma-separated calendar codes</small>
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary modal-close">Cancel</button>
+                        <button type="submit" class="btn btn-primary" form="holiday-rule-form">Save Holiday</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the list of calendars (master panel)
+     */
+    renderCalendarsList() {
+        const list = this.container?.querySelector('#holiday-calendars-list');
+        const engine = this.getEngine();
+        if (!list || !engine) return;
+
+        const customCodes = this.getConfiguredCalendars().map(calendar => calendar.code);
+
+        list.innerHTML = engine.getCalendars().map(calendar => `
+            <div class="team-item ${calendar.code === this.selectedCalendarCode ? 'selected' : ''}"
+                 data-action="select-calendar" data-calendar-code="${this.escapeHtml(calendar.code)}">
+                <div class="team-item-header">
+                    <h4 class="team-name">${this.escapeHtml(calendar.name)} (${this.escapeHtml(calendar.code)})</h4>
+                    ${customCodes.includes(calendar.code) ? '<span class="holiday-badge">Customized</span>' : ''}
+                </div>
+                <div class="team-item-info">
+                    <div class="team-stats">
+                        <span class="team-member-count">
+                            <i class="fas fa-map-marker-alt"></i>
+                            ${calendar.regions.length} region${calendar.regions.length === 1 ? '' : 's'}
+                        </span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render rules, regions and year preview for the selected calendar
+     */
+    renderCalendarDetails() {
+        const details = this.container?.querySelector('#holiday-calendar-details');
+        const calendar = this.getCalendarDefinition(this.selectedCalendarCode);
+        if (!details) return;
+
+        if (!calendar) {
+            details.innerHTML = `
+                <div class="no-selection-message">
+                    <i class="fas fa-info-circle"></i>
+                    <p>Select a calendar to view and edit its holidays</p>
+                </div>
+            `;
+            return;
+        }
+
+        const isBuiltIn = HolidayCalendar.BUILT_IN_CALENDARS.some(c => c.code === calendar.code);
+        const isCustomized = this.getConfiguredCalendars().some(c => c.code === calendar.code);
+
+        details.innerHTML = `
+            <div class="team-detail-header">
+                <div class="team-detail-info">
+                    <h3>${this.escapeHtml(calendar.name)} (${this.escapeHtml(calendar.code)})</h3>
+                    <p>${isBuiltIn ? 'Built-in calendar' : 'Custom calendar'}${isCustomized && isBuiltIn ? ' with local changes' : ''}</p>
+                </div>
+                ${isCustomized ? `
+                    <button class="btn btn-small btn-destructive" data-action="delete-calendar"
+                            title="${isBuiltIn ? 'Discard changes and restore the built-in calendar' : 'Delete calendar'}">
+                        <i class="fas ${isBuiltIn ? 'fa-undo' : 'fa-trash'}"></i> ${isBuiltIn ? 'Restore Built-in' : 'Delete'}
+                    </button>
+                ` : ''}
+            </div>
+
+            <div class="team-members-section">
+                <div class="holiday-section-header">
+                    <h4>National Holidays</h4>
+                    <button class="btn btn-small btn-primary" data-action="add-rule" data-scope="calendar">
+                        <i class="fas fa-plus"></i> Add Holiday
+                    </button>
+                </div>
+                ${this.renderRulesTable(calendar.rules, 'calendar')}
+            </div>
+
+            <div class="team-members-section">
+                <div class="holiday-section-header">
+                    <h4>Regions / Offices</h4>
+                    <button class="btn btn-small btn-primary" data-action="add-region">
+                        <i class="fas fa-plus"></i> Add Region
+                    </button>
+                </div>
+                ${calendar.regions.length === 0 ? `
+                    <p class="teams-description">No regions defined. Members use national holidays only.</p>
+                ` : calendar.regions.map(region => `
+                    <div class="holiday-region">
+                        <div class="holiday-section-header">
+                            <h5>${this.escapeHtml(region.name)} (${this.escapeHtml(calendar.code)}-${this.escapeHtml(region.code)})</h5>
+                            <div class="team-actions holiday-region-actions">
+                                <button class="btn btn-small btn-secondary" data-action="add-rule" data-scope="region"
+                                        data-region-code="${this.escapeHtml(region.code)}" title="Add regional holiday">
+                                    <i class="fas fa-plus"></i>
+                                </button>
+                                <button class="btn btn-small btn-destructive" data-action="delete-region"
+                                        data-region-code="${this.escapeHtml(region.code)}" title="Delete region">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </div>
+                        ${this.renderRulesTable(region.rules, 'region', region.code)}
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="team-members-section">
+                <div class="holiday-section-header">
+                    <h4>Preview</h4>
+                    <div class="team-members-filters">
+                        <select id="holiday-preview-region" class="filter-dropdown">
+                            <option value="">National</option>
+                            ${calendar.regions.map(region => `
+                                <option value="${this.escapeHtml(region.code)}"${region.code === this.previewRegion ? ' selected' : ''}>${this.escapeHtml(region.name)}</option>
+                            `).join('')}
+                        </select>
+                        <input type="number" id="holiday-preview-year" class="filter-input" min="1583" max="4099" value="${this.previewYear}">
+                    </div>
+                </div>
+                ${this.renderPreview(calendar)}
+            </div>
+        `;
+    }
+
+    renderRulesTable(rules, scope, regionCode = '') {
+        if (!rules || rules.length === 0) {
+            return '<p class="teams-description">No holidays defined.</p>';
+        }
+
+        return `
+            <div class="team-members-table">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Rule</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rules.map((rule, index) => `
+                            <tr>
+                                <td>${this.escapeHtml(rule.name || 'Holiday')}</td>
+                                <td>${this.escapeHtml(HolidayCalendarsConfigManager.describeRule(rule))}</td>
+                                <td class="member-actions">
+                                    <button class="btn btn-small btn-destructive" data-action="delete-rule"
+                                            data-scope="${scope}" data-region-code="${this.escapeHtml(regionCode)}"
+                                            data-rule-index="${index}" title="Delete">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderPreview(calendar) {
+        const calculator = window.WorkingDaysCalculator;
+        if (!calculator?.getHolidays) return '';
+
+        const code = HolidayCalendar.toCalendarCode({ country: calendar.code, region: this.previewRegion });
+        let holidays;
+        try {
+            holidays = calculator.getHolidays(this.previewYear, code);
+        } catch (error) {
+            return `<p class="error">${this.escapeHtml(error.message)}</p>`;
+        }
+
+        return `
+            <ul class="holiday-preview-list">
+                ${holidays.map(holiday => `
+                    <li class="holiday-preview-item ${holiday.type}">
+                        <span class="holiday-preview-date">${holiday.date}</span>
+                        <span>${this.escapeHtml(holiday.name)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Render company closures (apply to every calendar unless limited)
+     */
+    renderClosures() {
+        const section = this.container?.querySelector('#holiday-closures-section');
+        if (!section) return;
+
+        const closures = this.configManager.globalConfig?.companyClosures || [];
+
+        section.innerHTML = `
+            <div class="team-members-section">
+                <div class="holiday-section-header">
+                    <h4><i class="fas fa-building"></i> Company Closures</h4>
+                    <button class="btn btn-small btn-primary" data-action="add-rule" data-scope="closures">
+                        <i class="fas fa-plus"></i> Add Closure
+                    </button>
+                </div>
+                ${closures.length === 0 ? '<p class="teams-description">No company closures defined.</p>' : `
+                    <div class="team-members-table">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Rule</th>
+                                    <th>Calendars</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${closures.map((rule, index) => `
+                                    <tr>
+                                        <td>${this.escapeHtml(rule.name || 'Closure')}</td>
+                                        <td>${this.escapeHtml(HolidayCalendarsConfigManager.describeRule(rule))}</td>
+                                        <td>${this.escapeHtml((rule.countries || []).join(', ') || 'All')}</td>
+                                        <td class="member-actions">
+                                            <button class="btn btn-small btn-destructive" data-action="delete-rule"
+                                                    data-scope="closures" data-rule-index="${index}" title="Delete">
+                                                <i class="fas fa-trash"></i>
+                                            </button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        if (e.target.closest('.modal-close')) {
+            const modal = e.target.closest('.modal');
+            if (modal) {
+                e.preventDefault();
+                this.closeModal(modal.id);
+            }
+            return;
+        }
+
+        const actionElement = e.target.closest('[data-action]');
+        if (!actionElement) return;
+
+        const { action, scope, regionCode, ruleIndex, calendarCode } = actionElement.dataset;
+        e.preventDefault();
+        e.stopPropagation();
+
+        switch (action) {
+            case 'select-calendar':
+                this.selectCalendar(calendarCode);
+                break;
+            case 'add-calendar':
+                this.showCalendarModal('calendar');
+                break;
+            case 'delete-calendar':
+                this.deleteCalendar();
+                break;
+            case 'add-region':
+                this.showCalendarModal('region');
+                break;
+            case 'delete-region':
+                this.deleteRegion(regionCode);
+                break;
+            case 'add-rule':
+                this.showRuleModal({ scope, regionCode });
+                break;
+            case 'delete-rule':
+                this.deleteRule({ scope, regionCode }, parseInt(ruleIndex, 10));
+                break;
+        }
+    }
+
+    handleSubmit(e) {
+        if (e.target.id === 'holiday-calendar-form') {
+            e.preventDefault();
+            this.saveCalendarForm();
+        } else if (e.target.id === 'holiday-rule-form') {
+            e.preventDefault();
+            this.saveRuleForm();
+        }
+    }
+
+    handleChange(e) {
+        if (e.target.id === 'holiday-rule-type') {
+            this.updateRuleFieldsVisibility();
+        } else if (e.target.id === 'holiday-preview-region') {
+            this.previewRegion = e.target.value;
+            this.renderCalendarDetails();
+        } else if (e.target.id === 'holiday-preview-year') {
+            const year = parseInt(e.target.value, 10);
+            if (year >= HolidayCalendar.MIN_YEAR && year <= HolidayCalendar.MAX_YEAR) {
+                this.previewYear = year;
+                this.renderCalendarDetails();
+            }
+        }
+    }
+
+    selectCalendar(code) {
+        this.selectedCalendarCode = code;
+        this.previewRegion = '';
+        this.renderCalendarsList();
+        this.renderCalendarDetails();
+    }
+
+    /**
+     * Show the add calendar / add region modal
+     * @param {string} mode 'calendar' or 'region'
+     */
+    showCalendarModal(mode) {
+        if (mode === 'region' && !this.selectedCalendarCode) return;
+
+        this.calendarModalMode = mode;
+        this.container.querySelector('#holiday-calendar-form').reset();
+        this.container.querySelector('#holiday-calendar-modal-title').textContent =
+            mode === 'region' ? 'Add Region / Office' : 'Add Calendar';
+        this.container.querySelector('#holiday-calendar-modal').classList.add('active');
+    }
+
+    async saveCalendarForm() {
+        const code = this.container.querySelector('#holiday-calendar-code').value.trim().toUpperCase();
+        const name = this.container.querySelector('#holiday-calendar-name').value.trim();
+
+        if (!code || !name) {
+            this.showNotification('Code and name are required', 'error');
+            return;
+        }
+        if (code.includes(HolidayCalendar.REGION_SEPARATOR)) {
+            this.showNotification(`Code must not contain "${HolidayCalendar.REGION_SEPARATOR}"`, 'error');
+            return;
+        }
+
+        if (this.calendarModalMode === 'region') {
+            const calendar = this.getEditableCalendar(this.selectedCalendarCode);
+            if (calendar.regions.some(region => region.code === code)) {
+                this.showNotification(`Region ${code} already exists`, 'error');
+                return;
+            }
+            calendar.regions.push({ code, name, rules: [] });
+        } else {
+            if (this.getEngine()?.hasCalendar(code)) {
+                this.showNotification(`Calendar ${code} already exists`, 'error');
+                return;
+            }
+            this.getConfiguredCalendars(true).push({ code, name, rules: [], regions: [] });
+            this.selectedCalendarCode = code;
+        }
+
+        if (await this.saveConfiguration()) {
+            this.closeModal('holiday-calendar-modal');
+        }
+    }
+
+    async deleteCalendar() {
+        const code = this.selectedCalendarCode;
+        const isBuiltIn = HolidayCalendar.BUILT_IN_CALENDARS.some(c => c.code === code);
+        const message = isBuiltIn
+            ? `Discard all changes to the ${code} calendar and restore the built-in holidays?`
+            : `Delete the ${code} calendar? Team members using it will fall back to the default calendar.`;
+
+        if (!confirm(message)) return;
+
+        const calendars = this.getConfiguredCalendars(true);
+        const index = calendars.findIndex(calendar => calendar.code === code);
+        if (index !== -1) {
+            calendars.splice(index, 1);
+        }
+        if (!isBuiltIn) {
+            this.selectedCalendarCode = null;
+        }
+
+        await this.saveConfiguration();
+    }
+
+    async deleteRegion(regionCode) {
+        if (!confirm(`Delete region ${regionCode}? Team members in this office will use national holidays only.`)) return;
+
+        const calendar = this.getEditableCalendar(this.selectedCalendarCode);
+        calendar.regions = calendar.regions.filter(region => region.code !== regionCode);
+        if (this.previewRegion === regionCode) {
+            this.previewRegion = '';
+        }
+
+        await this.saveConfiguration();
+    }
+
+    showRuleModal(target) {
+        this.ruleTarget = target;
+        this.container.querySelector('#holiday-rule-form').reset();
+        this.container.querySelector('#holiday-rule-modal-title').textContent =
+            target.scope === 'closures' ? 'Add Company Closure' : 'Add Holiday';
+        this.container.querySelector('.holiday-closure-fields').style.display =
+            target.scope === 'closures' ? '' : 'none';
+        this.updateRuleFieldsVisibility();
+        this.container.querySelector('#holiday-rule-modal').classList.add('active');
+    }
+
+    updateRuleFieldsVisibility() {
+        const type = this.container.querySelector('#holiday-rule-type').value;
+        this.container.querySelectorAll('.holiday-rule-fields').forEach(element => {
+            element.style.display = element.dataset.ruleTypes.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Build a rule object from the rule form
+     * @returns {Object} Holiday rule
+     */
+    readRuleForm() {
+        const value = id => this.container.querySelector(`#${id}`).value.trim();
+        const type = value('holiday-rule-type');
+        const rule = { type, name: value('holiday-rule-name') };
+
+        if (type === 'fixed' || type === 'nthWeekday') {
+            rule.month = parseInt(value('holiday-rule-month'), 10);
+        }
+        if (type === 'fixed') {
+            rule.day = parseInt(value('holiday-rule-day'), 10);
+        } else if (type === 'easter') {
+            rule.calendar = value('holiday-rule-easter-calendar');
+            rule.offset = parseInt(value('holiday-rule-offset'), 10) || 0;
+        } else if (type === 'nthWeekday') {
+            rule.weekday = parseInt(value('holiday-rule-weekday'), 10);
+            rule.nth = parseInt(value('holiday-rule-nth'), 10);
+        } else if (type === 'date') {
+            rule.date = value('holiday-rule-date');
+        }
+
+        if (value('holiday-rule-from-year')) rule.fromYear = parseInt(value('holiday-rule-from-year'), 10);
+        if (value('holiday-rule-to-year')) rule.toYear = parseInt(value('holiday-rule-to-year'), 10);
+
+        if (this.ruleTarget?.scope === 'closures') {
+            const countries = value('holiday-rule-countries')
+                .split(',')
+                .map(code => code.trim().toUpperCase())
+                .filter(Boolean);
+            if (countries.length > 0) rule.countries = countries;
+        }
+
+        return rule;
+    }
+
+    async saveRuleForm() {
+        if (this.isSaving) return;
+
+        const rule = this.readRuleForm();
+        if (!rule.name) {
+            this.showNotification('Holiday name is required', 'error');
+            return;
+        }
+
+        try {
+            HolidayCalendar.validateRule(rule);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.getRuleList(this.ruleTarget).push(rule);
+
+        if (await this.saveConfiguration()) {
+            this.closeModal('holiday-rule-modal');
+        }
+    }
+
+    async deleteRule(target, index) {
+        const rules = this.getRuleList(target);
+        if (!rules[index]) return;
+        if (!confirm(`Remove "${rules[index].name || 'Holiday'}"?`)) return;
+
+        rules.splice(index, 1);
+        await this.saveConfiguration();
+    }
+
+    /**
+     * Get the editable rule list for a modal/table target
+     */
+    getRuleList(target) {
+        if (target.scope === 'closures') {
+            const globalConfig = this.configManager.globalConfig;
+            globalConfig.companyClosures = globalConfig.companyClosures || [];
+            return globalConfig.companyClosures;
+        }
+
+        const calendar = this.getEditableCalendar(this.selectedCalendarCode);
+        if (target.scope === 'region') {
+            return calendar.regions.find(region => region.code === target.regionCode).rules;
+        }
+        return calendar.rules;
+    }
+
+    /**
+     * Calendars stored in global configuration (overrides and custom calendars)
+     * @param {boolean} create Create the array in globalConfig if missing
+     */
+    getConfiguredCalendars(create = false) {
+        const globalConfig = this.configManager.globalConfig || {};
+        if (create && !Array.isArray(globalConfig.holidayCalendars)) {
+            globalConfig.holidayCalendars = [];
+        }
+        return globalConfig.holidayCalendars || [];
+    }
+
+    /**
+     * Get the effective definition of a calendar (configured or built-in)
+     */
+    getCalendarDefinition(code) {
+        if (!code) return null;
+        const configured = this.getConfiguredCalendars().find(calendar => calendar.code === code);
+        const definition = configured || this.getEngine()?.calendars[code];
+        if (!definition) return null;
+        return { ...definition, regions: definition.regions || [] };
+    }
+
+    /**
+     * Get a calendar stored in global configuration, copying the built-in
+     * definition on first edit so it overrides the built-in rules.
+     */
+    getEditableCalendar(code) {
+        const calendars = this.getConfiguredCalendars(true);
+        let calendar = calendars.find(c => c.code === code);
+
+        if (!calendar) {
+            calendar = JSON.parse(JSON.stringify(this.getCalendarDefinition(code)));
+            calendars.push(calendar);
+        }
+        calendar.regions = calendar.regions || [];
+        return calendar;
+    }
+
+    /**
+     * Persist global configuration and refresh the page.
+     * The WorkingDaysCalculator picks up the change through the app store.
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveConfiguration() {
+        this.isSaving = true;
+        try {
+            const result = await this.configManager.saveGlobalConfig();
+            if (!result?.success) {
+                this.showNotification(`Failed to save holiday calendars: ${result?.error || 'unknown error'}`, 'error');
+                return false;
+            }
+
+            // Keep the calculator in sync even when the app store is not available
+            window.WorkingDaysCalculator?.configureHolidays?.(this.configManager.globalConfig);
+
+            this.renderCalendarsList();
+            this.renderCalendarDetails();
+            this.renderClosures();
+            this.showNotification('Holiday calendars saved', 'success');
+            return true;
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Human readable description of a holiday rule
+     */
+    static describeRule(rule) {
+        const months = HolidayCalendarsConfigManager.MONTHS;
+        let description;
+
+        switch (rule.type) {
+            case 'fixed':
+                description = `${rule.day} ${months[rule.month - 1]}`;
+                break;
+            case 'easter': {
+                const easter = rule.calendar === 'orthodox' ? 'Orthodox Easter' : 'Easter';
+                const offset = rule.offset || 0;
+                description = offset === 0 ? easter : `${easter} ${offset > 0 ? '+' : ''}${offset} days`;
+                break;
+            }
+            case 'nthWeekday': {
+                const nth = rule.nth === -1 ? 'Last' : ['First', 'Second', 'Third', 'Fourth', 'Fifth'][rule.nth - 1];
+                description = `${nth} ${HolidayCalendarsConfigManager.WEEKDAYS[rule.weekday]} of ${months[rule.month - 1]}`;
+                break;
+            }
+            case 'date':
+                description = rule.date;
+                break;
+            default:
+                description = rule.type;
+        }
+
+        if (rule.fromYear && rule.toYear) {
+            description += ` (${rule.fromYear}-${rule.toYear})`;
+        } else if (rule.fromYear) {
+            description += ` (from ${rule.fromYear})`;
+        } else if (rule.toYear) {
+            description += ` (until ${rule.toYear})`;
+        }
+
+        return description;
+    }
+
+    escapeHtml(text) {
+        if (text === undefined || text === null) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    closeModal(modalId) {
+        this.container?.querySelector(`#${modalId}`)?.classList.remove('active');
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.NotificationManager) {
+            NotificationManager.show(message, type);
+        } else {
+            console.log(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+}
+
+HolidayCalendarsConfigManager.MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+HolidayCalendarsConfigManager.WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.HolidayCalendarsConfigManager = HolidayCalendarsConfigManager;
+}
@@ -12,6 +12,9 @@ class StorageConfigManager {
         this.currentPath = null;
         this.isLoading = false;
         this.storageMode = 'file'; // 'file' o 'localStorage'
+        this.userName = ''; // Autore delle modifiche nel registro allocazioni
+        this.maxProjectBackups = 10; // Backup a rotazione per progetto (0 = disattivati)
+        this.trashRetentionDays = 30; // Giorni nel cestino prima dell'eliminazione definitiva (0 = mai)
         
         // Bind methods
         this.exposeGlobalMethods();
@@ -22,6 +25,11 @@ class StorageConfigManager {
         window.openStorageFolder = this.openFolder.bind(this);
         window.resetStorageToDefault = this.resetToDefault.bind(this);
         window.testStorageAccess = this.testAccess.bind(this);
+        window.saveStorageUserName = this.saveUserName.bind(this);
+        window.saveStorageMaxProjectBackups = this.saveMaxProjectBackups.bind(this);
+        window.saveStorageTrashRetention = this.saveTrashRetention.bind(this);
+        window.createWorkspaceBackup = this.createWorkspaceBackup.bind(this);
+        window.restoreWorkspaceBackup = this.restoreWorkspaceBackup.bind(this);
     }
 
     /**
@@ -71,6 +79,19 @@ class StorageConfigManager {
             this.storageMode = 'localStorage';
             this.currentPath = 'localStorage';
         }
+
+        try {
+            const settings = await this.dataManager.getSettings();
+            this.userName = settings?.userName || '';
+            if (Number.isInteger(settings?.maxProjectBackups)) {
+                this.maxProjectBackups = settings.maxProjectBackups;
+            }
+            if (Number.isInteger(settings?.trashRetentionDays)) {
+                this.trashRetentionDays = settings.trashRetentionDays;
+            }
+        } catch (error) {
+            console.error('Failed to load user name:', error);
+        }
     }
 
     /**
@@ -133,6 +154,72 @@ class StorageConfigManager {
 
                 <!-- File System Configuration -->
                 ${this.storageMode === 'file' ? this.generateFileSystemConfig() : ''}
+
+                <!-- Project Backups -->
+                ${this.storageMode === 'file' ? `
+                <div class="storage-section">
+                    <div class="section-header">
+                        <h4><i class="fas fa-history"></i> Project Backups</h4>
+                        <p class="section-description">Copies kept in the .backups folder every time a project is saved (0 disables backups)</p>
+                    </div>
+
+                    <div class="user-name-config">
+                        <input type="number" id="storage-max-project-backups" min="0" max="100" step="1"
+                               value="${this.maxProjectBackups}">
+                        <button class="btn btn-primary" onclick="saveStorageMaxProjectBackups()">
+                            <i class="fas fa-save"></i> Save
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Workspace Backup -->
+                <div class="storage-section">
+                    <div class="section-header">
+                        <h4><i class="fas fa-archive"></i> Workspace Backup</h4>
+                        <p class="section-description">Back up all projects, capacity planning, global configuration and settings to a single file, or restore selected files from it</p>
+                    </div>
+
+                    <div class="folder-actions">
+                        <button class="btn btn-secondary" onclick="createWorkspaceBackup()">
+                            <i class="fas fa-download"></i> Create Backup
+                        </button>
+                        <button class="btn btn-secondary" onclick="restoreWorkspaceBackup()">
+                            <i class="fas fa-upload"></i> Restore...
+                        </button>
+                    </div>
+                </div>` : ''}
+
+                <!-- Trash -->
+                <div class="storage-section">
+                    <div class="section-header">
+                        <h4><i class="fas fa-trash-restore"></i> Trash</h4>
+                        <p class="section-description">Days deleted projects stay in the trash (Projects → Trash) before they are deleted permanently (0 keeps them until the trash is emptied)</p>
+                    </div>
+
+                    <div class="user-name-config">
+                        <input type="number" id="storage-trash-retention-days" min="0" max="3650" step="1"
+                               value="${this.trashRetentionDays}">
+                        <button class="btn btn-primary" onclick="saveStorageTrashRetention()">
+                            <i class="fas fa-save"></i> Save
+                        </button>
+                    </div>
+                </div>
+
+                <!-- User Name -->
+                <div class="storage-section">
+                    <div class="section-header">
+                        <h4><i class="fas fa-user"></i> Your Name</h4>
+                        <p class="section-description">Recorded as the author of allocation changes in the change history</p>
+                    </div>
+
+                    <div class="user-name-config">
+                        <input type="text" id="storage-user-name" maxlength="100"
+                               placeholder="e.g. Jane Smith">
+                        <button class="btn btn-primary" onclick="saveStorageUserName()">
+                            <i class="fas fa-save"></i> Save
+                        </button>
+                    </div>
+                </div>
                 
                 <!-- Storage Statistics -->
                 <div class="storage-section">
@@ -299,6 +386,11 @@ class StorageConfigManager {
             }
         });
 
+        const userNameInput = document.getElementById('storage-user-name');
+        if (userNameInput) {
+            userNameInput.value = this.userName;
+        }
+
         // Refresh stats ogni 30 secondi
         this.statsInterval = setInterval(() => {
             this.updateStorageStats();
@@ -457,11 +549,16 @@ class StorageConfigManager {
             this.setLoading(true);
             
             const result = await this.dataManager.chooseProjectsFolder();
+            if (result.success && !(await this.dataManager.setProjectsPath(result.path))) {
+                result.success = false;
+                result.error = 'Failed to save the projects folder';
+            }
             
             if (result.success) {
                 this.currentPath = result.path;
                 await this.updateFolderInfo();
-                this.showNotification('Projects folder updated successfully', 'success');
+                // The folder is the active workspace's: other folders are added as workspaces (title bar)
+                this.showNotification('Projects folder of the active workspace updated', 'success');
                 
                 // Ricarica lista progetti per riflettere il cambiamento
                 if (this.app && this.app.refreshProjectsList) {
@@ -541,6 +638,145 @@ class StorageConfigManager {
         }
     }
 
+    /**
+     * Salva il nome utente usato nel registro modifiche delle allocazioni
+     */
+    async saveUserName() {
+        const input = document.getElementById('storage-user-name');
+        if (!input) return;
+
+        try {
+            const settings = await this.dataManager.getSettings();
+            const userName = input.value.trim();
+            const success = await this.dataManager.saveSettings({ ...settings, userName });
+
+            if (success) {
+                this.userName = userName;
+                this.showNotification('Name saved', 'success');
+            } else {
+                this.showNotification('Failed to save name', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save user name:', error);
+            this.showNotification('Failed to save name: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Salva il numero di backup a rotazione mantenuti per ogni progetto
+     */
+    async saveMaxProjectBackups() {
+        const input = document.getElementById('storage-max-project-backups');
+        if (!input) return;
+
+        const maxProjectBackups = Number(input.value);
+        if (!Number.isInteger(maxProjectBackups) || maxProjectBackups < 0 || maxProjectBackups > 100) {
+            this.showNotification('Backups to keep must be a whole number between 0 and 100', 'error');
+            return;
+        }
+
+        try {
+            const settings = await this.dataManager.getSettings();
+            const success = await this.dataManager.saveSettings({ ...settings, maxProjectBackups });
+
+            if (success) {
+                this.maxProjectBackups = maxProjectBackups;
+                this.showNotification('Backup settings saved', 'success');
+            } else {
+                this.showNotification('Failed to save backup settings', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save backup settings:', error);
+            this.showNotification('Failed to save backup settings: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Salva per quanti giorni i progetti eliminati restano nel cestino
+     */
+    async saveTrashRetention() {
+        const input = document.getElementById('storage-trash-retention-days');
+        if (!input) return;
+
+        const trashRetentionDays = Number(input.value);
+        if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 0 || trashRetentionDays > 3650) {
+            this.showNotification('Days in the trash must be a whole number between 0 and 3650', 'error');
+            return;
+        }
+
+        try {
+            const settings = await this.dataManager.getSettings();
+            const success = await this.dataManager.saveSettings({ ...settings, trashRetentionDays });
+
+            if (success) {
+                this.trashRetentionDays = trashRetentionDays;
+                this.showNotification('Trash settings saved', 'success');
+            } else {
+                this.showNotification('Failed to save trash settings', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save trash settings:', error);
+            this.showNotification('Failed to save trash settings: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Crea il backup completo del workspace in un archivio scelto dall'utente
+     */
+    async createWorkspaceBackup() {
+        try {
+            this.setLoading(true);
+            const result = await this.dataManager.createBackup(true);
+
+            if (result?.success) {
+                this.showNotification(`Workspace backup created (${result.fileCount} files)`, 'success');
+            } else if (result && !result.canceled) {
+                this.showNotification('Failed to create backup: ' + (result.error || 'unknown error'), 'error');
+            }
+        } catch (error) {
+            console.error('Failed to create workspace backup:', error);
+            this.showNotification('Failed to create backup: ' + error.message, 'error');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Apre un backup del workspace e mostra il wizard di ripristino selettivo
+     */
+    async restoreWorkspaceBackup() {
+        try {
+            const manifest = await this.dataManager.inspectBackup();
+            if (!manifest?.success) {
+                if (manifest && !manifest.canceled) {
+                    this.showNotification('Failed to open backup: ' + (manifest.error || 'unknown error'), 'error');
+                }
+                return;
+            }
+
+            if (!window.ReactComponents?.WorkspaceRestoreWizard) {
+                this.showNotification('Restore wizard not available', 'error');
+                return;
+            }
+
+            const container = document.createElement('div');
+            document.body.appendChild(container);
+            const root = window.ReactDOM.createRoot(container);
+            const close = () => {
+                root.unmount();
+                container.remove();
+            };
+
+            root.render(window.React.createElement(window.ReactComponents.WorkspaceRestoreWizard, {
+                manifest,
+                onClose: close
+            }));
+        } catch (error) {
+            console.error('Failed to open workspace backup:', error);
+            this.showNotification('Failed to open backup: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Testa l'accesso allo storage
      */
@@ -74,6 +74,8 @@ class TeamManager {
                 vendor: data.vendor,
                 role: data.role || 'G2',
                 monthlyCapacity: data.monthlyCapacity || this.defaultMonthlyCapacity,
+                holidayCalendar: data.holidayCalendar || null,
+                workingPatterns: data.workingPatterns || [],
                 vacationDays: data.vacationDays || {},
                 created: new Date().toISOString(),
                 lastModified: new Date().toISOString()
@@ -133,6 +135,8 @@ class TeamManager {
                 vendor: data.vendor,
                 role: data.role || existingMember.role,
                 monthlyCapacity: data.monthlyCapacity !== undefined ? data.monthlyCapacity : existingMember.monthlyCapacity,
+                holidayCalendar: data.holidayCalendar !== undefined ? data.holidayCalendar : existingMember.holidayCalendar,
+                workingPatterns: data.workingPatterns !== undefined ? data.workingPatterns : existingMember.workingPatterns,
                 vacationDays: data.vacationDays || existingMember.vacationDays,
                 lastModified: new Date().toISOString()
             };
@@ -197,6 +201,14 @@ class TeamManager {
         }
     }
 
+    /**
+     * Vacation entry helpers (js/utils/vacation-helpers.js)
+     * @private
+     */
+    _getVacationHelpers() {
+        return (typeof window !== 'undefined' && window.VacationHelpers) || require('../utils/vacation-helpers.js');
+    }
+
     /**
      * Get all team members
      * @returns {Array} Array of team members
@@ -228,7 +240,8 @@ class TeamManager {
      * Add vacation days to team member
      * @param {string} teamMemberId Team member ID
      * @param {number} year Year
-     * @param {Array} dates Array of date strings (YYYY-MM-DD)
+     * @param {Array} dates Array of date strings (YYYY-MM-DD, full-day holiday) or
+     *                      entries { date, type, fraction?, hours?, note? }
      * @returns {Object} Result with success status
      */
     async addVacationDays(teamMemberId, year, dates) {
@@ -240,18 +253,17 @@ class TeamManager {
             };
         }
 
-        try {
-            // Initialize year if doesn't exist
-            if (!member.vacationDays[year]) {
-                member.vacationDays[year] = [];
-            }
+        // Add entries (avoiding duplicates: same date, type and amount)
+        const merge = this._getVacationHelpers().mergeVacationEntries(member.vacationDays, { [year]: dates });
+        if (!merge.success) {
+            return {
+                success: false,
+                error: merge.error
+            };
+        }
 
-            // Add dates (avoiding duplicates)
-            dates.forEach(date => {
-                if (!member.vacationDays[year].includes(date)) {
-                    member.vacationDays[year].push(date);
-                }
-            });
+        try {
+            member.vacationDays = merge.vacationDays;
 
             // Update last modified
             member.lastModified = new Date().toISOString();
@@ -273,6 +285,7 @@ class TeamManager {
 
     /**
      * Remove vacation days from team member
+     * Removes every entry (full, partial or any type) on the given dates
      * @param {string} teamMemberId Team member ID
      * @param {number} year Year
      * @param {Array} dates Array of date strings to remove
@@ -290,12 +303,8 @@ class TeamManager {
         try {
             // Remove dates if year exists
             if (member.vacationDays[year]) {
-                dates.forEach(date => {
-                    const index = member.vacationDays[year].indexOf(date);
-                    if (index > -1) {
-                        member.vacationDays[year].splice(index, 1);
-                    }
-                });
+                member.vacationDays[year] = member.vacationDays[year].filter(entry =>
+                    !dates.includes(this._getVacationHelpers().normalizeVacationEntry(entry).date));
             }
 
             // Update last modified
@@ -317,10 +326,10 @@ class TeamManager {
     }
 
     /**
-     * Get vacation days for team member in specific month
+     * Get vacation entries for team member in specific month
      * @param {string} teamMemberId Team member ID
      * @param {string} month Month in YYYY-MM format
-     * @returns {Array} Array of vacation dates in the month
+     * @returns {Array} Normalized entries { date, type, fraction, hours, note } in the month
      */
     getVacationDaysInMonth(teamMemberId, month) {
         const member = this.getTeamMemberById(teamMemberId);
@@ -328,17 +337,14 @@ class TeamManager {
             return [];
         }
 
-        const [year] = month.split('-').map(Number);
-        const vacationDays = member.vacationDays[year] || [];
-
-        return vacationDays.filter(date => date.startsWith(month));
+        return this._getVacationHelpers().getVacationEntriesInMonth(member.vacationDays, month);
     }
 
     /**
      * Get total vacation days for year
      * @param {string} teamMemberId Team member ID
      * @param {number} year Year
-     * @returns {number} Total vacation days count
+     * @returns {number} Total vacation days (half days and hours count as fractions)
      */
     getTotalVacationDaysForYear(teamMemberId, year) {
         const member = this.getTeamMemberById(teamMemberId);
@@ -346,7 +352,9 @@ class TeamManager {
             return 0;
         }
 
-        return member.vacationDays[year].length;
+        const vacationHelpers = this._getVacationHelpers();
+        const entries = member.vacationDays[year].map(entry => vacationHelpers.normalizeVacationEntry(entry));
+        return vacationHelpers.summarizeVacationEntries(entries).total;
     }
 
     /**
@@ -459,6 +467,35 @@ class TeamManager {
             }
         }
 
+        // Holiday calendar validation ({ country, region })
+        if (data.holidayCalendar) {
+            const calendarEngine = window.WorkingDaysCalculator?.holidayCalendar;
+            const calendarCode = window.HolidayCalendar?.toCalendarCode(data.holidayCalendar);
+            if (!data.holidayCalendar.country) {
+                errors.holidayCalendar = 'Holiday calendar country is required';
+            } else if (calendarEngine && !calendarEngine.hasCalendar(calendarCode)) {
+                errors.holidayCalendar = `Unknown holiday calendar: ${calendarCode}`;
+            }
+        }
+
+        // Working patterns validation ({ effectiveFrom, ftePercentage, weekdays })
+        if (data.workingPatterns !== undefined) {
+            if (!Array.isArray(data.workingPatterns)) {
+                errors.workingPatterns = 'Working patterns must be an array';
+            } else {
+                data.workingPatterns.forEach(pattern => {
+                    if (typeof pattern.ftePercentage !== 'number' || pattern.ftePercentage <= 0 || pattern.ftePercentage > 100) {
+                        errors.workingPatterns = 'FTE percentage must be between 1 and 100';
+                    } else if (!Array.isArray(pattern.weekdays) || pattern.weekdays.length === 0 ||
+                        pattern.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+                        errors.workingPatterns = 'Working pattern weekdays must be a non-empty list of days (0-6)';
+                    } else if (pattern.effectiveFrom && !/^\d{4}-\d{2}-\d{2}$/.test(pattern.effectiveFrom)) {
+                        errors.workingPatterns = `Invalid effective-from date: ${pattern.effectiveFrom}`;
+                    }
+                });
+            }
+        }
+
         // Vacation days validation
         if (data.vacationDays) {
             try {
@@ -468,10 +505,10 @@ class TeamManager {
                         throw new Error('Vacation days must be an array');
                     }
                     
-                    dates.forEach(date => {
-                        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-                        if (!dateRegex.test(date)) {
-                            throw new Error(`Invalid date format: ${date}`);
+                    dates.forEach(entry => {
+                        const entryError = this._getVacationHelpers().validateVacationEntry(entry);
+                        if (entryError) {
+                            throw new Error(entryError);
                         }
                     });
                 });
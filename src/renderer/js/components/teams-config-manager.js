@@ -21,6 +21,10 @@ class TeamsConfigManager {
         this.isSavingTeam = false;
         this.isSavingTeamMember = false;
         this.isResetting = false;
+        this.isImportingVacations = false;
+
+        // Pending .ics import preview (see showVacationImportPreview)
+        this.vacationImportPreview = null;
 
         // Default configuration manager for loading teams from defaults.json
         this.defaultConfigManager = new DefaultConfigManager();
@@ -118,7 +122,7 @@ class TeamsConfigManager {
         if (e.target.closest('.modal-close')) {
             const modalElement = e.target.closest('.modal');
             // Only handle teams modals
-            if (modalElement && (modalElement.id === 'team-modal' || modalElement.id === 'team-member-modal')) {
+            if (modalElement && ['team-modal', 'team-member-modal', 'vacation-import-modal'].includes(modalElement.id)) {
                 console.log('Teams modal close button clicked:', modalElement.id);
                 e.preventDefault();
                 e.stopPropagation();
@@ -197,6 +201,9 @@ class TeamsConfigManager {
             case 'reset-to-default':
                 this.resetToDefaultTeams();
                 break;
+            case 'import-vacations':
+                document.getElementById('vacation-import-file')?.click();
+                break;
         }
     }
 
@@ -224,6 +231,12 @@ class TeamsConfigManager {
             } else {
                 console.log('Team member form submission ignored - save in progress');
             }
+        } else if (e.target.id === 'vacation-import-form') {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (!this.isImportingVacations) {
+                this.applyVacationImport();
+            }
         }
     }
 
@@ -258,6 +271,10 @@ class TeamsConfigManager {
                         </button>
                     </div>
                     <div class="scope-actions">
+                        <button class="btn btn-small btn-secondary" data-action="import-vacations" title="Import vacations from an iCalendar (.ics) file">
+                            <i class="fas fa-calendar-plus"></i> Import Vacations (.ics)
+                        </button>
+                        <input type="file" id="vacation-import-file" accept=".ics,text/calendar" style="display: none;">
                         <button class="btn btn-small btn-secondary" data-action="reset-to-default" title="Reset to Default Teams">
                             <i class="fas fa-undo"></i> Reset to Default
                         </button>
@@ -391,12 +408,36 @@ class TeamsConfigManager {
                                     </select>
                                 </div>
                             </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="member-holiday-country">Holiday Calendar</label>
+                                    <select id="member-holiday-country" name="holidayCountry">
+                                        <option value="">Default (Italy)</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="member-holiday-region">Office / Region</label>
+                                    <select id="member-holiday-region" name="holidayRegion">
+                                        <option value="">National holidays only</option>
+                                    </select>
+                                </div>
+                            </div>
                             <div class="form-group">
                                 <label for="member-monthly-capacity">Monthly Capacity (Days) *</label>
                                 <input type="number" id="member-monthly-capacity" name="monthlyCapacity" 
                                        min="1" max="31" class="validation-tooltip required" required value="22">
                                 <small class="form-help">Working days available per month</small>
                             </div>
+                            <div class="form-group">
+                                <label>Working Pattern</label>
+                                <div id="member-working-patterns" class="working-patterns-list">
+                                    <!-- Populated by populateWorkingPatternRows -->
+                                </div>
+                                <button type="button" class="btn btn-small btn-secondary" id="member-add-working-pattern">
+                                    <i class="fas fa-plus"></i> Add Pattern Change
+                                </button>
+                                <small class="form-help">FTE % is spread over the days worked (e.g. 80% on Mon-Thu = full days). Leave "From" empty for the initial pattern.</small>
+                            </div>
                         </form>
                     </div>
                     <div class="modal-footer">
@@ -405,6 +446,27 @@ class TeamsConfigManager {
                     </div>
                 </div>
             </div>
+
+            <!-- Vacation Import Modal -->
+            <div id="vacation-import-modal" class="modal">
+                <div class="modal-content vacation-import-modal-content">
+                    <div class="modal-header">
+                        <h3>Import Vacations</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="vacation-import-form">
+                            <div id="vacation-import-preview">
+                                <!-- Populated by showVacationImportPreview -->
+                            </div>
+                        </form>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="btn btn-secondary modal-close">Cancel</button>
+                        <button type="submit" class="btn btn-primary" form="vacation-import-form" id="vacation-import-confirm">Import</button>
+                    </div>
+                </div>
+            </div>
         `;
 
         // Setup event listeners
@@ -417,6 +479,11 @@ class TeamsConfigManager {
             teamsContainer.addEventListener('submit', this.boundSubmitHandler);
             console.log('Teams event listeners attached to container');
         }
+
+        const vacationFileInput = container.querySelector('#vacation-import-file');
+        if (vacationFileInput) {
+            vacationFileInput.addEventListener('change', (e) => this.handleVacationImportFile(e));
+        }
         
         // Initial display
         this.refreshTeamsDisplay();
@@ -630,6 +697,7 @@ class TeamsConfigManager {
                                     <th>User ID</th>
                                     <th>Role</th>
                                     <th>Rate</th>
+                                    <th>Calendar</th>
                                     <th>Capacity</th>
                                     <th>Actions</th>
                                 </tr>
@@ -663,8 +731,10 @@ class TeamsConfigManager {
                                             <td class="member-rate">
                                                 <span class="rate-value">${rateDisplay}</span>
                                             </td>
+                                            <td class="member-calendar">${this.escapeHtml(this.getMemberCalendarName(member))}</td>
                                             <td class="member-capacity">
                                                 <span class="capacity-value">${member.monthlyCapacity} days/month</span>
+                                                ${this.hasPartTimePattern(member) ? `<small class="working-pattern-value">${this.escapeHtml(this.getWorkingPatternLabel(member))}</small>` : ''}
                                             </td>
                                             <td class="member-actions">
                                                 <button class="btn btn-small btn-secondary" 
@@ -826,6 +896,8 @@ class TeamsConfigManager {
         this.populateVendorDropdowns();
         // Populate rate matrix dropdowns
         this.populateRateDropdowns();
+        this.populateHolidayCalendarDropdowns();
+        this.populateWorkingPatternRows();
         
         document.getElementById('team-member-modal').classList.add('active');
     }
@@ -852,6 +924,8 @@ class TeamsConfigManager {
 
         // Populate rate dropdowns and set selections
         this.populateRateDropdowns(this.editingTeamMember);
+        this.populateHolidayCalendarDropdowns(this.editingTeamMember);
+        this.populateWorkingPatternRows(this.editingTeamMember.workingPatterns);
         
         document.getElementById('team-member-modal').classList.add('active');
     }
@@ -1046,6 +1120,13 @@ class TeamsConfigManager {
                 userId = this.generateUserIdFromUUID();
             }
 
+            const workingPatterns = this.getWorkingPatternsFormValue();
+            const patternError = this.validateWorkingPatterns(workingPatterns);
+            if (patternError) {
+                this.showNotification(patternError, 'error');
+                return;
+            }
+
             const formData = {
                 'user-id': userId,
                 firstName: document.getElementById('member-first-name').value.trim(),
@@ -1058,6 +1139,8 @@ class TeamsConfigManager {
                 location: document.getElementById('member-location').value,
                 deliveryModel: document.getElementById('member-delivery-model').value,
                 monthlyCapacity: parseInt(document.getElementById('member-monthly-capacity').value) || 22,
+                holidayCalendar: this.getHolidayCalendarFormValue(),
+                workingPatterns,
                 status: 'active' // Default status since field is removed
             };
 
@@ -1093,6 +1176,8 @@ class TeamsConfigManager {
                     location: formData.location,
                     deliveryModel: formData.deliveryModel,
                     monthlyCapacity: formData.monthlyCapacity,
+                    holidayCalendar: formData.holidayCalendar,
+                    workingPatterns: formData.workingPatterns,
                     status: formData.status
                 });
                 console.log('Updated existing team member');
@@ -1249,12 +1334,353 @@ class TeamsConfigManager {
         }
     }
 
+    /**
+     * Get the shared holiday calendar engine from the WorkingDaysCalculator
+     */
+    getHolidayCalendarEngine() {
+        return window.WorkingDaysCalculator?.holidayCalendar || null;
+    }
+
+    /**
+     * Populate the holiday calendar (country) and office/region dropdowns
+     */
+    populateHolidayCalendarDropdowns(memberData = null) {
+        const countrySelect = document.getElementById('member-holiday-country');
+        const regionSelect = document.getElementById('member-holiday-region');
+        if (!countrySelect || !regionSelect) return;
+
+        const calendars = this.getHolidayCalendarEngine()?.getCalendars() || [];
+
+        countrySelect.innerHTML = '<option value="">Default (Italy)</option>';
+        calendars.forEach(calendar => {
+            const option = document.createElement('option');
+            option.value = calendar.code;
+            option.textContent = `${calendar.name} (${calendar.code})`;
+            countrySelect.appendChild(option);
+        });
+
+        const updateRegions = () => {
+            const calendar = calendars.find(c => c.code === countrySelect.value);
+            regionSelect.innerHTML = '<option value="">National holidays only</option>';
+            (calendar?.regions || []).forEach(region => {
+                const option = document.createElement('option');
+                option.value = region.code;
+                option.textContent = region.name;
+                regionSelect.appendChild(option);
+            });
+            regionSelect.disabled = !calendar || calendar.regions.length === 0;
+        };
+
+        countrySelect.onchange = updateRegions;
+
+        const reference = memberData?.holidayCalendar;
+        countrySelect.value = reference?.country || memberData?.country || '';
+        updateRegions();
+        regionSelect.value = reference?.region || '';
+    }
+
+    /**
+     * Read the holiday calendar reference from the member form
+     * @returns {Object|null} { country, region } or null for the default calendar
+     */
+    getHolidayCalendarFormValue() {
+        const country = document.getElementById('member-holiday-country')?.value || '';
+        const region = document.getElementById('member-holiday-region')?.value || '';
+        return country ? { country, region: region || null } : null;
+    }
+
+    /**
+     * Get the holiday calendar display name for a team member
+     */
+    getMemberCalendarName(member) {
+        const calculator = window.WorkingDaysCalculator;
+        if (!calculator?.holidayCalendar || !window.CapacityActions) {
+            return member.holidayCalendar?.country || 'IT';
+        }
+        // The calendar capacity is counted against (office, then vendor country)
+        return calculator.holidayCalendar.getCalendarName(new window.CapacityActions().getCountryForMember(member));
+    }
+
+    /**
+     * Render the working pattern rows (FTE %, weekdays, effective from) in the member form
+     */
+    populateWorkingPatternRows(patterns = []) {
+        const list = document.getElementById('member-working-patterns');
+        const addButton = document.getElementById('member-add-working-pattern');
+        if (!list) return;
+
+        const rows = patterns && patterns.length > 0
+            ? [...patterns].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''))
+            : [{ effectiveFrom: null, ftePercentage: 100, weekdays: [1, 2, 3, 4, 5] }];
+
+        list.innerHTML = rows.map((pattern, index) => this.renderWorkingPatternRow(pattern, index)).join('');
+
+        list.onclick = (e) => {
+            const removeButton = e.target.closest('.remove-working-pattern');
+            if (removeButton) {
+                e.preventDefault();
+                removeButton.closest('.working-pattern-row').remove();
+            }
+        };
+
+        // Suggest the FTE matching the days worked when weekdays change
+        list.onchange = (e) => {
+            if (!e.target.classList.contains('working-pattern-weekday')) return;
+            const row = e.target.closest('.working-pattern-row');
+            const checkedDays = row.querySelectorAll('.working-pattern-weekday:checked').length;
+            row.querySelector('.working-pattern-fte').value = Math.min(100, checkedDays * 20);
+        };
+
+        if (addButton) {
+            addButton.onclick = (e) => {
+                e.preventDefault();
+                const index = list.querySelectorAll('.working-pattern-row').length;
+                list.insertAdjacentHTML('beforeend', this.renderWorkingPatternRow(
+                    { effectiveFrom: new Date().toISOString().split('T')[0], ftePercentage: 100, weekdays: [1, 2, 3, 4, 5] },
+                    index
+                ));
+            };
+        }
+    }
+
+    renderWorkingPatternRow(pattern, index) {
+        const weekdayLabels = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+        const weekdays = pattern.weekdays || [];
+
+        return `
+            <div class="working-pattern-row">
+                <input type="date" class="working-pattern-from" value="${this.escapeHtml(pattern.effectiveFrom || '')}" title="Effective from">
+                <input type="number" class="working-pattern-fte" min="1" max="100" value="${pattern.ftePercentage ?? 100}" title="FTE %">
+                <span class="working-pattern-unit">%</span>
+                <div class="working-pattern-weekdays">
+                    ${weekdayLabels.map(([day, label]) => `
+                        <label>
+                            <input type="checkbox" class="working-pattern-weekday" value="${day}"${weekdays.includes(day) ? ' checked' : ''}>
+                            ${label}
+                        </label>
+                    `).join('')}
+                </div>
+                ${index > 0 ? `
+                    <button type="button" class="btn btn-small btn-destructive remove-working-pattern" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Read working patterns from the member form.
+     * A single full-time Monday-Friday pattern is stored as no pattern.
+     * @returns {Array} Array of { effectiveFrom, ftePercentage, weekdays }
+     */
+    getWorkingPatternsFormValue() {
+        const rows = document.querySelectorAll('#member-working-patterns .working-pattern-row');
+        const patterns = Array.from(rows).map(row => ({
+            effectiveFrom: row.querySelector('.working-pattern-from').value || null,
+            ftePercentage: parseFloat(row.querySelector('.working-pattern-fte').value),
+            weekdays: Array.from(row.querySelectorAll('.working-pattern-weekday:checked'))
+                .map(input => parseInt(input.value, 10))
+                .sort((a, b) => a - b)
+        }));
+
+        const isDefault = patterns.length === 1 &&
+            !patterns[0].effectiveFrom &&
+            patterns[0].ftePercentage === 100 &&
+            patterns[0].weekdays.join(',') === '1,2,3,4,5';
+
+        return isDefault ? [] : patterns;
+    }
+
+    /**
+     * Validate working patterns
+     * @returns {string|null} Error message or null if valid
+     */
+    validateWorkingPatterns(patterns) {
+        const seenDates = new Set();
+
+        for (const pattern of patterns) {
+            if (isNaN(pattern.ftePercentage) || pattern.ftePercentage <= 0 || pattern.ftePercentage > 100) {
+                return 'Working pattern FTE must be between 1 and 100%';
+            }
+            if (pattern.weekdays.length === 0) {
+                return 'Working pattern must include at least one weekday';
+            }
+            const key = pattern.effectiveFrom || 'initial';
+            if (seenDates.has(key)) {
+                return 'Working patterns must have different "From" dates';
+            }
+            seenDates.add(key);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a member works anything other than full time Monday-Friday
+     */
+    hasPartTimePattern(member) {
+        return (member.workingPatterns || []).some(pattern =>
+            pattern.ftePercentage !== 100 || (pattern.weekdays || []).join(',') !== '1,2,3,4,5');
+    }
+
+    /**
+     * Short label for the member's current working pattern, e.g. "80% Mon/Tue/Wed/Thu"
+     */
+    getWorkingPatternLabel(member) {
+        const calculator = window.WorkingDaysCalculator;
+        const pattern = calculator?.getWorkingPattern
+            ? calculator.getWorkingPattern(member, new Date())
+            : member.workingPatterns[0];
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return `${pattern.ftePercentage}% ${(pattern.weekdays || []).map(day => dayNames[day]).join('/')}`;
+    }
+
     // Removed addTeamToCurrentScope method - not needed with Categories pattern
 
     // Removed updateTeamInCurrentScope method - not needed with Categories pattern
 
     // Removed removeTeamFromCurrentScope method - not needed with Categories pattern
 
+    /**
+     * Get all team members across the current teams
+     */
+    getAllCurrentMembers() {
+        return this.getCurrentTeams().flatMap(team => team.members || []);
+    }
+
+    /**
+     * Read the selected .ics file and show the import preview
+     */
+    async handleVacationImportFile(e) {
+        const file = e.target.files && e.target.files[0];
+        // Reset so selecting the same file again triggers a new change event
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const events = IcsParser.parseIcsEvents(await file.text());
+            const preview = VacationImportHelpers.buildVacationImportPreview(events, this.getAllCurrentMembers());
+
+            if (preview.members.length === 0 && preview.unmatched.length === 0) {
+                this.showNotification('No vacation events found in the selected file', 'warning');
+                return;
+            }
+
+            this.showVacationImportPreview(preview, file.name);
+        } catch (error) {
+            console.error('Failed to read vacation calendar:', error);
+            this.showNotification(`Failed to import vacations: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render the per-member preview of the vacation days to import
+     */
+    showVacationImportPreview(preview, fileName) {
+        this.vacationImportPreview = preview;
+
+        const newTotal = preview.members.reduce((sum, item) => sum + item.newCount, 0);
+        const duplicateTotal = preview.members.reduce((sum, item) => sum + item.duplicateCount, 0);
+
+        const describeEntry = (entry) => {
+            const amount = entry.hours ? `${entry.hours}h` : '';
+            return [entry.date, entry.type !== 'holiday' ? entry.type : '', amount].filter(Boolean).join(' · ');
+        };
+
+        const membersHtml = preview.members.map(item => `
+            <div class="vacation-import-member">
+                <div class="vacation-import-member-header">
+                    <strong>${this.escapeHtml(`${item.member.firstName} ${item.member.lastName}`)}</strong>
+                    <span class="vacation-import-counts">
+                        ${item.newCount} new${item.duplicateCount > 0 ? `, ${item.duplicateCount} already present` : ''}
+                    </span>
+                </div>
+                <div class="vacation-import-days">
+                    ${item.entries.map(({ entry, duplicate }) => `
+                        <span class="vacation-import-day ${duplicate ? 'duplicate' : ''}"
+                              title="${this.escapeHtml(entry.note || '')}${duplicate ? ' (already present, will be skipped)' : ''}">
+                            ${this.escapeHtml(describeEntry(entry))}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        const unmatchedHtml = preview.unmatched.length > 0 ? `
+            <div class="vacation-import-unmatched">
+                <h4><i class="fas fa-exclamation-triangle"></i> Not imported (${preview.unmatched.length})</h4>
+                <ul>
+                    ${preview.unmatched.map(({ event, reason }) => `
+                        <li>${this.escapeHtml(event.summary || '(no title)')} - ${event.start.date}: ${this.escapeHtml(reason)}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        const container = document.getElementById('vacation-import-preview');
+        container.innerHTML = `
+            <p class="vacation-import-summary">
+                <strong>${this.escapeHtml(fileName)}</strong>: ${newTotal} new vacation day(s) for ${preview.members.length} team member(s)${duplicateTotal > 0 ? `, ${duplicateTotal} duplicate(s) will be skipped` : ''}.
+            </p>
+            ${membersHtml}
+            ${unmatchedHtml}
+        `;
+
+        document.getElementById('vacation-import-confirm').disabled = newTotal === 0;
+        document.getElementById('vacation-import-modal').classList.add('active');
+    }
+
+    /**
+     * Merge the previewed vacation days into the team members
+     * The configured members are updated in place with the merge
+     * TeamManager.addVacationDays uses (duplicates skipped), then the
+     * configuration is saved once.
+     */
+    async applyVacationImport() {
+        const preview = this.vacationImportPreview;
+        if (!preview) return;
+
+        this.isImportingVacations = true;
+
+        try {
+            const members = this.getAllCurrentMembers();
+            let importedDays = 0;
+            const errors = [];
+
+            for (const item of preview.members) {
+                const member = members.find(candidate => candidate.id === item.member.id);
+                const result = member
+                    ? VacationHelpers.mergeVacationEntries(member.vacationDays, VacationImportHelpers.groupNewEntriesByYear(item))
+                    : { success: false, error: 'Team member not found' };
+                if (result.success) {
+                    member.vacationDays = result.vacationDays;
+                    member.lastModified = new Date().toISOString();
+                    importedDays += result.added;
+                } else {
+                    errors.push(`${item.member.firstName} ${item.member.lastName}: ${result.error}`);
+                }
+            }
+
+            await this.saveCurrentConfiguration();
+            this.closeModal('vacation-import-modal');
+            this.vacationImportPreview = null;
+            this.refreshTeamsDisplay();
+
+            if (errors.length > 0) {
+                console.error('Vacation import errors:', errors);
+                this.showNotification(`Imported ${importedDays} vacation day(s); ${errors.length} error(s): ${errors[0]}`, 'warning');
+            } else {
+                this.showNotification(`Imported ${importedDays} vacation day(s)`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to import vacations:', error);
+            this.showNotification('Failed to import vacations', 'error');
+        } finally {
+            this.isImportingVacations = false;
+        }
+    }
+
     /**
      * Save current configuration - same pattern as Categories
      */
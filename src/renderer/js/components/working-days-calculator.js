@@ -3,9 +3,12 @@
  * 
  * Calculates working days in a month excluding:
  * - Weekends (Saturday, Sunday)
- * - National holidays (Italy, Romania)  
+ * - National holidays and company closures (computed by HolidayCalendar)
  * - Team member vacation days
  * - Existing project allocations
+ *
+ * Team members may define `workingPatterns` (FTE percentage, weekdays worked,
+ * effective-from date) to scale capacity for part-time or non-standard weeks.
  * 
  * Implements caching for performance optimization.
  */
@@ -19,113 +22,67 @@ class WorkingDaysCalculator {
     }
 
     /**
-     * Initialize national holidays data for Italy and Romania
+     * Initialize the holiday engine (built-in IT/RO calendars until configured)
      */
     initializeHolidays() {
-        this.holidays = {
-            IT: {
-                2024: [
-                    '2024-01-01', // New Year's Day
-                    '2024-01-06', // Epiphany
-                    '2024-04-01', // Easter Monday
-                    '2024-04-25', // Liberation Day
-                    '2024-05-01', // Labour Day
-                    '2024-06-02', // Republic Day
-                    '2024-08-15', // Assumption of Mary
-                    '2024-11-01', // All Saints' Day
-                    '2024-12-08', // Immaculate Conception
-                    '2024-12-25', // Christmas Day
-                    '2024-12-26'  // St. Stephen's Day
-                ],
-                2025: [
-                    '2025-01-01', '2025-01-06', '2025-04-21', '2025-04-25',
-                    '2025-05-01', '2025-06-02', '2025-08-15', '2025-11-01',
-                    '2025-12-08', '2025-12-25', '2025-12-26'
-                ],
-                2026: [
-                    '2026-01-01', '2026-01-06', '2026-04-06', '2026-04-25',
-                    '2026-05-01', '2026-06-02', '2026-08-15', '2026-11-01',
-                    '2026-12-08', '2026-12-25', '2026-12-26'
-                ],
-                2027: [
-                    '2027-01-01', '2027-01-06', '2027-03-29', '2027-04-25',
-                    '2027-05-01', '2027-06-02', '2027-08-15', '2027-11-01',
-                    '2027-12-08', '2027-12-25', '2027-12-26'
-                ],
-                2028: [
-                    '2028-01-01', '2028-01-06', '2028-04-17', '2028-04-25',
-                    '2028-05-01', '2028-06-02', '2028-08-15', '2028-11-01',
-                    '2028-12-08', '2028-12-25', '2028-12-26'
-                ],
-                2029: [
-                    '2029-01-01', '2029-01-06', '2029-04-02', '2029-04-25',
-                    '2029-05-01', '2029-06-02', '2029-08-15', '2029-11-01',
-                    '2029-12-08', '2029-12-25', '2029-12-26'
-                ],
-                2030: [
-                    '2030-01-01', '2030-01-06', '2030-04-22', '2030-04-25',
-                    '2030-05-01', '2030-06-02', '2030-08-15', '2030-11-01',
-                    '2030-12-08', '2030-12-25', '2030-12-26'
-                ]
-            },
-            RO: {
-                2024: [
-                    '2024-01-01', '2024-01-02', // New Year
-                    '2024-01-24', // Union Day
-                    '2024-04-29', '2024-05-05', '2024-05-06', // Orthodox Easter
-                    '2024-05-01', // Labour Day
-                    '2024-06-01', // Children's Day
-                    '2024-06-24', // Orthodox Pentecost
-                    '2024-08-15', // Assumption of Mary
-                    '2024-11-30', // St. Andrew's Day
-                    '2024-12-01', // National Day
-                    '2024-12-25', '2024-12-26' // Christmas
-                ],
-                2025: [
-                    '2025-01-01', '2025-01-02', '2025-01-24',
-                    '2025-04-20', '2025-04-21', '2025-05-01',
-                    '2025-06-01', '2025-06-08', '2025-08-15',
-                    '2025-11-30', '2025-12-01', '2025-12-25', '2025-12-26'
-                ],
-                2026: [
-                    '2026-01-01', '2026-01-02', '2026-01-24',
-                    '2026-04-12', '2026-04-13', '2026-05-01',
-                    '2026-06-01', '2026-05-31', '2026-08-15',
-                    '2026-11-30', '2026-12-01', '2026-12-25', '2026-12-26'
-                ],
-                2027: [
-                    '2027-01-01', '2027-01-02', '2027-01-24',
-                    '2027-05-02', '2027-05-03', '2027-05-01',
-                    '2027-06-01', '2027-06-20', '2027-08-15',
-                    '2027-11-30', '2027-12-01', '2027-12-25', '2027-12-26'
-                ],
-                2028: [
-                    '2028-01-01', '2028-01-02', '2028-01-24',
-                    '2028-04-16', '2028-04-17', '2028-05-01',
-                    '2028-06-01', '2028-06-04', '2028-08-15',
-                    '2028-11-30', '2028-12-01', '2028-12-25', '2028-12-26'
-                ],
-                2029: [
-                    '2029-01-01', '2029-01-02', '2029-01-24',
-                    '2029-04-08', '2029-04-09', '2029-05-01',
-                    '2029-06-01', '2029-05-27', '2029-08-15',
-                    '2029-11-30', '2029-12-01', '2029-12-25', '2029-12-26'
-                ],
-                2030: [
-                    '2030-01-01', '2030-01-02', '2030-01-24',
-                    '2030-04-28', '2030-04-29', '2030-05-01',
-                    '2030-06-01', '2030-06-16', '2030-08-15',
-                    '2030-11-30', '2030-12-01', '2030-12-25', '2030-12-26'
-                ]
-            }
-        };
+        const HolidayCalendarClass = (typeof window !== 'undefined' && window.HolidayCalendar) ||
+            (typeof require === 'function' ? require('./holiday-calendar.js') : null);
+
+        if (!HolidayCalendarClass) {
+            throw new Error('HolidayCalendar not available - load holiday-calendar.js first');
+        }
+
+        this.holidayCalendar = new HolidayCalendarClass();
+    }
+
+    /**
+     * Apply holiday calendars and company closures from global configuration
+     * @param {Object} globalConfig Global config with `holidayCalendars` and `companyClosures`
+     */
+    configureHolidays(globalConfig) {
+        this.holidayCalendar.configure({
+            holidayCalendars: globalConfig?.holidayCalendars || [],
+            companyClosures: globalConfig?.companyClosures || []
+        });
+        this.clearCache();
+    }
+
+    /**
+     * Get holidays and company closures for a year
+     * @param {number} year Year
+     * @param {string} country Holiday calendar code
+     * @returns {Array} Array of { date, name, type }
+     */
+    getHolidays(year, country = 'IT') {
+        this._validateYear(year);
+        return this.holidayCalendar.getHolidays(year, country);
+    }
+
+    /**
+     * Resolve the holiday calendar code for a team member.
+     * Uses the member's office calendar (`holidayCalendar: { country, region }`),
+     * then the legacy `country` field, then the default calendar.
+     * @param {Object} teamMember Team member object
+     * @param {string} fallback Calendar code used when the member has none (default 'IT')
+     * @returns {string} Calendar code such as 'IT' or 'IT-MI'
+     */
+    resolveMemberCalendar(teamMember, fallback = 'IT') {
+        const CalendarClass = this.holidayCalendar.constructor;
+        const code = CalendarClass.toCalendarCode(teamMember?.holidayCalendar) || teamMember?.country;
+
+        if (!code) return fallback;
+        if (this.holidayCalendar.hasCalendar(code)) return code;
+
+        // Unknown office: fall back to the national calendar
+        const { country } = CalendarClass.parseCalendarCode(code);
+        return this.holidayCalendar.hasCalendar(country) ? country : fallback;
     }
 
     /**
      * Calculate working days in a month excluding weekends and national holidays
      * @param {number} month Month (1-12)
-     * @param {number} year Year (2020-2030)
-     * @param {string} country Holiday calendar ('IT' or 'RO')
+     * @param {number} year Year
+     * @param {string} country Holiday calendar code (e.g. 'IT', 'RO')
      * @returns {number} Working days count
      */
     calculateWorkingDays(month, year, country = 'IT') {
@@ -175,21 +132,13 @@ class WorkingDaysCalculator {
     }
 
     /**
-     * Check if a date is a national holiday
+     * Check if a date is a national holiday or company closure day
      * @param {Date} date Date to check
-     * @param {string} country Country code ('IT' or 'RO')
-     * @returns {boolean} True if date is a national holiday
+     * @param {string} country Holiday calendar code (e.g. 'IT', 'RO')
+     * @returns {boolean} True if date is a non-working holiday
      */
     isNationalHoliday(date, country = 'IT') {
-        const year = date.getFullYear();
-        const dateString = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-
-        const countryHolidays = this.holidays[country];
-        if (!countryHolidays || !countryHolidays[year]) {
-            return false; // No holiday data for this country/year
-        }
-
-        return countryHolidays[year].includes(dateString);
+        return this.holidayCalendar.isHoliday(date, country);
     }
 
     /**
@@ -224,31 +173,32 @@ class WorkingDaysCalculator {
 
     /**
      * Count vacation days for a team member in a specific month
-     * Only counts weekdays (weekends don't reduce capacity)
+     * Half days and hourly entries count as fractions; weekends, holidays and
+     * days outside the member's working pattern don't reduce capacity
      * @private
      */
     _countVacationDaysInMonth(teamMember, month) {
-        const [year, monthNum] = month.split('-').map(Number);
-        const vacationDays = teamMember.vacationDays?.[year] || [];
+        return this.getVacationBreakdown(teamMember, month).total;
+    }
 
-        let vacationCount = 0;
+    /**
+     * Get vacation days for a team member in a month, split by type
+     * @param {Object} teamMember Team member object with vacation data
+     * @param {string} month Month in YYYY-MM format
+     * @param {string} [country] Holiday calendar code (default: resolved from the member)
+     * @returns {Object} { total, byType: { holiday, sick, training, other } }
+     */
+    getVacationBreakdown(teamMember, month, country = this.resolveMemberCalendar(teamMember)) {
+        const helpers = WorkingDaysCalculator.getVacationHelpers();
+        const entries = helpers.getVacationEntriesInMonth(teamMember?.vacationDays, month);
 
-        vacationDays.forEach(vacationDate => {
-            const vDate = new Date(vacationDate);
-            if (vDate.getMonth() + 1 === monthNum) {
-                const dayOfWeek = vDate.getDay();
-                
-                // Only count weekdays as vacation (weekends don't reduce capacity)
-                if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                    // Don't double-count if vacation is on a national holiday
-                    if (!this.isNationalHoliday(vDate, 'IT')) {
-                        vacationCount++;
-                    }
-                }
+        return helpers.summarizeVacationEntries(entries, entry => {
+            const date = new Date(`${entry.date}T00:00:00`);
+            if (this.isNationalHoliday(date, country)) {
+                return 0; // Don't double-count vacation on a national holiday
             }
+            return this.getDailyCapacityFactor(teamMember, date);
         });
-
-        return vacationCount;
     }
 
     /**
@@ -293,8 +243,9 @@ class WorkingDaysCalculator {
      * @private
      */
     _validateYear(year) {
-        if (typeof year !== 'number' || year < 2020 || year > 2030) {
-            throw new Error(`Invalid year: ${year}. Year must be between 2020 and 2030.`);
+        const { MIN_YEAR, MAX_YEAR } = this.holidayCalendar.constructor;
+        if (typeof year !== 'number' || year < MIN_YEAR || year > MAX_YEAR) {
+            throw new Error(`Invalid year: ${year}. Year must be between ${MIN_YEAR} and ${MAX_YEAR}.`);
         }
     }
 
@@ -310,8 +261,13 @@ class WorkingDaysCalculator {
     calculateAvailableCapacity(teamMember, monthString, startDate = null, excludeExistingAllocations = false, phaseEndDate = null) {
         const [year, month] = monthString.split('-').map(Number);
         
-        // Calculate base working days for the month
-        let baseCapacity = this.calculateWorkingDays(month, year, teamMember.country || 'IT');
+        const country = this.resolveMemberCalendar(teamMember);
+        const hasPattern = this.hasWorkingPattern(teamMember);
+
+        // Calculate base working days for the month (scaled by working pattern if any)
+        let baseCapacity = hasPattern
+            ? this.calculateMemberWorkingDays(teamMember, new Date(year, month - 1, 1), new Date(year, month, 0))
+            : this.calculateWorkingDays(month, year, country);
         
         // Handle partial month if start date is provided
         if (startDate) {
@@ -333,7 +289,9 @@ class WorkingDaysCalculator {
                     }
                 }
                 
-                baseCapacity = this.calculateWorkingDaysBetween(startDate, effectiveEndDate);
+                baseCapacity = hasPattern
+                    ? this.calculateMemberWorkingDays(teamMember, startDate, effectiveEndDate)
+                    : this.calculateWorkingDaysBetween(startDate, effectiveEndDate, country);
             }
         }
         
@@ -352,9 +310,10 @@ class WorkingDaysCalculator {
      * Calculate working days between two dates
      * @param {Date} startDate Start date (inclusive)
      * @param {Date} endDate End date (inclusive)
+     * @param {string} country Holiday calendar code (default 'IT')
      * @returns {number} Working days count
      */
-    calculateWorkingDaysBetween(startDate, endDate) {
+    calculateWorkingDaysBetween(startDate, endDate, country = 'IT') {
         const start = new Date(startDate);
         const end = new Date(endDate);
         let workingDays = 0;
@@ -362,10 +321,9 @@ class WorkingDaysCalculator {
         
         while (current <= end) {
             const dayOfWeek = current.getDay();
-            const dateString = current.toISOString().split('T')[0];
             
             // Skip weekends and holidays
-            if (dayOfWeek !== 0 && dayOfWeek !== 6 && !this._isHoliday(dateString)) {
+            if (dayOfWeek !== 0 && dayOfWeek !== 6 && !this.isNationalHoliday(current, country)) {
                 workingDays++;
             }
             
@@ -375,6 +333,89 @@ class WorkingDaysCalculator {
         return workingDays;
     }
 
+    /**
+     * Check if a team member has a custom working pattern
+     * @param {Object} teamMember Team member object
+     * @returns {boolean}
+     */
+    hasWorkingPattern(teamMember) {
+        return Array.isArray(teamMember?.workingPatterns) && teamMember.workingPatterns.length > 0;
+    }
+
+    /**
+     * Get the working pattern in effect for a team member on a date.
+     * The pattern with the latest `effectiveFrom` on or before the date wins;
+     * a pattern without `effectiveFrom` applies from the beginning.
+     * @param {Object} teamMember Team member object
+     * @param {Date|string} date Date or YYYY-MM-DD string
+     * @returns {Object} { ftePercentage, weekdays, effectiveFrom }
+     */
+    getWorkingPattern(teamMember, date) {
+        if (!this.hasWorkingPattern(teamMember)) {
+            return WorkingDaysCalculator.DEFAULT_WORKING_PATTERN;
+        }
+
+        const dateString = typeof date === 'string' ? date : this.holidayCalendar.constructor.formatDate(date);
+        let current = null;
+
+        teamMember.workingPatterns.forEach(pattern => {
+            const from = pattern.effectiveFrom || '';
+            if (from <= dateString && (!current || from >= (current.effectiveFrom || ''))) {
+                current = pattern;
+            }
+        });
+
+        return current || WorkingDaysCalculator.DEFAULT_WORKING_PATTERN;
+    }
+
+    /**
+     * Get the share of a full working day a team member works on a date.
+     * FTE is spread over the weekdays worked, so 80% on Monday-Thursday
+     * means full days, while 80% on Monday-Friday means 0.8 per day.
+     * Holidays are not considered here.
+     * @param {Object} teamMember Team member object
+     * @param {Date|string} date Date or YYYY-MM-DD string
+     * @returns {number} Day factor (0 when the member does not work that weekday)
+     */
+    getDailyCapacityFactor(teamMember, date) {
+        const day = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+        const pattern = this.getWorkingPattern(teamMember, day);
+        const weekdays = Array.isArray(pattern.weekdays) && pattern.weekdays.length > 0
+            ? pattern.weekdays
+            : WorkingDaysCalculator.DEFAULT_WORKING_PATTERN.weekdays;
+
+        if (!weekdays.includes(day.getDay())) {
+            return 0;
+        }
+
+        const fte = pattern.ftePercentage ?? 100;
+        return (fte / 100) * (WorkingDaysCalculator.FULL_TIME_WEEKDAYS / weekdays.length);
+    }
+
+    /**
+     * Calculate working days for a team member between two dates, applying
+     * their holiday calendar and working pattern
+     * @param {Object} teamMember Team member object
+     * @param {Date} startDate Start date (inclusive)
+     * @param {Date} endDate End date (inclusive)
+     * @param {string} [country] Holiday calendar code (default: resolved from the member)
+     * @returns {number} Working days (may be fractional for part-time patterns)
+     */
+    calculateMemberWorkingDays(teamMember, startDate, endDate, country = this.resolveMemberCalendar(teamMember)) {
+        const current = new Date(startDate);
+        const end = new Date(endDate);
+        let workingDays = 0;
+
+        while (current <= end) {
+            if (!this.isNationalHoliday(current, country)) {
+                workingDays += this.getDailyCapacityFactor(teamMember, current);
+            }
+            current.setDate(current.getDate() + 1);
+        }
+
+        return Math.round(workingDays * 100) / 100;
+    }
+
     /**
      * Get vacation days for team member in specific month
      * @private
@@ -404,13 +445,11 @@ class WorkingDaysCalculator {
      * Check if date is a holiday
      * @private
      * @param {string} dateString Date in YYYY-MM-DD format
+     * @param {string} country Holiday calendar code (default 'IT')
      * @returns {boolean} True if date is a holiday
      */
-    _isHoliday(dateString) {
-        const year = parseInt(dateString.split('-')[0]);
-        const country = 'IT'; // Default to Italy, can be made configurable
-        const holidays = this.holidays[country] && this.holidays[country][year] || [];
-        return holidays.includes(dateString);
+    _isHoliday(dateString, country = 'IT') {
+        return this.holidayCalendar.isHoliday(dateString, country);
     }
 
     /**
@@ -436,6 +475,19 @@ class WorkingDaysCalculator {
     }
 }
 
+WorkingDaysCalculator.getVacationHelpers = function () {
+    return (typeof window !== 'undefined' && window.VacationHelpers) ||
+        (typeof require === 'function' ? require('../utils/vacation-helpers.js') : null);
+};
+
+WorkingDaysCalculator.FULL_TIME_WEEKDAYS = 5;
+
+WorkingDaysCalculator.DEFAULT_WORKING_PATTERN = Object.freeze({
+    ftePercentage: 100,
+    weekdays: [1, 2, 3, 4, 5], // Monday-Friday (Date.getDay() numbering)
+    effectiveFrom: null
+});
+
 // Export for Node.js testing environment
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WorkingDaysCalculator;
@@ -8,6 +8,11 @@ class DataManager extends BaseComponent {
         super('DataManager');
         
         this.currentProjectPath = null;
+
+        // Concurrent edit detection on the open project file
+        this.currentFileFingerprint = null; // File state when loaded/last saved
+        this.baseProjectData = null; // Project as loaded/last saved: common ancestor for merges
+        this.currentProjectLock = null; // Lock held by someone else who has the file open
         
         // Persistence strategies
         this.persistenceStrategy = this.determinePersistenceStrategy();
@@ -41,8 +46,12 @@ class DataManager extends BaseComponent {
 
     /**
      * Save project with validation and error handling
+     *
+     * If the open file was changed by someone else since it was loaded, nothing is written and
+     * the result has `conflict: true` with the other version in `data` (see acceptExternalVersion);
+     * `options.force` overwrites it anyway.
      */
-    async saveProject(projectData, filePath = null) {
+    async saveProject(projectData, filePath = null, options = {}) {
         return this.withErrorBoundary(async () => {
             this.logOperation('saveProject', { projectId: projectData?.project?.id, filePath });
 
@@ -62,10 +71,25 @@ class DataManager extends BaseComponent {
             const serializedData = this.serializers.serializeProject(projectDataForSaving);
 
             // Save using appropriate strategy
-            const result = await this.persistenceStrategy.saveProject(serializedData, filePath);
+            const result = await this.persistenceStrategy.saveProject(serializedData, filePath, {
+                expectedFilePath: this.currentProjectPath,
+                expectedFingerprint: this.currentFileFingerprint,
+                force: !!options.force
+            });
+
+            if (result.conflict) {
+                result.data = this.serializers.deserializeProject(result.data);
+                this.emit('project-conflict', { filePath: result.filePath, lockedBy: result.lockedBy });
+                return result;
+            }
 
             if (result.success) {
+                if (result.filePath !== this.currentProjectPath) {
+                    await this.switchProjectLock(result.filePath);
+                }
                 this.currentProjectPath = result.filePath;
+                this.currentFileFingerprint = result.fingerprint || null;
+                this.baseProjectData = projectDataForSaving;
                 
                 this.emit('project-saved', { 
                     projectId: projectDataForSaving.project.id, 
@@ -141,7 +165,12 @@ class DataManager extends BaseComponent {
                     // Continue loading even if validation fails - calculationData is more important
                 }
 
+                if (filePath !== this.currentProjectPath) {
+                    await this.switchProjectLock(filePath);
+                }
                 this.currentProjectPath = filePath;
+                this.currentFileFingerprint = result.fingerprint || null;
+                this.baseProjectData = this.deepClone(projectData);
                 this.emit('project-loaded', { 
                     projectId: projectData.project.id, 
                     filePath 
@@ -157,7 +186,54 @@ class DataManager extends BaseComponent {
 
         }, 'loadProject', { 
             showNotification: true,
-            defaultValue: null 
+            defaultValue: null
+        });
+    }
+
+    /**
+     * Read a saved project without opening it (the open project, its path and lock are unchanged)
+     */
+    async readProject(filePath) {
+        return this.withErrorBoundary(async () => {
+            const result = await this.persistenceStrategy.loadProject(filePath);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to read project');
+            }
+
+            const projectData = this.serializers.deserializeProject(result.data);
+            if (result.data?.calculationData && !projectData?.calculationData) {
+                projectData.calculationData = result.data.calculationData;
+            }
+            return projectData;
+        }, 'readProject', {
+            showNotification: true,
+            defaultValue: null
+        });
+    }
+
+    /**
+     * Write a project other than the current one (e.g. features moved to it),
+     * leaving the current project path and lock untouched
+     */
+    async writeProject(projectData, filePath) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('writeProject', { projectId: projectData?.project?.id, filePath });
+
+            await this.validators.validateProjectData(projectData);
+            const projectDataForSaving = this.deepClone(projectData);
+            this.updateProjectMetadata(projectDataForSaving);
+
+            const result = await this.persistenceStrategy.writeProject(
+                this.serializers.serializeProject(projectDataForSaving),
+                filePath
+            );
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to write project');
+            }
+            return true;
+        }, 'writeProject', {
+            showNotification: true,
+            defaultValue: false
         });
     }
 
@@ -213,7 +289,157 @@ class DataManager extends BaseComponent {
     }
 
     /**
-     * Delete project with confirmation
+     * List the rotating backups of a project file (.backups folder), newest first
+     */
+    async listProjectBackups(filePath) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('listProjectBackups', { filePath });
+            const result = await this.persistenceStrategy.listProjectBackups(filePath);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to list project backups');
+            }
+            return result.backups || [];
+        }, 'listProjectBackups', {
+            showNotification: true,
+            defaultValue: []
+        });
+    }
+
+    /**
+     * Replace a project file with one of its backups
+     */
+    async restoreProjectBackup(filePath, backupPath) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('restoreProjectBackup', { filePath, backupPath });
+            const result = await this.persistenceStrategy.restoreProjectBackup(filePath, backupPath);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to restore project backup');
+            }
+            this.emit('project-restored', { filePath, backupPath });
+            return true;
+        }, 'restoreProjectBackup', {
+            showNotification: true,
+            defaultValue: false
+        });
+    }
+
+    /**
+     * List the deleted projects in the trash, most recently deleted first
+     * @returns {Promise<{items: Array, retentionDays: number}>} retentionDays 0: kept until the trash is emptied
+     */
+    async listTrash() {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('listTrash');
+            const result = await this.persistenceStrategy.listTrash();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to list the trash');
+            }
+            return { items: result.items || [], retentionDays: result.retentionDays ?? 0 };
+        }, 'listTrash', {
+            showNotification: true,
+            defaultValue: { items: [], retentionDays: 0 }
+        });
+    }
+
+    /**
+     * Move a deleted project back to the projects folder
+     * @returns {Promise<string|null>} Path of the restored project file
+     */
+    async restoreFromTrash(trashPath) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('restoreFromTrash', { trashPath });
+            const result = await this.persistenceStrategy.restoreFromTrash(trashPath);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to restore the project');
+            }
+            this.emit('project-restored', { filePath: result.filePath, trashPath });
+            return result.filePath;
+        }, 'restoreFromTrash', {
+            showNotification: true,
+            defaultValue: null
+        });
+    }
+
+    /**
+     * Permanently delete a project from the trash
+     */
+    async purgeFromTrash(trashPath) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('purgeFromTrash', { trashPath });
+            const result = await this.persistenceStrategy.purgeFromTrash(trashPath);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to delete the project permanently');
+            }
+            return true;
+        }, 'purgeFromTrash', {
+            showNotification: true,
+            defaultValue: false
+        });
+    }
+
+    /**
+     * Permanently delete every project in the trash
+     * @returns {Promise<number>} How many projects were deleted
+     */
+    async emptyTrash() {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('emptyTrash');
+            const result = await this.persistenceStrategy.emptyTrash();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to empty the trash');
+            }
+            return result.purged || 0;
+        }, 'emptyTrash', {
+            showNotification: true,
+            defaultValue: 0
+        });
+    }
+
+    /**
+     * Take the version found on disk during a save conflict as the new reference, so the next save
+     * (of the merged project, or of mine to overwrite it) only conflicts if the file changes again
+     */
+    acceptExternalVersion(conflict) {
+        this.currentFileFingerprint = conflict.fingerprint || null;
+        this.baseProjectData = this.deepClone(conflict.data);
+    }
+
+    /**
+     * Forget the open project file and release its lock
+     */
+    async closeProjectFile() {
+        await this.switchProjectLock(null);
+        this.currentProjectPath = null;
+        this.currentFileFingerprint = null;
+        this.baseProjectData = null;
+    }
+
+    /**
+     * Release the lock of the open project file and take the lock of `filePath`;
+     * if someone else has it open, currentProjectLock tells who
+     */
+    async switchProjectLock(filePath) {
+        try {
+            if (this.currentProjectPath && this.currentProjectPath !== filePath) {
+                await this.persistenceStrategy.releaseProjectLock(this.currentProjectPath);
+            }
+
+            this.currentProjectLock = null;
+            if (!filePath) return;
+
+            const result = await this.persistenceStrategy.acquireProjectLock(filePath);
+            if (result.lockedBy) {
+                this.currentProjectLock = result.lockedBy;
+                this.emit('project-locked', { filePath, lockedBy: result.lockedBy });
+            }
+        } catch (error) {
+            // Locks are advisory: never block opening or saving a project
+            console.warn('Failed to update project lock:', error);
+        }
+    }
+
+    /**
+     * Delete a project: it is moved to the trash, from where it can be restored
      */
     async deleteProject(filePath) {
         return this.withErrorBoundary(async () => {
@@ -281,6 +507,11 @@ class DataManager extends BaseComponent {
             }
 
             const allocations = result.data;
+            const schemaResult = window.schemaValidationActions?.validateAllocations(allocations);
+            if (schemaResult && !schemaResult.valid) {
+                console.warn('Resource allocations file does not match its schema:', schemaResult.errors);
+            }
+
             let migratedCount = 0;
             let migrationErrors = 0;
 
@@ -371,6 +602,7 @@ class DataManager extends BaseComponent {
             if (!Array.isArray(allocations)) {
                 throw new Error('Allocations must be an array');
             }
+            window.schemaValidationActions?.assertValid('allocations', { allocations });
             const result = await this.persistenceStrategy.saveResourceAllocations(allocations);
             return result.success;
         }, 'saveResourceAllocations', {
@@ -379,6 +611,99 @@ class DataManager extends BaseComponent {
         });
     }
 
+    /**
+     * Load project templates from config/templates.json
+     */
+    async loadProjectTemplates() {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('loadProjectTemplates');
+            const result = await this.persistenceStrategy.loadProjectTemplates();
+            return result.success && Array.isArray(result.data) ? result.data : [];
+        }, 'loadProjectTemplates', {
+            showNotification: false,
+            defaultValue: []
+        });
+    }
+
+    /**
+     * Save project templates to config/templates.json
+     */
+    async saveProjectTemplates(templates) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('saveProjectTemplates', { count: templates?.length });
+            if (!Array.isArray(templates)) {
+                throw new Error('Templates must be an array');
+            }
+            const result = await this.persistenceStrategy.saveProjectTemplates(templates);
+            return result.success;
+        }, 'saveProjectTemplates', {
+            showNotification: true,
+            defaultValue: false
+        });
+    }
+
+    /**
+     * Load what-if allocation scenarios from capacity/scenarios.json
+     */
+    async loadAllocationScenarios() {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('loadAllocationScenarios');
+            const result = await this.persistenceStrategy.loadAllocationScenarios();
+            return result.success && Array.isArray(result.data) ? result.data : [];
+        }, 'loadAllocationScenarios', {
+            showNotification: false,
+            defaultValue: []
+        });
+    }
+
+    /**
+     * Save what-if allocation scenarios to capacity/scenarios.json
+     */
+    async saveAllocationScenarios(scenarios) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('saveAllocationScenarios', { count: scenarios?.length });
+            if (!Array.isArray(scenarios)) {
+                throw new Error('Scenarios must be an array');
+            }
+            const result = await this.persistenceStrategy.saveAllocationScenarios(scenarios);
+            return result.success;
+        }, 'saveAllocationScenarios', {
+            showNotification: true,
+            defaultValue: false
+        });
+    }
+
+    /**
+     * Load the allocation audit trail from capacity/audit-log.jsonl
+     */
+    async loadAllocationAuditLog() {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('loadAllocationAuditLog');
+            const result = await this.persistenceStrategy.loadAllocationAudit();
+            return result.success && Array.isArray(result.data) ? result.data : [];
+        }, 'loadAllocationAuditLog', {
+            showNotification: false,
+            defaultValue: []
+        });
+    }
+
+    /**
+     * Append entries to the allocation audit trail (existing entries are never rewritten)
+     */
+    async appendAllocationAuditEntries(entries) {
+        return this.withErrorBoundary(async () => {
+            this.logOperation('appendAllocationAuditEntries', { count: entries?.length });
+            if (!Array.isArray(entries)) {
+                throw new Error('Audit entries must be an array');
+            }
+            const result = await this.persistenceStrategy.appendAllocationAudit(entries);
+            return result.success;
+        }, 'appendAllocationAuditEntries', {
+            showNotification: false,
+            defaultValue: false
+        });
+    }
+
     /**
      * Project metadata management
      */
@@ -436,9 +761,21 @@ class DataManager extends BaseComponent {
 
     /**
      * Backup and restore functionality
+     *
+     * With file system storage the backup is a workspace archive: every project file, the capacity
+     * data, config/defaults.json and the settings (global configuration included). It is restored
+     * selectively: inspectBackup() compares its files with the workspace, restoreBackup() writes the chosen ones.
      */
     async createBackup(includeSettings = true) {
         return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name === 'electron') {
+                const result = await window.electronAPI.createWorkspaceBackup({ includeSettings });
+                if (result.success) {
+                    this.emit('backup-created', { filePath: result.filePath, fileCount: result.fileCount });
+                }
+                return result;
+            }
+
             const backupData = {
                 metadata: {
                     version: '1.0.0',
@@ -455,18 +792,39 @@ class DataManager extends BaseComponent {
             const filename = `backup-${new Date().toISOString().split('T')[0]}.json`;
             const dataStr = JSON.stringify(backupData, null, 2);
 
-            if (this.persistenceStrategy.name === 'electron') {
-                const result = await window.electronAPI.saveFile(filename, backupData);
-                return result;
-            } else {
-                this.downloadAsFile(dataStr, filename, 'application/json');
-                return { success: true, method: 'download' };
-            }
+            this.downloadAsFile(dataStr, filename, 'application/json');
+            return { success: true, method: 'download' };
         }, 'createBackup', { showNotification: true });
     }
 
-    async restoreBackup(backupData) {
+    /**
+     * Open a workspace backup (file dialog if no path) and compare its files with the workspace
+     */
+    async inspectBackup(backupPath = null) {
         return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name !== 'electron') {
+                return { success: false, error: 'Workspace backups are only available with file system storage' };
+            }
+            return await window.electronAPI.inspectWorkspaceBackup(backupPath);
+        }, 'inspectBackup', {
+            showNotification: true,
+            defaultValue: { success: false, error: 'Failed to read backup' }
+        });
+    }
+
+    /**
+     * Restore a backup: a workspace archive path with the files to restore, or legacy backup data (settings only)
+     */
+    async restoreBackup(backupData, selectedPaths = []) {
+        return this.withErrorBoundary(async () => {
+            if (typeof backupData === 'string') {
+                const result = await window.electronAPI.restoreWorkspaceBackup(backupData, selectedPaths);
+                if (result.restored?.length > 0) {
+                    this.emit('backup-restored', { backupPath: backupData, restored: result.restored });
+                }
+                return result;
+            }
+
             // Validate backup data structure
             this.validators.validateBackupData(backupData);
 
@@ -527,6 +885,82 @@ class DataManager extends BaseComponent {
         }, 'openProjectsFolder');
     }
 
+    /**
+     * Workspaces: named projects folders, each with optionally its own global configuration and allocations file
+     * @returns {Promise<{workspaces: Array, activeWorkspaceId: string}>}
+     */
+    async listWorkspaces() {
+        return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name !== 'electron') {
+                return { workspaces: [], activeWorkspaceId: null };
+            }
+            const result = await window.electronAPI.listWorkspaces();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to list workspaces');
+            }
+            return { workspaces: result.workspaces, activeWorkspaceId: result.activeWorkspaceId };
+        }, 'listWorkspaces', {
+            showNotification: false,
+            defaultValue: { workspaces: [], activeWorkspaceId: null }
+        });
+    }
+
+    async saveWorkspace(workspace) {
+        return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name !== 'electron') {
+                throw new Error('Workspaces are only available with file system storage');
+            }
+            this.logOperation('saveWorkspace', { name: workspace.name });
+            const result = await window.electronAPI.saveWorkspace(workspace);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to save workspace');
+            }
+            return result.workspace;
+        }, 'saveWorkspace', { showNotification: true, defaultValue: null });
+    }
+
+    async deleteWorkspace(workspaceId) {
+        return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name !== 'electron') {
+                throw new Error('Workspaces are only available with file system storage');
+            }
+            this.logOperation('deleteWorkspace', { workspaceId });
+            const result = await window.electronAPI.deleteWorkspace(workspaceId);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to remove workspace');
+            }
+            return true;
+        }, 'deleteWorkspace', { showNotification: true, defaultValue: false });
+    }
+
+    /**
+     * Make a workspace the active one (the open project is closed first)
+     */
+    async switchWorkspace(workspaceId) {
+        return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name !== 'electron') {
+                throw new Error('Workspaces are only available with file system storage');
+            }
+            this.logOperation('switchWorkspace', { workspaceId });
+            await this.closeProjectFile();
+            const result = await window.electronAPI.switchWorkspace(workspaceId);
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to switch workspace');
+            }
+            this.emit('projects-path-changed', { path: result.workspace.projectsPath });
+            return result.workspace;
+        }, 'switchWorkspace', { showNotification: true, defaultValue: null });
+    }
+
+    async chooseWorkspaceFile(title) {
+        return this.withErrorBoundary(async () => {
+            if (this.persistenceStrategy.name === 'electron') {
+                return await window.electronAPI.chooseWorkspaceFile(title);
+            }
+            return { success: false, error: 'Not available in localStorage mode' };
+        }, 'chooseWorkspaceFile');
+    }
+
     /**
      * Utility methods
      */
@@ -662,7 +1096,7 @@ class ElectronPersistenceStrategy {
         this.name = 'electron';
     }
 
-    async saveProject(projectData, filePath = null) {
+    async saveProject(projectData, filePath = null, options = {}) {
         try {
             
             let result;
@@ -671,8 +1105,8 @@ class ElectronPersistenceStrategy {
                 // Save to specific path
                 result = await window.electronAPI.saveFileToPath(filePath, projectData);
             } else {
-                // Use default project saving
-                result = await window.electronAPI.saveProjectFile(projectData);
+                // Use default project saving (reports a conflict if the file changed on disk)
+                result = await window.electronAPI.saveProjectFile(projectData, options);
             }
 
             return result;
@@ -708,6 +1142,80 @@ class ElectronPersistenceStrategy {
         }
     }
 
+    async listTrash() {
+        try {
+            return await window.electronAPI.listTrash();
+        } catch (error) {
+            return { success: false, error: error.message, items: [] };
+        }
+    }
+
+    async restoreFromTrash(trashPath) {
+        try {
+            return await window.electronAPI.restoreFromTrash(trashPath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async purgeFromTrash(trashPath) {
+        try {
+            return await window.electronAPI.purgeFromTrash(trashPath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async emptyTrash() {
+        try {
+            return await window.electronAPI.emptyTrash();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listProjectBackups(filePath) {
+        try {
+            const result = await window.electronAPI.listProjectBackups(filePath);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message, backups: [] };
+        }
+    }
+
+    async restoreProjectBackup(filePath, backupPath) {
+        try {
+            const result = await window.electronAPI.restoreProjectBackup(filePath, backupPath);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async writeProject(projectData, filePath) {
+        try {
+            return await window.electronAPI.writeProjectFile(filePath, projectData);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async acquireProjectLock(filePath) {
+        try {
+            return await window.electronAPI.acquireProjectLock(filePath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async releaseProjectLock(filePath) {
+        try {
+            return await window.electronAPI.releaseProjectLock(filePath);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     async checkFileExists(filePath) {
         try {
             const result = await window.electronAPI.checkFileExists(filePath);
@@ -753,6 +1261,60 @@ class ElectronPersistenceStrategy {
         }
     }
 
+    async loadProjectTemplates() {
+        try {
+            const result = await window.electronAPI.loadProjectTemplates();
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async saveProjectTemplates(templates) {
+        try {
+            const result = await window.electronAPI.saveProjectTemplates(templates);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async loadAllocationScenarios() {
+        try {
+            const result = await window.electronAPI.loadAllocationScenarios();
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async saveAllocationScenarios(scenarios) {
+        try {
+            const result = await window.electronAPI.saveAllocationScenarios(scenarios);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async loadAllocationAudit() {
+        try {
+            const result = await window.electronAPI.loadAllocationAudit();
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async appendAllocationAudit(entries) {
+        try {
+            const result = await window.electronAPI.appendAllocationAudit(entries);
+            return result;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     async clearAllData() {
         try {
             // This would need to be implemented in the main process
@@ -773,7 +1335,8 @@ class LocalStoragePersistenceStrategy {
         this.name = 'localStorage';
         this.storageKeys = {
             projects: 'software-estimation-projects',
-            settings: 'software-estimation-settings'
+            settings: 'software-estimation-settings',
+            trash: 'software-estimation-trash'
         };
     }
 
@@ -858,8 +1421,16 @@ class LocalStoragePersistenceStrategy {
         }
     }
 
+    // Deleted projects are kept in a trash list, like the .trash folder of file system storage
     async deleteProject(filePath) {
         try {
+            const content = localStorage.getItem(filePath);
+            if (content) {
+                const deletedAt = new Date().toISOString();
+                const trash = this.readTrash();
+                trash.push({ trashPath: `trash:${deletedAt}:${filePath}`, filePath, deletedAt, content });
+                localStorage.setItem(this.storageKeys.trash, JSON.stringify(trash));
+            }
             localStorage.removeItem(filePath);
             return { success: true };
         } catch (error) {
@@ -867,6 +1438,107 @@ class LocalStoragePersistenceStrategy {
         }
     }
 
+    readTrash() {
+        try {
+            const trash = JSON.parse(localStorage.getItem(this.storageKeys.trash) || '[]');
+            return Array.isArray(trash) ? trash : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async listTrash() {
+        try {
+            const settings = (await this.getSettings()).settings || {};
+            const retentionDays = Number.isInteger(settings.trashRetentionDays) ? settings.trashRetentionDays : 30;
+            const dayMs = 24 * 60 * 60 * 1000;
+
+            let trash = this.readTrash();
+            if (retentionDays > 0) {
+                const cutoff = Date.now() - retentionDays * dayMs;
+                const kept = trash.filter(item => new Date(item.deletedAt).getTime() >= cutoff);
+                if (kept.length !== trash.length) {
+                    localStorage.setItem(this.storageKeys.trash, JSON.stringify(kept));
+                }
+                trash = kept;
+            }
+
+            const items = trash.map(item => ({
+                trashPath: item.trashPath,
+                fileName: item.filePath,
+                deletedAt: item.deletedAt,
+                expiresAt: retentionDays > 0 ? new Date(new Date(item.deletedAt).getTime() + retentionDays * dayMs).toISOString() : null,
+                fileSize: item.content.length,
+                data: JSON.parse(item.content)
+            }));
+            items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+            return { success: true, items, retentionDays };
+        } catch (error) {
+            return { success: false, error: error.message, items: [] };
+        }
+    }
+
+    async restoreFromTrash(trashPath) {
+        try {
+            const trash = this.readTrash();
+            const item = trash.find(entry => entry.trashPath === trashPath);
+            if (!item) {
+                throw new Error('Not a project in the trash');
+            }
+            if (localStorage.getItem(item.filePath)) {
+                throw new Error('A project with the same key already exists: delete it first');
+            }
+
+            localStorage.setItem(item.filePath, item.content);
+            localStorage.setItem(this.storageKeys.trash, JSON.stringify(trash.filter(entry => entry !== item)));
+            return { success: true, filePath: item.filePath };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async purgeFromTrash(trashPath) {
+        try {
+            const trash = this.readTrash();
+            localStorage.setItem(this.storageKeys.trash, JSON.stringify(trash.filter(entry => entry.trashPath !== trashPath)));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async emptyTrash() {
+        try {
+            const purged = this.readTrash().length;
+            localStorage.removeItem(this.storageKeys.trash);
+            return { success: true, purged };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async listProjectBackups() {
+        // Browser storage keeps a single copy of each project
+        return { success: true, backups: [] };
+    }
+
+    async restoreProjectBackup() {
+        return { success: false, error: 'Backups are only available with file system storage' };
+    }
+
+    async writeProject(projectData, filePath) {
+        return this.saveProject(projectData, filePath);
+    }
+
+    // A browser profile is never shared: nothing to lock
+    async acquireProjectLock() {
+        return { success: true, acquired: true };
+    }
+
+    async releaseProjectLock() {
+        return { success: true };
+    }
+
     async getSettings() {
         try {
             const settings = localStorage.getItem(this.storageKeys.settings);
@@ -909,6 +1581,71 @@ class LocalStoragePersistenceStrategy {
         }
     }
 
+    async loadProjectTemplates() {
+        try {
+            const data = localStorage.getItem('software-estimation-project-templates');
+            return {
+                success: true,
+                data: data ? JSON.parse(data) : []
+            };
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async saveProjectTemplates(templates) {
+        try {
+            localStorage.setItem('software-estimation-project-templates', JSON.stringify(templates));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async loadAllocationScenarios() {
+        try {
+            const data = localStorage.getItem('software-estimation-allocation-scenarios');
+            return {
+                success: true,
+                data: data ? JSON.parse(data) : []
+            };
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async saveAllocationScenarios(scenarios) {
+        try {
+            localStorage.setItem('software-estimation-allocation-scenarios', JSON.stringify(scenarios));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async loadAllocationAudit() {
+        try {
+            const data = localStorage.getItem('software-estimation-allocation-audit');
+            return {
+                success: true,
+                data: data ? JSON.parse(data) : []
+            };
+        } catch (error) {
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    async appendAllocationAudit(entries) {
+        try {
+            const data = localStorage.getItem('software-estimation-allocation-audit');
+            const existing = data ? JSON.parse(data) : [];
+            localStorage.setItem('software-estimation-allocation-audit', JSON.stringify([...existing, ...entries]));
+            return { success: true, count: entries.length };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     async clearAllData() {
         try {
             const keysToRemove = [];
@@ -944,6 +1681,12 @@ class DataValidators {
             throw new Error('Project data must be an object');
         }
 
+        // Published project file schema (provided by the React layer); basic checks otherwise
+        if (window.schemaValidationActions) {
+            window.schemaValidationActions.assertValid('project', projectData);
+            return;
+        }
+
         // Validate required top-level properties
         const requiredProps = ['project', 'features', 'phases', 'config'];
         for (const prop of requiredProps) {
@@ -1092,13 +1835,15 @@ class DataSerializers {
         }
 
         const headers = [
-            'ID', 'Description', 'Category', 'Feature Type', 'Supplier',
+            'ID', 'Level', 'Parent ID', 'Description', 'Category', 'Feature Type', 'Supplier',
             'Real Man Days', 'Expertise %', 'Risk Margin %', 'Calculated Man Days',
-            'Notes', 'Created', 'Modified'
+            'Rolled-up Man Days', 'Notes', 'Created', 'Modified'
         ];
 
-        const rows = features.map(feature => [
+        const rows = this.getHierarchyRows(features).map(({ feature, rollUp }) => [
             this.escapeCsvField(feature.id || ''),
+            feature.level || 'feature',
+            this.escapeCsvField(feature.parentId || ''),
             this.escapeCsvField(feature.description || ''),
             this.escapeCsvField(this.getCategoryName(projectData, feature.category) || ''),
             this.escapeCsvField(this.getFeatureTypeName(projectData, feature.featureType) || ''),
@@ -1107,6 +1852,7 @@ class DataSerializers {
             feature.expertise || 100,
             feature.riskMargin || 0,
             feature.manDays || 0,
+            rollUp.manDays,
             this.escapeCsvField(feature.notes || ''),
             feature.created || '',
             feature.modified || ''
@@ -1117,6 +1863,22 @@ class DataSerializers {
             .join('\n');
     }
 
+    /**
+     * Features in hierarchy order (each parent followed by its children) with
+     * their depth and roll-ups; a flat list when the feature actions are not loaded
+     */
+    getHierarchyRows(features) {
+        if (window.featureActions?.getFeatureTree) {
+            return window.featureActions.getFeatureTree(features);
+        }
+        return features.map(feature => ({
+            feature,
+            depth: 0,
+            children: 0,
+            rollUp: { manDays: feature.manDays || 0, cost: (feature.manDays || 0) * (feature.rate || 0), descendants: 0 }
+        }));
+    }
+
     escapeCsvField(field) {
         if (typeof field !== 'string') {
             field = String(field);
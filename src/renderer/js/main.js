@@ -29,6 +29,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize sidebar export button listener
         initializeSidebarExportButton();
 
+        // Workspace switcher in the title bar
+        initializeWorkspaceSwitcher();
+
     } catch (error) {
         console.error('Failed to initialize application:', error);
 
@@ -79,6 +82,28 @@ window.addEventListener('unhandledrejection', (event) => {
     }
 });
 
+/**
+ * Mount the workspace switcher in the title bar once the React components are loaded
+ */
+function initializeWorkspaceSwitcher(attempts = 50) {
+    const container = document.getElementById('workspace-switcher-root');
+    if (!container || !window.electronAPI?.listWorkspaces) {
+        return;
+    }
+
+    if (!window.ReactDOM || !window.ReactComponents?.WorkspaceSwitcher) {
+        if (attempts > 0) {
+            setTimeout(() => initializeWorkspaceSwitcher(attempts - 1), 100);
+        } else {
+            console.warn('Workspace switcher not available');
+        }
+        return;
+    }
+
+    const root = window.ReactDOM.createRoot(container);
+    root.render(window.React.createElement(window.ReactComponents.WorkspaceSwitcher));
+}
+
 /**
  * Initialize sidebar export button
  * Handles Excel export from sidebar with dynamic enable/disable based on data availability
@@ -145,7 +145,14 @@ const appStore = window.zustand.createStore((set, get) => ({
     // ======================
     // RESOURCE ALLOCATIONS STATE (GLOBAL - across all projects)
     // ======================
-    resourceAllocations: [], // Global allocations from capacity/allocations.json
+    resourceAllocations: [], // Global allocations from capacity/allocations.json (or the active scenario's)
+
+    // What-if scenarios from capacity/scenarios.json
+    // While a scenario is active, resourceAllocations holds its allocations
+    // and the real ones are parked in baselineAllocations
+    allocationScenarios: [],
+    activeScenarioId: null,
+    baselineAllocations: null,
 
     // ======================
     // FEATURE MODAL STATE
@@ -1541,6 +1548,31 @@ const appStore = window.zustand.createStore((set, get) => ({
         set({ resourceAllocations: updatedAllocations });
     },
 
+    // ======================
+    // ALLOCATION SCENARIO ACTIONS (GLOBAL)
+    // ======================
+
+    /**
+     * Set all what-if scenarios (loaded from scenarios.json)
+     */
+    setAllocationScenarios: (scenarios) => {
+        set({ allocationScenarios: scenarios || [] });
+    },
+
+    /**
+     * Switch the allocations shown everywhere to a scenario (or back to baseline with null)
+     * @param {string|null} scenarioId - Scenario to activate
+     * @param {Array} allocations - Allocations to show
+     * @param {Array|null} baselineAllocations - Real allocations parked while the scenario is active
+     */
+    setActiveScenario: (scenarioId, allocations, baselineAllocations) => {
+        set({
+            activeScenarioId: scenarioId || null,
+            resourceAllocations: allocations || [],
+            baselineAllocations: scenarioId ? (baselineAllocations || []) : null
+        });
+    },
+
     /**
      * Get allocations for a team member
      */
@@ -0,0 +1,272 @@
+/**
+ * iCalendar (.ics) Parser
+ *
+ * Pure functions to read VEVENT components from RFC 5545 calendar files.
+ * Only the properties needed to import leave are extracted; recurrence
+ * rules are not expanded.
+ */
+
+/**
+ * Unfold content lines (continuation lines start with a space or tab)
+ * @param {string} text - Raw .ics content
+ * @returns {Array<string>} Unfolded content lines
+ */
+function unfoldIcsLines(text) {
+    return String(text || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\r/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+}
+
+/**
+ * Unescape a TEXT property value
+ * @param {string} value - Escaped value
+ * @returns {string} Unescaped value
+ */
+function unescapeIcsText(value) {
+    return value
+        .replace(/\\[nN]/g, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if malformed
+ */
+function parseIcsLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let inQuotes = false;
+    let separator = -1;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') inQuotes = !inQuotes;
+        if (char === ':' && !inQuotes) {
+            separator = i;
+            break;
+        }
+    }
+    if (separator === -1) return null;
+
+    const [name, ...paramParts] = line.substring(0, separator).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        if (key) {
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        }
+    });
+
+    return { name: name.toUpperCase(), params, value: line.substring(separator + 1) };
+}
+
+/**
+ * Wall clock date and time of an instant in a time zone
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Rome
+ * @returns {Object} { year, month, day, hours, minutes } as numbers
+ */
+function getZonedFields(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(new Date(instant));
+    const field = type => Number(parts.find(part => part.type === type).value);
+    return { year: field('year'), month: field('month'), day: field('day'), hours: field('hour'), minutes: field('minute') };
+}
+
+/**
+ * Instant of a wall clock time in a time zone
+ * @param {Object} fields - { year, month, day, hours, minutes }
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Milliseconds since the epoch
+ */
+function getZonedInstant(fields, timeZone) {
+    const asUtc = ({ year, month, day, hours, minutes }) => Date.UTC(year, month - 1, day, hours, minutes);
+    const wallClock = asUtc(fields);
+    // The zone offset is taken at the guessed instant, then again at the corrected one (DST changes)
+    let instant = wallClock - (asUtc(getZonedFields(wallClock, timeZone)) - wallClock);
+    instant = wallClock - (asUtc(getZonedFields(instant, timeZone)) - instant);
+    return instant;
+}
+
+/**
+ * Whether a TZID names a time zone known to Intl (Outlook writes Windows names)
+ * @param {string} timeZone - TZID parameter
+ * @returns {boolean}
+ */
+function isKnownTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * UTC times (...Z) and times with a known TZID are converted to the wall
+ * clock of the target time zone; floating times and unknown TZIDs are kept
+ * as written.
+ * @param {string} value - e.g. 20260105 or 20260105T090000Z
+ * @param {Object} options - { tzid: TZID parameter, timeZone: target time zone (local by default) }
+ * @returns {Object|null} { date: 'YYYY-MM-DD', time: 'HH:MM'|null }
+ */
+function parseIcsDate(value, options = {}) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z?))?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+    if (hours === undefined) {
+        return { date: `${year}-${month}-${day}`, time: null };
+    }
+
+    let fields = { year: Number(year), month: Number(month), day: Number(day), hours: Number(hours), minutes: Number(minutes) };
+    const sourceZone = utc ? 'UTC' : (options.tzid && isKnownTimeZone(options.tzid) ? options.tzid : null);
+    if (sourceZone) {
+        const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+        fields = getZonedFields(getZonedInstant(fields, sourceZone), timeZone);
+    }
+
+    const pad = number => String(number).padStart(2, '0');
+    return {
+        date: `${fields.year}-${pad(fields.month)}-${pad(fields.day)}`,
+        time: `${pad(fields.hours)}:${pad(fields.minutes)}`
+    };
+}
+
+/**
+ * Extract an e-mail address from a CAL-ADDRESS value
+ * @param {string} value - e.g. mailto:jane.doe@example.com
+ * @returns {string} Lower-cased e-mail or empty string
+ */
+function parseIcsCalAddress(value) {
+    const email = String(value || '').replace(/^mailto:/i, '').trim();
+    return email.includes('@') ? email.toLowerCase() : '';
+}
+
+/**
+ * Parse all VEVENT components of a calendar
+ * @param {string} text - Raw .ics content
+ * @param {Object} options - { timeZone: time zone event times are converted to (local by default) }
+ * @returns {Array<Object>} Events: { uid, summary, description, categories, status,
+ *   start, end, allDay, organizer, attendees }
+ * @throws {Error} If the content is not an iCalendar file
+ */
+function parseIcsEvents(text, options = {}) {
+    const lines = unfoldIcsLines(text);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        throw new Error('Not a valid iCalendar file (missing BEGIN:VCALENDAR)');
+    }
+
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    lines.forEach(rawLine => {
+        const property = parseIcsLine(rawLine.trim());
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            if (property.value.toUpperCase() === 'VEVENT' && !current) {
+                current = {
+                    uid: '',
+                    summary: '',
+                    description: '',
+                    categories: [],
+                    status: '',
+                    start: null,
+                    end: null,
+                    allDay: false,
+                    organizer: null,
+                    attendees: []
+                };
+            } else if (current) {
+                // Nested components (e.g. VALARM) are skipped
+                nestedDepth++;
+            }
+            return;
+        }
+
+        if (property.name === 'END') {
+            if (current && nestedDepth > 0) {
+                nestedDepth--;
+            } else if (current && property.value.toUpperCase() === 'VEVENT') {
+                if (current.start) {
+                    events.push(current);
+                }
+                current = null;
+            }
+            return;
+        }
+
+        if (!current || nestedDepth > 0) return;
+
+        switch (property.name) {
+            case 'UID':
+                current.uid = property.value;
+                break;
+            case 'SUMMARY':
+                current.summary = unescapeIcsText(property.value);
+                break;
+            case 'DESCRIPTION':
+                current.description = unescapeIcsText(property.value);
+                break;
+            case 'STATUS':
+                current.status = property.value.toUpperCase();
+                break;
+            case 'CATEGORIES':
+                current.categories.push(...property.value.split(',')
+                    .map(category => unescapeIcsText(category).trim())
+                    .filter(Boolean));
+                break;
+            case 'DTSTART':
+                current.start = parseIcsDate(property.value, { tzid: property.params.TZID, timeZone: options.timeZone });
+                current.allDay = property.params.VALUE === 'DATE' || (current.start !== null && current.start.time === null);
+                break;
+            case 'DTEND':
+                current.end = parseIcsDate(property.value, { tzid: property.params.TZID, timeZone: options.timeZone });
+                break;
+            case 'ORGANIZER':
+                current.organizer = {
+                    email: parseIcsCalAddress(property.value),
+                    name: property.params.CN || ''
+                };
+                break;
+            case 'ATTENDEE':
+                current.attendees.push({
+                    email: parseIcsCalAddress(property.value),
+                    name: property.params.CN || ''
+                });
+                break;
+        }
+    });
+
+    return events;
+}
+
+const IcsParser = {
+    unfoldIcsLines,
+    parseIcsLine,
+    parseIcsDate,
+    parseIcsCalAddress,
+    parseIcsEvents
+};
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IcsParser;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+    window.IcsParser = IcsParser;
+}
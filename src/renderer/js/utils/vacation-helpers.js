@@ -0,0 +1,177 @@
+/**
+ * Vacation Entry Helper Functions
+ *
+ * Pure utility functions to work with team member vacation entries
+ * stored under teamMember.vacationDays[year].
+ *
+ * An entry is either a date string (legacy full-day holiday) or an object:
+ *   { date: 'YYYY-MM-DD', type: 'holiday' | 'sick' | 'training' | 'other',
+ *     fraction?: 0.5, hours?: 4, note?: '...' }
+ * `hours` takes precedence over `fraction`; neither means a full day.
+ */
+
+const VACATION_TYPES = ['holiday', 'sick', 'training', 'other'];
+const HOURS_PER_DAY = 8;
+
+/**
+ * Normalize a vacation entry to object form
+ * @param {string|Object} entry - Date string or entry object
+ * @returns {Object} { date, type, fraction, hours, note }
+ */
+function normalizeVacationEntry(entry) {
+    if (typeof entry === 'string') {
+        return { date: entry, type: 'holiday', fraction: 1, hours: null, note: '' };
+    }
+
+    const hours = typeof entry.hours === 'number' ? entry.hours : null;
+    const fraction = hours !== null
+        ? Math.min(1, hours / HOURS_PER_DAY)
+        : (typeof entry.fraction === 'number' ? entry.fraction : 1);
+
+    return {
+        date: entry.date,
+        type: VACATION_TYPES.includes(entry.type) ? entry.type : 'holiday',
+        fraction,
+        hours,
+        note: entry.note || ''
+    };
+}
+
+/**
+ * Validate a vacation entry
+ * @param {string|Object} entry - Date string or entry object
+ * @returns {string|null} Error message or null if valid
+ */
+function validateVacationEntry(entry) {
+    const date = typeof entry === 'string' ? entry : entry?.date;
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return `Invalid date format: ${date}`;
+    }
+    if (typeof entry === 'string') {
+        return null;
+    }
+
+    if (entry.type !== undefined && !VACATION_TYPES.includes(entry.type)) {
+        return `Invalid vacation type: ${entry.type}`;
+    }
+    if (entry.fraction !== undefined && (typeof entry.fraction !== 'number' || entry.fraction <= 0 || entry.fraction > 1)) {
+        return `Vacation fraction must be between 0 and 1 (${date})`;
+    }
+    if (entry.hours !== undefined && (typeof entry.hours !== 'number' || entry.hours <= 0 || entry.hours > 24)) {
+        return `Vacation hours must be between 0 and 24 (${date})`;
+    }
+    return null;
+}
+
+/**
+ * Check if two entries describe the same leave (same date, type and amount):
+ * 2h and 3h of training on one date are two entries, not a duplicate
+ * @param {string|Object} a - Vacation entry
+ * @param {string|Object} b - Vacation entry
+ * @returns {boolean}
+ */
+function isSameVacationEntry(a, b) {
+    const first = normalizeVacationEntry(a);
+    const second = normalizeVacationEntry(b);
+    return first.date === second.date &&
+        first.type === second.type &&
+        first.fraction === second.fraction &&
+        first.hours === second.hours;
+}
+
+/**
+ * Get normalized vacation entries for a month
+ * @param {Object} vacationDays - teamMember.vacationDays ({ [year]: entries[] })
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Array} Normalized entries in the month
+ */
+function getVacationEntriesInMonth(vacationDays, month) {
+    const [year] = month.split('-');
+    const entries = vacationDays?.[year] || vacationDays?.[Number(year)] || [];
+
+    return entries
+        .map(normalizeVacationEntry)
+        .filter(entry => entry.date && entry.date.startsWith(month));
+}
+
+/**
+ * Sum vacation entries by type
+ * @param {Array} entries - Normalized vacation entries
+ * @param {Function} dayWeight - Optional (entry) => share of a full day worked on that date (0 on holidays)
+ * @returns {Object} { total, byType: { holiday, sick, training, other } }
+ */
+function summarizeVacationEntries(entries, dayWeight = () => 1) {
+    const byType = VACATION_TYPES.reduce((acc, type) => ({ ...acc, [type]: 0 }), {});
+    let total = 0;
+
+    const usedByDate = {};
+
+    entries.forEach(entry => {
+        // A date never takes more than one day, whatever the number of entries
+        const weight = Math.min(1, dayWeight(entry));
+        // Hours are absolute (capped at the day's capacity); fractions scale with the day
+        const requested = entry.hours !== null ? Math.min(entry.fraction, weight) : entry.fraction * weight;
+        const used = usedByDate[entry.date] || 0;
+        const days = Math.max(0, Math.min(requested, weight - used));
+        usedByDate[entry.date] = used + days;
+
+        byType[entry.type] += days;
+        total += days;
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    Object.keys(byType).forEach(type => { byType[type] = round(byType[type]); });
+
+    return { total: round(total), byType };
+}
+
+/**
+ * Merge new entries into a member's vacation days without changing the member
+ * Entries already stored (same date, type and amount) are skipped.
+ * @param {Object} vacationDays - The member's vacationDays ({ [year]: entries[] })
+ * @param {Object} entriesByYear - { [year]: entries[] }
+ * @returns {Object} { success: true, vacationDays, added } or { success: false, error }
+ */
+function mergeVacationEntries(vacationDays, entriesByYear) {
+    const newEntries = Object.values(entriesByYear).flat();
+    const invalidEntry = newEntries.map(entry => validateVacationEntry(entry)).find(Boolean);
+    if (invalidEntry) {
+        return { success: false, error: invalidEntry };
+    }
+
+    const merged = { ...(vacationDays || {}) };
+    let added = 0;
+    Object.entries(entriesByYear).forEach(([year, entries]) => {
+        const yearEntries = [...(merged[year] || [])];
+        entries.forEach(entry => {
+            if (!yearEntries.some(existing => isSameVacationEntry(existing, entry))) {
+                yearEntries.push(entry);
+                added++;
+            }
+        });
+        merged[year] = yearEntries;
+    });
+
+    return { success: true, vacationDays: merged, added };
+}
+
+const VacationHelpers = {
+    VACATION_TYPES,
+    HOURS_PER_DAY,
+    normalizeVacationEntry,
+    validateVacationEntry,
+    isSameVacationEntry,
+    mergeVacationEntries,
+    getVacationEntriesInMonth,
+    summarizeVacationEntries
+};
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VacationHelpers;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+    window.VacationHelpers = VacationHelpers;
+}
@@ -0,0 +1,227 @@
+/**
+ * Vacation Import Helper Functions
+ *
+ * Pure functions to turn parsed iCalendar events (see ics-parser.js) into
+ * vacation entries, match them to team members and preview the merge.
+ * NO state mutations: merging is done by VacationHelpers.mergeVacationEntries,
+ * the same merge as TeamManager.addVacationDays.
+ */
+
+const LEAVE_TYPE_KEYWORDS = {
+    sick: ['sick', 'illness', 'ill', 'medical', 'malattia'],
+    training: ['training', 'course', 'conference', 'workshop', 'formazione', 'corso'],
+    other: ['parental', 'maternity', 'paternity', 'bereavement', 'permesso']
+};
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the VacationHelpers module (browser global or Node require)
+ * @returns {Object} VacationHelpers
+ */
+function getVacationImportDependencies() {
+    if (typeof window !== 'undefined' && window.VacationHelpers) {
+        return window.VacationHelpers;
+    }
+    return require('./vacation-helpers.js');
+}
+
+/**
+ * Lower-case, strip accents and collapse punctuation to single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeMatchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9@.]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Guess the leave type from the event categories and summary
+ * Anything not recognised as sick, training or other leave is a holiday.
+ * @param {Object} event - Parsed event
+ * @returns {string} Vacation type
+ */
+function getEventLeaveType(event) {
+    const words = ` ${normalizeMatchText([...(event.categories || []), event.summary].join(' '))} `;
+    const type = Object.keys(LEAVE_TYPE_KEYWORDS).find(candidate =>
+        LEAVE_TYPE_KEYWORDS[candidate].some(keyword => words.includes(` ${keyword} `))
+    );
+    return type || 'holiday';
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add
+ * @returns {string} Date string
+ */
+function addDaysToDate(date, days) {
+    const time = Date.parse(`${date}T00:00:00Z`) + days * MILLISECONDS_PER_DAY;
+    return new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * Convert a parsed event into vacation entries, one per day
+ * All-day events use an exclusive DTEND. A timed event within a single day
+ * shorter than a working day becomes an hourly entry.
+ * @param {Object} event - Parsed event
+ * @param {Object} options - { includeWeekends: false }
+ * @returns {Array<Object>} Vacation entries { date, type, hours?, note }
+ */
+function getEventVacationEntries(event, options = {}) {
+    const { HOURS_PER_DAY } = getVacationImportDependencies();
+    if (!event?.start || event.status === 'CANCELLED') return [];
+
+    const type = getEventLeaveType(event);
+    const note = event.summary || '';
+    const start = event.start;
+    const end = event.end || null;
+
+    if (!event.allDay && end && end.date === start.date && start.time && end.time) {
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const hours = Math.round((toMinutes(end.time) - toMinutes(start.time)) / 60 * 100) / 100;
+        if (hours <= 0) return [];
+        return [hours < HOURS_PER_DAY ? { date: start.date, type, hours, note } : { date: start.date, type, note }];
+    }
+
+    // Last day covered by the event (all-day DTEND and timed midnight ends are exclusive)
+    let lastDate = start.date;
+    if (end && end.date > start.date) {
+        lastDate = (event.allDay || end.time === '00:00') ? addDaysToDate(end.date, -1) : end.date;
+    }
+
+    const entries = [];
+    for (let date = start.date; date <= lastDate; date = addDaysToDate(date, 1)) {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (!options.includeWeekends && (weekday === 0 || weekday === 6)) continue;
+        entries.push({ date, type, note });
+    }
+    return entries;
+}
+
+/**
+ * Find the team member an event belongs to
+ * E-mail addresses (attendees, organizer) win over names found in the
+ * summary or attendee display names.
+ * @param {Object} event - Parsed event
+ * @param {Array} members - Team members
+ * @returns {Object} { member, matchedBy: 'email'|'name'|null, reason? }
+ */
+function matchEventToMember(event, members) {
+    const people = [...(event.attendees || []), ...(event.organizer ? [event.organizer] : [])];
+
+    const emails = people.map(person => person.email).filter(Boolean);
+    const byEmail = members.filter(member => member.email && emails.includes(member.email.toLowerCase()));
+    if (byEmail.length === 1) {
+        return { member: byEmail[0], matchedBy: 'email' };
+    }
+
+    const text = ` ${normalizeMatchText([event.summary, ...people.map(person => person.name)].join(' '))} `;
+    const byName = members.filter(member => {
+        const firstName = normalizeMatchText(member.firstName);
+        const lastName = normalizeMatchText(member.lastName);
+        if (!firstName || !lastName) return false;
+        return text.includes(` ${firstName} ${lastName} `) || text.includes(` ${lastName} ${firstName} `);
+    });
+    if (byName.length === 1) {
+        return { member: byName[0], matchedBy: 'name' };
+    }
+
+    return {
+        member: null,
+        matchedBy: null,
+        reason: byEmail.length > 1 || byName.length > 1 ? 'Matches more than one team member' : 'No matching team member'
+    };
+}
+
+/**
+ * Build the import preview: vacation entries per matched member
+ * Entries already stored for the member, or repeated in the file, are
+ * flagged as duplicates and will be skipped by the merge.
+ * @param {Array} events - Parsed events
+ * @param {Array} members - Team members
+ * @param {Object} options - Passed to getEventVacationEntries
+ * @returns {Object} { members: [{ member, entries: [{ year, entry, duplicate }], newCount, duplicateCount }],
+ *   unmatched: [{ event, reason }] }
+ */
+function buildVacationImportPreview(events, members, options = {}) {
+    const { isSameVacationEntry } = getVacationImportDependencies();
+    const previewByMember = new Map();
+    const unmatched = [];
+
+    events.forEach(event => {
+        const entries = getEventVacationEntries(event, options);
+        if (entries.length === 0) return;
+
+        const match = matchEventToMember(event, members);
+        if (!match.member) {
+            unmatched.push({ event, reason: match.reason });
+            return;
+        }
+
+        if (!previewByMember.has(match.member.id)) {
+            previewByMember.set(match.member.id, { member: match.member, entries: [], newCount: 0, duplicateCount: 0 });
+        }
+        const preview = previewByMember.get(match.member.id);
+
+        entries.forEach(entry => {
+            const year = entry.date.substring(0, 4);
+            const existing = match.member.vacationDays?.[year] || match.member.vacationDays?.[Number(year)] || [];
+            const duplicate = existing.some(stored => isSameVacationEntry(stored, entry)) ||
+                preview.entries.some(item => isSameVacationEntry(item.entry, entry));
+
+            preview.entries.push({ year, entry, duplicate });
+            if (duplicate) {
+                preview.duplicateCount++;
+            } else {
+                preview.newCount++;
+            }
+        });
+    });
+
+    const previewMembers = Array.from(previewByMember.values());
+    previewMembers.forEach(preview => preview.entries.sort((a, b) => a.entry.date.localeCompare(b.entry.date)));
+
+    return { members: previewMembers, unmatched };
+}
+
+/**
+ * Group the new (non-duplicate) entries of a member preview by year
+ * @param {Object} memberPreview - One item of buildVacationImportPreview().members
+ * @returns {Object} { [year]: entries[] }
+ */
+function groupNewEntriesByYear(memberPreview) {
+    return memberPreview.entries
+        .filter(item => !item.duplicate)
+        .reduce((acc, item) => {
+            (acc[item.year] = acc[item.year] || []).push(item.entry);
+            return acc;
+        }, {});
+}
+
+const VacationImportHelpers = {
+    LEAVE_TYPE_KEYWORDS,
+    getEventLeaveType,
+    getEventVacationEntries,
+    matchEventToMember,
+    buildVacationImportPreview,
+    groupNewEntriesByYear
+};
+
+// Export for Node.js testing environment
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VacationImportHelpers;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+    window.VacationImportHelpers = VacationImportHelpers;
+}
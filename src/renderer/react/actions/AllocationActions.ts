@@ -14,6 +14,7 @@
  * - CapacityActions for capacity validation
  * - TeamHelpers for team member queries
  * - DataManager for persistence to capacity/allocations.json
+ * - AllocationAuditActions for the change history (capacity/audit-log.jsonl)
  *
  * Pattern: State/Actions/Dispatcher
  * - NO direct state mutations
@@ -35,13 +36,17 @@ import type {
     AutoDistributionOptions
 } from '../types/allocation';
 
+import { AllocationAuditActions } from './AllocationAuditActions';
 import { CapacityActions } from './CapacityActions';
+import { ScenarioActions } from './ScenarioActions';
 
 export class AllocationActions {
     private capacityActions: CapacityActions;
+    private auditActions: AllocationAuditActions;
 
     constructor() {
         this.capacityActions = new CapacityActions();
+        this.auditActions = new AllocationAuditActions();
     }
 
     /**
@@ -275,6 +280,9 @@ export class AllocationActions {
             // 6. Save to disk (allocations are global, not part of current project)
             await this.saveAllocations();
 
+            // 7. Record in the audit log
+            await this.auditActions.recordCreate(allocation, data.reason);
+
             return {
                 success: true,
                 allocationId,
@@ -372,9 +380,10 @@ export class AllocationActions {
      *
      * @param id - Allocation ID
      * @param updates - Partial allocation data to update
+     * @param reason - Why the allocation changed (audit log)
      * @returns Allocation result
      */
-    async updateAllocation(id: string, updates: Partial<any>): Promise<AllocationResult> {
+    async updateAllocation(id: string, updates: Partial<any>, reason: string = ''): Promise<AllocationResult> {
         try {
             const store = this.getStore();
             if (!store) {
@@ -571,6 +580,8 @@ export class AllocationActions {
             const updatedAllocation = this.getAllocationById(id);
             console.log('✅ Allocation updated successfully:', updatedAllocation);
 
+            await this.auditActions.recordUpdate(existing, updatedAllocation, reason);
+
             return {
                 success: true,
                 allocationId: id,
@@ -592,9 +603,10 @@ export class AllocationActions {
      * @param id - Allocation ID
      * @param month - Month in 'YYYY-MM' format
      * @param mds - New MD value
+     * @param reason - Why the allocation changed (audit log)
      * @returns Allocation result
      */
-    updateMonthlyAllocation(id: string, month: string, mds: number): AllocationResult {
+    updateMonthlyAllocation(id: string, month: string, mds: number, reason: string = ''): AllocationResult {
         try {
             const allocation = this.getAllocationById(id);
             if (!allocation) {
@@ -612,7 +624,7 @@ export class AllocationActions {
 
             return this.updateAllocation(id, {
                 monthlyAllocations: updatedMonthlyAllocations
-            });
+            }, reason);
 
         } catch (error: any) {
             console.error('Error updating monthly allocation:', error);
@@ -623,6 +635,39 @@ export class AllocationActions {
         }
     }
 
+    /**
+     * Replace all allocations at once (e.g. with a resource leveling plan)
+     *
+     * @param allocations - New complete set of allocations
+     * @param reason - Why the allocations changed (audit log)
+     * @returns Allocation result
+     */
+    async replaceAllAllocations(allocations: any[], reason: string = ''): Promise<AllocationResult> {
+        try {
+            const store = this.getStore();
+            if (!store) {
+                return { success: false, error: 'Store not available' };
+            }
+
+            const previous = this.getAllAllocations();
+            store.getState().setResourceAllocations(allocations);
+
+            // Save to disk (allocations are global, not part of current project)
+            await this.saveAllocations();
+
+            await this.auditActions.recordReplacement(previous, allocations, reason);
+
+            return { success: true };
+
+        } catch (error: any) {
+            console.error('Error replacing allocations:', error);
+            return {
+                success: false,
+                error: `Failed to replace allocations: ${error.message}`
+            };
+        }
+    }
+
     // ======================
     // DELETE OPERATIONS
     // ======================
@@ -631,9 +676,10 @@ export class AllocationActions {
      * Delete allocation
      *
      * @param id - Allocation ID
+     * @param reason - Why the allocation was removed (audit log)
      * @returns Allocation result
      */
-    async deleteAllocation(id: string): Promise<AllocationResult> {
+    async deleteAllocation(id: string, reason: string = ''): Promise<AllocationResult> {
         try {
             const store = this.getStore();
             if (!store) {
@@ -652,6 +698,8 @@ export class AllocationActions {
             // Save to disk (allocations are global, not part of current project)
             await this.saveAllocations();
 
+            await this.auditActions.recordDelete(existing, reason);
+
             return { success: true };
 
         } catch (error: any) {
@@ -1110,6 +1158,12 @@ export class AllocationActions {
      */
     private async saveAllocations(): Promise<void> {
         try {
+            // Edits made while a what-if scenario is active stay in the sandbox
+            if (this.getStore()?.getState().activeScenarioId) {
+                await new ScenarioActions().saveActiveScenario();
+                return;
+            }
+
             const dataManager = this.getDataManager();
             if (!dataManager) {
                 console.error('❌ DataManager not available - allocations will not be persisted to disk!');
@@ -0,0 +1,306 @@
+/**
+ * Allocation Audit Actions
+ *
+ * Append-only trail of allocation changes, so capacity decisions can be
+ * reconstructed later:
+ * - Record create/update/delete events with old vs new monthly MDs
+ * - Who (userName from settings), when and why
+ * - Read the trail per allocation or per team member
+ * - Export the trail to Excel
+ *
+ * Entries are appended to the audit log next to the workspace's allocations
+ * file (capacity/audit-log.jsonl by default) and are never rewritten.
+ * Edits made inside a what-if scenario are not recorded: they only reach the
+ * trail when the scenario is promoted.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import type {
+    AllocationAuditAction,
+    AllocationAuditEntry,
+    AllocationAuditMonthChange,
+    MonthlyAllocations,
+    ResourceAllocation
+} from '../types/allocation';
+
+const UNKNOWN_USER = 'Unknown user';
+
+// Fields of an allocation the audit trail reads
+type AuditedAllocation = Pick<ResourceAllocation, 'id' | 'projectId' | 'projectName' | 'teamMemberId'> & {
+    monthlyAllocations: MonthlyAllocations;
+};
+
+export interface AllocationAuditFilter {
+    allocationId?: string;
+    memberId?: string;
+}
+
+export interface AllocationAuditResult {
+    success: boolean;
+    error?: string;
+    entries?: AllocationAuditEntry[];
+    filename?: string;
+}
+
+export class AllocationAuditActions {
+    /**
+     * Get store instance
+     */
+    private getStore(): any {
+        return (window as any).appStore;
+    }
+
+    /**
+     * Get DataManager instance
+     */
+    private getDataManager(): any {
+        return (window as any).app?.managers?.data;
+    }
+
+    // ======================
+    // RECORDING
+    // ======================
+
+    /**
+     * Record that an allocation was created
+     */
+    async recordCreate(allocation: AuditedAllocation, reason: string = ''): Promise<void> {
+        await this.record([this.buildEntry('create', null, allocation, reason)]);
+    }
+
+    /**
+     * Record that an allocation was updated
+     */
+    async recordUpdate(before: AuditedAllocation, after: AuditedAllocation, reason: string = ''): Promise<void> {
+        await this.record([this.buildEntry('update', before, after, reason)]);
+    }
+
+    /**
+     * Record that an allocation was deleted
+     */
+    async recordDelete(allocation: AuditedAllocation, reason: string = ''): Promise<void> {
+        await this.record([this.buildEntry('delete', allocation, null, reason)]);
+    }
+
+    /**
+     * Record every difference between two complete sets of allocations
+     * (e.g. a resource leveling plan or a promoted scenario)
+     */
+    async recordReplacement(before: AuditedAllocation[], after: AuditedAllocation[], reason: string = ''): Promise<void> {
+        await this.record(this.diffAllocationSets(before, after, reason));
+    }
+
+    /**
+     * Entries for allocations added, removed or whose monthly MDs changed
+     *
+     * @param before - Allocations before the change
+     * @param after - Allocations after the change
+     * @param reason - Reason stored on every entry
+     * @param user - Author stored on every entry
+     */
+    diffAllocationSets(
+        before: AuditedAllocation[],
+        after: AuditedAllocation[],
+        reason: string = '',
+        user: string = ''
+    ): AllocationAuditEntry[] {
+        const beforeById = new Map(before.map(allocation => [allocation.id, allocation]));
+        const afterIds = new Set(after.map(allocation => allocation.id));
+        const entries: AllocationAuditEntry[] = [];
+
+        after.forEach(allocation => {
+            const previous = beforeById.get(allocation.id);
+            if (!previous) {
+                entries.push(this.buildEntry('create', null, allocation, reason, user));
+            } else if (this.diffMonthlyAllocations(previous, allocation).length > 0 || previous.teamMemberId !== allocation.teamMemberId) {
+                entries.push(this.buildEntry('update', previous, allocation, reason, user));
+            }
+        });
+
+        before
+            .filter(allocation => !afterIds.has(allocation.id))
+            .forEach(allocation => entries.push(this.buildEntry('delete', allocation, null, reason, user)));
+
+        return entries;
+    }
+
+    /**
+     * Build one audit entry
+     *
+     * @param action - Kind of change
+     * @param before - Allocation before the change (null on create)
+     * @param after - Allocation after the change (null on delete)
+     * @param reason - Why the change was made
+     * @param user - Author; filled in from settings when recorded if empty
+     */
+    buildEntry(
+        action: AllocationAuditAction,
+        before: AuditedAllocation | null,
+        after: AuditedAllocation | null,
+        reason: string = '',
+        user: string = ''
+    ): AllocationAuditEntry {
+        const allocation = (after || before) as AuditedAllocation;
+
+        return {
+            id: `audit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            user,
+            action,
+            allocationId: allocation.id,
+            projectId: allocation.projectId,
+            projectName: allocation.projectName,
+            teamMemberId: allocation.teamMemberId,
+            ...(before && after && before.teamMemberId !== after.teamMemberId && { previousTeamMemberId: before.teamMemberId }),
+            changes: this.diffMonthlyAllocations(before, after),
+            totalBefore: this.getTotalMDs(before),
+            totalAfter: this.getTotalMDs(after),
+            reason: reason.trim()
+        };
+    }
+
+    /**
+     * Months whose planned MDs differ between two versions of an allocation
+     */
+    diffMonthlyAllocations(before: AuditedAllocation | null, after: AuditedAllocation | null): AllocationAuditMonthChange[] {
+        const beforeMonths = before?.monthlyAllocations || {};
+        const afterMonths = after?.monthlyAllocations || {};
+        const months = Array.from(new Set([...Object.keys(beforeMonths), ...Object.keys(afterMonths)])).sort();
+
+        return months
+            .map(month => ({
+                month,
+                before: this.round(beforeMonths[month]?.planned || 0),
+                after: this.round(afterMonths[month]?.planned || 0)
+            }))
+            .filter(change => change.before !== change.after);
+    }
+
+    // ======================
+    // READING
+    // ======================
+
+    /**
+     * Load the audit trail, newest first
+     *
+     * @param filter - Only entries of one allocation and/or team member
+     */
+    async loadAuditLog(filter: AllocationAuditFilter = {}): Promise<AllocationAuditResult> {
+        const dataManager = this.getDataManager();
+        if (!dataManager?.loadAllocationAuditLog) {
+            return { success: false, error: 'DataManager not available' };
+        }
+
+        try {
+            const entries: AllocationAuditEntry[] = await dataManager.loadAllocationAuditLog();
+            return { success: true, entries: this.filterEntries(entries || [], filter) };
+        } catch (error: any) {
+            console.error('Error loading allocation audit log:', error);
+            return { success: false, error: `Failed to load audit log: ${error.message}` };
+        }
+    }
+
+    /**
+     * Filter entries by allocation and/or team member, newest first
+     */
+    filterEntries(entries: AllocationAuditEntry[], filter: AllocationAuditFilter = {}): AllocationAuditEntry[] {
+        // Entries are in append order: reversing first keeps same-millisecond entries newest first
+        return [...entries]
+            .reverse()
+            .filter(entry => !filter.allocationId || entry.allocationId === filter.allocationId)
+            .filter(entry => !filter.memberId || entry.teamMemberId === filter.memberId || entry.previousTeamMemberId === filter.memberId)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    // ======================
+    // EXPORT
+    // ======================
+
+    /**
+     * Export entries to an Excel file in the Downloads folder
+     *
+     * @param entries - Entries to export
+     * @param title - Sheet title
+     */
+    async exportAuditLog(entries: AllocationAuditEntry[], title: string = 'Allocation Change History'): Promise<AllocationAuditResult> {
+        const electronAPI = (window as any).electronAPI;
+        if (!electronAPI?.exportAllocationAudit) {
+            return { success: false, error: 'Excel export is only available in the desktop app' };
+        }
+        if (entries.length === 0) {
+            return { success: false, error: 'No audit entries to export' };
+        }
+
+        const teamHelpers = (window as any).TeamHelpers;
+        const result = await electronAPI.exportAllocationAudit({
+            title,
+            entries: entries.map(entry => ({
+                ...entry,
+                memberName: teamHelpers?.getTeamMemberFullName(entry.teamMemberId) || entry.teamMemberId
+            }))
+        });
+
+        return result.success
+            ? { success: true, filename: result.filename }
+            : { success: false, error: result.error || 'Failed to export audit log' };
+    }
+
+    // ======================
+    // HELPERS
+    // ======================
+
+    /**
+     * Append entries, skipping edits made inside a what-if scenario
+     */
+    private async record(entries: AllocationAuditEntry[]): Promise<void> {
+        if (entries.length === 0 || this.getStore()?.getState().activeScenarioId) {
+            return;
+        }
+
+        const dataManager = this.getDataManager();
+        if (!dataManager?.appendAllocationAuditEntries) {
+            console.error('❌ DataManager not available - allocation changes will not be audited!');
+            return;
+        }
+
+        try {
+            const user = await this.getCurrentUser();
+            await dataManager.appendAllocationAuditEntries(entries.map(entry => ({ ...entry, user: entry.user || user })));
+        } catch (error) {
+            // Never fail the allocation change because of the audit trail
+            console.error('❌ Error recording allocation audit entries:', error);
+        }
+    }
+
+    /**
+     * User name configured in settings
+     */
+    private async getCurrentUser(): Promise<string> {
+        const settings = await this.getDataManager()?.getSettings?.();
+        return settings?.userName?.trim() || UNKNOWN_USER;
+    }
+
+    /**
+     * Total planned MDs of an allocation
+     */
+    private getTotalMDs(allocation: AuditedAllocation | null): number {
+        return this.round(Object.values(allocation?.monthlyAllocations || {})
+            .reduce((sum, data) => sum + (data?.planned || 0), 0));
+    }
+
+    /**
+     * Round to 2 decimals
+     */
+    private round(value: number): number {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Make AllocationAuditActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+    (window as any).AllocationAuditActions = AllocationAuditActions;
+}
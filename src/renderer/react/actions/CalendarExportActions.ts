@@ -0,0 +1,267 @@
+/**
+ * Calendar Export Actions
+ *
+ * Builds iCalendar (.ics) files with each team member's planned assignments
+ * and vacation days, so they can be subscribed to in any calendar app:
+ * - One all-day event per allocated phase (phaseAllocations start/end dates)
+ * - One all-day event per vacation entry (partial days noted in the title)
+ *
+ * Files are written by the main process (save-ics-files IPC handler).
+ */
+
+import type { PhaseAllocation, ResourceAllocation } from '../types/allocation';
+import type { TeamMember, VacationEntry } from '../types/capacity';
+import { AllocationActions } from './AllocationActions';
+
+export interface CalendarFile {
+    filename: string;
+    content: string;
+}
+
+export interface CalendarExportOptions {
+    /** One file with every member's events instead of one file per member */
+    combined?: boolean;
+}
+
+interface CalendarEvent {
+    uid: string;
+    summary: string;
+    description?: string;
+    categories: string[];
+    startDate: string; // 'YYYY-MM-DD' (inclusive)
+    endDate: string;   // 'YYYY-MM-DD' (inclusive)
+}
+
+const VACATION_LABELS: Record<string, string> = {
+    holiday: 'Vacation',
+    sick: 'Sick leave',
+    training: 'Training',
+    other: 'Leave'
+};
+
+export class CalendarExportActions {
+    private allocationActions: AllocationActions;
+
+    constructor() {
+        this.allocationActions = new AllocationActions();
+    }
+
+    /**
+     * Get all team members from TeamHelpers
+     */
+    private getAllTeamMembers(): TeamMember[] {
+        const helpers = (window as any).TeamHelpers;
+        return helpers ? helpers.getAllTeamMembers() || [] : [];
+    }
+
+    /**
+     * Get the VacationHelpers module
+     */
+    private getVacationHelpers(): any {
+        return (window as any).VacationHelpers;
+    }
+
+    /**
+     * Get the member's name as shown in calendars
+     */
+    private getMemberName(member: TeamMember): string {
+        return `${member.firstName} ${member.lastName}`.trim();
+    }
+
+    /**
+     * Build allocation events for a member
+     * Allocations without phases become a single event over their own date range.
+     */
+    getAllocationEvents(member: TeamMember): CalendarEvent[] {
+        const allocations: ResourceAllocation[] = this.allocationActions.getAllocationsForMember(member.id);
+        const events: CalendarEvent[] = [];
+
+        allocations.forEach(allocation => {
+            const phases: PhaseAllocation[] = (allocation.phaseAllocations || [])
+                .filter(phase => phase.startDate && phase.endDate && (phase.allocatedMDs ?? phase.totalMDs ?? 0) > 0);
+
+            if (phases.length === 0) {
+                if (allocation.startDate && allocation.endDate) {
+                    events.push({
+                        uid: `${allocation.id}@${member.id}`,
+                        summary: allocation.projectName,
+                        description: allocation.notes,
+                        categories: ['Allocation'],
+                        startDate: allocation.startDate.substring(0, 10),
+                        endDate: allocation.endDate.substring(0, 10)
+                    });
+                }
+                return;
+            }
+
+            phases.forEach(phase => {
+                const mds = phase.allocatedMDs ?? phase.totalMDs ?? 0;
+                events.push({
+                    uid: `${allocation.id}-${phase.phaseId}@${member.id}`,
+                    summary: `${allocation.projectName} - ${phase.phaseName}`,
+                    description: [`${mds} MDs allocated`, allocation.notes].filter(Boolean).join('\n'),
+                    categories: ['Allocation'],
+                    startDate: phase.startDate.substring(0, 10),
+                    endDate: phase.endDate.substring(0, 10)
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Build vacation events for a member
+     */
+    getVacationEvents(member: TeamMember): CalendarEvent[] {
+        const vacationHelpers = this.getVacationHelpers();
+        const events: CalendarEvent[] = [];
+        if (!vacationHelpers) return events;
+
+        Object.values(member.vacationDays || {}).forEach(entries => {
+            (entries || []).forEach(rawEntry => {
+                const entry: VacationEntry & { fraction: number; hours: number | null } = vacationHelpers.normalizeVacationEntry(rawEntry);
+                if (!entry.date) return;
+
+                const amount = entry.hours !== null ? ` (${entry.hours}h)` : entry.fraction < 1 ? ` (${entry.fraction} day)` : '';
+                // Entries on one date differ by type and amount (full days keep the plain UID)
+                const uidAmount = entry.hours !== null ? `-${entry.hours}h` : entry.fraction < 1 ? `-${entry.fraction}d` : '';
+                events.push({
+                    uid: `vacation-${entry.date}-${entry.type}${uidAmount}@${member.id}`,
+                    summary: `${VACATION_LABELS[entry.type]}${amount}`,
+                    description: entry.note || undefined,
+                    categories: ['Vacation', entry.type],
+                    startDate: entry.date,
+                    endDate: entry.date
+                });
+            });
+        });
+
+        return events.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    /**
+     * Build the .ics files for the given members
+     *
+     * @param memberIds - Team members to export (all members if omitted)
+     * @param options - Export options
+     * @returns Files to write, named after the member (or the team for combined)
+     *   with the member id added when several members share a name
+     */
+    buildCalendarFiles(memberIds?: string[], options: CalendarExportOptions = {}): CalendarFile[] {
+        const members = this.getAllTeamMembers()
+            .filter(member => !memberIds || memberIds.includes(member.id));
+
+        const eventsByMember = members.map(member => ({
+            member,
+            events: [...this.getAllocationEvents(member), ...this.getVacationEvents(member)]
+        }));
+
+        if (options.combined) {
+            // Prefix titles with the member name so combined calendars stay readable
+            const events = eventsByMember.flatMap(({ member, events }) => events.map(event => ({
+                ...event,
+                summary: `${this.getMemberName(member)}: ${event.summary}`
+            })));
+            return [{
+                filename: 'team-calendar.ics',
+                content: this.serializeCalendar('Team Allocations', events)
+            }];
+        }
+
+        // Members sharing a name get their id in the filename so their files do not overwrite each other
+        const baseNames = eventsByMember.map(({ member }) => this.getSafeFilename(this.getMemberName(member) || member.id));
+        return eventsByMember.map(({ member, events }, index) => {
+            const baseName = baseNames[index];
+            const isShared = baseNames.indexOf(baseName) !== baseNames.lastIndexOf(baseName);
+            return {
+                filename: `${isShared ? `${baseName}-${this.getSafeFilename(member.id)}` : baseName}.ics`,
+                content: this.serializeCalendar(`${this.getMemberName(member)} - Allocations`, events)
+            };
+        });
+    }
+
+    /**
+     * Serialize events as an RFC 5545 calendar (all-day events, exclusive DTEND)
+     */
+    serializeCalendar(name: string, events: CalendarEvent[]): string {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Software Estimation Manager//Resource Allocations//EN',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this.escapeText(name)}`
+        ];
+
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${this.formatDate(event.startDate)}`,
+                `DTEND;VALUE=DATE:${this.formatDate(this.addDays(event.endDate, 1))}`,
+                `SUMMARY:${this.escapeText(event.summary)}`
+            );
+            if (event.description) {
+                lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            }
+            lines.push(
+                `CATEGORIES:${event.categories.map(category => this.escapeText(category)).join(',')}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escape a TEXT value
+     */
+    private escapeText(text: string): string {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold content lines longer than 75 characters
+     */
+    private foldLine(line: string): string {
+        const parts: string[] = [];
+        let rest = line;
+        while (rest.length > 75) {
+            parts.push(rest.substring(0, 75));
+            rest = rest.substring(75);
+        }
+        parts.push(rest);
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * 'YYYY-MM-DD' → 'YYYYMMDD'
+     */
+    private formatDate(date: string): string {
+        return date.replace(/-/g, '');
+    }
+
+    /**
+     * Add days to a 'YYYY-MM-DD' date
+     */
+    private addDays(date: string, days: number): string {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * Make a string safe to use as a file name
+     */
+    private getSafeFilename(name: string): string {
+        return name.replace(/[^a-zA-Z0-9._-]+/g, '_');
+    }
+}
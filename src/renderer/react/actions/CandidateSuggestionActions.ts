@@ -0,0 +1,237 @@
+/**
+ * Candidate Suggestion Actions
+ *
+ * Ranks team members for a project phase in the Assignment modal:
+ * - Role: must match the phase role, or have effort planned in the phase
+ * - Free capacity over the phase window (CapacityActions)
+ * - Preferred vendor, job cluster and seniority
+ *
+ * Every candidate gets a 0-100 score and the reasons behind it. Only the
+ * criteria that were given count towards the score.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import type { CandidateCriteria, CandidateReason, CandidateSuggestion } from '../types/allocation';
+import type { TeamMember } from '../types/capacity';
+
+import { CapacityActions } from './CapacityActions';
+
+// Maximum points per criterion
+const WEIGHTS = {
+    role: 30,
+    capacity: 40,
+    vendor: 10,
+    jobCluster: 10,
+    seniority: 10
+};
+
+const DEFAULT_SENIORITY_LEVELS = ['Junior', 'Mid-Level', 'Senior'];
+
+interface WindowCapacity {
+    free: number;     // MDs not yet allocated
+    capacity: number; // Total MDs the member can work in the window
+}
+
+export class CandidateSuggestionActions {
+    private capacityActions: CapacityActions;
+
+    constructor() {
+        this.capacityActions = new CapacityActions();
+    }
+
+    /**
+     * Get store instance
+     */
+    private getStore(): any {
+        return (window as any).appStore;
+    }
+
+    /**
+     * Get all team members from TeamHelpers
+     */
+    private getAllTeamMembers(): TeamMember[] {
+        const helpers = (window as any).TeamHelpers;
+        return helpers ? helpers.getAllTeamMembers() || [] : [];
+    }
+
+    /**
+     * Rank all team members for a phase
+     *
+     * @param criteria - Phase role, window and preferences
+     * @returns Candidates, best first
+     */
+    suggestCandidates(criteria: CandidateCriteria): CandidateSuggestion[] {
+        const seniorityLevels = criteria.seniorityLevels
+            || this.getStore()?.getState().globalConfig?.rateMatrixConfig?.seniorities;
+
+        return this.rankCandidates(
+            this.getAllTeamMembers(),
+            { ...criteria, seniorityLevels },
+            (memberId) => this.getWindowCapacity(memberId, criteria.startDate, criteria.endDate)
+        );
+    }
+
+    /**
+     * Score and sort members against the criteria
+     *
+     * @param members - Team members to rank
+     * @param criteria - Phase role, window and preferences
+     * @param getCapacity - Free and total capacity of a member over the window
+     * @returns Candidates, best first
+     */
+    rankCandidates(
+        members: TeamMember[],
+        criteria: CandidateCriteria,
+        getCapacity: (memberId: string) => WindowCapacity
+    ): CandidateSuggestion[] {
+        const candidates = members.filter(member => !criteria.role || member.role === criteria.role);
+
+        return candidates
+            .map(member => this.scoreCandidate(member, criteria, getCapacity(member.id)))
+            .sort((a, b) => b.score - a.score || b.freeMDs - a.freeMDs || a.fullName.localeCompare(b.fullName));
+    }
+
+    // ======================
+    // SCORING
+    // ======================
+
+    /**
+     * Score one member, collecting the reasons
+     */
+    private scoreCandidate(member: TeamMember & Record<string, any>, criteria: CandidateCriteria, capacity: WindowCapacity): CandidateSuggestion {
+        const reasons: CandidateReason[] = [];
+        let points = 0;
+        let maxPoints = 0;
+
+        const requiredMDs = this.round(criteria.requiredMDsByRole?.[member.role] || 0);
+
+        // Role
+        if (criteria.role) {
+            maxPoints += WEIGHTS.role;
+            points += WEIGHTS.role;
+            reasons.push({ kind: 'positive', text: `Role ${member.role} matches the phase role` });
+        } else if (criteria.requiredMDsByRole) {
+            maxPoints += WEIGHTS.role;
+            if (requiredMDs > 0) {
+                points += WEIGHTS.role;
+                reasons.push({ kind: 'positive', text: `Phase needs ${requiredMDs.toFixed(1)} MD from role ${member.role}` });
+            } else {
+                reasons.push({ kind: 'negative', text: `Phase has no effort planned for role ${member.role || 'unknown'}` });
+            }
+        }
+
+        // Free capacity
+        const free = this.round(capacity.free);
+        maxPoints += WEIGHTS.capacity;
+        if (!criteria.role && criteria.requiredMDsByRole && requiredMDs === 0) {
+            // Free time does not help a phase that needs nothing from this role
+            reasons.push({ kind: 'neutral', text: `${free.toFixed(1)} MD free in the phase window` });
+        } else if (requiredMDs > 0) {
+            points += WEIGHTS.capacity * Math.min(1, free / requiredMDs);
+            reasons.push(free >= requiredMDs
+                ? { kind: 'positive', text: `${free.toFixed(1)} MD free covers the ${requiredMDs.toFixed(1)} MD needed` }
+                : { kind: 'negative', text: `Only ${free.toFixed(1)} MD free of the ${requiredMDs.toFixed(1)} MD needed` });
+        } else {
+            const share = capacity.capacity > 0 ? Math.min(1, free / capacity.capacity) : 0;
+            points += WEIGHTS.capacity * share;
+            reasons.push({
+                kind: share >= 0.5 ? 'positive' : share > 0 ? 'neutral' : 'negative',
+                text: `${free.toFixed(1)} MD free in the phase window (${Math.round(share * 100)}% of capacity)`
+            });
+        }
+
+        // Vendor
+        if (criteria.vendorId) {
+            maxPoints += WEIGHTS.vendor;
+            if (member.vendorId === criteria.vendorId) {
+                points += WEIGHTS.vendor;
+                reasons.push({ kind: 'positive', text: `Preferred vendor (${member.vendorName || member.vendorId})` });
+            } else {
+                reasons.push({ kind: 'negative', text: `Other vendor (${member.vendorName || member.vendorId || 'none'})` });
+            }
+        }
+
+        // Job cluster
+        if (criteria.jobCluster) {
+            maxPoints += WEIGHTS.jobCluster;
+            if (member.jobCluster === criteria.jobCluster) {
+                points += WEIGHTS.jobCluster;
+                reasons.push({ kind: 'positive', text: `Job cluster ${member.jobCluster} matches` });
+            } else {
+                reasons.push({ kind: 'negative', text: member.jobCluster ? `Job cluster ${member.jobCluster} differs` : 'No job cluster set' });
+            }
+        }
+
+        // Seniority: full points for a match, half for one level apart
+        if (criteria.seniority) {
+            maxPoints += WEIGHTS.seniority;
+            const levels = criteria.seniorityLevels?.length ? criteria.seniorityLevels : DEFAULT_SENIORITY_LEVELS;
+            const distance = Math.abs(levels.indexOf(member.seniority) - levels.indexOf(criteria.seniority));
+
+            if (member.seniority === criteria.seniority) {
+                points += WEIGHTS.seniority;
+                reasons.push({ kind: 'positive', text: `Seniority ${member.seniority} matches` });
+            } else if (levels.includes(member.seniority) && distance === 1) {
+                points += WEIGHTS.seniority / 2;
+                reasons.push({ kind: 'neutral', text: `Seniority ${member.seniority} is one level from ${criteria.seniority}` });
+            } else {
+                reasons.push({ kind: 'negative', text: member.seniority ? `Seniority ${member.seniority} differs` : 'No seniority set' });
+            }
+        }
+
+        return {
+            memberId: member.id,
+            fullName: `${member.firstName} ${member.lastName}`.trim(),
+            role: member.role,
+            score: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0,
+            freeMDs: free,
+            requiredMDs,
+            reasons
+        };
+    }
+
+    // ======================
+    // HELPERS
+    // ======================
+
+    /**
+     * Free and total capacity over a date window (the first and last months
+     * only count their days inside the window)
+     */
+    private getWindowCapacity(memberId: string, startDate: string, endDate: string): WindowCapacity {
+        if (!startDate || !endDate || startDate > endDate) {
+            return { free: 0, capacity: 0 };
+        }
+
+        const startMonth = startDate.substring(0, 7);
+        const endMonth = endDate.substring(0, 7);
+
+        return this.capacityActions
+            .calculateCapacityRange(memberId, startMonth, endMonth, startDate, endDate)
+            .filter(result => result.success)
+            .reduce((total, result) => {
+                const isPartial = result.month === startMonth || result.month === endMonth;
+                return {
+                    free: total.free + result.availableCapacity,
+                    // A partial month can't offer more than its working days in the window
+                    capacity: total.capacity + (isPartial ? Math.min(result.monthlyCapacity, result.baseWorkingDays) : result.monthlyCapacity)
+                };
+            }, { free: 0, capacity: 0 });
+    }
+
+    /**
+     * Round to 2 decimals
+     */
+    private round(value: number): number {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Make CandidateSuggestionActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+    (window as any).CandidateSuggestionActions = CandidateSuggestionActions;
+}
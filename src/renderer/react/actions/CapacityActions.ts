@@ -3,8 +3,8 @@
  *
  * Business logic for calculating team member capacity considering:
  * - Working days (excluding weekends)
- * - National holidays (IT/RO)
- * - Team member vacation days
+ * - National holidays and company closures (HolidayCalendar rule sets)
+ * - Team member vacation days (full, half-day and hourly entries by type)
  * - Existing allocations across ALL projects (from global resourceAllocations)
  *
  * Integrates with:
@@ -18,7 +18,7 @@
  * - Returns structured results
  */
 
-import type { TeamMember, CapacityResult, OverflowResult, MonthlyCapacity } from '../types/capacity';
+import type { TeamMember, CapacityResult, OverflowResult, MonthlyCapacity, VacationBreakdown } from '../types/capacity';
 
 export class CapacityActions {
     /**
@@ -88,13 +88,19 @@ export class CapacityActions {
                 return this.createErrorResult('WorkingDaysCalculator not available');
             }
 
-            // 4. Get country for holiday calendar
+            // 4. Get holiday calendar (country or office)
             const country = this.getCountryForMember(member);
 
-            // 5. Calculate base working days
+            // 5. Calculate base working days (scaled by the member's working pattern)
+            const hasPattern = calculator.hasWorkingPattern?.(member) ?? false;
             let baseWorkingDays: number;
 
-            if (startDate || endDate) {
+            if (hasPattern) {
+                const [rangeStart, rangeEnd] = this.getMonthRange(month, startDate, endDate);
+                baseWorkingDays = rangeStart > rangeEnd
+                    ? 0
+                    : calculator.calculateMemberWorkingDays(member, rangeStart, rangeEnd, country);
+            } else if (startDate || endDate) {
                 // Partial month calculation
                 baseWorkingDays = this.calculatePartialMonthDays(
                     month,
@@ -107,8 +113,9 @@ export class CapacityActions {
                 baseWorkingDays = calculator.calculateWorkingDays(monthNum, year, country);
             }
 
-            // 6. Subtract vacation days (only working days)
-            const vacationDays = this.getVacationDaysInMonth(member, month, country);
+            // 6. Subtract vacation days (only working days, fractional for half days/hours)
+            const vacationBreakdown = this.getVacationBreakdown(member, month, country);
+            const vacationDays = vacationBreakdown.total;
 
             // 7. Get existing allocations from GLOBAL resourceAllocations store
             const existingAllocations = this.getExistingAllocationsForMonth(memberId, month);
@@ -119,8 +126,10 @@ export class CapacityActions {
                 baseWorkingDays - vacationDays - existingAllocations
             );
 
-            // 9. Get monthly capacity
-            const monthlyCapacity = teamHelpers.getTeamMemberCapacity(memberId);
+            // 9. Get monthly capacity (part-time patterns reduce it proportionally)
+            const monthlyCapacity = hasPattern
+                ? this.getPatternMonthlyCapacity(member, teamHelpers.getTeamMemberCapacity(memberId), month, country)
+                : teamHelpers.getTeamMemberCapacity(memberId);
 
             // 10. Calculate utilization percentage
             const utilization = monthlyCapacity > 0
@@ -137,6 +146,7 @@ export class CapacityActions {
                 month,
                 baseWorkingDays,
                 vacationDays,
+                vacationByType: vacationBreakdown.byType,
                 existingAllocations,
                 availableCapacity,
                 monthlyCapacity,
@@ -152,47 +162,18 @@ export class CapacityActions {
     }
 
     /**
-     * Get vacation days for member in specific month
-     * Only counts vacation days that fall on working days (not weekends, not holidays)
+     * Get vacation days for member in specific month, split by type
+     * Half days and hourly entries count as fractions; only working days
+     * (not weekends, not holidays, not outside the working pattern) count
      *
      * @private
      */
-    private getVacationDaysInMonth(member: any, month: string, country: string): number {
-        const [year, monthNum] = month.split('-');
-        const yearNum = parseInt(year);
-        const monthNumInt = parseInt(monthNum);
-
-        const vacationDays = member.vacationDays?.[yearNum] || [];
-
-        if (!Array.isArray(vacationDays) || vacationDays.length === 0) {
-            return 0;
-        }
-
+    private getVacationBreakdown(member: any, month: string, country: string): VacationBreakdown {
         const calculator = this.getCalculator();
-        let count = 0;
-
-        // Count only vacation days that are working days
-        vacationDays.forEach((dateStr: string) => {
-            const date = new Date(dateStr);
-            const vacMonth = date.getMonth() + 1; // getMonth() returns 0-11
-
-            // Check if vacation is in this month
-            if (vacMonth !== monthNumInt) {
-                return;
-            }
-
-            // Check if it's a working day
-            const dayOfWeek = date.getDay();
-            const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-            const isHoliday = calculator.isNationalHoliday(date, country);
-
-            // Only count if it's a working day (not weekend, not holiday)
-            if (!isWeekend && !isHoliday) {
-                count++;
-            }
-        });
-
-        return count;
+        if (calculator?.getVacationBreakdown) {
+            return calculator.getVacationBreakdown(member, month, country);
+        }
+        return { total: 0, byType: { holiday: 0, sick: 0, training: 0, other: 0 } };
     }
 
     /**
@@ -218,6 +199,42 @@ export class CapacityActions {
         return state.getTotalAllocatedMDs(memberId, month) || 0;
     }
 
+    /**
+     * Get the [start, end] dates of a month, narrowed to an optional partial range
+     *
+     * @private
+     */
+    private getMonthRange(month: string, startDate?: string, endDate?: string): [Date, Date] {
+        const [year, monthNum] = month.split('-').map(Number);
+        const monthStart = new Date(year, monthNum - 1, 1);
+        const monthEnd = new Date(year, monthNum, 0); // Last day of month
+
+        return [
+            startDate ? new Date(startDate) : monthStart,
+            endDate ? new Date(endDate) : monthEnd
+        ];
+    }
+
+    /**
+     * Scale the member's monthly capacity by their working pattern:
+     * pattern working days / full-time working days for the month
+     *
+     * @private
+     */
+    private getPatternMonthlyCapacity(member: any, monthlyCapacity: number, month: string, country: string): number {
+        const calculator = this.getCalculator();
+        const [year, monthNum] = month.split('-').map(Number);
+        const [monthStart, monthEnd] = this.getMonthRange(month);
+
+        const fullTimeDays = calculator.calculateWorkingDays(monthNum, year, country);
+        if (fullTimeDays <= 0) {
+            return monthlyCapacity;
+        }
+
+        const patternDays = calculator.calculateMemberWorkingDays(member, monthStart, monthEnd, country);
+        return Math.round(monthlyCapacity * (patternDays / fullTimeDays) * 10) / 10;
+    }
+
     /**
      * Calculate working days for partial month
      *
@@ -247,16 +264,21 @@ export class CapacityActions {
             return 0;
         }
 
-        return calculator.calculateWorkingDaysBetween(effectiveStart, effectiveEnd);
+        return calculator.calculateWorkingDaysBetween(effectiveStart, effectiveEnd, country);
     }
 
     /**
-     * Get country for team member (from vendor)
-     * Defaults to 'IT' if not found
-     *
-     * @private
+     * Get holiday calendar code for team member
+     * Uses the member's office calendar, then the vendor country.
+     * Defaults to 'IT' if not found. Also used to label the member's calendar,
+     * so the label always names the calendar capacity is counted against.
      */
-    private getCountryForMember(member: any): string {
+    getCountryForMember(member: any): string {
+        const calculator = this.getCalculator();
+        if (calculator?.resolveMemberCalendar && (member?.holidayCalendar || member?.country)) {
+            return calculator.resolveMemberCalendar(member);
+        }
+
         const store = this.getStore();
         const globalConfig = store?.getState()?.globalConfig;
 
@@ -335,18 +357,27 @@ export class CapacityActions {
      * @param memberId - Team member ID
      * @param startMonth - Start month 'YYYY-MM'
      * @param endMonth - End month 'YYYY-MM'
+     * @param startDate - Optional: first day in the start month (format 'YYYY-MM-DD')
+     * @param endDate - Optional: last day in the end month (format 'YYYY-MM-DD')
      * @returns Array of monthly capacity results
      */
     calculateCapacityRange(
         memberId: string,
         startMonth: string,
-        endMonth: string
+        endMonth: string,
+        startDate?: string,
+        endDate?: string
     ): MonthlyCapacity[] {
         const months = this.generateMonthRange(startMonth, endMonth);
 
         return months.map(month => ({
             month,
-            ...this.calculateAvailableCapacity(memberId, month)
+            ...this.calculateAvailableCapacity(
+                memberId,
+                month,
+                month === startMonth ? startDate : undefined,
+                month === endMonth ? endDate : undefined
+            )
         }));
     }
 
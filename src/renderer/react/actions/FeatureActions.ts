@@ -3,6 +3,16 @@
  * Following the application's state manager + actions + dispatcher pattern
  */
 
+import { calculateConfidenceTotals, ConfidenceTotals } from '../utils/pertEstimation';
+import {
+  buildFeatureTree,
+  FEATURE_LEVELS,
+  FeatureTreeRow,
+  getFeatureLevel,
+  removeFromHierarchy,
+  validateFeatureParent
+} from '../utils/featureHierarchy';
+
 export interface FeatureFormData {
   id: string;
   name: string;
@@ -53,7 +63,7 @@ export class FeatureActions {
   /**
    * Get vendor role and rate for a feature
    */
-  private getVendorRoleAndRate(featureData: FeatureFormData): { role: string; rate: number } {
+  getVendorRoleAndRate(featureData: FeatureFormData): { role: string; rate: number } {
     const configManager = this.getConfigManager();
     if (!configManager) {
       return { role: '', rate: 0 };
@@ -198,8 +208,12 @@ export class FeatureActions {
         throw new Error('Feature not found');
       }
 
-      // Remove from store
-      state.removeProjectFeature(featureIndex);
+      // Remove from store; its children move up to its parent
+      if (state.currentProject.features.some((item: any) => item.parentId === feature.id)) {
+        state.updateProjectFeatures(removeFromHierarchy(state.currentProject.features, [feature.id]));
+      } else {
+        state.removeProjectFeature(featureIndex);
+      }
 
       // Mark project as dirty for auto-save
       state.markDirty();
@@ -220,6 +234,171 @@ export class FeatureActions {
     }
   }
 
+  /**
+   * Add and update many features in one store update (e.g. from a spreadsheet import or a bulk edit):
+   * features whose ID exists are replaced, the others are appended
+   * @param action - Action reported by the project-modified event
+   * @returns The features before the change, to restore them with restoreFeatures
+   */
+  upsertFeatures(featuresData: FeatureFormData[], action = 'features-imported'): { created: number; updated: number; previousFeatures: any[] } {
+    try {
+      const store = this.getStore();
+      if (!store) {
+        throw new Error('Store not available');
+      }
+
+      const state = store.getState();
+      if (!state.currentProject) {
+        throw new Error('No project loaded');
+      }
+
+      const previousFeatures = state.currentProject.features || [];
+      const features = [...previousFeatures];
+      const indexById = new Map(features.map((feature: any, index: number) => [feature.id, index]));
+      const now = new Date().toISOString();
+      let created = 0;
+      let updated = 0;
+
+      featuresData.forEach(featureData => {
+        const { role, rate } = this.getVendorRoleAndRate(featureData);
+        const index = indexById.get(featureData.id);
+        if (index !== undefined) {
+          features[index] = { ...features[index], ...featureData, role, rate, modified: now };
+          updated++;
+        } else {
+          indexById.set(featureData.id, features.length);
+          features.push({ ...featureData, role, rate, created: now, modified: now });
+          created++;
+        }
+      });
+
+      state.updateProjectFeatures(features);
+      state.markDirty();
+
+      // STATE/ACTIONS/DISPATCHER PATTERN: Dispatch project-modified event for version sync
+      window.dispatchEvent(new CustomEvent('project-modified', {
+        detail: {
+          action,
+          created,
+          updated,
+          hasVersions: state.currentProject.versions?.length > 0
+        }
+      }));
+
+      return { created, updated, previousFeatures };
+    } catch (error) {
+      console.error('Failed to add or update features:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete many features in one store update
+   * @returns Number of features deleted
+   */
+  deleteFeatures(featureIds: string[]): number {
+    const state = this.getStore()?.getState();
+    if (!state?.currentProject) {
+      throw new Error('No project loaded');
+    }
+
+    // Children of deleted features move up to the closest remaining ancestor
+    const features = removeFromHierarchy(state.currentProject.features || [], featureIds);
+    const deleted = (state.currentProject.features || []).length - features.length;
+    if (deleted === 0) {
+      return 0;
+    }
+
+    state.updateProjectFeatures(features);
+    state.markDirty();
+
+    window.dispatchEvent(new CustomEvent('project-modified', {
+      detail: {
+        action: 'features-deleted',
+        deleted,
+        hasVersions: state.currentProject.versions?.length > 0
+      }
+    }));
+
+    return deleted;
+  }
+
+  /**
+   * Move a feature under another one (or to the top level with a null parent)
+   */
+  setFeatureParent(featureId: string, parentId: string | null): void {
+    const state = this.getStore()?.getState();
+    if (!state?.currentProject) {
+      throw new Error('No project loaded');
+    }
+
+    const features = state.currentProject.features || [];
+    const featureIndex = features.findIndex((feature: any) => feature.id === featureId);
+    if (featureIndex < 0) {
+      throw new Error(`Feature ${featureId} not found`);
+    }
+
+    const feature = features[featureIndex];
+    const problem = validateFeatureParent(features, featureId, getFeatureLevel(feature), parentId);
+    if (problem) {
+      throw new Error(problem);
+    }
+    if ((feature.parentId || null) === (parentId || null)) {
+      return;
+    }
+
+    const { parentId: _previousParent, ...rest } = feature;
+    state.updateProjectFeature(featureIndex, {
+      ...rest,
+      ...(parentId ? { parentId } : {}),
+      modified: new Date().toISOString()
+    });
+    state.markDirty();
+
+    window.dispatchEvent(new CustomEvent('project-modified', {
+      detail: {
+        action: 'feature-reparented',
+        featureId,
+        parentId,
+        hasVersions: state.currentProject.versions?.length > 0
+      }
+    }));
+  }
+
+  /**
+   * Features in tree order with their depth and man days / cost roll-ups
+   */
+  getFeatureTree(features: any[]): FeatureTreeRow[] {
+    return buildFeatureTree(features, feature => feature.rate ?? this.getVendorRoleAndRate(feature).rate);
+  }
+
+  /**
+   * Put back a whole feature list (e.g. to undo an import)
+   */
+  restoreFeatures(features: any[]): void {
+    const state = this.getStore()?.getState();
+    if (!state?.currentProject) {
+      throw new Error('No project loaded');
+    }
+
+    state.updateProjectFeatures(features);
+    state.markDirty();
+
+    window.dispatchEvent(new CustomEvent('project-modified', {
+      detail: {
+        action: 'features-restored',
+        hasVersions: state.currentProject.versions?.length > 0
+      }
+    }));
+  }
+
+  /**
+   * Calculated man days: Real Man Days × (100 + Risk Margin) ÷ Expertise (as in FeatureModal)
+   */
+  calculateManDays(realManDays: number, expertise: number, riskMargin: number): number {
+    return Math.round((realManDays * (100 + riskMargin) / expertise) * 10) / 10;
+  }
+
   /**
    * Filter features based on search term and filters
    */
@@ -296,6 +475,13 @@ export class FeatureActions {
     }
   }
 
+  /**
+   * Calculate P50/P80/P90 man days from the features' three-point estimates
+   */
+  calculateConfidenceTotals(features: any[]): ConfidenceTotals {
+    return calculateConfidenceTotals(features);
+  }
+
   /**
    * Update coverage value
    */
@@ -378,6 +564,42 @@ export class FeatureActions {
     }
   }
 
+  /**
+   * Open the Add modal for a child of a feature, one level below it and with its category and supplier
+   */
+  openAddChildFeatureModal(parent: any): void {
+    const store = this.getStore();
+    if (!store) {
+      throw new Error('Store not available');
+    }
+
+    const parentLevel = getFeatureLevel(parent);
+    const childLevel = FEATURE_LEVELS[FEATURE_LEVELS.indexOf(parentLevel) + 1];
+    if (!childLevel) {
+      throw new Error('Tasks cannot contain other items');
+    }
+
+    const state = store.getState();
+    state.setDuplicateData({
+      description: '',
+      category: parent.category || '',
+      featureType: '',
+      supplier: parent.supplier || '',
+      jobCluster: parent.jobCluster || '',
+      seniority: parent.seniority || '',
+      location: parent.location || '',
+      deliveryModel: parent.deliveryModel || '',
+      realManDays: 0,
+      expertise: 100,
+      riskMargin: 10,
+      manDays: 0,
+      notes: '',
+      level: childLevel,
+      parentId: parent.id
+    });
+    state.openFeatureModal(null);
+  }
+
   /**
    * Open modal for editing an existing feature
    */
@@ -735,4 +957,9 @@ export class FeatureActions {
 }
 
 // Create singleton instance
-export const featureActions = new FeatureActions();
\ No newline at end of file
+export const featureActions = new FeatureActions();
+
+// Make FeatureActions available globally (the exports order features by hierarchy)
+if (typeof window !== 'undefined') {
+  (window as any).featureActions = featureActions;
+}
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * FeatureBulkActions - changes applied to many selected features at once
+ *
+ * Bulk edits (category / feature type, supplier, expertise, risk margin and
+ * real man days scaled by a percentage) are previewed with the man days and
+ * cost of each feature before and after, then applied in one store update.
+ * Selected features can also be moved to another saved project.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import { featureActions, FeatureFormData } from './FeatureActions';
+import { calculatePertEstimate, hasThreePointEstimate } from '../utils/pertEstimation';
+
+export interface BulkFeatureChanges {
+  category?: string;
+  /** Only together with category: the feature types belong to a category */
+  featureType?: string;
+  supplier?: string;
+  expertise?: number;
+  riskMargin?: number;
+  /** Percentage added to the real man days (-20 = 20% less) */
+  realManDaysPercent?: number;
+}
+
+export interface BulkEditPreviewRow {
+  id: string;
+  description: string;
+  manDaysBefore: number;
+  manDaysAfter: number;
+  costBefore: number;
+  costAfter: number;
+  feature: FeatureFormData;
+  notes: string[];
+}
+
+export interface BulkEditPreview {
+  rows: BulkEditPreviewRow[];
+  manDaysDelta: number;
+  costDelta: number;
+}
+
+export interface MoveTargetProject {
+  filePath: string;
+  name: string;
+}
+
+export interface MoveFeaturesResult {
+  moved: number;
+  targetName: string;
+  /** Features given a new ID because the target project already used theirs */
+  renamed: Array<{ from: string; to: string }>;
+}
+
+const round = (value: number, decimals = 1): number => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * BR-XXX ID after the highest one in the set (added to it); like
+ * FeatureActions.generateNextFeatureId, gaps are not reused
+ */
+const takeNextFreeId = (taken: Set<string>): string => {
+  const brNumbers = [...taken]
+    .filter(id => id.startsWith('BR-'))
+    .map(id => parseInt(id.slice(3), 10))
+    .filter(n => !isNaN(n));
+  let next = brNumbers.length > 0 ? Math.max(...brNumbers) + 1 : 1;
+  let candidate = `BR-${String(next).padStart(3, '0')}`;
+  while (taken.has(candidate)) {
+    next++;
+    candidate = `BR-${String(next).padStart(3, '0')}`;
+  }
+  taken.add(candidate);
+  return candidate;
+};
+
+export class FeatureBulkActions {
+  private getStore() {
+    return (window as any).appStore;
+  }
+
+  private getConfigManager() {
+    return (window as any).app?.managers?.config || (window as any).app?.configManager;
+  }
+
+  private getDataManager() {
+    return (window as any).app?.dataManager;
+  }
+
+  // ======================
+  // BULK EDIT
+  // ======================
+
+  /**
+   * Count, man days and cost of the selected features (what a delete or a move takes away)
+   */
+  getSelectionTotals(featureIds: string[]): { count: number; manDays: number; cost: number } {
+    const ids = new Set(featureIds);
+    const features: any[] = (this.getStore()?.getState().currentProject?.features || []).filter((feature: any) => ids.has(feature.id));
+    return {
+      count: features.length,
+      manDays: round(features.reduce((sum, feature) => sum + (feature.manDays || 0), 0)),
+      cost: round(features.reduce((sum, feature) => sum + (feature.manDays || 0) * (feature.rate || 0), 0), 2)
+    };
+  }
+
+  /**
+   * Problem with the changes, or null when they can be applied
+   */
+  validateChanges(changes: BulkFeatureChanges): string | null {
+    const { category, featureType, supplier, expertise, riskMargin, realManDaysPercent } = changes;
+    if (!category && !featureType && !supplier && expertise === undefined && riskMargin === undefined && realManDaysPercent === undefined) {
+      return 'Choose at least one change to apply';
+    }
+    if (featureType && !category) {
+      return 'Choose the category of the feature type';
+    }
+    if (expertise !== undefined && (!(expertise > 0) || expertise > 100)) {
+      return 'Expertise must be between 1 and 100';
+    }
+    if (riskMargin !== undefined && (!(riskMargin >= 0) || riskMargin > 100)) {
+      return 'Risk margin must be between 0 and 100';
+    }
+    if (realManDaysPercent !== undefined && (isNaN(realManDaysPercent) || realManDaysPercent <= -100)) {
+      return 'Real man days cannot be reduced by 100% or more';
+    }
+    return null;
+  }
+
+  /**
+   * Selected features with the changes applied, and the man days and cost
+   * delta, without changing the project
+   */
+  previewBulkEdit(featureIds: string[], changes: BulkFeatureChanges): BulkEditPreview {
+    const ids = new Set(featureIds);
+    const features: any[] = (this.getStore()?.getState().currentProject?.features || []).filter((feature: any) => ids.has(feature.id));
+    const categories: any[] = this.getConfigManager()?.getCategories?.() || [];
+
+    const rows = features.map((feature): BulkEditPreviewRow => {
+      const { feature: updated, notes } = this.applyChanges(feature, changes, categories);
+      const rateBefore = feature.rate ?? featureActions.getVendorRoleAndRate(feature).rate;
+      const rateAfter = featureActions.getVendorRoleAndRate(updated).rate;
+      return {
+        id: feature.id,
+        description: feature.description || feature.name || '',
+        manDaysBefore: feature.manDays || 0,
+        manDaysAfter: updated.manDays || 0,
+        costBefore: (feature.manDays || 0) * (rateBefore || 0),
+        costAfter: (updated.manDays || 0) * (rateAfter || 0),
+        feature: updated,
+        notes
+      };
+    });
+
+    return {
+      rows,
+      manDaysDelta: round(rows.reduce((sum, row) => sum + row.manDaysAfter - row.manDaysBefore, 0)),
+      costDelta: round(rows.reduce((sum, row) => sum + row.costAfter - row.costBefore, 0), 2)
+    };
+  }
+
+  /**
+   * Apply the changes to the selected features in one store update
+   */
+  applyBulkEdit(featureIds: string[], changes: BulkFeatureChanges): BulkEditPreview {
+    const problem = this.validateChanges(changes);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const preview = this.previewBulkEdit(featureIds, changes);
+    if (preview.rows.length === 0) {
+      throw new Error('No features selected');
+    }
+    featureActions.upsertFeatures(preview.rows.map(row => row.feature), 'features-bulk-edited');
+    return preview;
+  }
+
+  // ======================
+  // MOVE
+  // ======================
+
+  /**
+   * Saved projects the selected features can be moved to (all but the open one)
+   */
+  async listMoveTargets(): Promise<MoveTargetProject[]> {
+    const dataManager = this.getDataManager();
+    if (!dataManager) {
+      return [];
+    }
+    const projects: any[] = await dataManager.listProjects() || [];
+    return projects
+      .filter(project => project.filePath && project.filePath !== dataManager.currentProjectPath)
+      .map(project => ({ filePath: project.filePath, name: project.project?.name || project.fileName }));
+  }
+
+  /**
+   * Append the selected features to another saved project and remove them
+   * from the open one (which is left with unsaved changes)
+   */
+  async moveFeatures(featureIds: string[], targetFilePath: string): Promise<MoveFeaturesResult> {
+    const dataManager = this.getDataManager();
+    if (!dataManager?.readProject || !dataManager.writeProject) {
+      throw new Error('Project storage not available');
+    }
+    if (targetFilePath === dataManager.currentProjectPath) {
+      throw new Error('The features are already in this project');
+    }
+
+    const ids = new Set(featureIds);
+    const features: any[] = (this.getStore()?.getState().currentProject?.features || []).filter((feature: any) => ids.has(feature.id));
+    if (features.length === 0) {
+      throw new Error('No features selected');
+    }
+
+    const target = await dataManager.readProject(targetFilePath);
+    if (!target) {
+      throw new Error('The target project could not be read');
+    }
+
+    const taken = new Set<string>((target.features || []).map((feature: any) => feature.id));
+    const renamed: MoveFeaturesResult['renamed'] = [];
+    const newIds = new Map<string, string>();
+    features.forEach(feature => {
+      let id = feature.id;
+      if (taken.has(id)) {
+        id = takeNextFreeId(taken);
+        renamed.push({ from: feature.id, to: id });
+      } else {
+        taken.add(id);
+      }
+      newIds.set(feature.id, id);
+    });
+
+    // Moved children keep a moved parent; the others become top-level items in the target
+    const now = new Date().toISOString();
+    const moved = features.map(feature => {
+      const { parentId, ...rest } = feature;
+      const movedParentId = parentId ? newIds.get(parentId) : undefined;
+      return { ...rest, id: newIds.get(feature.id), ...(movedParentId ? { parentId: movedParentId } : {}), modified: now };
+    });
+
+    const written = await dataManager.writeProject({ ...target, features: [...(target.features || []), ...moved] }, targetFilePath);
+    if (!written) {
+      throw new Error(`Failed to save ${target.project?.name || 'the target project'}`);
+    }
+
+    featureActions.deleteFeatures(features.map(feature => feature.id));
+
+    return { moved: moved.length, targetName: target.project?.name || '', renamed };
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  private applyChanges(feature: any, changes: BulkFeatureChanges, categories: any[]): { feature: FeatureFormData; notes: string[] } {
+    const updated = { ...feature };
+    const notes: string[] = [];
+
+    if (changes.category) {
+      updated.category = changes.category;
+      if (changes.featureType) {
+        updated.featureType = changes.featureType;
+      } else if (updated.featureType) {
+        const category = categories.find(item => item.id === changes.category);
+        if (!(category?.featureTypes || []).some((featureType: any) => featureType.id === updated.featureType)) {
+          updated.featureType = '';
+          notes.push('Feature type cleared: not available in the new category');
+        }
+      }
+    }
+    if (changes.supplier) {
+      updated.supplier = changes.supplier;
+    }
+    if (changes.expertise !== undefined) {
+      updated.expertise = changes.expertise;
+    }
+    if (changes.riskMargin !== undefined) {
+      updated.riskMargin = changes.riskMargin;
+    }
+
+    const factor = 1 + (changes.realManDaysPercent ?? 0) / 100;
+    if (factor !== 1 && hasThreePointEstimate(updated)) {
+      // Scale the three estimates: the real man days are their PERT expected value
+      updated.optimisticManDays = round(updated.optimisticManDays * factor);
+      updated.mostLikelyManDays = round(updated.mostLikelyManDays * factor);
+      updated.pessimisticManDays = round(updated.pessimisticManDays * factor);
+      const { expected, standardDeviation } = calculatePertEstimate(updated.optimisticManDays, updated.mostLikelyManDays, updated.pessimisticManDays);
+      updated.pertExpectedManDays = expected;
+      updated.pertStandardDeviation = standardDeviation;
+      updated.realManDays = expected;
+    } else if (factor !== 1 && updated.realManDays > 0) {
+      updated.realManDays = round(updated.realManDays * factor);
+    }
+
+    if (updated.realManDays > 0) {
+      updated.manDays = featureActions.calculateManDays(updated.realManDays, updated.expertise || 100, updated.riskMargin ?? 10);
+    } else if (factor !== 1) {
+      // Features without real man days only have the calculated value
+      updated.manDays = round((updated.manDays || 0) * factor);
+    } else if (changes.expertise !== undefined || changes.riskMargin !== undefined) {
+      notes.push('Man days unchanged: the feature has no real man days');
+    }
+
+    return { feature: updated, notes };
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const featureBulkActions = new FeatureBulkActions();
+
+// Make FeatureBulkActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).featureBulkActions = featureBulkActions;
+}
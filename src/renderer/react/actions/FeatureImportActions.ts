@@ -0,0 +1,492 @@
+/**
+ * FeatureImportActions - bulk import of features from a spreadsheet
+ *
+ * Reads an .xlsx or .csv file (SheetJS parses both, guessing the CSV
+ * delimiter), suggests which column holds each feature field from the header
+ * names, fuzzy-matches category, feature type and supplier names against the
+ * configuration, and previews the errors of each row before importing.
+ * Rows whose ID matches an existing feature update it; the import is one
+ * operation that can be undone as a whole.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import * as XLSX from 'xlsx';
+import { featureActions, FeatureFormData } from './FeatureActions';
+import { calculatePertEstimate, hasThreePointEstimate } from '../utils/pertEstimation';
+
+export type ImportField = 'id' | 'name' | 'description' | 'category' | 'featureType' | 'supplier' | 'realManDays';
+
+export const IMPORT_FIELDS: Array<{ field: ImportField; label: string }> = [
+  { field: 'id', label: 'ID' },
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'category', label: 'Category' },
+  { field: 'featureType', label: 'Feature Type' },
+  { field: 'supplier', label: 'Supplier' },
+  { field: 'realManDays', label: 'Real Man Days' }
+];
+
+/** Column index of each field, or null when the field is not imported */
+export type ColumnMapping = Record<ImportField, number | null>;
+
+export interface ImportSheet {
+  name: string;
+  headers: string[];
+  rows: string[][];
+}
+
+export interface ImportDefaults {
+  category?: string;
+  supplier?: string;
+}
+
+export interface ImportPreviewRow {
+  /** Row number in the spreadsheet (the header is row 1) */
+  rowNumber: number;
+  action: 'create' | 'update';
+  feature: FeatureFormData;
+  errors: string[];
+  /** Fuzzy matches and defaults applied, worth a look before importing */
+  notes: string[];
+}
+
+export interface ImportPreview {
+  rows: ImportPreviewRow[];
+  createCount: number;
+  updateCount: number;
+  errorCount: number;
+}
+
+export interface ImportResult {
+  created: number;
+  updated: number;
+  skipped: number;
+}
+
+// Header names recognised for each field (compared normalized)
+const HEADER_SYNONYMS: Record<ImportField, string[]> = {
+  id: ['id', 'code', 'key', 'feature id', 'requirement id', 'req id', 'ref', 'reference'],
+  name: ['name', 'title', 'feature', 'feature name', 'summary', 'requirement'],
+  description: ['description', 'desc', 'details', 'detail', 'notes'],
+  category: ['category', 'categories', 'area', 'module'],
+  featureType: ['feature type', 'type', 'kind'],
+  supplier: ['supplier', 'vendor', 'provider', 'team'],
+  realManDays: ['real man days', 'man days', 'mandays', 'md', 'mds', 'days', 'effort', 'estimate', 'gg', 'giorni']
+};
+
+// Minimum similarity for a fuzzy name match (1 = identical)
+const MIN_MATCH_SIMILARITY = 0.75;
+
+const FEATURE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const DEFAULT_EXPERTISE = 100;
+const DEFAULT_RISK_MARGIN = 10;
+
+/**
+ * Lowercase, without accents, punctuation or repeated spaces
+ */
+const normalize = (value: string): string => value
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const levenshtein = (a: string, b: string): number => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a: string, b: string): number => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  // A name contained in the other ("backend" in "backend development") is a strong match,
+  // unless it is too short to mean much ("id" in "provider")
+  if (Math.min(a.length, b.length) >= 4 && (a.includes(b) || b.includes(a))) return 0.9;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// A single comma before three digits: 1234 with a thousands separator or 1.234 with a decimal comma
+const AMBIGUOUS_NUMBER_PATTERN = /^[-+]?[1-9]\d{0,2},\d{3}$/;
+
+/**
+ * Parse a number written with a dot or a comma as decimal separator and
+ * optionally the other one as thousands separator ("1.234,5", "1,234.5").
+ * A separator used more than once is a thousands separator; a lone dot is
+ * decimal (spreadsheet number formats). Ambiguous values are checked apart.
+ */
+const parseNumber = (value: string): number | null => {
+  const text = value.trim().replace(/\s/g, '');
+  if (!text) return null;
+
+  const isDecimal = (separator: string) => {
+    const other = separator === ',' ? '.' : ',';
+    return text.includes(separator) && text.indexOf(separator) === text.lastIndexOf(separator)
+      && text.lastIndexOf(separator) > text.lastIndexOf(other);
+  };
+  const decimal = isDecimal(',') ? ',' : isDecimal('.') ? '.' : null;
+  const thousands = [',', '.'].find(separator => separator !== decimal && text.includes(separator));
+
+  let integer = decimal ? text.slice(0, text.lastIndexOf(decimal)) : text;
+  const fraction = decimal ? text.slice(text.lastIndexOf(decimal) + 1) : '';
+  if (thousands) {
+    const [first, ...groups] = integer.split(thousands);
+    if (!/^[-+]?\d{1,3}$/.test(first) || groups.some(group => !/^\d{3}$/.test(group))) return null;
+    integer = [first, ...groups].join('');
+  }
+  if (decimal && !/^\d+$/.test(fraction)) return null;
+
+  const number = Number(decimal ? `${integer}.${fraction}` : integer);
+  return isNaN(number) ? null : number;
+};
+
+export class FeatureImportActions {
+  private lastImport: { projectId: string | null; previousFeatures: any[] } | null = null;
+
+  private getStore() {
+    return (window as any).appStore;
+  }
+
+  private getConfigManager() {
+    return (window as any).app?.managers?.config || (window as any).app?.configManager;
+  }
+
+  // ======================
+  // READING
+  // ======================
+
+  /**
+   * Sheets of an .xlsx workbook (ArrayBuffer) or a CSV file (text), with the
+   * first non-empty row as headers
+   */
+  readWorkbook(data: ArrayBuffer | string): ImportSheet[] {
+    const workbook = typeof data === 'string'
+      ? XLSX.read(data, { type: 'string' })
+      : XLSX.read(new Uint8Array(data), { type: 'array' });
+
+    return workbook.SheetNames.map(name => {
+      const cells = XLSX.utils.sheet_to_json<unknown[]>(workbook.Sheets[name], { header: 1, defval: '', raw: false, blankrows: false });
+      const rows = cells.map(row => row.map(cell => String(cell ?? '').trim()));
+      const [headers = [], ...dataRows] = rows;
+      return { name, headers, rows: dataRows.filter(row => row.some(cell => cell !== '')) };
+    });
+  }
+
+  /**
+   * Column of each field guessed from the header names
+   */
+  suggestColumnMapping(headers: string[]): ColumnMapping {
+    const candidates: Array<{ field: ImportField; index: number; score: number }> = [];
+    headers.map(normalize).forEach((header, index) => {
+      if (!header) return;
+      IMPORT_FIELDS.forEach(({ field }) => {
+        // Exact synonyms win over approximate ones ("Feature Type" is the type, not the name)
+        const score = Math.max(...HEADER_SYNONYMS[field].map(synonym => header === synonym ? 1 : similarity(header, synonym) * 0.9));
+        if (score >= MIN_MATCH_SIMILARITY) {
+          candidates.push({ field, index, score });
+        }
+      });
+    });
+
+    const mapping = Object.fromEntries(IMPORT_FIELDS.map(({ field }) => [field, null])) as ColumnMapping;
+    const used = new Set<number>();
+    candidates
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ field, index }) => {
+        if (mapping[field] !== null || used.has(index)) return;
+        mapping[field] = index;
+        used.add(index);
+      });
+
+    return mapping;
+  }
+
+  /**
+   * Categories and suppliers offered as defaults for the rows that leave them empty
+   */
+  getDefaultOptions(): { categories: Array<{ id: string; name: string }>; suppliers: Array<{ id: string; name: string }> } {
+    const configManager = this.getConfigManager();
+    const toOption = (item: any) => ({ id: item.id, name: item.name || item.id });
+    return {
+      categories: (configManager?.getCategories?.() || []).map(toOption),
+      suppliers: (configManager?.getVendors?.() || []).map(toOption)
+    };
+  }
+
+  /**
+   * Configured option (category, feature type, supplier) matching a spreadsheet
+   * value by ID or name, exactly or approximately
+   */
+  matchOption<T extends { id: string; name?: string }>(value: string, options: T[]): { option: T; exact: boolean } | null {
+    const target = normalize(value);
+    if (!target) return null;
+
+    let best: { option: T; score: number } | null = null;
+    for (const option of options) {
+      const names = [option.id, option.name].filter(Boolean).map(name => normalize(name!));
+      if (names.includes(target)) {
+        return { option, exact: true };
+      }
+      const score = Math.max(...names.map(name => similarity(target, name)));
+      if (score >= MIN_MATCH_SIMILARITY && (!best || score > best.score)) {
+        best = { option, score };
+      }
+    }
+    return best ? { option: best.option, exact: false } : null;
+  }
+
+  // ======================
+  // PREVIEW
+  // ======================
+
+  /**
+   * Feature of each row with its validation errors, without changing the project
+   */
+  buildPreview(sheet: ImportSheet, mapping: ColumnMapping, defaults: ImportDefaults = {}): ImportPreview {
+    const configManager = this.getConfigManager();
+    const categories: any[] = configManager?.getCategories?.() || [];
+    const vendors: any[] = configManager?.getVendors?.() || [];
+    const existingFeatures: any[] = this.getStore()?.getState().currentProject?.features || [];
+    const existingById = new Map(existingFeatures.map(feature => [feature.id, feature]));
+    const seenIds = new Map<string, number>();
+    const nextIds = this.createIdGenerator(existingFeatures, sheet, mapping);
+
+    const rows = sheet.rows.map((cells, index): ImportPreviewRow => {
+      const rowNumber = index + 2;
+      const cell = (field: ImportField) => {
+        const column = mapping[field];
+        return column === null || column === undefined ? '' : (cells[column] || '').trim();
+      };
+      const errors: string[] = [];
+      const notes: string[] = [];
+
+      let id = cell('id');
+      if (!id) {
+        id = nextIds();
+        notes.push(`ID ${id} generated`);
+      } else if (!FEATURE_ID_PATTERN.test(id)) {
+        errors.push('ID must contain only letters, numbers, hyphens and underscores');
+      }
+      if (seenIds.has(id)) {
+        errors.push(`ID ${id} is already used on row ${seenIds.get(id)}`);
+      } else {
+        seenIds.set(id, rowNumber);
+      }
+
+      const existing = existingById.get(id);
+      const feature: any = existing
+        ? { ...existing }
+        : { id, name: '', description: '', category: '', featureType: '', supplier: '', realManDays: 0, expertise: DEFAULT_EXPERTISE, riskMargin: DEFAULT_RISK_MARGIN, notes: '' };
+
+      // Empty cells keep the values of an updated feature
+      const name = cell('name');
+      const description = cell('description');
+      if (name) feature.name = name;
+      if (description) {
+        feature.description = description;
+      } else if (name && !existing) {
+        feature.description = name;
+      }
+      if (!feature.description?.trim()) {
+        errors.push('Description (or name) is required');
+      }
+
+      this.applyMatch(feature, 'category', cell('category') || (existing ? '' : defaults.category || ''), categories, 'Category', errors, notes);
+      if (!feature.category && !errors.some(error => error.startsWith('Category'))) {
+        errors.push('Category is required');
+      }
+
+      const category = categories.find(item => item.id === feature.category);
+      const featureTypeValue = cell('featureType');
+      if (featureTypeValue) {
+        if (!category) {
+          errors.push(`Feature type "${featureTypeValue}" needs a category`);
+        } else {
+          this.applyMatch(feature, 'featureType', featureTypeValue, category.featureTypes || [], 'Feature type', errors, notes);
+        }
+      } else if (existing && feature.featureType && feature.category !== existing.category
+        && !(category?.featureTypes || []).some((featureType: any) => featureType.id === feature.featureType)) {
+        feature.featureType = '';
+        notes.push('Feature type cleared: not available in the new category');
+      }
+
+      this.applyMatch(feature, 'supplier', cell('supplier') || (existing ? '' : defaults.supplier || ''), vendors, 'Supplier', errors, notes);
+      if (!feature.supplier && !errors.some(error => error.startsWith('Supplier'))) {
+        errors.push('Supplier is required');
+      }
+
+      const manDaysValue = cell('realManDays');
+      if (manDaysValue) {
+        const realManDays = parseNumber(manDaysValue);
+        if (AMBIGUOUS_NUMBER_PATTERN.test(manDaysValue.replace(/\s/g, ''))) {
+          errors.push(`Real man days "${manDaysValue}" could be thousands or decimals: write it without the thousands separator or with a decimal point`);
+        } else if (realManDays === null || realManDays <= 0) {
+          errors.push(`Real man days "${manDaysValue}" must be a number greater than 0`);
+        } else if (existing && hasThreePointEstimate(existing) && realManDays !== existing.realManDays) {
+          // The three-point estimate drives real man days, so scale it as the bulk edit does
+          const base = existing.pertExpectedManDays || existing.realManDays;
+          if (base > 0) {
+            this.scaleThreePointEstimate(feature, realManDays / base);
+            notes.push(`Three-point estimate scaled to ${feature.optimisticManDays} / ${feature.mostLikelyManDays} / ${feature.pessimisticManDays} MD`);
+          } else {
+            this.clearThreePointEstimate(feature);
+            feature.realManDays = realManDays;
+            notes.push('Three-point estimate cleared');
+          }
+        } else {
+          feature.realManDays = realManDays;
+        }
+      } else if (!existing && feature.category && feature.featureType) {
+        const defaultManDays = featureActions.getDefaultManDays(feature.category, feature.featureType);
+        if (defaultManDays > 0) {
+          feature.realManDays = defaultManDays;
+          notes.push(`Real man days ${defaultManDays} from the feature type`);
+        }
+      }
+      if (!(feature.realManDays > 0) && !errors.some(error => error.startsWith('Real man days'))) {
+        errors.push('Real man days are required');
+      }
+
+      feature.manDays = featureActions.calculateManDays(
+        feature.realManDays || 0,
+        feature.expertise || DEFAULT_EXPERTISE,
+        feature.riskMargin ?? DEFAULT_RISK_MARGIN
+      );
+
+      return { rowNumber, action: existing ? 'update' : 'create', feature, errors, notes };
+    });
+
+    return {
+      rows,
+      createCount: rows.filter(row => row.action === 'create' && row.errors.length === 0).length,
+      updateCount: rows.filter(row => row.action === 'update' && row.errors.length === 0).length,
+      errorCount: rows.filter(row => row.errors.length > 0).length
+    };
+  }
+
+  // ======================
+  // IMPORT
+  // ======================
+
+  /**
+   * Add and update the features of the rows without errors, as one undoable operation
+   */
+  importFeatures(preview: ImportPreview): ImportResult {
+    const valid = preview.rows.filter(row => row.errors.length === 0);
+    if (valid.length === 0) {
+      throw new Error('No rows to import: fix the errors in the spreadsheet or the column mapping');
+    }
+
+    const { created, updated, previousFeatures } = featureActions.upsertFeatures(valid.map(row => row.feature));
+    this.lastImport = { projectId: this.getProjectId(), previousFeatures };
+
+    return { created, updated, skipped: preview.rows.length - valid.length };
+  }
+
+  /**
+   * Whether the last import can be undone (same project still open)
+   */
+  canUndoImport(): boolean {
+    return !!this.lastImport && this.lastImport.projectId === this.getProjectId();
+  }
+
+  /**
+   * Put back the features as they were before the last import
+   */
+  undoLastImport(): boolean {
+    if (!this.canUndoImport()) {
+      return false;
+    }
+    featureActions.restoreFeatures(this.lastImport!.previousFeatures);
+    this.lastImport = null;
+    return true;
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  private applyMatch(feature: any, field: 'category' | 'featureType' | 'supplier', value: string, options: any[],
+    label: string, errors: string[], notes: string[]): void {
+    if (!value) return;
+    const match = this.matchOption(value, options);
+    if (!match) {
+      errors.push(`${label} "${value}" not found in the configuration`);
+      return;
+    }
+    feature[field] = match.option.id;
+    if (!match.exact) {
+      notes.push(`${label} "${value}" matched to "${match.option.name || match.option.id}"`);
+    }
+  }
+
+  /**
+   * Scale the three estimates of a feature; its real man days become their PERT expected value
+   */
+  private scaleThreePointEstimate(feature: any, factor: number): void {
+    const round = (value: number) => Math.round(value * 10) / 10;
+    feature.optimisticManDays = round(feature.optimisticManDays * factor);
+    feature.mostLikelyManDays = round(feature.mostLikelyManDays * factor);
+    feature.pessimisticManDays = round(feature.pessimisticManDays * factor);
+    const { expected, standardDeviation } = calculatePertEstimate(feature.optimisticManDays, feature.mostLikelyManDays, feature.pessimisticManDays);
+    feature.pertExpectedManDays = expected;
+    feature.pertStandardDeviation = standardDeviation;
+    feature.realManDays = expected;
+  }
+
+  private clearThreePointEstimate(feature: any): void {
+    delete feature.optimisticManDays;
+    delete feature.mostLikelyManDays;
+    delete feature.pessimisticManDays;
+    delete feature.pertExpectedManDays;
+    delete feature.pertStandardDeviation;
+  }
+
+  /**
+   * Generator of BR-XXX IDs after the highest one used by the project or the spreadsheet
+   */
+  private createIdGenerator(existingFeatures: any[], sheet: ImportSheet, mapping: ColumnMapping): () => string {
+    const taken = new Set<string>(existingFeatures.map(feature => feature.id));
+    if (mapping.id !== null) {
+      sheet.rows.forEach(row => { if (row[mapping.id!]) taken.add(row[mapping.id!].trim()); });
+    }
+    // Same rule as FeatureActions.generateNextFeatureId: gaps are not reused
+    const brNumbers = [...taken]
+      .filter(id => id.startsWith('BR-'))
+      .map(id => parseInt(id.slice(3), 10))
+      .filter(n => !isNaN(n));
+    let next = brNumbers.length > 0 ? Math.max(...brNumbers) + 1 : 1;
+    return () => {
+      let candidate = `BR-${String(next).padStart(3, '0')}`;
+      while (taken.has(candidate)) {
+        next++;
+        candidate = `BR-${String(next).padStart(3, '0')}`;
+      }
+      taken.add(candidate);
+      return candidate;
+    };
+  }
+
+  private getProjectId(): string | null {
+    return this.getStore()?.getState().currentProject?.project?.id || null;
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const featureImportActions = new FeatureImportActions();
+
+// Make FeatureImportActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).featureImportActions = featureImportActions;
+}
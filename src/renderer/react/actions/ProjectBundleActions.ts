@@ -0,0 +1,362 @@
+/**
+ * ProjectBundleActions - single-file project bundles for sharing estimates
+ *
+ * A bundle packages a project with a snapshot of the global configuration it
+ * depends on: the vendors it uses (with their job clusters and rates), its
+ * categories, the phase definitions, the rate matrix and the calculation
+ * parameters. On import every bundled configuration item is compared with the
+ * recipient's global configuration and resolved by the user:
+ * - add: a missing item is added to the global configuration
+ * - keep: the recipient's version is used
+ * - replace: the recipient's version is overwritten with the bundled one
+ * - map: the project's references are moved to another existing item
+ *   (vendor rates are then recalculated from the recipient's configuration)
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+export const PROJECT_BUNDLE_FORMAT = 'software-estimation-project-bundle';
+const PROJECT_BUNDLE_VERSION = 1;
+
+export type BundleConfigSection = 'vendors' | 'categories' | 'phaseDefinitions' | 'settings';
+export type BundleItemStatus = 'identical' | 'changed' | 'missing';
+export type BundleItemAction = 'add' | 'keep' | 'replace' | 'map';
+
+export interface ProjectBundle {
+  format: typeof PROJECT_BUNDLE_FORMAT;
+  version: number;
+  exportedAt: string;
+  application: string;
+  project: any;
+  config: {
+    vendors: any[];
+    categories: any[];
+    phaseDefinitions: any[];
+    rateMatrixConfig?: any;
+    calculationParams?: any;
+  };
+}
+
+export interface BundleConfigItem {
+  key: string; // `${section}:${id}`, key of the resolution
+  section: BundleConfigSection;
+  id: string;
+  name: string;
+  status: BundleItemStatus;
+  usage: number; // Features (and phase roles) of the project referencing it
+  bundled: any;
+  local: any | null;
+}
+
+export interface BundleResolution {
+  action: BundleItemAction;
+  targetId?: string; // For 'map'
+}
+
+export interface BundleImportResult {
+  project: any;
+  globalConfig: any;
+  configChanged: boolean;
+  added: number;
+  replaced: number;
+  remappedFeatures: number;
+}
+
+const SECTIONS: Array<'vendors' | 'categories' | 'phaseDefinitions'> = ['vendors', 'categories', 'phaseDefinitions'];
+
+// Single-object settings, compared and replaced as a whole (item id = configuration key)
+const SETTINGS: Record<string, string> = {
+  rateMatrixConfig: 'Rate Matrix',
+  calculationParams: 'Calculation Parameters'
+};
+
+// Phase entries that hold the vendor chosen for each role rather than a phase
+const PHASE_RESOURCE_KEYS = ['selectedSuppliers', 'selectedPhaseResources'];
+
+export class ProjectBundleActions {
+
+  /**
+   * Bundle a project with the configuration it depends on
+   */
+  createBundle(project: any, globalConfig: any): ProjectBundle {
+    const references = this.collectReferences(project);
+    const config = globalConfig || {};
+
+    return {
+      format: PROJECT_BUNDLE_FORMAT,
+      version: PROJECT_BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      application: 'Software Estimation Manager',
+      project: this.clone(project),
+      config: {
+        vendors: this.clone((config.vendors || []).filter((vendor: any) => references.vendors.has(vendor.id))),
+        categories: this.clone((config.categories || []).filter((category: any) => references.categories.has(category.id))),
+        phaseDefinitions: this.clone(config.phaseDefinitions || []),
+        rateMatrixConfig: this.clone(config.rateMatrixConfig),
+        calculationParams: this.clone(config.calculationParams)
+      }
+    };
+  }
+
+  isBundle(data: any): data is ProjectBundle {
+    return data?.format === PROJECT_BUNDLE_FORMAT && !!data.project && !!data.config;
+  }
+
+  /**
+   * Compare each bundled configuration item with the recipient's global configuration
+   */
+  analyzeBundle(bundle: ProjectBundle, globalConfig: any): BundleConfigItem[] {
+    const references = this.collectReferences(bundle.project);
+
+    const listItems = SECTIONS.flatMap(section => (bundle.config[section] || []).map((bundled: any) => {
+      const local = (globalConfig?.[section] || []).find((item: any) => item.id === bundled.id) || null;
+      const usage = section === 'phaseDefinitions'
+        ? (bundle.project.phases && !Array.isArray(bundle.project.phases) && bundle.project.phases[bundled.id] ? 1 : 0)
+        : references[section].get(bundled.id) || 0;
+
+      return {
+        key: `${section}:${bundled.id}`,
+        section,
+        id: bundled.id,
+        name: bundled.name || bundled.id,
+        status: !local ? 'missing' : this.isSameItem(local, bundled) ? 'identical' : 'changed',
+        usage,
+        bundled,
+        local
+      } as BundleConfigItem;
+    }));
+
+    const settingItems = Object.entries(SETTINGS)
+      .filter(([key]) => (bundle.config as any)[key] !== undefined)
+      .map(([key, name]): BundleConfigItem => {
+        const bundled = (bundle.config as any)[key];
+        const local = globalConfig?.[key] ?? null;
+        return {
+          key: `settings:${key}`,
+          section: 'settings',
+          id: key,
+          name,
+          status: local === null ? 'missing' : this.isSameItem(local, bundled) ? 'identical' : 'changed',
+          usage: 1, // Costs and calculations of the whole project
+          bundled,
+          local
+        };
+      });
+
+    return [...listItems, ...settingItems];
+  }
+
+  /**
+   * Missing items are added, everything else keeps the recipient's version
+   */
+  getDefaultResolutions(items: BundleConfigItem[]): Record<string, BundleResolution> {
+    return Object.fromEntries(items.map(item => [item.key, { action: item.status === 'missing' ? 'add' : 'keep' }]));
+  }
+
+  /**
+   * Existing items a bundled vendor or category can be mapped to (phase definitions and settings cannot)
+   */
+  getMapTargets(section: BundleConfigSection, globalConfig: any): { id: string; name: string }[] {
+    if (section !== 'vendors' && section !== 'categories') return [];
+    return (globalConfig?.[section] || []).map((item: any) => ({ id: item.id, name: item.name || item.id }));
+  }
+
+  /**
+   * Apply the resolutions: the global configuration to save and the project to open
+   *
+   * @param options.projectId - New project id, to import as a copy of an existing project
+   */
+  applyImport(
+    bundle: ProjectBundle,
+    globalConfig: any,
+    resolutions: Record<string, BundleResolution>,
+    options: { projectId?: string } = {}
+  ): BundleImportResult {
+    const config = this.clone(globalConfig || {});
+    const project = this.clone(bundle.project);
+    const items = this.analyzeBundle(bundle, globalConfig);
+    const defaults = this.getDefaultResolutions(items);
+    const mappings = { vendors: new Map<string, string>(), categories: new Map<string, string>() };
+    let added = 0;
+    let replaced = 0;
+
+    items.forEach(item => {
+      const resolution = resolutions[item.key] || defaults[item.key];
+
+      if (item.section === 'settings') {
+        if ((resolution.action === 'add' && item.status === 'missing') || (resolution.action === 'replace' && item.status === 'changed')) {
+          config[item.id] = this.clone(item.bundled);
+          if (item.status === 'missing') added++; else replaced++;
+        }
+        return;
+      }
+
+      const list: any[] = config[item.section] = config[item.section] || [];
+
+      switch (resolution.action) {
+        case 'add':
+          if (item.status === 'missing') {
+            list.push(this.clone(item.bundled));
+            added++;
+          }
+          break;
+        case 'replace':
+          if (item.status === 'changed') {
+            list[list.findIndex(existing => existing.id === item.id)] = this.clone(item.bundled);
+            replaced++;
+          }
+          break;
+        case 'map':
+          if ((item.section === 'vendors' || item.section === 'categories') && resolution.targetId && resolution.targetId !== item.id) {
+            mappings[item.section].set(item.id, resolution.targetId);
+          }
+          break;
+      }
+    });
+
+    const remappedFeatures = this.remapReferences(project, mappings.vendors, mappings.categories);
+
+    if (options.projectId) {
+      project.project = { ...project.project, id: options.projectId, code: options.projectId };
+    }
+
+    return { project, globalConfig: config, configChanged: added + replaced > 0, added, replaced, remappedFeatures };
+  }
+
+  /**
+   * Id for importing a project whose id is already used: <id>-COPY, <id>-COPY2, ...
+   */
+  getCopyId(projectId: string, existingIds: string[]): string {
+    const taken = new Set(existingIds);
+    let candidate = `${projectId}-COPY`;
+    for (let n = 2; taken.has(candidate); n++) {
+      candidate = `${projectId}-COPY${n}`;
+    }
+    return candidate;
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  /**
+   * Vendors and categories a project references, with how many times
+   */
+  private collectReferences(project: any) {
+    const vendors = new Map<string, number>();
+    const categories = new Map<string, number>();
+    const count = (map: Map<string, number>, id: any) => {
+      if (id) map.set(id, (map.get(id) || 0) + 1);
+    };
+
+    (project?.features || []).forEach((feature: any) => {
+      count(vendors, feature.supplier);
+      count(categories, feature.category);
+    });
+
+    this.forEachPhaseResource(project, resource => count(vendors, resource.vendorId));
+
+    const workingPackage = project?.workingPackageData || {};
+    ['gto', 'gds'].forEach(key => {
+      count(vendors, workingPackage[key]?.primaryVendorId);
+      count(vendors, workingPackage[key]?.secondaryVendorId);
+    });
+
+    return { vendors, categories };
+  }
+
+  /**
+   * Move the project's references to mapped vendors and categories
+   * @returns number of features changed
+   */
+  private remapReferences(project: any, vendors: Map<string, string>, categories: Map<string, string>): number {
+    if (vendors.size === 0 && categories.size === 0) return 0;
+    let remapped = 0;
+
+    project.features = (project.features || []).map((feature: any) => {
+      const vendorId = vendors.get(feature.supplier);
+      const categoryId = categories.get(feature.category);
+      if (!vendorId && !categoryId) return feature;
+
+      remapped++;
+      const updated = { ...feature };
+      if (vendorId) {
+        // Recalculated from the recipient's rates when the project is loaded
+        updated.supplier = vendorId;
+        delete updated.rate;
+        delete updated.role;
+      }
+      if (categoryId) {
+        updated.category = categoryId;
+      }
+      return updated;
+    });
+
+    this.forEachPhaseResource(project, (resource, setVendor) => {
+      const vendorId = vendors.get(resource.vendorId);
+      if (vendorId) setVendor(vendorId);
+    });
+
+    const workingPackage = project.workingPackageData || {};
+    ['gto', 'gds'].forEach(key => {
+      ['primaryVendorId', 'secondaryVendorId'].forEach(field => {
+        const vendorId = vendors.get(workingPackage[key]?.[field]);
+        if (vendorId) workingPackage[key][field] = vendorId;
+      });
+    });
+
+    return remapped;
+  }
+
+  /**
+   * Vendor chosen for each phase role: a vendor id, or { vendorId, jobCluster, ... }
+   */
+  private forEachPhaseResource(project: any, visit: (resource: { vendorId: string }, setVendor: (vendorId: string) => void) => void) {
+    const phases = project?.phases;
+    if (!phases || Array.isArray(phases)) return;
+
+    PHASE_RESOURCE_KEYS.forEach(key => {
+      const resources = phases[key];
+      if (!resources || typeof resources !== 'object') return;
+
+      Object.entries(resources).forEach(([role, resource]: [string, any]) => {
+        if (!resource) return;
+        if (typeof resource === 'string') {
+          visit({ vendorId: resource }, vendorId => { resources[role] = vendorId; });
+        } else if (resource.vendorId) {
+          visit(resource, vendorId => { resources[role] = { ...resource, vendorId }; });
+        }
+      });
+    });
+  }
+
+  private isSameItem(a: any, b: any): boolean {
+    return this.stableStringify(a) === this.stableStringify(b);
+  }
+
+  // Key order does not make two configurations different
+  private stableStringify(value: any): string {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  private clone<T>(value: T): T {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const projectBundleActions = new ProjectBundleActions();
+
+// Make ProjectBundleActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).projectBundleActions = projectBundleActions;
+}
@@ -0,0 +1,271 @@
+/**
+ * ProjectMergeActions - three-way merge of a project saved concurrently
+ *
+ * When the project file was changed on disk by someone else after it was
+ * opened, "mine" (the open project) and "theirs" (the file on disk) are merged
+ * against "base" (the project as it was loaded or last saved):
+ * - Features and assumptions by id, using VersionHistoryActions.compareFeatures/compareAssumptions
+ * - Phases by phase key
+ * - A change made on one side only is kept; the same item changed differently
+ *   on both sides is a conflict the user resolves by picking a side
+ * - Everything else comes from "mine"; versions created by the other side are kept
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import { versionHistoryActions } from './VersionHistoryActions';
+import type { FeatureComparison, AssumptionComparison } from './VersionHistoryActions';
+
+export type MergeSection = 'features' | 'assumptions' | 'phases';
+export type MergeSide = 'mine' | 'theirs';
+
+export interface MergeConflict {
+  key: string; // `${section}:${id}`, key of the resolution
+  section: MergeSection;
+  id: string;
+  label: string;
+  mine: any | null; // null: deleted on that side
+  theirs: any | null;
+}
+
+export interface ProjectMergeResult {
+  merged: any; // Every conflict resolved as "theirs"
+  conflicts: MergeConflict[];
+  myChanges: number;
+  theirChanges: number;
+}
+
+type ListComparison = Pick<FeatureComparison & AssumptionComparison, 'added' | 'removed' | 'modified'>;
+
+const WHOLE_SECTION_ID = '*';
+
+// Timestamps alone do not make two versions of an item different
+const IGNORED_ITEM_FIELDS = new Set(['created', 'modified', 'lastModified']);
+
+export class ProjectMergeActions {
+
+  /**
+   * Merge the two sides of a concurrent save
+   *
+   * @param base - Project as it was loaded or last saved (common ancestor)
+   * @param mine - Project being saved
+   * @param theirs - Project currently on disk
+   */
+  mergeProjects(base: any, mine: any, theirs: any): ProjectMergeResult {
+    const ancestor = base || { features: [], assumptions: [], phases: {} };
+    const conflicts: MergeConflict[] = [];
+    let myChanges = 0;
+    let theirChanges = 0;
+
+    const mergeList = (section: 'features' | 'assumptions', compare: (current: any, previous: any) => ListComparison) => {
+      const mineDiff = compare(mine, ancestor);
+      const theirDiff = compare(theirs, ancestor);
+      myChanges += mineDiff.added.length + mineDiff.removed.length + mineDiff.modified.length;
+      theirChanges += theirDiff.added.length + theirDiff.removed.length + theirDiff.modified.length;
+
+      return this.mergeList(section, theirs[section] || [], mineDiff, theirDiff, conflicts);
+    };
+
+    const features = mergeList('features', (current, previous) => versionHistoryActions.compareFeatures(current, previous));
+    const assumptions = mergeList('assumptions', (current, previous) => versionHistoryActions.compareAssumptions(current, previous));
+
+    const phases = this.mergePhases(ancestor.phases, mine.phases, theirs.phases, conflicts);
+    myChanges += phases.myChanges;
+    theirChanges += phases.theirChanges;
+
+    return {
+      merged: {
+        ...mine,
+        features,
+        assumptions,
+        phases: phases.merged,
+        versions: this.mergeVersions(mine.versions, theirs.versions)
+      },
+      conflicts,
+      myChanges,
+      theirChanges
+    };
+  }
+
+  /**
+   * Project with the chosen side applied to every conflict (unlisted conflicts stay "theirs")
+   */
+  applyResolutions(result: ProjectMergeResult, resolutions: Record<string, MergeSide>): any {
+    const project = {
+      ...result.merged,
+      features: [...(result.merged.features || [])],
+      assumptions: [...(result.merged.assumptions || [])],
+      phases: Array.isArray(result.merged.phases) ? [...result.merged.phases] : { ...result.merged.phases }
+    };
+
+    result.conflicts
+      .filter(conflict => resolutions[conflict.key] === 'mine')
+      .forEach(conflict => {
+        if (conflict.section === 'phases') {
+          if (conflict.id === WHOLE_SECTION_ID) {
+            project.phases = conflict.mine;
+          } else if (conflict.mine === null) {
+            delete project.phases[conflict.id];
+          } else {
+            project.phases[conflict.id] = conflict.mine;
+          }
+          return;
+        }
+
+        const items: any[] = project[conflict.section];
+        const index = items.findIndex(item => item.id === conflict.id);
+        if (conflict.mine === null) {
+          if (index >= 0) items.splice(index, 1);
+        } else if (index >= 0) {
+          items[index] = conflict.mine;
+        } else {
+          items.push(conflict.mine);
+        }
+      });
+
+    return project;
+  }
+
+  /**
+   * Short description of one side of a conflict
+   */
+  describeItem(section: MergeSection, item: any): string {
+    if (item === null || item === undefined) {
+      return 'Deleted';
+    }
+
+    switch (section) {
+      case 'features':
+        return `${item.description || item.name || item.id} - ${item.manDays || 0} MD`;
+      case 'assumptions':
+        return [item.description, item.type, item.impact].filter(Boolean).join(' - ');
+      case 'phases':
+        return typeof item === 'object' && 'manDays' in item ? `${item.manDays || 0} MD` : 'Changed';
+    }
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  /**
+   * Start from their items and apply my changes, recording overlapping changes as conflicts
+   */
+  private mergeList(
+    section: 'features' | 'assumptions',
+    theirItems: any[],
+    mineDiff: ListComparison,
+    theirDiff: ListComparison,
+    conflicts: MergeConflict[]
+  ): any[] {
+    const theirsById = new Map(theirItems.map(item => [item.id, item]));
+    const theirModifiedIds = new Set(theirDiff.modified.map(item => item.id));
+    let merged = [...theirItems];
+
+    mineDiff.added.forEach(item => {
+      const other = theirsById.get(item.id);
+      if (!other) {
+        merged.push(item);
+      } else if (!this.isSameItem(item, other)) {
+        conflicts.push(this.buildConflict(section, item.id, item, other));
+      }
+    });
+
+    mineDiff.removed.forEach(item => {
+      if (theirModifiedIds.has(item.id)) {
+        conflicts.push(this.buildConflict(section, item.id, null, theirsById.get(item.id)));
+      } else {
+        merged = merged.filter(other => other.id !== item.id);
+      }
+    });
+
+    mineDiff.modified.forEach(item => {
+      const other = theirsById.get(item.id);
+      if (!other) {
+        conflicts.push(this.buildConflict(section, item.id, item, null));
+      } else if (!theirModifiedIds.has(item.id)) {
+        merged = merged.map(existing => (existing.id === item.id ? item : existing));
+      } else if (!this.isSameItem(item, other)) {
+        conflicts.push(this.buildConflict(section, item.id, item, other));
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Merge phases key by key (phases saved as a list are merged as a whole)
+   */
+  private mergePhases(base: any, mine: any, theirs: any, conflicts: MergeConflict[]) {
+    const pick = (id: string, label: string, b: any, m: any, t: any) => {
+      if (this.isSameItem(m, t)) return { value: m, mine: 0, theirs: 0 };
+      if (this.isSameItem(m, b)) return { value: t, mine: 0, theirs: 1 };
+      if (this.isSameItem(t, b)) return { value: m, mine: 1, theirs: 0 };
+
+      conflicts.push({ key: `phases:${id}`, section: 'phases', id, label, mine: m ?? null, theirs: t ?? null });
+      return { value: t, mine: 1, theirs: 1 };
+    };
+
+    const isKeyed = (phases: any) => phases && typeof phases === 'object' && !Array.isArray(phases);
+    if (!isKeyed(mine) || !isKeyed(theirs)) {
+      const result = pick(WHOLE_SECTION_ID, 'All phases', base, mine, theirs);
+      return { merged: result.value, myChanges: result.mine, theirChanges: result.theirs };
+    }
+
+    const basePhases = isKeyed(base) ? base : {};
+    const keys = new Set([...Object.keys(basePhases), ...Object.keys(mine), ...Object.keys(theirs)]);
+    const merged: Record<string, any> = {};
+    let myChanges = 0;
+    let theirChanges = 0;
+
+    keys.forEach(key => {
+      const label = mine[key]?.name || theirs[key]?.name || key;
+      const result = pick(key, label, basePhases[key], mine[key], theirs[key]);
+      myChanges += result.mine;
+      theirChanges += result.theirs;
+      if (result.value !== undefined) {
+        merged[key] = result.value;
+      }
+    });
+
+    return { merged, myChanges, theirChanges };
+  }
+
+  /**
+   * My versions, plus the versions only the other side created
+   */
+  private mergeVersions(mine: any[] = [], theirs: any[] = []): any[] {
+    const myIds = new Set(mine.map(version => version.id));
+    return [...mine, ...theirs.filter(version => !myIds.has(version.id))];
+  }
+
+  private buildConflict(section: MergeSection, id: string, mine: any | null, theirs: any | null): MergeConflict {
+    const item = mine || theirs;
+    const name = section === 'features' ? item?.name || item?.description : item?.description;
+
+    return {
+      key: `${section}:${id}`,
+      section,
+      id,
+      label: name ? `${id} - ${name}` : id,
+      mine,
+      theirs
+    };
+  }
+
+  private isSameItem(a: any, b: any): boolean {
+    const strip = (value: any) => JSON.stringify(value, (key, field) => (IGNORED_ITEM_FIELDS.has(key) ? undefined : field));
+    return strip(a) === strip(b);
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const projectMergeActions = new ProjectMergeActions();
+
+// Make ProjectMergeActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).projectMergeActions = projectMergeActions;
+}
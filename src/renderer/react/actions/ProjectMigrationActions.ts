@@ -0,0 +1,230 @@
+/**
+ * ProjectMigrationActions - schema versioning of project files
+ *
+ * Every saved project carries a `schemaVersion`. Files written before a format
+ * change are upgraded on load by running, in order, each registered migration
+ * with a higher version than the file's (files without the field are version 0).
+ * Each step reports what it changed, so the user can be told how a file was
+ * upgraded. Migrations only depend on the file itself: the same file always
+ * upgrades to the same result.
+ *
+ * To change the project format, append a step to PROJECT_MIGRATIONS with the
+ * next version number; CURRENT_SCHEMA_VERSION follows automatically.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+export interface MigrationContext {
+  now: string; // Timestamp given to data created by a migration
+}
+
+export interface ProjectMigration {
+  version: number; // Schema version the project has after this step
+  description: string;
+  migrate: (project: any, context: MigrationContext) => string[]; // Mutates the project, returns what it changed
+}
+
+export interface MigrationStepReport {
+  version: number;
+  description: string;
+  changes: string[];
+}
+
+export interface MigrationReport {
+  fromVersion: number;
+  toVersion: number;
+  migrated: boolean; // At least one step changed the project
+  newerThanSupported: boolean; // Saved by a newer version of the application: left as is
+  steps: MigrationStepReport[]; // Steps that changed something
+}
+
+// Standard phases and their default effort per role (as created by ProjectBusinessLogic.createInitialPhases)
+const STANDARD_PHASES: { id: string; defaultEffort: Record<string, number> }[] = [
+  { id: 'functionalAnalysis', defaultEffort: { G1: 100, G2: 0, TA: 20, PM: 50 } },
+  { id: 'technicalAnalysis', defaultEffort: { G1: 0, G2: 100, TA: 60, PM: 20 } },
+  { id: 'development', defaultEffort: { G1: 0, G2: 100, TA: 40, PM: 20 } },
+  { id: 'integrationTests', defaultEffort: { G1: 100, G2: 50, TA: 50, PM: 75 } },
+  { id: 'uatTests', defaultEffort: { G1: 50, G2: 50, TA: 40, PM: 75 } },
+  { id: 'consolidation', defaultEffort: { G1: 30, G2: 30, TA: 30, PM: 20 } },
+  { id: 'vapt', defaultEffort: { G1: 30, G2: 30, TA: 30, PM: 20 } },
+  { id: 'postGoLive', defaultEffort: { G1: 0, G2: 100, TA: 50, PM: 100 } }
+];
+
+export const PROJECT_MIGRATIONS: ProjectMigration[] = [
+  {
+    version: 1,
+    description: 'Hierarchical project configuration',
+    migrate: (project) => {
+      const config = project.config;
+      if (!config || typeof config !== 'object') {
+        project.config = {
+          vendors: [],
+          categories: [],
+          calculationParams: {},
+          projectOverrides: { vendors: [], categories: [], calculationParams: {} }
+        };
+        return ['Added an empty project configuration'];
+      }
+
+      const changes: string[] = [];
+      if (config.suppliers || config.internalResources) {
+        const suppliers = (config.suppliers || []).map((supplier: any) => ({ ...supplier, type: 'Supplier' }));
+        const internalResources = (config.internalResources || []).map((resource: any) => ({ ...resource, type: 'Internal' }));
+        config.vendors = [...(config.vendors || []), ...suppliers, ...internalResources];
+        delete config.suppliers;
+        delete config.internalResources;
+        changes.push(`Converted ${suppliers.length} supplier(s) and ${internalResources.length} internal resource(s) to vendors`);
+      }
+      if (!config.projectOverrides) {
+        config.vendors = config.vendors || [];
+        config.categories = config.categories || [];
+        config.calculationParams = config.calculationParams || {};
+        config.projectOverrides = { vendors: [], categories: [], calculationParams: {} };
+        changes.push('Added project overrides to the configuration');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 2,
+    description: 'Approval status in project metadata',
+    migrate: (project) => {
+      if (!project.project || project.project.approvalStatus) return [];
+
+      const legacyStatus = project.approvalStatus;
+      project.project.approvalStatus = legacyStatus || 'Pending Approval';
+      delete project.approvalStatus;
+      return [legacyStatus ? `Moved approval status "${legacyStatus}" to the project metadata` : 'Set approval status to "Pending Approval"'];
+    }
+  },
+  {
+    version: 3,
+    description: 'Feature-based final MDs overrides',
+    migrate: (project) => {
+      if (!project.finalMDsOverrides) return [];
+
+      const overrides = project.finalMDsOverrides;
+      delete project.finalMDsOverrides;
+      if (project.featureBasedOverrides) {
+        return ['Removed legacy final MDs overrides (feature-based overrides already present)'];
+      }
+      project.featureBasedOverrides = overrides;
+      return [`Moved ${Object.keys(overrides).length} final MDs override(s) to feature-based overrides`];
+    }
+  },
+  {
+    version: 4,
+    description: 'Complete phase list',
+    migrate: (project, context) => {
+      if (Array.isArray(project.phases)) return []; // Phase lists are kept as saved
+
+      const phases = project.phases && typeof project.phases === 'object' ? project.phases : {};
+      project.phases = phases;
+
+      const added = STANDARD_PHASES.filter(definition => !phases[definition.id]);
+      added.forEach(definition => {
+        phases[definition.id] = {
+          manDays: 0,
+          effort: { ...definition.defaultEffort },
+          assignedResources: [],
+          cost: 0,
+          lastModified: context.now
+        };
+      });
+
+      const changes = added.length > 0 ? [`Added missing phase(s): ${added.map(definition => definition.id).join(', ')}`] : [];
+      if (!phases.selectedSuppliers) {
+        phases.selectedSuppliers = { G1: null, G2: null, TA: null, PM: null };
+        changes.push('Added phase supplier selection');
+      }
+      return changes;
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = PROJECT_MIGRATIONS[PROJECT_MIGRATIONS.length - 1].version;
+
+export class ProjectMigrationActions {
+  private migrations: ProjectMigration[];
+
+  constructor(migrations: ProjectMigration[] = PROJECT_MIGRATIONS) {
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  get currentVersion(): number {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Schema version of a project (0 for files saved before versioning)
+   */
+  getSchemaVersion(project: any): number {
+    const version = Number(project?.schemaVersion);
+    return Number.isInteger(version) && version > 0 ? version : 0;
+  }
+
+  /**
+   * Upgrade a project to the current schema version
+   * @returns the upgraded copy (the input is not modified) and what was done
+   */
+  migrateProject(project: any, context: Partial<MigrationContext> = {}): { project: any; report: MigrationReport } {
+    const fromVersion = this.getSchemaVersion(project);
+    const report: MigrationReport = {
+      fromVersion,
+      toVersion: fromVersion,
+      migrated: false,
+      newerThanSupported: fromVersion > this.currentVersion,
+      steps: []
+    };
+
+    if (fromVersion >= this.currentVersion) {
+      return { project, report };
+    }
+
+    const migrated = JSON.parse(JSON.stringify(project));
+    const migrationContext: MigrationContext = { now: context.now || new Date().toISOString() };
+
+    this.migrations
+      .filter(migration => migration.version > fromVersion)
+      .forEach(migration => {
+        try {
+          const changes = migration.migrate(migrated, migrationContext);
+          if (changes.length > 0) {
+            report.steps.push({ version: migration.version, description: migration.description, changes });
+          }
+        } catch (error) {
+          throw new Error(`Migration to schema version ${migration.version} (${migration.description}) failed: ${error instanceof Error ? error.message : error}`);
+        }
+        migrated.schemaVersion = migration.version;
+      });
+
+    report.toVersion = migrated.schemaVersion;
+    report.migrated = report.steps.length > 0;
+    return { project: migrated, report };
+  }
+
+  /**
+   * One-line summary of a migration report, for notifications
+   */
+  describeReport(report: MigrationReport): string {
+    if (report.newerThanSupported) {
+      return `Saved with a newer version of the application (schema ${report.fromVersion}, supported ${this.currentVersion}): some data may not be shown`;
+    }
+    if (!report.migrated) {
+      return `Schema version ${report.toVersion}: no changes needed`;
+    }
+    const changes = report.steps.flatMap(step => step.changes);
+    return `Upgraded from schema version ${report.fromVersion} to ${report.toVersion}: ${changes.join('; ')}`;
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const projectMigrationActions = new ProjectMigrationActions();
+
+// Make ProjectMigrationActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).projectMigrationActions = projectMigrationActions;
+}
@@ -0,0 +1,261 @@
+/**
+ * ProjectTemplateActions - reusable starting points for new estimates
+ *
+ * Any project can be saved as a template: its features, assumptions, phases
+ * (effort split per role and the resources selected for each role), working
+ * package settings and project configuration. Creating a project from a
+ * template copies them with fresh timestamps.
+ *
+ * Text in a template can contain placeholders such as {{clientName}}, filled
+ * in when a project is created from it. {{projectName}}, {{projectCode}} and
+ * {{date}} are filled automatically; any other name is asked for. When saving
+ * a template, occurrences of a text (e.g. the client of the source project)
+ * can be turned into a placeholder.
+ *
+ * Templates are stored in config/templates.json in the projects folder, so
+ * everyone sharing the folder sees them.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import { getApp } from '../utils/electronBridge';
+
+export interface ProjectTemplateContent {
+  description: string;
+  features: any[];
+  assumptions: any[];
+  phases: any | null; // null when the source project had no phase breakdown
+  workingPackageData: any | null;
+  config: any | null;
+}
+
+export interface ProjectTemplate {
+  id: string;
+  name: string;
+  description: string;
+  created: string;
+  source: { id: string; name: string }; // Project it was saved from
+  placeholders: string[]; // Placeholders to ask for (automatic ones excluded)
+  content: ProjectTemplateContent;
+}
+
+export interface TemplateReplacement {
+  text: string; // Text of the source project...
+  placeholder: string; // ...replaced by {{placeholder}}
+}
+
+export interface NewProjectDetails {
+  code: string;
+  name: string;
+  description?: string;
+}
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const PLACEHOLDER_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Filled from the new project's details
+export const AUTOMATIC_PLACEHOLDERS = ['projectName', 'projectCode', 'date'];
+
+// Free-text fields where placeholders are used (ids, vendors and categories are never changed)
+const FEATURE_TEXT_FIELDS = ['name', 'description', 'notes'];
+const ASSUMPTION_TEXT_FIELDS = ['description', 'notes'];
+
+export class ProjectTemplateActions {
+  private getDataManager() {
+    const dataManager = getApp()?.dataManager;
+    if (!dataManager?.loadProjectTemplates || !dataManager.saveProjectTemplates) {
+      throw new Error('Data manager not available');
+    }
+    return {
+      loadProjectTemplates: async () => (await dataManager.loadProjectTemplates!()) as ProjectTemplate[],
+      saveProjectTemplates: (templates: ProjectTemplate[]) => dataManager.saveProjectTemplates!(templates)
+    };
+  }
+
+  // ======================
+  // STORAGE
+  // ======================
+
+  async loadTemplates(): Promise<ProjectTemplate[]> {
+    const templates = await this.getDataManager().loadProjectTemplates();
+    return [...templates].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a project as a template (replacing a template with the same name)
+   */
+  async saveAsTemplate(
+    projectData: any,
+    options: { name: string; description?: string; replacements?: TemplateReplacement[] }
+  ): Promise<ProjectTemplate> {
+    const dataManager = this.getDataManager();
+    const templates = await dataManager.loadProjectTemplates();
+    const existing = templates.find(template => template.name.toLowerCase() === options.name.trim().toLowerCase());
+
+    const template = this.createTemplate(projectData, options, { id: existing?.id });
+    const updated = existing
+      ? templates.map(item => (item.id === existing.id ? template : item))
+      : [...templates, template];
+
+    if (!(await dataManager.saveProjectTemplates(updated))) {
+      throw new Error('Failed to save the template');
+    }
+    return template;
+  }
+
+  async deleteTemplate(templateId: string): Promise<void> {
+    const dataManager = this.getDataManager();
+    const templates = await dataManager.loadProjectTemplates();
+    if (!(await dataManager.saveProjectTemplates(templates.filter(template => template.id !== templateId)))) {
+      throw new Error('Failed to delete the template');
+    }
+  }
+
+  // ======================
+  // TEMPLATES
+  // ======================
+
+  /**
+   * Build a template from a project
+   * @throws if the name is empty or a replacement has an invalid placeholder name
+   */
+  createTemplate(
+    projectData: any,
+    options: { name: string; description?: string; replacements?: TemplateReplacement[] },
+    meta: { id?: string; now?: string } = {}
+  ): ProjectTemplate {
+    const name = options.name?.trim();
+    if (!name) {
+      throw new Error('Template name is required');
+    }
+
+    const replacements = (options.replacements || []).filter(replacement => replacement.text);
+    replacements.forEach(replacement => {
+      if (!PLACEHOLDER_NAME.test(replacement.placeholder)) {
+        throw new Error(`Invalid placeholder name "${replacement.placeholder}": use letters, digits and underscores`);
+      }
+    });
+
+    const phases = projectData.phases && !Array.isArray(projectData.phases) ? projectData.phases : null;
+    const content: ProjectTemplateContent = {
+      description: projectData.project?.description || '',
+      features: this.clone(projectData.features || []),
+      assumptions: this.clone(projectData.assumptions || []),
+      phases: this.clone(phases),
+      workingPackageData: this.clone(projectData.workingPackageData ?? null),
+      config: this.clone(projectData.config ?? null)
+    };
+
+    // Longest first, so a text containing another one is replaced as a whole
+    const ordered = [...replacements].sort((a, b) => b.text.length - a.text.length);
+    this.mapText(content, text =>
+      ordered.reduce((result, replacement) => result.split(replacement.text).join(`{{${replacement.placeholder}}}`), text)
+    );
+
+    return {
+      id: meta.id || `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      description: options.description?.trim() || '',
+      created: meta.now || new Date().toISOString(),
+      source: { id: projectData.project?.id || '', name: projectData.project?.name || '' },
+      placeholders: this.findPlaceholders(content).filter(placeholder => !AUTOMATIC_PLACEHOLDERS.includes(placeholder)),
+      content
+    };
+  }
+
+  /**
+   * Project sections for a new project created from a template, with placeholders filled in
+   * (a placeholder without a value is left as is, so it can be spotted and edited)
+   */
+  applyTemplate(
+    template: ProjectTemplate,
+    details: NewProjectDetails,
+    values: Record<string, string> = {},
+    now: string = new Date().toISOString()
+  ): ProjectTemplateContent {
+    const substitutions: Record<string, string> = {
+      ...values,
+      projectName: details.name,
+      projectCode: details.code,
+      date: now.split('T')[0]
+    };
+    const fill = (text: string) => text.replace(PLACEHOLDER_PATTERN, (token, name) => {
+      const value = substitutions[name];
+      return value !== undefined && String(value).trim() !== '' ? String(value) : token;
+    });
+
+    const content = this.clone(template.content);
+    this.mapText(content, fill);
+
+    const stamp = (item: any) => ({ ...item, created: now, modified: now });
+    content.features = (content.features || []).map(stamp);
+    content.assumptions = (content.assumptions || []).map(stamp);
+    if (content.phases) {
+      Object.entries(content.phases).forEach(([key, phase]: [string, any]) => {
+        if (phase && typeof phase === 'object' && 'effort' in phase) {
+          content.phases[key] = { ...phase, lastModified: now };
+        }
+      });
+    }
+    if (details.description) {
+      content.description = details.description;
+    }
+    return content;
+  }
+
+  /**
+   * Placeholder names used in a template's text, in order of first use
+   */
+  findPlaceholders(content: ProjectTemplateContent): string[] {
+    const found = new Set<string>();
+    this.mapText(this.clone(content), text => {
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        found.add(match[1]);
+      }
+      return text;
+    });
+    return Array.from(found);
+  }
+
+  /**
+   * Label of a placeholder: clientName -> Client Name
+   */
+  getPlaceholderLabel(placeholder: string): string {
+    return placeholder
+      .replace(/_/g, ' ')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  // Pass the free-text fields of a template's content through map (in place)
+  private mapText(content: ProjectTemplateContent, map: (text: string) => string) {
+    const mapFields = (item: any, fields: string[]) => {
+      fields.forEach(field => {
+        if (typeof item?.[field] === 'string') item[field] = map(item[field]);
+      });
+    };
+
+    content.description = map(content.description || '');
+    (content.features || []).forEach(feature => mapFields(feature, FEATURE_TEXT_FIELDS));
+    (content.assumptions || []).forEach(assumption => mapFields(assumption, ASSUMPTION_TEXT_FIELDS));
+  }
+
+  private clone<T>(value: T): T {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const projectTemplateActions = new ProjectTemplateActions();
+
+// Make ProjectTemplateActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).projectTemplateActions = projectTemplateActions;
+}
@@ -3,7 +3,9 @@
  * Following the application's state manager + actions + dispatcher pattern
  */
 
-import { getApp, getAppStore } from '../utils/electronBridge';
+import { getApp, getAppStore, getElectronAPI } from '../utils/electronBridge';
+import type { ProjectsFolderChange } from '../utils/electronBridge';
+import type { ProjectTemplate } from './ProjectTemplateActions';
 
 export interface RecentProject {
   id: string;
@@ -28,10 +30,38 @@ export interface SavedProject {
   lastModified: string;
 }
 
+export interface ProjectBackup {
+  backupPath: string;
+  fileName: string;
+  createdAt: string;
+  fileSize: number;
+  projectName: string;
+  version: string;
+  featureCount: number;
+  totalCost: number;
+  costSource: 'calculations' | 'features'; // Saved vendor costs, or features MDs x rate when none were saved
+}
+
+export interface TrashedProject {
+  trashPath: string;
+  fileName: string; // Original file name, used when it is restored
+  deletedAt: string;
+  expiresAt: string | null; // When it is purged automatically (null: kept until the trash is emptied)
+  fileSize: number;
+  projectCode: string;
+  projectName: string;
+  version: string;
+  featureCount: number;
+  totalCost: number;
+  costSource: 'calculations' | 'features';
+}
+
 export interface NewProjectFormData {
   code: string;
   name: string;
   description: string;
+  template?: ProjectTemplate; // Start from a template instead of an empty project
+  placeholderValues?: Record<string, string>; // Values of the template's placeholders
 }
 
 // Helper function to get vendor role from job clusters
@@ -273,17 +303,17 @@ export class ProjectActions {
   }
 
   /**
-   * Export a project to various formats
+   * Export a saved project as a bundle with the configuration it depends on
    */
   async exportProject(filePath: string): Promise<void> {
     try {
-      const app = this.getApp();
-      if (!app?.managers?.project) {
+      const projectManager = this.getApp()?.managers?.project as { exportSavedProject: (filePath: string) => Promise<void> } | undefined;
+      if (!projectManager) {
         throw new Error('Project manager not available');
       }
 
       // Delegate to existing export logic
-      await app.managers.project.exportProject(filePath);
+      await projectManager.exportSavedProject(filePath);
 
       console.log('Project exported successfully:', filePath);
     } catch (error) {
@@ -293,7 +323,65 @@ export class ProjectActions {
   }
 
   /**
-   * Delete a saved project file
+   * Import a project bundle (or project file) chosen by the user and open it
+   * @returns false if the user cancelled
+   */
+  async importProject(): Promise<boolean> {
+    try {
+      const projectManager = this.getApp()?.managers?.project as { importProject: () => Promise<boolean> } | undefined;
+      if (!projectManager) {
+        throw new Error('Project manager not available');
+      }
+
+      if (!(await projectManager.importProject())) {
+        return false;
+      }
+
+      // Features mapped to another vendor get their role and rate from this configuration
+      await this.repairProjectDataIfNeeded();
+      this.clearAllCalculationsCache();
+      await this.forceRecalculateOnProjectLoad();
+
+      await this.loadRecentProjects();
+      await this.loadSavedProjects();
+      return true;
+    } catch (error) {
+      console.error('Failed to import project:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a saved project without opening it
+   */
+  async readSavedProject(filePath: string): Promise<any> {
+    const app = this.getApp();
+    if (!app?.dataManager?.readProject) {
+      throw new Error('Data manager not available');
+    }
+
+    const projectData = await app.dataManager.readProject(filePath);
+    if (!projectData) {
+      throw new Error('Failed to read project');
+    }
+    return projectData;
+  }
+
+  /**
+   * Check a project file against the published JSON Schema and show every problem found
+   * @param filePath - Saved project to check; asks for a file when omitted
+   */
+  async validateProjectFile(filePath?: string): Promise<void> {
+    const projectManager = this.getApp()?.managers?.project as { validateProjectFile: (filePath?: string) => Promise<unknown> } | undefined;
+    if (!projectManager) {
+      throw new Error('Project manager not available');
+    }
+
+    await projectManager.validateProjectFile(filePath);
+  }
+
+  /**
+   * Delete a saved project file (it is moved to the trash)
    */
   async deleteProject(filePath: string): Promise<void> {
     try {
@@ -338,6 +426,164 @@ export class ProjectActions {
     }
   }
 
+  /**
+   * List the deleted projects in the trash, most recently deleted first, with a preview of each
+   */
+  async listTrash(): Promise<{ items: TrashedProject[]; retentionDays: number }> {
+    const app = this.getApp();
+    if (!app?.dataManager?.listTrash) {
+      throw new Error('Data manager not available');
+    }
+
+    const { items, retentionDays } = await app.dataManager.listTrash();
+    return {
+      retentionDays,
+      items: (items as any[]).map(item => ({
+        trashPath: item.trashPath,
+        fileName: item.fileName,
+        deletedAt: item.deletedAt,
+        expiresAt: item.expiresAt ?? null,
+        fileSize: item.fileSize,
+        projectCode: item.data?.project?.id || '',
+        ...this.summarizeProjectData(item.data)
+      }))
+    };
+  }
+
+  /**
+   * Move a deleted project back to the saved projects
+   * @returns the path of the restored project file
+   */
+  async restoreFromTrash(trashPath: string): Promise<string | null> {
+    const app = this.getApp();
+    if (!app?.dataManager?.restoreFromTrash) {
+      throw new Error('Data manager not available');
+    }
+
+    const filePath = await app.dataManager.restoreFromTrash(trashPath);
+    if (filePath) {
+      await this.loadSavedProjects();
+      window.dispatchEvent(new CustomEvent('saved-projects-updated'));
+    }
+    return filePath;
+  }
+
+  /**
+   * Permanently delete one project from the trash, or all of them when no path is given
+   */
+  async purgeTrash(trashPath?: string): Promise<boolean> {
+    const app = this.getApp();
+    if (!app?.dataManager?.purgeFromTrash || !app.dataManager.emptyTrash) {
+      throw new Error('Data manager not available');
+    }
+
+    if (trashPath) {
+      return app.dataManager.purgeFromTrash(trashPath);
+    }
+    await app.dataManager.emptyTrash();
+    return true;
+  }
+
+  /**
+   * List the rotating backups of a saved project, newest first, with a preview of each
+   */
+  async listProjectBackups(filePath: string): Promise<ProjectBackup[]> {
+    const app = this.getApp();
+    if (!app?.dataManager?.listProjectBackups) {
+      throw new Error('Data manager not available');
+    }
+
+    const backups = await app.dataManager.listProjectBackups(filePath) as any[];
+    return backups.map(backup => ({
+      backupPath: backup.backupPath,
+      fileName: backup.fileName,
+      createdAt: backup.createdAt,
+      fileSize: backup.fileSize,
+      ...this.summarizeProjectData(backup.data)
+    }));
+  }
+
+  /**
+   * Preview figures of a project file: name, version, feature count and total cost
+   */
+  summarizeProjectData(data: any): Pick<ProjectBackup, 'projectName' | 'version' | 'featureCount' | 'totalCost' | 'costSource'> {
+    const features: any[] = Array.isArray(data?.features) ? data.features : [];
+
+    // Vendor costs are saved with the project, or with its latest version snapshot
+    const versions: any[] = Array.isArray(data?.versions) ? data.versions : [];
+    const vendorCosts: any[] | undefined = data?.calculationData?.vendorCosts
+      || versions[versions.length - 1]?.projectSnapshot?.calculationData?.vendorCosts;
+
+    const totalCost = vendorCosts?.length
+      ? vendorCosts.reduce((sum, vc) => sum + (vc.finalTotCost || vc.totCost || vc.cost || 0), 0)
+      : features.reduce((sum, feature) => sum + (feature.manDays || 0) * (feature.rate || 0), 0);
+
+    return {
+      projectName: data?.project?.name || '',
+      version: data?.project?.version || versions[versions.length - 1]?.id || '',
+      featureCount: features.length,
+      totalCost: Math.round(totalCost * 100) / 100,
+      costSource: vendorCosts?.length ? 'calculations' : 'features'
+    };
+  }
+
+  /**
+   * Replace a saved project with one of its backups, reloading it if it is open
+   */
+  async restoreProjectBackup(filePath: string, backupPath: string): Promise<boolean> {
+    const app = this.getApp();
+    if (!app?.dataManager?.restoreProjectBackup) {
+      throw new Error('Data manager not available');
+    }
+
+    const restored = await app.dataManager.restoreProjectBackup(filePath, backupPath);
+    if (!restored) {
+      return false;
+    }
+
+    if (app.dataManager.currentProjectPath === filePath) {
+      await this.loadProjectFromFile(filePath);
+    } else {
+      await this.loadSavedProjects();
+    }
+
+    window.dispatchEvent(new CustomEvent('saved-projects-updated'));
+    return true;
+  }
+
+  /**
+   * Follow live add/change/delete events of the projects folder (desktop app only)
+   *
+   * @returns cleanup function
+   */
+  setupProjectsFolderListener(onChange: (change: ProjectsFolderChange) => void): () => void {
+    const electronAPI = getElectronAPI();
+    if (!electronAPI?.onProjectsFolderChanged) {
+      return () => {};
+    }
+
+    return electronAPI.onProjectsFolderChanged(onChange);
+  }
+
+  /**
+   * Saved projects list after one projects folder event, newest first
+   */
+  applyProjectsFolderChange(projects: SavedProject[], change: ProjectsFolderChange): SavedProject[] {
+    const others = projects.filter(p => p.filePath !== change.filePath);
+    if (change.type === 'delete' || !change.project) {
+      return others;
+    }
+
+    const project = change.project as SavedProject;
+    return [...others, {
+      filePath: project.filePath,
+      fileName: project.fileName,
+      project: project.project,
+      fileSize: project.fileSize,
+      lastModified: project.lastModified
+    }].sort((a, b) => new Date(b.lastModified).getTime() - new Date(a.lastModified).getTime());
+  }
+
   /**
    * Refresh saved projects list
    */
@@ -541,43 +787,13 @@ export class ProjectActions {
   }
 
   /**
-   * Auto-repair project data if needed (fix incomplete phases, missing feature role/rate, etc.)
+   * Auto-repair project data if needed: features without role or rate get them from the
+   * current configuration. Older file formats are upgraded by the schema migrations
+   * (ProjectMigrationActions) when the project is loaded.
    */
   private async repairProjectDataIfNeeded(): Promise<void> {
     try {
-      const store = this.getStore();
-      const currentProject = store.getState().currentProject;
-
-      if (!currentProject?.phases) {
-        console.log('⚠️ No phases data found, skipping auto-repair');
-        return;
-      }
-
-      // Check if phases only contains selectedSuppliers (incomplete)
-      const phaseKeys = Object.keys(currentProject.phases);
-      const hasOnlySelectedSuppliers = phaseKeys.length === 1 && phaseKeys[0] === 'selectedSuppliers';
-
-      if (hasOnlySelectedSuppliers) {
-        console.log('🔧 AUTO-REPAIR: Detected incomplete phases, adding missing phase definitions');
-
-        // Get the preserved selectedSuppliers
-        const selectedSuppliers = currentProject.phases.selectedSuppliers;
-
-        // Create complete phases (using same logic as ProjectBusinessLogic.createInitialPhases)
-        const repairedPhases = this.createCompletePhases(selectedSuppliers);
-
-        // Update project with repaired phases
-        store.getState().updateProjectPhases(repairedPhases);
-
-        console.log('✅ AUTO-REPAIR: Project phases repaired successfully');
-        console.log('🔍 AUTO-REPAIR: Phases now include:', Object.keys(repairedPhases));
-      } else {
-        console.log('✅ Project phases are complete, no repair needed');
-      }
-
-      // Repair features: add role and rate if missing
       await this.repairFeaturesIfNeeded();
-
     } catch (error) {
       console.error('❌ AUTO-REPAIR: Failed to repair project data:', error);
       // Don't throw - auto-repair is optional
@@ -655,85 +871,6 @@ export class ProjectActions {
     }
   }
 
-  /**
-   * Create complete phases structure (mirrors ProjectBusinessLogic.createInitialPhases)
-   */
-  private createCompletePhases(selectedSuppliers: any) {
-    const now = new Date().toISOString();
-
-    // Phase definitions (consistent with ProjectBusinessLogic)
-    const phaseDefinitions = [
-      {
-        id: "functionalAnalysis",
-        defaultEffort: { G1: 100, G2: 0, TA: 20, PM: 50 }
-      },
-      {
-        id: "technicalAnalysis",
-        defaultEffort: { G1: 0, G2: 100, TA: 60, PM: 20 }
-      },
-      {
-        id: "development",
-        defaultEffort: { G1: 0, G2: 100, TA: 40, PM: 20 }
-      },
-      {
-        id: "integrationTests",
-        defaultEffort: { G1: 100, G2: 50, TA: 50, PM: 75 }
-      },
-      {
-        id: "uatTests",
-        defaultEffort: { G1: 50, G2: 50, TA: 40, PM: 75 }
-      },
-      {
-        id: "consolidation",
-        defaultEffort: { G1: 30, G2: 30, TA: 30, PM: 20 }
-      },
-      {
-        id: "vapt",
-        defaultEffort: { G1: 30, G2: 30, TA: 30, PM: 20 }
-      },
-      {
-        id: "postGoLive",
-        defaultEffort: { G1: 0, G2: 100, TA: 50, PM: 100 }
-      }
-    ];
-
-    // Create phases object
-    const phases: any = {};
-
-    // Get current project to preserve existing values
-    const store = this.getStore();
-    const currentProject = store?.getState().currentProject;
-    const existingPhases = currentProject?.phases || {};
-
-    console.log('🔧 AUTO-REPAIR: Preserving existing phase values:', Object.keys(existingPhases));
-
-    // Initialize each phase, preserving existing values instead of overwriting
-    phaseDefinitions.forEach(def => {
-      const existingPhase = existingPhases[def.id] || {};
-
-      // CRITICAL FIX: Preserve manDays, effort, cost, and lastModified if they exist
-      phases[def.id] = {
-        manDays: existingPhase.manDays !== undefined ? existingPhase.manDays : 0,
-        effort: existingPhase.effort || { ...def.defaultEffort },
-        assignedResources: existingPhase.assignedResources || [],
-        cost: existingPhase.cost !== undefined ? existingPhase.cost : 0,
-        lastModified: existingPhase.lastModified || now
-      };
-
-      console.log(`🔧 AUTO-REPAIR: Phase ${def.id} - preserved manDays: ${phases[def.id].manDays}`);
-    });
-
-    // Preserve existing selectedSuppliers
-    phases.selectedSuppliers = selectedSuppliers || {
-      G1: null,
-      G2: null,
-      TA: null,
-      PM: null
-    };
-
-    return phases;
-  }
-
   /**
    * Show success notification through store
    */
@@ -0,0 +1,458 @@
+/**
+ * Resource Leveling Actions
+ *
+ * Business logic for rebalancing all allocations across projects:
+ * - Detect member-months allocated above capacity
+ * - Swap MDs to equally skilled members (same role) with free capacity
+ * - Shift MDs to later months with free capacity, never past a fixed deadline
+ * - Move lower priority projects first
+ *
+ * Leveling only proposes a plan (moves + rebalanced allocations); nothing is
+ * written until applyLevelingPlan() is called after the diff preview.
+ *
+ * Integrates with:
+ * - app-store.js (global resourceAllocations state)
+ * - CapacityActions for member capacity per month
+ * - TeamHelpers for team members and roles
+ * - AllocationActions to store and persist the applied plan
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import type {
+    AllocationResult,
+    LevelingMove,
+    LevelingOptions,
+    LevelingPlan,
+    LevelingProjectSettings,
+    LevelingSummary,
+    ProjectPriority,
+    ResourceAllocation
+} from '../types/allocation';
+import type { TeamMember } from '../types/capacity';
+
+import { AllocationActions } from './AllocationActions';
+import { CapacityActions } from './CapacityActions';
+
+const PRIORITY_RANK: Record<ProjectPriority, number> = {
+    low: 0,
+    medium: 1,
+    high: 2
+};
+
+// MDs below this are treated as zero (floating point noise)
+const EPSILON = 0.01;
+
+export class ResourceLevelingActions {
+    /**
+     * Get store instance
+     */
+    private getStore(): any {
+        return (window as any).appStore;
+    }
+
+    /**
+     * Get all team members from TeamHelpers
+     */
+    private getAllTeamMembers(): TeamMember[] {
+        const helpers = (window as any).TeamHelpers;
+        return helpers ? helpers.getAllTeamMembers() || [] : [];
+    }
+
+    // ======================
+    // INPUTS
+    // ======================
+
+    /**
+     * Default leveling settings for every allocated project
+     * Deadline is the last month with planned MDs; priority defaults to medium.
+     */
+    getProjectSettings(): LevelingProjectSettings[] {
+        const allocations: ResourceAllocation[] = this.getStore()?.getState().resourceAllocations || [];
+        const projects = new Map<string, LevelingProjectSettings>();
+
+        allocations.forEach(allocation => {
+            const settings = projects.get(allocation.projectId) || {
+                projectId: allocation.projectId,
+                projectName: allocation.projectName || allocation.projectId,
+                priority: 'medium' as ProjectPriority,
+                fixedDeadline: false,
+                deadlineMonth: null
+            };
+
+            Object.entries(allocation.monthlyAllocations || {}).forEach(([month, data]) => {
+                if ((data?.planned || 0) > 0 && (!settings.deadlineMonth || month > settings.deadlineMonth)) {
+                    settings.deadlineMonth = month;
+                }
+            });
+
+            projects.set(allocation.projectId, settings);
+        });
+
+        return Array.from(projects.values()).sort((a, b) => a.projectName.localeCompare(b.projectName));
+    }
+
+    // ======================
+    // LEVELING
+    // ======================
+
+    /**
+     * Propose a leveled plan for the allocations currently shown
+     *
+     * @param projectSettings - Priority and deadline per project
+     * @param options - Leveling options
+     * @returns Leveling plan for preview
+     */
+    proposeLevelingPlan(projectSettings: LevelingProjectSettings[], options: LevelingOptions = {}): LevelingPlan {
+        const capacityActions = new CapacityActions();
+        const capacityCache = new Map<string, number>();
+
+        return this.levelAllocations(
+            this.getStore()?.getState().resourceAllocations || [],
+            this.getAllTeamMembers(),
+            projectSettings,
+            (memberId, month) => {
+                const key = `${memberId}|${month}`;
+                if (!capacityCache.has(key)) {
+                    capacityCache.set(key, capacityActions.calculateAvailableCapacity(memberId, month).monthlyCapacity || 0);
+                }
+                return capacityCache.get(key)!;
+            },
+            options
+        );
+    }
+
+    /**
+     * Rebalance allocations so no member-month exceeds capacity
+     *
+     * Overloaded member-months are resolved in calendar order. For each one the
+     * lowest priority contributions are moved first: to an equally skilled
+     * member with free capacity in the same month (same vendor preferred), else
+     * to the next months with free capacity for the same member.
+     *
+     * @param allocations - Allocations to level (not modified)
+     * @param members - Team members (role and vendor define equal skills)
+     * @param projectSettings - Priority and deadline per project
+     * @param getCapacity - Capacity in MDs of a member in a month
+     * @param options - Leveling options
+     * @returns Leveling plan with moves and rebalanced allocations
+     */
+    levelAllocations(
+        allocations: ResourceAllocation[],
+        members: TeamMember[],
+        projectSettings: LevelingProjectSettings[],
+        getCapacity: (memberId: string, month: string) => number,
+        options: LevelingOptions = {}
+    ): LevelingPlan {
+        const plan: ResourceAllocation[] = JSON.parse(JSON.stringify(allocations || []));
+        const settingsById = new Map(projectSettings.map(settings => [settings.projectId, settings]));
+        const fromMonth = options.fromMonth || new Date().toISOString().substring(0, 7);
+        const horizonMonths = options.horizonMonths ?? 6;
+
+        const lastMonth = plan.reduce((last, allocation) => {
+            return Object.keys(allocation.monthlyAllocations || {}).reduce((max, month) => month > max ? month : max, last);
+        }, fromMonth);
+        const months = this.getMonthRange(fromMonth, lastMonth);
+        const shiftMonths = this.getMonthRange(fromMonth, this.addMonths(lastMonth, horizonMonths));
+
+        const load = this.sumLoadByCell(plan);
+        const getLoad = (memberId: string, month: string) => load.get(`${memberId}|${month}`) || 0;
+        const addLoad = (memberId: string, month: string, mds: number) => {
+            load.set(`${memberId}|${month}`, getLoad(memberId, month) + mds);
+        };
+        const getFree = (memberId: string, month: string) => Math.max(0, getCapacity(memberId, month) - getLoad(memberId, month));
+
+        const memberIds = Array.from(new Set(plan.map(allocation => allocation.teamMemberId))).sort();
+        const before = this.summarize(memberIds, months, getLoad, getCapacity);
+        const moves: LevelingMove[] = [];
+        const unresolved: LevelingPlan['unresolved'] = [];
+
+        months.forEach(month => {
+            memberIds.forEach(memberId => {
+                let excess = getLoad(memberId, month) - getCapacity(memberId, month);
+                if (excess <= EPSILON) return;
+
+                const member = members.find(item => item.id === memberId);
+                // Locked months are never changed (as in auto-distribution)
+                const contributors = plan
+                    .filter(allocation => allocation.teamMemberId === memberId && (allocation.monthlyAllocations?.[month]?.planned || 0) > 0
+                        && !allocation.monthlyAllocations[month].locked)
+                    .sort((a, b) => this.getPriorityRank(settingsById, a.projectId) - this.getPriorityRank(settingsById, b.projectId)
+                        || (a.projectName || '').localeCompare(b.projectName || ''));
+
+                for (const allocation of contributors) {
+                    if (excess <= EPSILON) break;
+
+                    // 1. Swap to an equally skilled member with free capacity
+                    const peers = this.getEquallySkilledMembers(member, members)
+                        .filter(peer => getFree(peer.id, month) > EPSILON)
+                        .sort((a, b) => Number(b.vendorId === member?.vendorId) - Number(a.vendorId === member?.vendorId)
+                            || getFree(b.id, month) - getFree(a.id, month));
+
+                    for (const peer of peers) {
+                        const peerAllocation = plan.find(item => item.projectId === allocation.projectId && item.teamMemberId === peer.id);
+                        if (peerAllocation?.monthlyAllocations?.[month]?.locked) continue;
+
+                        const amount = this.round(Math.min(excess, allocation.monthlyAllocations[month]?.planned || 0, getFree(peer.id, month)));
+                        if (amount <= EPSILON) continue;
+
+                        const target = this.getOrCreatePeerAllocation(plan, allocation, peer.id);
+                        this.transferMDs(allocation, month, target, month, amount);
+                        addLoad(memberId, month, -amount);
+                        addLoad(peer.id, month, amount);
+                        excess -= amount;
+                        moves.push(this.createMove('swap', allocation, memberId, peer.id, month, month, amount));
+                        if (excess <= EPSILON) break;
+                    }
+
+                    // 2. Shift to later months, within the project's fixed deadline
+                    const settings = settingsById.get(allocation.projectId);
+                    const deadline = settings?.fixedDeadline ? settings.deadlineMonth : null;
+
+                    for (const laterMonth of shiftMonths) {
+                        if (excess <= EPSILON) break;
+                        if (laterMonth <= month) continue;
+                        if (deadline && laterMonth > deadline) break;
+                        if (allocation.monthlyAllocations[laterMonth]?.locked) continue;
+
+                        const amount = this.round(Math.min(excess, allocation.monthlyAllocations[month]?.planned || 0, getFree(memberId, laterMonth)));
+                        if (amount <= EPSILON) continue;
+
+                        this.transferMDs(allocation, month, allocation, laterMonth, amount);
+                        addLoad(memberId, month, -amount);
+                        addLoad(memberId, laterMonth, amount);
+                        excess -= amount;
+                        moves.push(this.createMove('shift', allocation, memberId, memberId, month, laterMonth, amount));
+                    }
+                }
+
+                if (excess > EPSILON) {
+                    unresolved.push({ memberId, month, excess: this.round(excess) });
+                }
+            });
+        });
+
+        const allMemberIds = Array.from(new Set(plan.map(allocation => allocation.teamMemberId))).sort();
+        const after = this.summarize(allMemberIds, months, getLoad, getCapacity);
+
+        return { months, moves, before, after, unresolved, allocations: plan };
+    }
+
+    /**
+     * Replace the allocations with a leveled plan and persist them
+     * While a what-if scenario is active the plan is applied to the scenario.
+     *
+     * @param plan - Plan returned by levelAllocations()
+     * @returns Allocation result
+     */
+    async applyLevelingPlan(plan: LevelingPlan): Promise<AllocationResult> {
+        if (plan.moves.length === 0) {
+            return { success: false, error: 'The plan has no changes to apply' };
+        }
+
+        return new AllocationActions().replaceAllAllocations(plan.allocations, `Resource leveling (${plan.moves.length} move${plan.moves.length !== 1 ? 's' : ''})`);
+    }
+
+    // ======================
+    // HELPERS
+    // ======================
+
+    /**
+     * Members with the same role (other than the member itself)
+     */
+    private getEquallySkilledMembers(member: TeamMember | undefined, members: TeamMember[]): TeamMember[] {
+        if (!member?.role) return [];
+        return members.filter(peer => peer.id !== member.id && peer.role === member.role);
+    }
+
+    /**
+     * Find the peer's allocation on the same project, or add an empty one to the plan
+     */
+    private getOrCreatePeerAllocation(plan: ResourceAllocation[], source: ResourceAllocation, peerId: string): ResourceAllocation {
+        const existing = plan.find(allocation => allocation.projectId === source.projectId && allocation.teamMemberId === peerId);
+        if (existing) return existing;
+
+        const now = new Date().toISOString();
+        const allocation: ResourceAllocation = {
+            id: `alloc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            projectId: source.projectId,
+            projectName: source.projectName,
+            teamMemberId: peerId,
+            phaseAllocations: (source.phaseAllocations || []).map(phase => ({
+                ...phase,
+                allocatedMDs: 0,
+                originalAllocatedMDs: 0
+            })),
+            phaseMonthlyBreakdown: {},
+            originalPhaseMonthlyBreakdown: {},
+            monthlyAllocations: {},
+            startDate: source.startDate,
+            endDate: source.endDate,
+            notes: 'Reassigned by resource leveling',
+            created: now,
+            lastModified: now
+        };
+
+        plan.push(allocation);
+        return allocation;
+    }
+
+    /**
+     * Move MDs between allocation months, keeping the phase breakdown in proportion
+     */
+    private transferMDs(source: ResourceAllocation, sourceMonth: string, target: ResourceAllocation, targetMonth: string, amount: number): void {
+        const sourceMDs = source.monthlyAllocations[sourceMonth]?.planned || 0;
+        const share = sourceMDs > 0 ? amount / sourceMDs : 0;
+
+        const remaining = this.round(sourceMDs - amount);
+        source.monthlyAllocations[sourceMonth] = { ...source.monthlyAllocations[sourceMonth], planned: remaining, actual: remaining };
+        const added = this.round((target.monthlyAllocations[targetMonth]?.planned || 0) + amount);
+        target.monthlyAllocations[targetMonth] = { ...target.monthlyAllocations[targetMonth], planned: added, actual: added };
+
+        Object.entries(source.phaseMonthlyBreakdown || {}).forEach(([phaseId, phaseMonths]) => {
+            const phaseMDs = phaseMonths[sourceMonth] || 0;
+            if (phaseMDs <= 0) return;
+
+            const moved = this.round(phaseMDs * share);
+            phaseMonths[sourceMonth] = this.round(phaseMDs - moved);
+            target.phaseMonthlyBreakdown = target.phaseMonthlyBreakdown || {};
+            target.phaseMonthlyBreakdown[phaseId] = target.phaseMonthlyBreakdown[phaseId] || {};
+            target.phaseMonthlyBreakdown[phaseId][targetMonth] = this.round((target.phaseMonthlyBreakdown[phaseId][targetMonth] || 0) + moved);
+
+            if (source !== target) {
+                const sourcePhase = source.phaseAllocations?.find(phase => phase.phaseId === phaseId);
+                const targetPhase = target.phaseAllocations?.find(phase => phase.phaseId === phaseId);
+                if (sourcePhase) sourcePhase.allocatedMDs = this.round((sourcePhase.allocatedMDs || 0) - moved);
+                if (targetPhase) targetPhase.allocatedMDs = this.round((targetPhase.allocatedMDs || 0) + moved);
+            }
+        });
+
+        // Shifted work may now end after the allocation's end date
+        if (!target.endDate || targetMonth > target.endDate.substring(0, 7)) {
+            target.endDate = this.getLastDayOfMonth(targetMonth);
+        }
+
+        const now = new Date().toISOString();
+        source.lastModified = now;
+        target.lastModified = now;
+    }
+
+    /**
+     * Sum planned MDs per member-month ('memberId|YYYY-MM')
+     */
+    private sumLoadByCell(allocations: ResourceAllocation[]): Map<string, number> {
+        const load = new Map<string, number>();
+
+        allocations.forEach(allocation => {
+            Object.entries(allocation.monthlyAllocations || {}).forEach(([month, data]) => {
+                const key = `${allocation.teamMemberId}|${month}`;
+                load.set(key, (load.get(key) || 0) + (data?.planned || 0));
+            });
+        });
+
+        return load;
+    }
+
+    /**
+     * Count over-allocated member-months and MDs
+     */
+    private summarize(
+        memberIds: string[],
+        months: string[],
+        getLoad: (memberId: string, month: string) => number,
+        getCapacity: (memberId: string, month: string) => number
+    ): LevelingSummary {
+        const summary: LevelingSummary = { overloadedCells: 0, overloadMDs: 0 };
+
+        memberIds.forEach(memberId => {
+            months.forEach(month => {
+                const load = getLoad(memberId, month);
+                if (load <= 0) return;
+
+                const excess = load - getCapacity(memberId, month);
+                if (excess > EPSILON) {
+                    summary.overloadedCells++;
+                    summary.overloadMDs += excess;
+                }
+            });
+        });
+
+        summary.overloadMDs = this.round(summary.overloadMDs);
+        return summary;
+    }
+
+    /**
+     * Priority rank of a project (unknown projects count as medium)
+     */
+    private getPriorityRank(settingsById: Map<string, LevelingProjectSettings>, projectId: string): number {
+        return PRIORITY_RANK[settingsById.get(projectId)?.priority || 'medium'];
+    }
+
+    /**
+     * Build a move record
+     */
+    private createMove(
+        type: LevelingMove['type'],
+        allocation: ResourceAllocation,
+        fromMemberId: string,
+        toMemberId: string,
+        fromMonth: string,
+        toMonth: string,
+        mds: number
+    ): LevelingMove {
+        return {
+            type,
+            allocationId: allocation.id,
+            projectId: allocation.projectId,
+            projectName: allocation.projectName,
+            fromMemberId,
+            toMemberId,
+            fromMonth,
+            toMonth,
+            mds
+        };
+    }
+
+    /**
+     * Months from start to end inclusive ('YYYY-MM')
+     */
+    private getMonthRange(start: string, end: string): string[] {
+        const months: string[] = [];
+        for (let month = start; month <= end; month = this.addMonths(month, 1)) {
+            months.push(month);
+        }
+        return months;
+    }
+
+    /**
+     * Add months to a 'YYYY-MM' month
+     */
+    private addMonths(month: string, count: number): string {
+        const [year, monthNum] = month.split('-').map(Number);
+        const date = new Date(Date.UTC(year, monthNum - 1 + count, 1));
+        return date.toISOString().substring(0, 7);
+    }
+
+    /**
+     * Last day of a 'YYYY-MM' month as 'YYYY-MM-DD'
+     */
+    private getLastDayOfMonth(month: string): string {
+        const [year, monthNum] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNum, 0)).toISOString().split('T')[0];
+    }
+
+    /**
+     * Round to 2 decimals
+     */
+    private round(value: number): number {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Make ResourceLevelingActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+    (window as any).ResourceLevelingActions = ResourceLevelingActions;
+}
@@ -0,0 +1,427 @@
+/**
+ * Scenario Actions
+ *
+ * Business logic for what-if allocation scenarios:
+ * - Fork the current allocations into a named sandbox
+ * - Switch the whole app between baseline and a scenario
+ * - Compare a scenario's capacity usage with the baseline
+ * - Promote a scenario to baseline or discard it
+ *
+ * While a scenario is active its allocations live in the store's
+ * resourceAllocations, so every existing view and AllocationActions edit
+ * works on the sandbox; AllocationActions.saveAllocations then writes to
+ * the scenarios file next to the allocations file (capacity/scenarios.json
+ * by default) instead of the allocations file.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import type {
+    AllocationScenario,
+    ResourceAllocation,
+    ScenarioResult,
+    ScenarioComparison,
+    ScenarioCapacitySummary,
+    ScenarioCellDiff
+} from '../types/allocation';
+
+import { AllocationAuditActions } from './AllocationAuditActions';
+import { CapacityActions } from './CapacityActions';
+
+export class ScenarioActions {
+    /**
+     * Get store instance
+     */
+    private getStore(): any {
+        return (window as any).appStore;
+    }
+
+    /**
+     * Get DataManager instance
+     */
+    private getDataManager(): any {
+        return (window as any).app?.managers?.data;
+    }
+
+    // ======================
+    // READ OPERATIONS
+    // ======================
+
+    /**
+     * Get all scenarios
+     */
+    getScenarios(): AllocationScenario[] {
+        const store = this.getStore();
+        if (!store) return [];
+
+        return store.getState().allocationScenarios || [];
+    }
+
+    /**
+     * Get the active scenario ID (null when showing the baseline)
+     */
+    getActiveScenarioId(): string | null {
+        const store = this.getStore();
+        if (!store) return null;
+
+        return store.getState().activeScenarioId || null;
+    }
+
+    /**
+     * Get a scenario by ID
+     */
+    getScenario(scenarioId: string): AllocationScenario | null {
+        return this.getScenarios().find(scenario => scenario.id === scenarioId) || null;
+    }
+
+    /**
+     * Get the real (baseline) allocations, whether or not a scenario is active
+     */
+    getBaselineAllocations(): ResourceAllocation[] {
+        const store = this.getStore();
+        if (!store) return [];
+
+        const state = store.getState();
+        return state.activeScenarioId ? state.baselineAllocations || [] : state.resourceAllocations || [];
+    }
+
+    /**
+     * Get a scenario's allocations, including unsaved edits when it is active
+     */
+    getScenarioAllocations(scenarioId: string): ResourceAllocation[] {
+        const store = this.getStore();
+        if (!store) return [];
+
+        const state = store.getState();
+        if (state.activeScenarioId === scenarioId) {
+            return state.resourceAllocations || [];
+        }
+        return this.getScenario(scenarioId)?.allocations || [];
+    }
+
+    // ======================
+    // SCENARIO LIFECYCLE
+    // ======================
+
+    /**
+     * Fork the allocations currently shown into a new scenario
+     *
+     * @param name - Scenario name (unique, case-insensitive)
+     * @param description - Optional description
+     * @returns Scenario result
+     */
+    async createScenario(name: string, description: string = ''): Promise<ScenarioResult> {
+        const store = this.getStore();
+        if (!store) {
+            return { success: false, error: 'Store not available' };
+        }
+
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            return { success: false, error: 'Scenario name is required' };
+        }
+        if (this.getScenarios().some(scenario => scenario.name.toLowerCase() === trimmedName.toLowerCase())) {
+            return { success: false, error: `A scenario named "${trimmedName}" already exists` };
+        }
+
+        const now = new Date().toISOString();
+        const scenario: AllocationScenario = {
+            id: this.generateScenarioId(),
+            name: trimmedName,
+            description: description.trim(),
+            allocations: this.cloneAllocations(store.getState().resourceAllocations || []),
+            created: now,
+            lastModified: now
+        };
+
+        store.getState().setAllocationScenarios([...this.getScenarios(), scenario]);
+        await this.saveScenarios();
+
+        return { success: true, scenario };
+    }
+
+    /**
+     * Show a scenario everywhere in the app, or the baseline with null
+     *
+     * @param scenarioId - Scenario to activate, null for baseline
+     * @returns Scenario result
+     */
+    async switchScenario(scenarioId: string | null): Promise<ScenarioResult> {
+        const store = this.getStore();
+        if (!store) {
+            return { success: false, error: 'Store not available' };
+        }
+
+        if (scenarioId === this.getActiveScenarioId()) {
+            return { success: true, scenario: scenarioId ? this.getScenario(scenarioId) || undefined : undefined };
+        }
+
+        const scenario = scenarioId ? this.getScenario(scenarioId) : null;
+        if (scenarioId && !scenario) {
+            return { success: false, error: 'Scenario not found' };
+        }
+
+        // Keep edits made in the scenario we are leaving
+        this.storeActiveScenarioAllocations();
+
+        const baseline = this.getBaselineAllocations();
+        if (scenario) {
+            store.getState().setActiveScenario(scenario.id, this.cloneAllocations(scenario.allocations), baseline);
+        } else {
+            store.getState().setActiveScenario(null, baseline, null);
+        }
+
+        await this.saveScenarios();
+
+        return { success: true, scenario: scenario || undefined };
+    }
+
+    /**
+     * Persist the active scenario's allocations
+     * Called by AllocationActions instead of writing allocations.json.
+     */
+    async saveActiveScenario(): Promise<void> {
+        if (this.storeActiveScenarioAllocations()) {
+            await this.saveScenarios();
+        }
+    }
+
+    /**
+     * Replace the baseline with a scenario and remove the scenario
+     *
+     * @param scenarioId - Scenario to promote
+     * @returns Scenario result
+     */
+    async promoteScenario(scenarioId: string): Promise<ScenarioResult> {
+        const store = this.getStore();
+        if (!store) {
+            return { success: false, error: 'Store not available' };
+        }
+
+        const scenario = this.getScenario(scenarioId);
+        if (!scenario) {
+            return { success: false, error: 'Scenario not found' };
+        }
+
+        const baseline = this.getBaselineAllocations();
+        const allocations = this.cloneAllocations(this.getScenarioAllocations(scenarioId));
+
+        store.getState().setActiveScenario(null, allocations, null);
+        store.getState().setAllocationScenarios(this.getScenarios().filter(item => item.id !== scenarioId));
+
+        const dataManager = this.getDataManager();
+        if (dataManager) {
+            await dataManager.saveResourceAllocations(allocations);
+        } else {
+            console.error('❌ DataManager not available - promoted allocations will not be persisted to disk!');
+        }
+        await this.saveScenarios();
+        await new AllocationAuditActions().recordReplacement(baseline, allocations, `Promoted scenario "${scenario.name}"`);
+
+        return { success: true, scenario: { ...scenario, allocations } };
+    }
+
+    /**
+     * Delete a scenario, switching back to baseline if it is active
+     *
+     * @param scenarioId - Scenario to discard
+     * @returns Scenario result
+     */
+    async discardScenario(scenarioId: string): Promise<ScenarioResult> {
+        const store = this.getStore();
+        if (!store) {
+            return { success: false, error: 'Store not available' };
+        }
+
+        const scenario = this.getScenario(scenarioId);
+        if (!scenario) {
+            return { success: false, error: 'Scenario not found' };
+        }
+
+        if (this.getActiveScenarioId() === scenarioId) {
+            store.getState().setActiveScenario(null, this.getBaselineAllocations(), null);
+        }
+
+        store.getState().setAllocationScenarios(this.getScenarios().filter(item => item.id !== scenarioId));
+        await this.saveScenarios();
+
+        return { success: true, scenario };
+    }
+
+    // ======================
+    // COMPARISON
+    // ======================
+
+    /**
+     * Compare a scenario with the baseline over a calendar year
+     * Capacity per member-month comes from CapacityActions (holidays, vacations, working patterns).
+     *
+     * @param scenarioId - Scenario to compare
+     * @param year - Year to compare
+     * @returns Comparison
+     */
+    compareScenario(scenarioId: string, year: number): ScenarioComparison {
+        const capacityActions = new CapacityActions();
+        const months = Array.from({ length: 12 }, (_, index) => `${year}-${String(index + 1).padStart(2, '0')}`);
+
+        return this.compareAllocations(
+            this.getBaselineAllocations(),
+            this.getScenarioAllocations(scenarioId),
+            months,
+            (memberId, month) => capacityActions.calculateAvailableCapacity(memberId, month).monthlyCapacity || 0
+        );
+    }
+
+    /**
+     * Compare two allocation sets month by month
+     *
+     * @param baseline - Baseline allocations
+     * @param scenario - Scenario allocations
+     * @param months - Months to compare ('YYYY-MM')
+     * @param getCapacity - Capacity in MDs of a member in a month
+     * @returns Comparison with totals, overload counts and changed cells
+     */
+    compareAllocations(
+        baseline: ResourceAllocation[],
+        scenario: ResourceAllocation[],
+        months: string[],
+        getCapacity: (memberId: string, month: string) => number
+    ): ScenarioComparison {
+        const baselineByCell = this.sumAllocationsByCell(baseline, months);
+        const scenarioByCell = this.sumAllocationsByCell(scenario, months);
+        const memberIds = Array.from(new Set([...baseline, ...scenario].map(allocation => allocation.teamMemberId))).sort();
+
+        const baselineSummary: ScenarioCapacitySummary = { totalAllocated: 0, overloadedCells: 0, overloadedMembers: 0 };
+        const scenarioSummary: ScenarioCapacitySummary = { totalAllocated: 0, overloadedCells: 0, overloadedMembers: 0 };
+        const changedCells: ScenarioCellDiff[] = [];
+
+        memberIds.forEach(memberId => {
+            let baselineOverloaded = false;
+            let scenarioOverloaded = false;
+
+            months.forEach(month => {
+                const key = `${memberId}|${month}`;
+                const baselineMDs = baselineByCell.get(key) || 0;
+                const scenarioMDs = scenarioByCell.get(key) || 0;
+                if (baselineMDs === 0 && scenarioMDs === 0) return;
+
+                const capacity = getCapacity(memberId, month);
+                baselineSummary.totalAllocated += baselineMDs;
+                scenarioSummary.totalAllocated += scenarioMDs;
+
+                if (baselineMDs > capacity) {
+                    baselineSummary.overloadedCells++;
+                    baselineOverloaded = true;
+                }
+                if (scenarioMDs > capacity) {
+                    scenarioSummary.overloadedCells++;
+                    scenarioOverloaded = true;
+                }
+
+                if (Math.abs(baselineMDs - scenarioMDs) > 0.001) {
+                    changedCells.push({
+                        memberId,
+                        month,
+                        capacity,
+                        baseline: this.round(baselineMDs),
+                        scenario: this.round(scenarioMDs)
+                    });
+                }
+            });
+
+            if (baselineOverloaded) baselineSummary.overloadedMembers++;
+            if (scenarioOverloaded) scenarioSummary.overloadedMembers++;
+        });
+
+        baselineSummary.totalAllocated = this.round(baselineSummary.totalAllocated);
+        scenarioSummary.totalAllocated = this.round(scenarioSummary.totalAllocated);
+
+        return { months, baseline: baselineSummary, scenario: scenarioSummary, changedCells };
+    }
+
+    // ======================
+    // HELPERS
+    // ======================
+
+    /**
+     * Sum planned MDs per member-month ('memberId|YYYY-MM')
+     */
+    private sumAllocationsByCell(allocations: ResourceAllocation[], months: string[]): Map<string, number> {
+        const cells = new Map<string, number>();
+
+        allocations.forEach(allocation => {
+            Object.entries(allocation.monthlyAllocations || {}).forEach(([month, data]) => {
+                if (!months.includes(month)) return;
+                const key = `${allocation.teamMemberId}|${month}`;
+                cells.set(key, (cells.get(key) || 0) + (data?.planned || 0));
+            });
+        });
+
+        return cells;
+    }
+
+    /**
+     * Copy the active scenario's live allocations into the scenarios list
+     * @returns True if a scenario is active
+     */
+    private storeActiveScenarioAllocations(): boolean {
+        const store = this.getStore();
+        const activeScenarioId = this.getActiveScenarioId();
+        if (!store || !activeScenarioId) return false;
+
+        const allocations = this.cloneAllocations(store.getState().resourceAllocations || []);
+        store.getState().setAllocationScenarios(this.getScenarios().map(scenario =>
+            scenario.id === activeScenarioId
+                ? { ...scenario, allocations, lastModified: new Date().toISOString() }
+                : scenario
+        ));
+        return true;
+    }
+
+    /**
+     * Save scenarios to file
+     */
+    private async saveScenarios(): Promise<void> {
+        try {
+            const dataManager = this.getDataManager();
+            if (!dataManager) {
+                console.error('❌ DataManager not available - scenarios will not be persisted to disk!');
+                return;
+            }
+
+            await dataManager.saveAllocationScenarios(this.getScenarios());
+            console.log('✅ Scenarios saved to capacity/scenarios.json');
+        } catch (error) {
+            console.error('❌ Error saving scenarios to disk:', error);
+        }
+    }
+
+    /**
+     * Deep copy allocations so baseline and scenarios never share objects
+     */
+    private cloneAllocations(allocations: ResourceAllocation[]): ResourceAllocation[] {
+        return JSON.parse(JSON.stringify(allocations || []));
+    }
+
+    /**
+     * Generate unique scenario ID
+     */
+    private generateScenarioId(): string {
+        return `scenario-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Round to 2 decimals
+     */
+    private round(value: number): number {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+// Make ScenarioActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+    (window as any).ScenarioActions = ScenarioActions;
+}
@@ -0,0 +1,162 @@
+/**
+ * SchemaValidationActions - JSON Schema validation of project, configuration and allocations files
+ *
+ * The formats are published as JSON Schemas in ../schemas, so files written by
+ * scripts or other tools can be checked with any JSON Schema validator. The same
+ * schemas are used by the application: saving refuses data that does not match,
+ * loading reports the problems, and the "Validate Project File" command lists
+ * every problem of a file, with its JSON path, before it is opened.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import projectSchema from '../schemas/project.schema.json';
+import globalConfigSchema from '../schemas/global-config.schema.json';
+import allocationsSchema from '../schemas/allocations.schema.json';
+import { JsonSchemaValidator } from '../utils/jsonSchemaValidator';
+import type { SchemaValidationError } from '../utils/jsonSchemaValidator';
+import { projectMigrationActions } from './ProjectMigrationActions';
+import type { MigrationReport } from './ProjectMigrationActions';
+import { PROJECT_BUNDLE_FORMAT } from './ProjectBundleActions';
+
+export type { SchemaValidationError };
+
+export type SchemaFileType = 'project' | 'globalConfig' | 'allocations';
+
+export interface SchemaValidationResult {
+  valid: boolean;
+  errors: SchemaValidationError[];
+}
+
+export interface FileValidationResult extends SchemaValidationResult {
+  fileType: SchemaFileType | null; // null when the kind of file is not recognised
+  migration?: MigrationReport; // Project files: the upgrade applied on open (validation is of the upgraded data)
+}
+
+const FILE_TYPE_LABELS: Record<SchemaFileType, string> = {
+  project: 'Project file',
+  globalConfig: 'Global configuration',
+  allocations: 'Resource allocations file'
+};
+
+export class SchemaValidationActions {
+  private validators: Record<SchemaFileType, JsonSchemaValidator> = {
+    project: new JsonSchemaValidator(projectSchema),
+    globalConfig: new JsonSchemaValidator(globalConfigSchema),
+    allocations: new JsonSchemaValidator(allocationsSchema)
+  };
+
+  /**
+   * Validate data against the schema of a file type
+   * @param basePath - JSON path of the data inside the file
+   */
+  validate(fileType: SchemaFileType, data: any, basePath = '$'): SchemaValidationResult {
+    const errors = this.validators[fileType].validate(data, basePath);
+    return { valid: errors.length === 0, errors };
+  }
+
+  validateProject(projectData: any): SchemaValidationResult {
+    return this.validate('project', projectData);
+  }
+
+  validateGlobalConfig(globalConfig: any): SchemaValidationResult {
+    return this.validate('globalConfig', globalConfig);
+  }
+
+  /**
+   * @param allocations - The allocations list, validated as the allocations file that stores it
+   */
+  validateAllocations(allocations: any): SchemaValidationResult {
+    return this.validate('allocations', { allocations });
+  }
+
+  /**
+   * Throw an error listing the problems when data does not match its schema
+   * (the full list is in the error's `validationErrors`)
+   */
+  assertValid(fileType: SchemaFileType, data: any): void {
+    const result = this.validate(fileType, data);
+    if (!result.valid) {
+      const error = new Error(`${FILE_TYPE_LABELS[fileType]} is invalid: ${this.formatErrors(result.errors)}`);
+      (error as any).validationErrors = result.errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Recognise a file by its content: project (or project bundle), global configuration or allocations
+   */
+  detectFileType(data: any): SchemaFileType | null {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    if (data.format === PROJECT_BUNDLE_FORMAT || 'features' in data || 'project' in data) return 'project';
+    if ('allocations' in data) return 'allocations';
+    if ('vendors' in data || 'categories' in data || 'calculationParams' in data) return 'globalConfig';
+    return null;
+  }
+
+  /**
+   * Validate the content of a file of any supported type
+   *
+   * Project files are validated as they will be opened: after the migrations
+   * their schema version needs. Bundles are validated by their project.
+   */
+  validateFile(data: any): FileValidationResult {
+    const fileType = this.detectFileType(data);
+    if (!fileType) {
+      return {
+        fileType,
+        valid: false,
+        errors: [{ path: '$', message: 'is not a project, global configuration or allocations file' }]
+      };
+    }
+
+    if (fileType !== 'project') {
+      return { fileType, ...this.validate(fileType, data) };
+    }
+
+    const isBundle = data.format === PROJECT_BUNDLE_FORMAT;
+    const project = isBundle ? data.project : data;
+    const basePath = isBundle ? '$.project' : '$';
+
+    let migration: MigrationReport | undefined;
+    let projectToValidate = project;
+    if (project && typeof project === 'object' && !Array.isArray(project)) {
+      try {
+        const migrated = projectMigrationActions.migrateProject(project);
+        migration = migrated.report;
+        projectToValidate = migrated.project;
+      } catch (error) {
+        return {
+          fileType,
+          valid: false,
+          errors: [{ path: basePath, message: error instanceof Error ? error.message : String(error) }]
+        };
+      }
+    }
+
+    return { fileType, migration, ...this.validate('project', projectToValidate, basePath) };
+  }
+
+  getFileTypeLabel(fileType: SchemaFileType): string {
+    return FILE_TYPE_LABELS[fileType];
+  }
+
+  /**
+   * Problems as one line: the first few, then how many more
+   */
+  formatErrors(errors: SchemaValidationError[], limit = 3): string {
+    const shown = errors.slice(0, limit).map(error => `${error.path} ${error.message}`).join('; ');
+    return errors.length > limit ? `${shown} (and ${errors.length - limit} more)` : shown;
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const schemaValidationActions = new SchemaValidationActions();
+
+// Make SchemaValidationActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).schemaValidationActions = schemaValidationActions;
+}
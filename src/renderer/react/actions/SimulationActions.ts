@@ -0,0 +1,209 @@
+/**
+ * SimulationActions - Monte Carlo simulation of the feature-based estimate
+ *
+ * Builds the simulation model from the current project (features, coverage,
+ * phases and the rates of the resources selected for each role, as
+ * FeatureBasedCalculator does) and runs it in a Web Worker so thousands of
+ * iterations do not block the interface. Without a worker the simulation
+ * runs inline.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import {
+  buildFeatureDistribution,
+  runMonteCarloSimulation,
+  SIMULATION_ROLES,
+  type SimulationModel,
+  type SimulationOptions,
+  type SimulationPhase,
+  type SimulationResult,
+  type SimulationRole
+} from '../utils/monteCarloSimulation';
+
+export type { SimulationOptions, SimulationResult };
+
+/**
+ * Messages exchanged with the simulation worker
+ */
+export interface SimulationRequest {
+  model: SimulationModel;
+  options: Partial<SimulationOptions>;
+}
+
+export type SimulationWorkerMessage =
+  | { type: 'progress'; completed: number }
+  | { type: 'result'; result: SimulationResult }
+  | { type: 'error'; message: string };
+
+export const SIMULATION_CANCELLED = 'Simulation cancelled';
+
+export interface RunSimulationOptions {
+  createWorker?: () => Worker;
+  onProgress?: (completed: number, total: number) => void;
+}
+
+export class SimulationActions {
+  private worker: Worker | null = null;
+  private rejectRun: ((error: Error) => void) | null = null;
+
+  private getStore() {
+    return (window as any).appStore;
+  }
+
+  private getConfigManager() {
+    return (window as any).app?.managers?.config || (window as any).app?.configManager;
+  }
+
+  // ======================
+  // MODEL
+  // ======================
+
+  /**
+   * Simulation model of the current project, or null when there is nothing to simulate
+   */
+  buildSimulationModel(): SimulationModel | null {
+    const project = this.getStore()?.getState().currentProject;
+    if (!project || project.workingPackageData?.enabled) {
+      return null;
+    }
+
+    const rates = this.getRoleRates(project);
+
+    const phases: SimulationPhase[] = [];
+    Object.entries(project.phases || {}).forEach(([phaseKey, phaseData]: [string, any]) => {
+      if (phaseKey === 'selectedSuppliers' || phaseKey === 'selectedPhaseResources') return;
+      if (!phaseData?.effort) return;
+      const isDevelopment = phaseKey === 'development';
+      // Development man days come from the sampled features, the others are taken as estimated
+      if (!isDevelopment && !(phaseData.manDays > 0)) return;
+      phases.push({
+        id: phaseKey,
+        manDays: phaseData.manDays || 0,
+        effort: {
+          G1: phaseData.effort.G1 || 0,
+          G2: phaseData.effort.G2 || 0,
+          TA: phaseData.effort.TA || 0,
+          PM: phaseData.effort.PM || 0
+        },
+        isDevelopment
+      });
+    });
+
+    const features = (project.features || []).map((feature: any) => buildFeatureDistribution(feature, rates.G2));
+    if (phases.length === 0 && features.length === 0) {
+      return null;
+    }
+
+    return {
+      features,
+      coverageManDays: typeof project.coverage === 'number' ? project.coverage : 0,
+      phases,
+      rates
+    };
+  }
+
+  // ======================
+  // SIMULATION
+  // ======================
+
+  /**
+   * Run the simulation of the current project, in a worker when one can be created
+   */
+  async runSimulation(options: Partial<SimulationOptions>, runOptions: RunSimulationOptions = {}): Promise<SimulationResult> {
+    const model = this.buildSimulationModel();
+    if (!model) {
+      throw new Error('Nothing to simulate: add features and phases in feature-based mode');
+    }
+
+    this.cancelSimulation();
+    const total = options.iterations ?? 0;
+    const onProgress = runOptions.onProgress
+      ? (completed: number) => runOptions.onProgress!(completed, total)
+      : undefined;
+
+    if (!runOptions.createWorker) {
+      return runMonteCarloSimulation(model, options, onProgress);
+    }
+
+    const worker = runOptions.createWorker();
+    this.worker = worker;
+    try {
+      return await new Promise<SimulationResult>((resolve, reject) => {
+        this.rejectRun = reject;
+        worker.onmessage = (event: MessageEvent<SimulationWorkerMessage>) => {
+          const message = event.data;
+          if (message.type === 'progress') {
+            onProgress?.(message.completed);
+          } else if (message.type === 'result') {
+            resolve(message.result);
+          } else {
+            reject(new Error(message.message));
+          }
+        };
+        worker.onerror = (event: ErrorEvent) => reject(new Error(event.message || 'Simulation failed'));
+        const request: SimulationRequest = { model, options };
+        worker.postMessage(request);
+      });
+    } finally {
+      if (this.worker === worker) {
+        worker.terminate();
+        this.worker = null;
+        this.rejectRun = null;
+      }
+    }
+  }
+
+  /**
+   * Stop a running simulation; its promise rejects
+   */
+  cancelSimulation(): void {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this.rejectRun?.(new Error(SIMULATION_CANCELLED));
+    this.rejectRun = null;
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  /**
+   * Daily rate of the resource selected for each role
+   */
+  private getRoleRates(project: any): Record<SimulationRole, number> {
+    const rates: Record<SimulationRole, number> = { G1: 0, G2: 0, TA: 0, PM: 0 };
+    const configManager = this.getConfigManager();
+    const selectedPhaseResources = project.phases?.selectedPhaseResources
+      || project.phases?.selectedSuppliers
+      || this.getStore()?.getState().selectedPhaseResources
+      || {};
+    if (!configManager) return rates;
+
+    SIMULATION_ROLES.forEach(role => {
+      const resource = selectedPhaseResources[role];
+      if (!resource || typeof resource === 'string' || !resource.jobCluster) return;
+      const rateDetails = configManager.getRate({
+        vendorId: resource.vendorId,
+        jobCluster: resource.jobCluster,
+        seniority: resource.seniority,
+        location: resource.location || 'italy',
+        deliveryModel: resource.deliveryModel || 'onsite'
+      });
+      rates[role] = rateDetails?.realRate || 0;
+    });
+    return rates;
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const simulationActions = new SimulationActions();
+
+// Make SimulationActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).simulationActions = simulationActions;
+}
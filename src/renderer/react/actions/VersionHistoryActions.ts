@@ -8,6 +8,7 @@
  */
 
 import { getAppStore } from '../utils/electronBridge';
+import { FeatureLevel, getFeatureLevel } from '../utils/featureHierarchy';
 
 export interface Version {
   id: string;
@@ -112,9 +113,20 @@ export interface FeatureComparison {
   added: any[];
   removed: any[];
   modified: any[];
+  /** Modified features moved to another parent or level */
+  regrouped: FeatureRegrouping[];
   totalMDDifference: number;
 }
 
+export interface FeatureRegrouping {
+  id: string;
+  description: string;
+  fromParentId: string | null;
+  toParentId: string | null;
+  fromLevel: FeatureLevel;
+  toLevel: FeatureLevel;
+}
+
 export interface AssumptionComparison {
   added: any[];
   removed: any[];
@@ -1390,7 +1402,10 @@ export class VersionHistoryActions {
     });
   }
 
-  private compareFeatures(current: any, compare: any): FeatureComparison {
+  /**
+   * Features added, removed and modified in `current` relative to `compare` (also used for merges)
+   */
+  compareFeatures(current: any, compare: any): FeatureComparison {
     const currentFeatures = current.features || [];
     const compareFeatures = compare.features || [];
     
@@ -1407,6 +1422,23 @@ export class VersionHistoryActions {
       return vf && JSON.stringify(cf) !== JSON.stringify(vf);
     });
 
+    const regrouped = modified.reduce((changes: FeatureRegrouping[], cf: any) => {
+      const vf = compareFeatures.find((v: any) => v.id === cf.id);
+      const fromParentId = vf.parentId || null;
+      const toParentId = cf.parentId || null;
+      if (fromParentId !== toParentId || getFeatureLevel(vf) !== getFeatureLevel(cf)) {
+        changes.push({
+          id: cf.id,
+          description: cf.description,
+          fromParentId,
+          toParentId,
+          fromLevel: getFeatureLevel(vf),
+          toLevel: getFeatureLevel(cf)
+        });
+      }
+      return changes;
+    }, []);
+
     const currentTotalMD = currentFeatures.reduce((sum: number, f: any) => sum + (f.manDays || 0), 0);
     const compareTotalMD = compareFeatures.reduce((sum: number, f: any) => sum + (f.manDays || 0), 0);
 
@@ -1414,11 +1446,15 @@ export class VersionHistoryActions {
       added,
       removed,
       modified,
+      regrouped,
       totalMDDifference: currentTotalMD - compareTotalMD
     };
   }
 
-  private compareAssumptions(current: any, compare: any): AssumptionComparison {
+  /**
+   * Assumptions added, removed and modified in `current` relative to `compare` (also used for merges)
+   */
+  compareAssumptions(current: any, compare: any): AssumptionComparison {
     const currentAssumptions = current.assumptions || [];
     const compareAssumptions = compare.assumptions || [];
     
@@ -0,0 +1,172 @@
+/**
+ * WorkspaceActions - named workspaces and switching between them
+ *
+ * A workspace is a projects folder (e.g. one per client) with optionally its
+ * own global configuration file and allocations file; by default they are
+ * config/defaults.json and capacity/allocations.json inside the folder, so
+ * capacity allocations are always separate per workspace.
+ *
+ * The recent projects list belongs to the active workspace: on switching, the
+ * current list is put aside under the workspace it belongs to and the list of
+ * the workspace switched to is brought back.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import { getApp } from '../utils/electronBridge';
+import type { Workspace } from '../utils/electronBridge';
+
+export type { Workspace };
+
+const RECENT_PROJECTS_KEY = 'recent-projects';
+const RECENT_PROJECTS_BY_WORKSPACE_KEY = 'recent-projects-by-workspace';
+
+export class WorkspaceActions {
+  private getDataManager() {
+    const dataManager = getApp()?.dataManager;
+    if (!dataManager?.listWorkspaces || !dataManager.saveWorkspace || !dataManager.deleteWorkspace || !dataManager.switchWorkspace) {
+      throw new Error('Data manager not available');
+    }
+    return dataManager as Required<Pick<typeof dataManager,
+      'listWorkspaces' | 'saveWorkspace' | 'deleteWorkspace' | 'switchWorkspace' | 'chooseWorkspaceFile' | 'chooseProjectsFolder'>>;
+  }
+
+  // ======================
+  // WORKSPACES
+  // ======================
+
+  async loadWorkspaces(): Promise<{ workspaces: Workspace[]; activeWorkspaceId: string | null }> {
+    const { workspaces, activeWorkspaceId } = await this.getDataManager().listWorkspaces();
+    return {
+      activeWorkspaceId,
+      workspaces: [...workspaces].sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+
+  /**
+   * Problem with a workspace about to be saved, or null when it can be saved
+   */
+  validateWorkspace(workspace: Partial<Workspace>, workspaces: Workspace[]): string | null {
+    const name = workspace.name?.trim();
+    if (!name) return 'Workspace name is required';
+    if (!workspace.projectsPath?.trim()) return 'Projects folder is required';
+
+    const sameName = workspaces.find(item => item.id !== workspace.id && item.name.trim().toLowerCase() === name.toLowerCase());
+    if (sameName) return `A workspace named "${sameName.name}" already exists`;
+
+    const samePath = workspaces.find(item => item.id !== workspace.id && item.projectsPath === workspace.projectsPath?.trim());
+    if (samePath) return `Workspace "${samePath.name}" already uses this projects folder`;
+
+    return null;
+  }
+
+  /**
+   * Add a workspace, or update an existing one (same id)
+   */
+  async saveWorkspace(workspace: Partial<Workspace>): Promise<Workspace> {
+    const dataManager = this.getDataManager();
+    const { workspaces } = await dataManager.listWorkspaces();
+
+    const problem = this.validateWorkspace(workspace, workspaces);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const saved = await dataManager.saveWorkspace(workspace);
+    if (!saved) {
+      throw new Error('Failed to save the workspace');
+    }
+    return saved;
+  }
+
+  /**
+   * Remove a workspace from the list; its folder and files are left untouched
+   */
+  async deleteWorkspace(workspaceId: string): Promise<boolean> {
+    const removed = await this.getDataManager().deleteWorkspace(workspaceId);
+    if (removed) {
+      const stored = this.readRecentProjectsByWorkspace();
+      delete stored[workspaceId];
+      localStorage.setItem(RECENT_PROJECTS_BY_WORKSPACE_KEY, JSON.stringify(stored));
+    }
+    return removed;
+  }
+
+  /**
+   * Make a workspace the active one, bringing back its recent projects
+   * (the application must then be reloaded to pick up its projects, configuration and allocations)
+   */
+  async switchWorkspace(workspaceId: string): Promise<Workspace | null> {
+    const dataManager = this.getDataManager();
+    const { activeWorkspaceId } = await dataManager.listWorkspaces();
+    if (!activeWorkspaceId || activeWorkspaceId === workspaceId) {
+      return null;
+    }
+
+    this.swapRecentProjects(activeWorkspaceId, workspaceId);
+    const workspace = await dataManager.switchWorkspace(workspaceId);
+    if (!workspace) {
+      this.swapRecentProjects(workspaceId, activeWorkspaceId);
+    }
+    return workspace;
+  }
+
+  /**
+   * Put the recent projects list aside under one workspace and bring back another's
+   */
+  swapRecentProjects(fromWorkspaceId: string, toWorkspaceId: string): void {
+    const stored = this.readRecentProjectsByWorkspace();
+
+    let current: unknown[] = [];
+    try {
+      current = JSON.parse(localStorage.getItem(RECENT_PROJECTS_KEY) || '[]');
+    } catch {
+      // A damaged list is dropped
+    }
+
+    stored[fromWorkspaceId] = current;
+    const next = stored[toWorkspaceId] || [];
+    delete stored[toWorkspaceId];
+
+    localStorage.setItem(RECENT_PROJECTS_KEY, JSON.stringify(next));
+    localStorage.setItem(RECENT_PROJECTS_BY_WORKSPACE_KEY, JSON.stringify(stored));
+  }
+
+  // ======================
+  // FILE PICKERS
+  // ======================
+
+  async chooseFolder(): Promise<string | null> {
+    const result = await this.getDataManager().chooseProjectsFolder();
+    return result?.success && result.path ? result.path : null;
+  }
+
+  async chooseFile(title: string): Promise<string | null> {
+    const result = await this.getDataManager().chooseWorkspaceFile(title);
+    return result?.success && result.path ? result.path : null;
+  }
+
+  // ======================
+  // HELPERS
+  // ======================
+
+  private readRecentProjectsByWorkspace(): Record<string, unknown[]> {
+    try {
+      const stored = JSON.parse(localStorage.getItem(RECENT_PROJECTS_BY_WORKSPACE_KEY) || '{}');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch {
+      return {};
+    }
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const workspaceActions = new WorkspaceActions();
+
+// Make WorkspaceActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).workspaceActions = workspaceActions;
+}
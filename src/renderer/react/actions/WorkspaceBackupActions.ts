@@ -0,0 +1,129 @@
+/**
+ * WorkspaceBackupActions - full backup and selective restore of the workspace
+ *
+ * A workspace backup is a single archive with every project file, the capacity
+ * data (allocations, scenarios, audit log), config/defaults.json and the
+ * application settings, which hold the global configuration (vendors,
+ * categories, teams). Restoring is selective: the archive is compared with the
+ * workspace and only the chosen files are written back.
+ *
+ * Pattern: State/Actions/Dispatcher
+ * - NO direct state mutations
+ * - ONLY business logic and operations
+ * - Returns structured results
+ */
+
+import { getApp } from '../utils/electronBridge';
+import type { WorkspaceBackupEntry, WorkspaceBackupManifest, WorkspaceRestoreResult } from '../utils/electronBridge';
+
+export type { WorkspaceBackupEntry, WorkspaceBackupManifest, WorkspaceRestoreResult };
+
+export type WorkspaceBackupCategory = WorkspaceBackupEntry['category'];
+
+export interface WorkspaceBackupGroup {
+  category: WorkspaceBackupCategory;
+  label: string;
+  entries: WorkspaceBackupEntry[];
+}
+
+const CATEGORY_ORDER: WorkspaceBackupCategory[] = ['project', 'capacity', 'config', 'settings'];
+
+const CATEGORY_LABELS: Record<WorkspaceBackupCategory, string> = {
+  project: 'Projects',
+  capacity: 'Capacity Planning',
+  config: 'Configuration',
+  settings: 'Settings'
+};
+
+// Known workspace files, by path in the archive
+const ENTRY_LABELS: Record<string, string> = {
+  'capacity/allocations.json': 'Resource allocations',
+  'capacity/scenarios.json': 'What-if scenarios',
+  'capacity/audit-log.jsonl': 'Allocation change history',
+  'config/defaults.json': 'Default configuration',
+  'config/templates.json': 'Project templates',
+  'settings.json': 'Settings and global configuration (vendors, categories, teams)'
+};
+
+export class WorkspaceBackupActions {
+  private getDataManager() {
+    const dataManager = getApp()?.dataManager;
+    if (!dataManager?.createBackup || !dataManager.inspectBackup || !dataManager.restoreBackup) {
+      throw new Error('Data manager not available');
+    }
+    return dataManager;
+  }
+
+  /**
+   * Save the whole workspace to an archive chosen by the user
+   */
+  async createBackup(includeSettings = true) {
+    return this.getDataManager().createBackup!(includeSettings);
+  }
+
+  /**
+   * Open a backup (file dialog if no path) and compare its files with the workspace
+   */
+  async inspectBackup(backupPath: string | null = null): Promise<WorkspaceBackupManifest> {
+    return this.getDataManager().inspectBackup!(backupPath);
+  }
+
+  /**
+   * Restore the selected files of an inspected backup
+   */
+  async restoreBackup(manifest: WorkspaceBackupManifest, selectedPaths: string[]): Promise<WorkspaceRestoreResult> {
+    if (!manifest.backupPath) {
+      throw new Error('No backup selected');
+    }
+    if (selectedPaths.length === 0) {
+      return { success: true, restored: [], errors: [] };
+    }
+
+    const result = await this.getDataManager().restoreBackup!(manifest.backupPath, selectedPaths);
+    if (typeof result === 'boolean') {
+      return { success: result, restored: result ? selectedPaths : [], errors: [] };
+    }
+    return result;
+  }
+
+  /**
+   * Files selected when the wizard opens: only those missing from the workspace,
+   * so nothing is overwritten unless the user asks for it
+   */
+  getDefaultSelection(entries: WorkspaceBackupEntry[]): string[] {
+    return entries.filter(entry => entry.status === 'new').map(entry => entry.path);
+  }
+
+  /**
+   * Entries grouped by category (projects, capacity, configuration, settings), sorted by label
+   */
+  groupEntries(entries: WorkspaceBackupEntry[]): WorkspaceBackupGroup[] {
+    return CATEGORY_ORDER
+      .map(category => ({
+        category,
+        label: CATEGORY_LABELS[category],
+        entries: entries
+          .filter(entry => entry.category === category)
+          .sort((a, b) => this.describeEntry(a).localeCompare(this.describeEntry(b)))
+      }))
+      .filter(group => group.entries.length > 0);
+  }
+
+  /**
+   * Label of a backup file: project name, or what the file holds
+   */
+  describeEntry(entry: WorkspaceBackupEntry): string {
+    if (entry.category === 'project') {
+      return entry.projectName || entry.path;
+    }
+    return ENTRY_LABELS[entry.path] || entry.path;
+  }
+}
+
+// Export singleton instance (following codebase pattern)
+export const workspaceBackupActions = new WorkspaceBackupActions();
+
+// Make WorkspaceBackupActions available globally for backward compatibility
+if (typeof window !== 'undefined') {
+  (window as any).workspaceBackupActions = workspaceBackupActions;
+}
@@ -0,0 +1,173 @@
+/**
+ * Allocation History Modal
+ *
+ * Read-only view of the allocation audit trail for one allocation or one
+ * team member: who changed what, when and why, with old vs new monthly MDs.
+ *
+ * Integrates with:
+ * - AllocationAuditActions for loading and Excel export
+ * - TeamHelpers for member names
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import Button from './Button';
+import { AllocationAuditActions } from '../actions/AllocationAuditActions';
+import type { AllocationAuditFilter } from '../actions/AllocationAuditActions';
+import { getTeamHelpers } from '../utils/electronBridge';
+import type { AllocationAuditEntry } from '../types/allocation';
+import '../../styles/allocation-history.css';
+
+interface AllocationHistoryModalProps {
+    title: string; // e.g. member or project name
+    filter: AllocationAuditFilter;
+    onClose: () => void;
+}
+
+const ACTION_LABELS: Record<AllocationAuditEntry['action'], string> = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted'
+};
+
+export const AllocationHistoryModal: React.FC<AllocationHistoryModalProps> = ({ title, filter, onClose }) => {
+    const auditActions = useMemo(() => new AllocationAuditActions(), []);
+
+    const [entries, setEntries] = useState<AllocationAuditEntry[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [message, setMessage] = useState<string | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        auditActions.loadAuditLog(filter).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setEntries(result.entries || []);
+            } else {
+                setError(result.error || 'Failed to load change history');
+            }
+            setIsLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [auditActions, filter.allocationId, filter.memberId]);
+
+    const handleExport = async () => {
+        setIsExporting(true);
+        setError(null);
+        const result = await auditActions.exportAuditLog(entries, `Allocation Change History - ${title}`);
+        setIsExporting(false);
+
+        if (result.success) {
+            setMessage(`Exported to Downloads: ${result.filename}`);
+        } else {
+            setError(result.error || 'Failed to export change history');
+        }
+    };
+
+    const getMemberName = (memberId: string): string => {
+        return getTeamHelpers()?.getTeamMemberFullName(memberId) || memberId;
+    };
+
+    const formatMonth = (month: string): string => {
+        return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    };
+
+    return (
+        <div className="modal active">
+            <div className="modal-content large">
+                <div className="modal-header">
+                    <h3>Change History: {title}</h3>
+                    <button className="modal-close" onClick={onClose}>
+                        &times;
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {error && (
+                        <div className="error-message">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            {error}
+                        </div>
+                    )}
+                    {message && <div className="allocation-history-message">{message}</div>}
+
+                    {isLoading ? (
+                        <div className="allocation-history-empty">Loading change history...</div>
+                    ) : entries.length === 0 ? (
+                        <div className="allocation-history-empty">No recorded changes</div>
+                    ) : (
+                        <table className="allocation-history-table">
+                            <thead>
+                                <tr>
+                                    <th>When</th>
+                                    <th>Who</th>
+                                    <th>Change</th>
+                                    <th>Project</th>
+                                    {!filter.memberId && <th>Member</th>}
+                                    <th>Monthly MDs</th>
+                                    <th>Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {entries.map(entry => (
+                                    <tr key={entry.id}>
+                                        <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                                        <td>{entry.user}</td>
+                                        <td>
+                                            <span className={`allocation-history-action ${entry.action}`}>
+                                                {ACTION_LABELS[entry.action]}
+                                            </span>
+                                        </td>
+                                        <td>{entry.projectName}</td>
+                                        {!filter.memberId && (
+                                            <td>
+                                                {entry.previousTeamMemberId && `${getMemberName(entry.previousTeamMemberId)} → `}
+                                                {getMemberName(entry.teamMemberId)}
+                                            </td>
+                                        )}
+                                        <td>
+                                            {entry.changes.length === 0 ? (
+                                                <span className="allocation-history-muted">No MD changes</span>
+                                            ) : (
+                                                <ul className="allocation-history-changes">
+                                                    {entry.changes.map(change => (
+                                                        <li key={change.month}>
+                                                            {formatMonth(change.month)}: {change.before.toFixed(1)} → <strong>{change.after.toFixed(1)}</strong>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                        <td>{entry.reason || <span className="allocation-history-muted">-</span>}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <div className="modal-footer">
+                    <Button variant="secondary" onClick={onClose}>
+                        Close
+                    </Button>
+                    <Button
+                        variant="primary"
+                        onClick={handleExport}
+                        loading={isExporting}
+                        disabled={entries.length === 0}
+                        icon={!isExporting ? <i className="fas fa-file-excel" /> : undefined}
+                    >
+                        Export to Excel
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AllocationHistoryModal;
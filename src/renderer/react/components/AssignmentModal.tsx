@@ -5,6 +5,8 @@
  *
  * Features:
  * - Project and team member selection
+ * - Ranked candidate suggestions for a project phase
+ * - Reason for change, recorded in the allocation change history
  * - Auto-distribution of MDs across date range
  * - Real-time capacity validation and overflow warnings
  * - Monthly distribution preview
@@ -18,6 +20,7 @@ import { useProjectPhases } from '../hooks/useProjectPhases';
 import { AllocationActions } from '../actions/AllocationActions';
 import { getWorkingDaysCalculator } from '../utils/electronBridge';
 import Button from './Button';
+import CandidateSuggestions from './CandidateSuggestions';
 import type {
     AllocationFormData,
     PhaseAllocation,
@@ -745,7 +748,7 @@ export const AssignmentModal: React.FC<AssignmentModalProps> = ({
 
                 console.log('📦 Update data to send:', updateData);
 
-                result = await allocationActions.updateAllocation(allocation.id, updateData);
+                result = await allocationActions.updateAllocation(allocation.id, updateData, formData.reason);
 
                 console.log('📬 UpdateAllocation result:', result);
             } else {
@@ -1033,6 +1036,19 @@ export const AssignmentModal: React.FC<AssignmentModalProps> = ({
                             )}
                         </div>
 
+                        {/* Ranked candidates for the selected project (create mode) */}
+                        {!isEditing && formData.projectId && !loadingPhases && (
+                            <CandidateSuggestions
+                                key={formData.projectId}
+                                projectPhases={projectPhases}
+                                phaseAllocations={phaseAllocations}
+                                role={selectedRole}
+                                teamMembers={allTeamMembers}
+                                initialMonth={initialMonth}
+                                onSelect={(memberId) => handleInputChange('teamMemberId', memberId)}
+                            />
+                        )}
+
                         {/* Member capacity info */}
                         {selectedMember && (
                             <div style={{
@@ -1383,6 +1399,18 @@ export const AssignmentModal: React.FC<AssignmentModalProps> = ({
                             />
                         </div>
 
+                        {/* Reason (audit log) */}
+                        <div className="form-group">
+                            <label htmlFor="assignment-reason">Reason for change:</label>
+                            <input
+                                type="text"
+                                id="assignment-reason"
+                                value={formData.reason || ''}
+                                onChange={(e) => handleInputChange('reason', e.target.value)}
+                                placeholder="Optional, recorded in the allocation change history"
+                            />
+                        </div>
+
                         {/* Calculating indicator */}
                         {isCalculating && (
                             <div style={{
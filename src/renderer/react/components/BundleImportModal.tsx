@@ -0,0 +1,190 @@
+/**
+ * Bundle Import Modal
+ *
+ * Shown when importing a project bundle. Lists the configuration the project
+ * was estimated with (vendors, categories, phase definitions, rate matrix and
+ * calculation parameters) next to the
+ * recipient's global configuration: missing items are added by default,
+ * changed ones keep the local version unless replaced, and vendors or
+ * categories can be mapped to an existing item instead.
+ *
+ * Integrates with:
+ * - ProjectBundleActions for the comparison and the default choices
+ * - ProjectBusinessLogic.showBundleImportDialog, which mounts it
+ */
+
+import React, { useState } from 'react';
+import Button from './Button';
+import { projectBundleActions } from '../actions/ProjectBundleActions';
+import type { BundleConfigItem, BundleItemAction, BundleResolution, ProjectBundle } from '../actions/ProjectBundleActions';
+import '../../styles/project-bundle.css';
+
+interface BundleImportModalProps {
+  bundle: ProjectBundle;
+  items: BundleConfigItem[];
+  existingProject?: { fileName?: string; project?: { name?: string } } | null; // Saved project with the same id
+  globalConfig: any;
+  onImport: (resolutions: Record<string, BundleResolution>, asCopy: boolean) => void;
+  onCancel: () => void;
+}
+
+const SECTION_LABELS = {
+  vendors: 'Vendors',
+  categories: 'Categories',
+  phaseDefinitions: 'Phase Definitions',
+  settings: 'Settings'
+};
+
+const STATUS_LABELS = {
+  identical: 'Same as yours',
+  changed: 'Different from yours',
+  missing: 'Not in your configuration'
+};
+
+const ACTION_LABELS: Record<BundleItemAction, string> = {
+  add: 'Add to my configuration',
+  keep: 'Keep mine',
+  replace: 'Replace mine with bundled',
+  map: 'Map to...'
+};
+
+const getActions = (item: BundleConfigItem): BundleItemAction[] => {
+  const mappable = item.section === 'vendors' || item.section === 'categories';
+  switch (item.status) {
+    case 'missing':
+      return mappable ? ['add', 'map'] : ['add'];
+    case 'changed':
+      return mappable ? ['keep', 'replace', 'map'] : ['keep', 'replace'];
+    default:
+      return mappable ? ['keep', 'map'] : ['keep'];
+  }
+};
+
+const BundleImportModal: React.FC<BundleImportModalProps> = ({ bundle, items, existingProject, globalConfig, onImport, onCancel }) => {
+  const [resolutions, setResolutions] = useState<Record<string, BundleResolution>>(() => projectBundleActions.getDefaultResolutions(items));
+  const [asCopy, setAsCopy] = useState(!!existingProject);
+
+  const unmapped = items.filter(item => resolutions[item.key]?.action === 'map' && !resolutions[item.key]?.targetId).length;
+  const sections = (['vendors', 'categories', 'phaseDefinitions', 'settings'] as const)
+    .map(section => ({ section, items: items.filter(item => item.section === section) }))
+    .filter(group => group.items.length > 0);
+
+  const resolve = (key: string, resolution: BundleResolution) => {
+    setResolutions(prev => ({ ...prev, [key]: resolution }));
+  };
+
+  const project = bundle.project?.project || {};
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Import Project Bundle: {project.name}</h3>
+          <button className="modal-close" onClick={onCancel}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="bundle-intro">
+            {bundle.project?.features?.length || 0} feature(s), exported on {new Date(bundle.exportedAt).toLocaleString()}.
+            Choose how the configuration it was estimated with is brought into yours.
+          </p>
+
+          {existingProject && (
+            <div className="bundle-existing">
+              <i className="fas fa-exclamation-triangle"></i>
+              A saved project already uses the id <strong>{project.id}</strong> ({existingProject.project?.name || existingProject.fileName}).
+              <label>
+                <input type="radio" checked={asCopy} onChange={() => setAsCopy(true)} />
+                Import as a copy with a new id
+              </label>
+              <label>
+                <input type="radio" checked={!asCopy} onChange={() => setAsCopy(false)} />
+                Keep the id (saving replaces a project with the same name; a backup is kept)
+              </label>
+            </div>
+          )}
+
+          {sections.length === 0 ? (
+            <div className="bundle-empty">The bundle has no configuration snapshot</div>
+          ) : (
+            <table className="bundle-table">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Used by</th>
+                  <th>Status</th>
+                  <th>Import as</th>
+                </tr>
+              </thead>
+              {sections.map(group => (
+                <tbody key={group.section}>
+                  <tr className="bundle-section">
+                    <td colSpan={4}>{SECTION_LABELS[group.section]}</td>
+                  </tr>
+                  {group.items.map(item => {
+                    const resolution = resolutions[item.key];
+                    return (
+                      <tr key={item.key}>
+                        <td>
+                          {item.name}
+                          <div className="bundle-item-id">{item.id}</div>
+                        </td>
+                        <td>{item.section === 'settings'
+                          ? 'Whole project'
+                          : item.section === 'phaseDefinitions' ? (item.usage ? 'Project phases' : '-') : `${item.usage} reference(s)`}</td>
+                        <td>
+                          <span className={`bundle-status ${item.status}`}>{STATUS_LABELS[item.status]}</span>
+                        </td>
+                        <td>
+                          <select
+                            value={resolution?.action}
+                            onChange={e => resolve(item.key, { action: e.target.value as BundleItemAction })}
+                          >
+                            {getActions(item).map(action => (
+                              <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                            ))}
+                          </select>
+                          {resolution?.action === 'map' && (
+                            <select
+                              className="bundle-map-target"
+                              value={resolution.targetId || ''}
+                              onChange={e => resolve(item.key, { action: 'map', targetId: e.target.value || undefined })}
+                            >
+                              <option value="">Choose...</option>
+                              {projectBundleActions.getMapTargets(item.section, globalConfig)
+                                .filter(target => target.id !== item.id)
+                                .map(target => (
+                                  <option key={target.id} value={target.id}>{target.name}</option>
+                                ))}
+                            </select>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              ))}
+            </table>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+          <Button
+            variant="primary"
+            onClick={() => onImport(resolutions, asCopy)}
+            disabled={unmapped > 0}
+            title={unmapped > 0 ? `${unmapped} item(s) to map` : undefined}
+            icon={<i className="fas fa-file-import" />}
+          >
+            Import Project
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BundleImportModal;
@@ -10,8 +10,11 @@
 import React, { useEffect, useMemo } from 'react';
 import { useStore } from '../hooks/useStore';
 import { useCalculationsActions } from '../hooks/useCalculationsActions';
+import { useFeatureActions } from '../hooks/useFeatureActions';
 import { getAppController } from '../utils/electronBridge';
 import RateSpecificationModal from './RateSpecificationModal';
+import SimulationPanel from './SimulationPanel';
+import '../../styles/pert-estimation.css';
 
 // Working Package Resource interface
 interface WorkingPackageResource {
@@ -156,6 +159,13 @@ const CalculationsPage: React.FC = () => {
     closeRateSpecModal
   } = useCalculationsActions();
 
+  // P50/P80/P90 development man days from the features' three-point estimates
+  const { calculateConfidenceTotals } = useFeatureActions();
+  const confidenceTotals = useMemo(
+    () => calculateConfidenceTotals(currentProject?.features || []),
+    [currentProject?.features, calculateConfidenceTotals]
+  );
+
   // Helper function to get formatted resource display string
   const getResourceDisplay = (resource: WorkingPackageResource | null, vendorName: string, vendorCosts: any[]): string => {
     if (!resource) return 'Not specified';
@@ -670,6 +680,38 @@ const CalculationsPage: React.FC = () => {
         </div>
       )}
 
+      {/* Estimate Confidence Section (feature-based mode only) */}
+      {!workingPackageEnabled && confidenceTotals.threePointCount > 0 && (
+        <div className="calculations-confidence">
+          <h3>Estimate Confidence</h3>
+          <p className="confidence-intro">
+            Development man days of the features at each confidence level, from {confidenceTotals.threePointCount} of{' '}
+            {currentProject?.features?.length || 0} feature(s) with a three-point (PERT) estimate.
+          </p>
+          <div className="confidence-levels">
+            <div className="confidence-level">
+              <span className="confidence-level-label">P50</span>
+              <span className="confidence-level-value">{confidenceTotals.p50.toFixed(1)} MD</span>
+            </div>
+            <div className="confidence-level">
+              <span className="confidence-level-label">P80</span>
+              <span className="confidence-level-value">{confidenceTotals.p80.toFixed(1)} MD</span>
+            </div>
+            <div className="confidence-level">
+              <span className="confidence-level-label">P90</span>
+              <span className="confidence-level-value">{confidenceTotals.p90.toFixed(1)} MD</span>
+            </div>
+            <div className="confidence-level">
+              <span className="confidence-level-label">Std. Deviation</span>
+              <span className="confidence-level-value">±{confidenceTotals.standardDeviation.toFixed(1)} MD</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Monte Carlo Simulation Section (feature-based mode only) */}
+      {!workingPackageEnabled && kpiData && <SimulationPanel />}
+
       {/* Vendor Cost Summary Section */}
       <div className="vendor-cost-summary">
         <div className="vendor-cost-header">
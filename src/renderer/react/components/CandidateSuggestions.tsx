@@ -0,0 +1,214 @@
+/**
+ * Candidate Suggestions Component
+ *
+ * Collapsible panel in the Assignment modal that ranks team members for a
+ * project phase (or the whole project) and explains each ranking.
+ *
+ * Integrates with:
+ * - CandidateSuggestionActions for scoring
+ * - AssignmentModal, which receives the chosen member through onSelect
+ */
+
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import { CandidateSuggestionActions } from '../actions/CandidateSuggestionActions';
+import type { ProjectPhase } from '../hooks/useProjectPhases';
+import type { CandidateCriteria, PhaseAllocation } from '../types/allocation';
+import '../../styles/candidate-suggestions.css';
+
+// Candidates shown at once
+const MAX_CANDIDATES = 5;
+
+const PHASE_ROLES = ['G1', 'G2', 'TA', 'PM'];
+
+interface CandidateSuggestionsProps {
+    projectPhases: ProjectPhase[];
+    phaseAllocations: Record<string, PhaseAllocation>;
+    role: string; // Role filter of the modal ('' = any)
+    teamMembers: any[];
+    initialMonth?: string;
+    onSelect: (memberId: string, role: string) => void;
+}
+
+/**
+ * Default window: dates already entered for the phase(s), else the initial month onwards
+ */
+const getDefaultWindow = (phaseAllocations: PhaseAllocation[], initialMonth?: string): [string, string] => {
+    const dates = phaseAllocations.flatMap(phase => [phase.startDate, phase.endDate]).filter(Boolean).sort();
+    if (dates.length > 0) {
+        return [dates[0], dates[dates.length - 1]];
+    }
+
+    const start = initialMonth ? new Date(`${initialMonth}-01T00:00:00`) : new Date();
+    const end = new Date(start.getFullYear(), start.getMonth() + 3, 0);
+    const toIsoDate = (date: Date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return [toIsoDate(start), toIsoDate(end)];
+};
+
+export const CandidateSuggestions: React.FC<CandidateSuggestionsProps> = ({
+    projectPhases,
+    phaseAllocations,
+    role,
+    teamMembers,
+    initialMonth,
+    onSelect
+}) => {
+    const [suggestionActions] = useState(() => new CandidateSuggestionActions());
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [phaseId, setPhaseId] = useState('');
+    const [dateWindow, setDateWindow] = useState<[string, string]>(() => getDefaultWindow(Object.values(phaseAllocations), initialMonth));
+    const [vendorId, setVendorId] = useState('');
+    const [jobCluster, setJobCluster] = useState('');
+    const [seniority, setSeniority] = useState('');
+
+    // Preference options come from the team members themselves
+    const vendorOptions = useMemo(() => {
+        const vendors = new Map<string, string>();
+        teamMembers.forEach(member => {
+            if (member.vendorId) vendors.set(member.vendorId, member.vendorName || member.vendorId);
+        });
+        return Array.from(vendors.entries()).sort((a, b) => a[1].localeCompare(b[1]));
+    }, [teamMembers]);
+    const jobClusterOptions = useMemo(() => Array.from(new Set(teamMembers.map(member => member.jobCluster).filter(Boolean))).sort() as string[], [teamMembers]);
+    const seniorityOptions = useMemo(() => Array.from(new Set(teamMembers.map(member => member.seniority).filter(Boolean))).sort() as string[], [teamMembers]);
+
+    const handlePhaseChange = (newPhaseId: string) => {
+        setPhaseId(newPhaseId);
+        const phases = newPhaseId ? [phaseAllocations[newPhaseId]].filter(Boolean) : Object.values(phaseAllocations);
+        setDateWindow(getDefaultWindow(phases, initialMonth));
+    };
+
+    const suggestions = useMemo(() => {
+        if (!isOpen) return [];
+
+        // MDs each role has to deliver in the chosen phase(s), from the phase effort split
+        const phases = phaseId ? projectPhases.filter(phase => phase.id === phaseId) : projectPhases;
+        const requiredMDsByRole: Record<string, number> = {};
+        phases.forEach(phase => {
+            PHASE_ROLES.forEach(phaseRole => {
+                const effort = phase.effort?.[phaseRole] || 0;
+                requiredMDsByRole[phaseRole] = (requiredMDsByRole[phaseRole] || 0) + (phase.manDays || 0) * effort / 100;
+            });
+        });
+        const hasEffort = Object.values(requiredMDsByRole).some(mds => mds > 0);
+
+        const criteria: CandidateCriteria = {
+            role: role || undefined,
+            requiredMDsByRole: hasEffort ? requiredMDsByRole : undefined,
+            startDate: dateWindow[0],
+            endDate: dateWindow[1],
+            vendorId: vendorId || undefined,
+            jobCluster: jobCluster || undefined,
+            seniority: seniority || undefined
+        };
+
+        try {
+            return suggestionActions.suggestCandidates(criteria).slice(0, MAX_CANDIDATES);
+        } catch (error) {
+            console.error('Error suggesting candidates:', error);
+            return [];
+        }
+    }, [isOpen, phaseId, projectPhases, role, dateWindow, vendorId, jobCluster, seniority, suggestionActions]);
+
+    if (!isOpen) {
+        return (
+            <div className="candidate-suggestions collapsed">
+                <Button
+                    variant="secondary"
+                    size="small"
+                    icon={<i className="fas fa-user-check" />}
+                    onClick={() => setIsOpen(true)}
+                >
+                    Suggest Candidates
+                </Button>
+                <small className="form-help">Rank team members by role, skills and free capacity for a phase</small>
+            </div>
+        );
+    }
+
+    return (
+        <div className="candidate-suggestions">
+            <div className="candidate-suggestions-header">
+                <strong>Suggested Candidates{role ? ` (${role})` : ''}</strong>
+                <button type="button" className="candidate-suggestions-close" onClick={() => setIsOpen(false)} aria-label="Hide suggestions">
+                    &times;
+                </button>
+            </div>
+
+            <div className="candidate-criteria">
+                <label>
+                    Phase
+                    <select value={phaseId} onChange={(e) => handlePhaseChange(e.target.value)}>
+                        <option value="">Whole project</option>
+                        {projectPhases.map(phase => (
+                            <option key={phase.id} value={phase.id}>{phase.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    From
+                    <input type="date" value={dateWindow[0]} onChange={(e) => setDateWindow([e.target.value, dateWindow[1]])} />
+                </label>
+                <label>
+                    To
+                    <input type="date" value={dateWindow[1]} onChange={(e) => setDateWindow([dateWindow[0], e.target.value])} />
+                </label>
+                <label>
+                    Vendor
+                    <select value={vendorId} onChange={(e) => setVendorId(e.target.value)}>
+                        <option value="">Any</option>
+                        {vendorOptions.map(([id, name]) => (
+                            <option key={id} value={id}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Job cluster
+                    <select value={jobCluster} onChange={(e) => setJobCluster(e.target.value)}>
+                        <option value="">Any</option>
+                        {jobClusterOptions.map(cluster => (
+                            <option key={cluster} value={cluster}>{cluster}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Seniority
+                    <select value={seniority} onChange={(e) => setSeniority(e.target.value)}>
+                        <option value="">Any</option>
+                        {seniorityOptions.map(level => (
+                            <option key={level} value={level}>{level}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {suggestions.length === 0 ? (
+                <div className="candidate-empty">No team members match{role ? ` role ${role}` : ''}</div>
+            ) : (
+                <ol className="candidate-list">
+                    {suggestions.map(candidate => (
+                        <li key={candidate.memberId} className="candidate-item">
+                            <div className="candidate-summary">
+                                <span className="candidate-score" title="Match score">{candidate.score}</span>
+                                <span className="candidate-name">{candidate.fullName}</span>
+                                <span className="candidate-role">{candidate.role}</span>
+                                <span className="candidate-free">{candidate.freeMDs.toFixed(1)} MD free</span>
+                                <Button variant="primary" size="small" onClick={() => onSelect(candidate.memberId, candidate.role)}>
+                                    Select
+                                </Button>
+                            </div>
+                            <ul className="candidate-reasons">
+                                {candidate.reasons.map((reason, index) => (
+                                    <li key={index} className={reason.kind}>{reason.text}</li>
+                                ))}
+                            </ul>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default CandidateSuggestions;
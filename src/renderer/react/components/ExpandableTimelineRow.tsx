@@ -9,6 +9,7 @@
  * - Inline editing with auto-save
  * - Overflow capacity validation
  * - Persistent expansion state (localStorage)
+ * - Change history per member and per allocation (audit log)
  */
 
 import React, { useState, useEffect, useMemo, useRef } from 'react';
@@ -17,6 +18,8 @@ import ConfirmDialog from './ConfirmDialog';
 import type { ConfirmDialogState } from './ConfirmDialog';
 import TimelineMonthCell from './TimelineMonthCell';
 import AvailableCapacityRow from './AvailableCapacityRow';
+import AllocationHistoryModal from './AllocationHistoryModal';
+import type { AllocationAuditFilter } from '../actions/AllocationAuditActions';
 import PhaseBreakdownHeader from './PhaseBreakdownHeader';
 import type { TimelineMonth, TimelineMemberCapacity } from '../hooks/useCapacityTimeline';
 import '../../styles/capacity-modern.css';
@@ -101,6 +104,9 @@ export const ExpandableTimelineRow: React.FC<ExpandableTimelineRowProps> = ({
     // Confirm dialog state (replaces window.confirm)
     const [confirmDialog, setConfirmDialog] = useState<ConfirmDialogState | null>(null);
 
+    // Change history modal (whole member or one allocation)
+    const [historyView, setHistoryView] = useState<{ title: string; filter: AllocationAuditFilter } | null>(null);
+
     // Sync refs with state (for cleanup useEffect)
     useEffect(() => {
         isMemberExpandedRef.current = isMemberExpanded;
@@ -682,6 +688,14 @@ export const ExpandableTimelineRow: React.FC<ExpandableTimelineRowProps> = ({
             {/* Column 2: Actions - Sticky */}
             <div className="capacity-modern-member-actions">
                 <i className="fas fa-user-circle" title={member.fullName}></i>
+                <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => setHistoryView({ title: member.fullName, filter: { memberId: member.id } })}
+                    title="Allocation change history"
+                    aria-label="Allocation change history"
+                    icon={<i className="fas fa-history" />}
+                />
             </div>
 
             {/* Column 3: Total MDs - Sticky */}
@@ -766,6 +780,22 @@ export const ExpandableTimelineRow: React.FC<ExpandableTimelineRowProps> = ({
                             icon={<i className="fas fa-edit" />}
                         />
 
+                        {/* History Button */}
+                        <Button
+                            variant="secondary"
+                            size="small"
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                setHistoryView({
+                                    title: `${project.projectName} (${member.fullName})`,
+                                    filter: { allocationId: project.allocationId }
+                                });
+                            }}
+                            title="Change history"
+                            aria-label="Change history"
+                            icon={<i className="fas fa-history" />}
+                        />
+
                         {/* Delete Button */}
                         <Button
                             variant="danger"
@@ -961,6 +991,14 @@ export const ExpandableTimelineRow: React.FC<ExpandableTimelineRowProps> = ({
                     onCancel={() => setConfirmDialog(null)}
                 />
             )}
+
+            {historyView && (
+                <AllocationHistoryModal
+                    title={historyView.title}
+                    filter={historyView.filter}
+                    onClose={() => setHistoryView(null)}
+                />
+            )}
         </>
     );
 };
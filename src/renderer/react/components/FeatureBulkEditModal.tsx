@@ -0,0 +1,182 @@
+/**
+ * Feature Bulk Edit Modal
+ *
+ * Applies the same changes to the features selected in the table: category
+ * and feature type, supplier, expertise, risk margin, and real man days
+ * scaled by a percentage. Empty fields are left unchanged. The preview lists
+ * the man days and cost of each feature before and after, with the totals
+ * delta, before anything is applied.
+ *
+ * Integrates with:
+ * - FeatureBulkActions for the preview and the single store update
+ * - FeatureManager, which owns the selection and opens it
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import Button from './Button';
+import { useFeatureActions } from '../hooks/useFeatureActions';
+import { featureBulkActions } from '../actions/FeatureBulkActions';
+import type { BulkFeatureChanges } from '../actions/FeatureBulkActions';
+import '../../styles/feature-bulk-edit.css';
+
+interface FeatureBulkEditModalProps {
+  featureIds: string[];
+  onApplied: (message: string) => void;
+  onClose: () => void;
+}
+
+const formatCost = (value: number): string => `€${Math.round(value).toLocaleString()}`;
+const formatManDays = (value: number): string => `${parseFloat(value.toFixed(1))}`;
+const formatDelta = (value: number, format: (value: number) => string): string =>
+  `${value > 0 ? '+' : value < 0 ? '-' : '±'}${format(Math.abs(value))}`;
+
+// Empty inputs leave the field unchanged
+const parseOptionalNumber = (value: string): number | undefined => (value.trim() === '' ? undefined : parseFloat(value));
+
+const FeatureBulkEditModal: React.FC<FeatureBulkEditModalProps> = ({ featureIds, onApplied, onClose }) => {
+  const { getFilterOptions } = useFeatureActions();
+  const [options, setOptions] = useState<{ categories: any[]; suppliers: any[] }>({ categories: [], suppliers: [] });
+  const [category, setCategory] = useState('');
+  const [featureType, setFeatureType] = useState('');
+  const [supplier, setSupplier] = useState('');
+  const [expertise, setExpertise] = useState('');
+  const [riskMargin, setRiskMargin] = useState('');
+  const [realManDaysPercent, setRealManDaysPercent] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    getFilterOptions()
+      .then(loaded => setOptions({ categories: loaded.categories || [], suppliers: loaded.suppliers || [] }))
+      .catch(err => console.error('Failed to load filter options:', err));
+  }, [getFilterOptions]);
+
+  const changes: BulkFeatureChanges = useMemo(() => ({
+    category: category || undefined,
+    featureType: featureType || undefined,
+    supplier: supplier || undefined,
+    expertise: parseOptionalNumber(expertise),
+    riskMargin: parseOptionalNumber(riskMargin),
+    realManDaysPercent: parseOptionalNumber(realManDaysPercent)
+  }), [category, featureType, supplier, expertise, riskMargin, realManDaysPercent]);
+
+  const hasChanges = Object.values(changes).some(value => value !== undefined);
+  const problem = featureBulkActions.validateChanges(changes);
+  const preview = useMemo(() => featureBulkActions.previewBulkEdit(featureIds, changes), [featureIds, changes]);
+  const featureTypes = options.categories.find(item => item.id === category)?.featureTypes || [];
+
+  const handleApply = () => {
+    setError(null);
+    try {
+      const applied = featureBulkActions.applyBulkEdit(featureIds, changes);
+      onApplied(`${applied.rows.length} feature(s) updated`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update the features');
+    }
+  };
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Edit {featureIds.length} Feature(s)</h3>
+          <button className="modal-close" onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="bulk-edit-intro">Fields left empty keep the value of each feature.</p>
+
+          <div className="bulk-edit-fields">
+            <div className="form-group">
+              <label htmlFor="bulk-category">Category:</label>
+              <select id="bulk-category" value={category} onChange={e => { setCategory(e.target.value); setFeatureType(''); }}>
+                <option value="">- Keep -</option>
+                {options.categories.map(item => <option key={item.id} value={item.id}>{item.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="bulk-feature-type">Feature Type:</label>
+              <select id="bulk-feature-type" value={featureType} disabled={!category} onChange={e => setFeatureType(e.target.value)}>
+                <option value="">{category ? '- Keep if available -' : '- Choose a category first -'}</option>
+                {featureTypes.map((item: any) => <option key={item.id} value={item.id}>{item.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="bulk-supplier">Supplier/Vendor:</label>
+              <select id="bulk-supplier" value={supplier} onChange={e => setSupplier(e.target.value)}>
+                <option value="">- Keep -</option>
+                {options.suppliers.map(vendor => <option key={vendor.id} value={vendor.id}>{vendor.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="bulk-expertise">Expertise (%):</label>
+              <input id="bulk-expertise" type="number" min="1" max="100" placeholder="Keep"
+                value={expertise} onChange={e => setExpertise(e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="bulk-risk-margin">Risk Margin (%):</label>
+              <input id="bulk-risk-margin" type="number" min="0" max="100" placeholder="Keep"
+                value={riskMargin} onChange={e => setRiskMargin(e.target.value)} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="bulk-scale">Scale Real Man Days (±%):</label>
+              <input id="bulk-scale" type="number" min="-99" placeholder="Keep"
+                value={realManDaysPercent} onChange={e => setRealManDaysPercent(e.target.value)} />
+              <small className="form-help">10 adds 10%, -20 removes 20% (three-point estimates are scaled too)</small>
+            </div>
+          </div>
+
+          {(error || (hasChanges && problem)) && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error || problem}
+            </div>
+          )}
+
+          <div className="bulk-edit-totals">
+            <span>Man days: <strong className={preview.manDaysDelta > 0 ? 'increase' : preview.manDaysDelta < 0 ? 'decrease' : ''}>
+              {formatDelta(preview.manDaysDelta, formatManDays)} MD</strong></span>
+            <span>Cost: <strong className={preview.costDelta > 0 ? 'increase' : preview.costDelta < 0 ? 'decrease' : ''}>
+              {formatDelta(preview.costDelta, formatCost)}</strong></span>
+          </div>
+
+          <div className="bulk-edit-preview">
+            <table className="bulk-edit-table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Description</th>
+                  <th>Man Days</th>
+                  <th>Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr key={row.id}>
+                    <td><code>{row.id}</code></td>
+                    <td>
+                      {row.description}
+                      {row.notes.map(note => <div key={note} className="bulk-edit-note">{note}</div>)}
+                    </td>
+                    <td>{formatManDays(row.manDaysBefore)} → {formatManDays(row.manDaysAfter)}</td>
+                    <td>{formatCost(row.costBefore)} → {formatCost(row.costAfter)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button variant="primary" onClick={handleApply} disabled={!!problem} icon={<i className="fas fa-check" />}>
+            Apply to {preview.rows.length} Feature(s)
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeatureBulkEditModal;
@@ -0,0 +1,300 @@
+/**
+ * Feature Import Wizard
+ *
+ * Imports features from an .xlsx or .csv file in four steps: choose the
+ * file, map its columns to the feature fields (with default category and
+ * supplier for the rows that leave them empty), preview the rows with their
+ * errors, and import. The import can be undone from the last step.
+ *
+ * Integrates with:
+ * - FeatureImportActions for parsing, column mapping, fuzzy matching and the import
+ * - FeaturesPage, which opens it from the page header
+ */
+
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import { featureImportActions, IMPORT_FIELDS } from '../actions/FeatureImportActions';
+import type { ColumnMapping, ImportDefaults, ImportResult, ImportSheet } from '../actions/FeatureImportActions';
+import '../../styles/feature-import.css';
+
+interface FeatureImportWizardProps {
+  onClose: () => void;
+}
+
+type WizardStep = 'file' | 'mapping' | 'preview' | 'done';
+
+const ACCEPTED_FILES = '.xlsx,.xls,.csv';
+
+const FeatureImportWizard: React.FC<FeatureImportWizardProps> = ({ onClose }) => {
+  const [step, setStep] = useState<WizardStep>('file');
+  const [fileName, setFileName] = useState('');
+  const [sheets, setSheets] = useState<ImportSheet[]>([]);
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const [mapping, setMapping] = useState<ColumnMapping | null>(null);
+  const [defaults, setDefaults] = useState<ImportDefaults>({});
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const options = useMemo(() => featureImportActions.getDefaultOptions(), []);
+  const sheet = sheets[sheetIndex];
+
+  const preview = useMemo(
+    () => (step === 'preview' && sheet && mapping ? featureImportActions.buildPreview(sheet, mapping, defaults) : null),
+    [step, sheet, mapping, defaults]
+  );
+
+  const selectSheet = (index: number, available: ImportSheet[] = sheets) => {
+    setSheetIndex(index);
+    setMapping(featureImportActions.suggestColumnMapping(available[index]?.headers || []));
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setIsReading(true);
+    setError(null);
+    try {
+      const data = /\.csv$/i.test(file.name) ? await file.text() : await file.arrayBuffer();
+      const workbook = featureImportActions.readWorkbook(data).filter(item => item.headers.length > 0);
+      if (workbook.length === 0) {
+        throw new Error('The file has no rows to import');
+      }
+      setFileName(file.name);
+      setSheets(workbook);
+      selectSheet(0, workbook);
+      setStep('mapping');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to read the file');
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const handleImport = () => {
+    if (!preview) return;
+    setError(null);
+    try {
+      setResult(featureImportActions.importFeatures(preview));
+      setStep('done');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    }
+  };
+
+  const handleUndo = () => {
+    if (featureImportActions.undoLastImport()) {
+      onClose();
+    } else {
+      setError('The import can no longer be undone');
+    }
+  };
+
+  const columnLabel = (column: number | null) =>
+    column === null || !sheet ? '' : sheet.headers[column] || `Column ${column + 1}`;
+
+  const renderFileStep = () => (
+    <div className="feature-import-file">
+      <p className="feature-import-intro">
+        Choose an Excel (.xlsx) or CSV file with one feature per row and a header row. Rows whose ID
+        matches an existing feature update it, the others are added.
+      </p>
+      <label className="feature-import-dropzone">
+        <i className="fas fa-file-import"></i>
+        <span>{isReading ? 'Reading file...' : 'Choose a file'}</span>
+        <input type="file" accept={ACCEPTED_FILES} disabled={isReading}
+          onChange={e => handleFile(e.target.files?.[0])} />
+      </label>
+    </div>
+  );
+
+  const renderMappingStep = () => mapping && sheet && (
+    <div className="feature-import-mapping">
+      <p className="feature-import-intro">
+        <code>{fileName}</code>: {sheet.rows.length} row(s). Check which column holds each field;
+        empty cells of an existing feature keep its current value.
+      </p>
+
+      {sheets.length > 1 && (
+        <div className="form-group">
+          <label htmlFor="feature-import-sheet">Sheet:</label>
+          <select id="feature-import-sheet" value={sheetIndex} onChange={e => selectSheet(parseInt(e.target.value))}>
+            {sheets.map((item, index) => <option key={item.name} value={index}>{item.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      <table className="feature-import-mapping-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Column</th>
+            <th>First Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {IMPORT_FIELDS.map(({ field, label }) => (
+            <tr key={field}>
+              <td>{label}</td>
+              <td>
+                <select value={mapping[field] ?? ''} aria-label={`Column for ${label}`}
+                  onChange={e => setMapping({ ...mapping, [field]: e.target.value === '' ? null : parseInt(e.target.value) })}>
+                  <option value="">- Not imported -</option>
+                  {sheet.headers.map((_, index) => <option key={index} value={index}>{columnLabel(index)}</option>)}
+                </select>
+              </td>
+              <td className="feature-import-sample">{mapping[field] === null ? '' : sheet.rows[0]?.[mapping[field]!]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="feature-import-defaults">
+        <div className="form-group">
+          <label htmlFor="feature-import-default-category">Default Category:</label>
+          <select id="feature-import-default-category" value={defaults.category || ''}
+            onChange={e => setDefaults({ ...defaults, category: e.target.value || undefined })}>
+            <option value="">- None -</option>
+            {options.categories.map(category => <option key={category.id} value={category.id}>{category.name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="feature-import-default-supplier">Default Supplier:</label>
+          <select id="feature-import-default-supplier" value={defaults.supplier || ''}
+            onChange={e => setDefaults({ ...defaults, supplier: e.target.value || undefined })}>
+            <option value="">- None -</option>
+            {options.suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+          </select>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderPreviewStep = () => preview && (
+    <div className="feature-import-preview">
+      <div className="feature-import-counts">
+        <span className="feature-import-count create">{preview.createCount} to add</span>
+        <span className="feature-import-count update">{preview.updateCount} to update</span>
+        <span className="feature-import-count invalid">{preview.errorCount} with errors (skipped)</span>
+        <label className="feature-import-filter">
+          <input type="checkbox" checked={showErrorsOnly} onChange={e => setShowErrorsOnly(e.target.checked)} />
+          Only rows with errors
+        </label>
+      </div>
+
+      <table className="feature-import-preview-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            <th>Action</th>
+            <th>ID</th>
+            <th>Description</th>
+            <th>Category / Type</th>
+            <th>Supplier</th>
+            <th>Real MDs</th>
+            <th>Issues</th>
+          </tr>
+        </thead>
+        <tbody>
+          {preview.rows
+            .filter(row => !showErrorsOnly || row.errors.length > 0)
+            .map(row => (
+              <tr key={row.rowNumber} className={row.errors.length > 0 ? 'invalid' : ''}>
+                <td>{row.rowNumber}</td>
+                <td>
+                  <span className={`feature-import-action ${row.errors.length > 0 ? 'skip' : row.action}`}>
+                    {row.errors.length > 0 ? 'Skip' : row.action === 'create' ? 'Add' : 'Update'}
+                  </span>
+                </td>
+                <td><code>{row.feature.id}</code></td>
+                <td>{row.feature.description}</td>
+                <td>{[row.feature.category, row.feature.featureType].filter(Boolean).join(' / ')}</td>
+                <td>{row.feature.supplier}</td>
+                <td>{row.feature.realManDays || ''}</td>
+                <td>
+                  <ul className="feature-import-issues">
+                    {row.errors.map(message => <li key={message} className="error">{message}</li>)}
+                    {row.notes.map(message => <li key={message} className="note">{message}</li>)}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderDoneStep = () => result && (
+    <div className="feature-import-done">
+      <i className="fas fa-check-circle"></i>
+      <p>
+        {result.created} feature(s) added and {result.updated} updated
+        {result.skipped > 0 && <>, {result.skipped} row(s) with errors skipped</>}.
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large feature-import-wizard">
+        <div className="modal-header">
+          <h3>Import Features</h3>
+          <button className="modal-close" onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <ol className="feature-import-steps">
+            {(['file', 'mapping', 'preview', 'done'] as WizardStep[]).map((item, index) => (
+              <li key={item} className={item === step ? 'active' : ''}>
+                {index + 1}. {{ file: 'File', mapping: 'Columns', preview: 'Preview', done: 'Done' }[item]}
+              </li>
+            ))}
+          </ol>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          {step === 'file' && renderFileStep()}
+          {step === 'mapping' && renderMappingStep()}
+          {step === 'preview' && renderPreviewStep()}
+          {step === 'done' && renderDoneStep()}
+        </div>
+
+        <div className="modal-footer">
+          {step === 'file' && <Button variant="secondary" onClick={onClose}>Cancel</Button>}
+          {step === 'mapping' && (
+            <>
+              <Button variant="secondary" onClick={() => setStep('file')}>Back</Button>
+              <Button variant="primary" onClick={() => setStep('preview')}
+                disabled={!mapping || Object.values(mapping).every(column => column === null)}>Preview</Button>
+            </>
+          )}
+          {step === 'preview' && preview && (
+            <>
+              <Button variant="secondary" onClick={() => setStep('mapping')}>Back</Button>
+              <Button variant="primary" onClick={handleImport} disabled={preview.createCount + preview.updateCount === 0}
+                icon={<i className="fas fa-file-import" />}>
+                Import {preview.createCount + preview.updateCount} Feature(s)
+              </Button>
+            </>
+          )}
+          {step === 'done' && (
+            <>
+              <Button variant="secondary" onClick={handleUndo} disabled={!featureImportActions.canUndoImport()}
+                icon={<i className="fas fa-undo" />}>Undo Import</Button>
+              <Button variant="primary" onClick={onClose}>Close</Button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeatureImportWizard;
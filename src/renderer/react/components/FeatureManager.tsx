@@ -7,6 +7,11 @@ import FeatureTable from './FeatureTable';
 import FeatureModal from './FeatureModal';
 import ConfirmDialog from './ConfirmDialog';
 import type { ConfirmDialogState } from './ConfirmDialog';
+import Button from './Button';
+import FeatureBulkEditModal from './FeatureBulkEditModal';
+import FeatureMoveModal from './FeatureMoveModal';
+import { featureBulkActions } from '../actions/FeatureBulkActions';
+import '../../styles/feature-bulk-edit.css';
 
 interface FeatureManagerProps {
   customFilteredFeatures?: Feature[];
@@ -25,8 +30,11 @@ const FeatureManager: React.FC<FeatureManagerProps> = ({ customFilteredFeatures
     addFeature,
     updateFeature,
     deleteFeature,
+    deleteFeatures,
     duplicateFeature,
+    setFeatureParent,
     openEditModal,
+    openAddChildModal,
     closeModal,
     showSuccessNotification,
     showErrorNotification
@@ -35,6 +43,16 @@ const FeatureManager: React.FC<FeatureManagerProps> = ({ customFilteredFeatures
   // Confirm dialog state (replaces window.confirm)
   const [confirmDialog, setConfirmDialog] = useState<ConfirmDialogState | null>(null);
 
+  // Rows selected for bulk actions, and the bulk modal open on them
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [bulkModal, setBulkModal] = useState<'edit' | 'move' | null>(null);
+
+  // Forget selected features that no longer exist (deleted, moved, other project)
+  useEffect(() => {
+    const existingIds = new Set((currentProject?.features || []).map(feature => feature.id));
+    setSelectedIds(prev => (prev.every(id => existingIds.has(id)) ? prev : prev.filter(id => existingIds.has(id))));
+  }, [currentProject?.features]);
+
   // Track component initialization in navigation state (Pattern State/Actions/Dispatcher)
   useEffect(() => {
     const store = getAppStore();
@@ -63,12 +81,32 @@ const FeatureManager: React.FC<FeatureManagerProps> = ({ customFilteredFeatures
     duplicateFeature(feature);
   };
 
+  const handleAddChild = (parent: Feature) => {
+    try {
+      openAddChildModal(parent);
+    } catch (error) {
+      showErrorNotification(error instanceof Error ? error.message : 'Failed to add the item');
+    }
+  };
+
+  const handleReparent = (featureId: string, parentId: string | null) => {
+    try {
+      setFeatureParent(featureId, parentId);
+      showSuccessNotification(parentId ? `${featureId} moved under ${parentId}` : `${featureId} moved to the top level`);
+    } catch (error) {
+      showErrorNotification(error instanceof Error ? error.message : 'Failed to move the feature');
+    }
+  };
+
   const handleDeleteFeature = (featureId: string) => {
     if (!currentProject?.features) return;
 
+    const hasChildren = currentProject.features.some(f => f.parentId === featureId);
     setConfirmDialog({
       title: 'Delete Feature',
-      message: 'Are you sure you want to delete this feature?',
+      message: hasChildren
+        ? 'Are you sure you want to delete this feature? The items below it move up one level.'
+        : 'Are you sure you want to delete this feature?',
       confirmLabel: 'Delete',
       confirmVariant: 'danger',
       onConfirm: () => {
@@ -82,6 +120,27 @@ const FeatureManager: React.FC<FeatureManagerProps> = ({ customFilteredFeatures
     });
   };
 
+  const handleBulkDelete = () => {
+    const totals = featureBulkActions.getSelectionTotals(selectedIds);
+    setConfirmDialog({
+      title: 'Delete Features',
+      message: `Delete ${totals.count} feature(s)? The estimate goes down by ${totals.manDays} MD (€${Math.round(totals.cost).toLocaleString()}).`,
+      confirmLabel: 'Delete',
+      confirmVariant: 'danger',
+      onConfirm: () => {
+        const deleted = deleteFeatures(selectedIds);
+        showSuccessNotification(`${deleted} feature(s) deleted successfully`);
+        setSelectedIds([]);
+        setConfirmDialog(null);
+      }
+    });
+  };
+
+  const handleBulkDone = (message: string) => {
+    setBulkModal(null);
+    showSuccessNotification(message);
+  };
+
   const handleSaveFeature = (featureData: any) => {
     try {
       const now = new Date().toISOString();
@@ -145,13 +204,55 @@ const FeatureManager: React.FC<FeatureManagerProps> = ({ customFilteredFeatures
 
   return (
     <div className="feature-manager">
+      {selectedIds.length > 0 && (
+        <div className="bulk-actions-bar">
+          <span className="bulk-actions-count">
+            {selectedIds.length} selected
+            <span className="bulk-actions-totals"> · {featureBulkActions.getSelectionTotals(selectedIds).manDays} MD</span>
+          </span>
+          <Button variant="secondary" size="small" onClick={() => setBulkModal('edit')} icon={<i className="fas fa-edit" />}>
+            Edit
+          </Button>
+          <Button variant="secondary" size="small" onClick={() => setBulkModal('move')} icon={<i className="fas fa-file-export" />}>
+            Move to Project
+          </Button>
+          <Button variant="danger" size="small" onClick={handleBulkDelete} icon={<i className="fas fa-trash" />}>
+            Delete
+          </Button>
+          <Button variant="secondary" size="small" onClick={() => setSelectedIds([])}>
+            Clear Selection
+          </Button>
+        </div>
+      )}
+
       <FeatureTable 
         features={displayFeatures}
         onEdit={handleEditFeature}
         onDelete={handleDeleteFeature}
         onDuplicate={handleDuplicateFeature}
+        selectedIds={selectedIds}
+        onSelectionChange={setSelectedIds}
+        allFeatures={currentProject.features || []}
+        onAddChild={handleAddChild}
+        onReparent={handleReparent}
       />
 
+      {bulkModal === 'edit' && (
+        <FeatureBulkEditModal
+          featureIds={selectedIds}
+          onApplied={handleBulkDone}
+          onClose={() => setBulkModal(null)}
+        />
+      )}
+
+      {bulkModal === 'move' && (
+        <FeatureMoveModal
+          featureIds={selectedIds}
+          onMoved={handleBulkDone}
+          onClose={() => setBulkModal(null)}
+        />
+      )}
+
       {featureModalOpen && (
         <FeatureModal
           feature={featureModalEditingItem}
@@ -2,6 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { Feature, useStore } from '../hooks/useStore';
 import { useFeatureActions } from '../hooks/useFeatureActions';
 import Button from './Button';
+import { calculatePertEstimate, hasThreePointEstimate, validateThreePointEstimate } from '../utils/pertEstimation';
+import {
+  canContain,
+  FEATURE_LEVEL_LABELS,
+  FEATURE_LEVELS,
+  FeatureLevel,
+  getDescendantIds,
+  getFeatureLevel,
+  validateFeatureLevel,
+  validateFeatureParent
+} from '../utils/featureHierarchy';
+import '../../styles/pert-estimation.css';
 
 interface FeatureModalProps {
   feature: Feature | null;
@@ -156,6 +168,19 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
     }
   }, [formData.category, formData.featureType, getDefaultManDays]);
 
+  // Real man days follow the PERT expected value of a three-point estimate
+  useEffect(() => {
+    if (!hasThreePointEstimate(formData)) return;
+    const { optimisticManDays = 0, mostLikelyManDays = 0, pessimisticManDays = 0 } = formData;
+    const { expected, standardDeviation } = calculatePertEstimate(optimisticManDays, mostLikelyManDays, pessimisticManDays);
+    setFormData(prev => ({
+      ...prev,
+      realManDays: expected,
+      pertExpectedManDays: expected,
+      pertStandardDeviation: standardDeviation
+    }));
+  }, [formData.optimisticManDays, formData.mostLikelyManDays, formData.pessimisticManDays]);
+
   // Recalculate man days when expertise or risk margin changes
   useEffect(() => {
     const calculated = calculateManDays(
@@ -171,6 +196,23 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
     return Math.round((realManDays * (100 + riskMargin) / expertise) * 10) / 10;
   };
 
+  const isThreePoint = hasThreePointEstimate(formData);
+
+  // Start a three-point estimate from the current real man days, or go back to a single value
+  const toggleThreePoint = (enabled: boolean) => {
+    setFormData(prev => {
+      if (enabled) {
+        const realManDays = prev.realManDays || 0;
+        return { ...prev, optimisticManDays: realManDays, mostLikelyManDays: realManDays, pessimisticManDays: realManDays };
+      }
+      const {
+        optimisticManDays, mostLikelyManDays, pessimisticManDays, pertExpectedManDays, pertStandardDeviation, ...rest
+      } = prev;
+      return rest;
+    });
+    setErrors(prev => ({ ...prev, threePoint: '' }));
+  };
+
   const handleInputChange = (field: keyof Feature, value: string | number) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     
@@ -180,6 +222,39 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
     }
   };
 
+  // Hierarchy: the parent must be able to contain the level, and an item cannot go under its own children
+  const level = getFeatureLevel(formData);
+  const projectFeatures = currentProject?.features || [];
+  const descendantIds = isEditing ? getDescendantIds(projectFeatures, feature.id) : [];
+  const parentOptions = projectFeatures.filter(candidate =>
+    candidate.id !== formData.id &&
+    !descendantIds.includes(candidate.id) &&
+    canContain(getFeatureLevel(candidate), level)
+  );
+  // Groups can be estimated through their children only
+  const isGroup = level === 'epic' || descendantIds.length > 0;
+
+  const handleLevelChange = (value: FeatureLevel) => {
+    setFormData(prev => {
+      const parent = projectFeatures.find(candidate => candidate.id === prev.parentId);
+      // Epics are always top-level; drop a parent that cannot contain the new level
+      if (parent && !canContain(getFeatureLevel(parent), value)) {
+        const { parentId: _parentId, ...rest } = prev;
+        return { ...rest, level: value };
+      }
+      return { ...prev, level: value };
+    });
+    setErrors(prev => ({ ...prev, level: '', parentId: '' }));
+  };
+
+  const handleParentChange = (value: string) => {
+    setFormData(prev => {
+      const { parentId: _parentId, ...rest } = prev;
+      return value ? { ...rest, parentId: value } : rest;
+    });
+    setErrors(prev => ({ ...prev, parentId: '' }));
+  };
+
   const validateForm = (): boolean => {
     const newErrors: Record<string, string> = {};
     
@@ -200,6 +275,16 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
       newErrors.description = 'Description is required';
     }
     
+    const otherFeatures = projectFeatures.filter(item => !feature || item.id !== feature.id);
+    const parentProblem = validateFeatureParent(otherFeatures, formData.id || '', level, formData.parentId);
+    if (parentProblem) {
+      newErrors.parentId = parentProblem;
+    }
+    const levelProblem = isEditing ? validateFeatureLevel(projectFeatures, feature.id, level) : null;
+    if (levelProblem) {
+      newErrors.level = levelProblem;
+    }
+    
     if (!formData.category) {
       newErrors.category = 'Category is required';
     }
@@ -208,8 +293,17 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
       newErrors.supplier = 'Supplier/Vendor is required';
     }
     
-    if (!formData.realManDays || formData.realManDays <= 0) {
-      newErrors.realManDays = 'Real Man Days must be greater than 0';
+    if (isThreePoint) {
+      const problem = validateThreePointEstimate(
+        formData.optimisticManDays ?? 0,
+        formData.mostLikelyManDays ?? 0,
+        formData.pessimisticManDays ?? 0
+      );
+      if (problem) {
+        newErrors.threePoint = problem;
+      }
+    } else if (isGroup ? (formData.realManDays ?? 0) < 0 : (!formData.realManDays || formData.realManDays <= 0)) {
+      newErrors.realManDays = isGroup ? 'Real Man Days cannot be negative' : 'Real Man Days must be greater than 0';
     }
     
     if (!formData.expertise || formData.expertise <= 0 || formData.expertise > 100) {
@@ -271,6 +365,42 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
               {errors.description && <span className="error-message">{errors.description}</span>}
             </div>
 
+            {/* Level and Parent Fields */}
+            <div className="form-group">
+              <label htmlFor="feature-level">Level:</label>
+              <select
+                id="feature-level"
+                value={level}
+                onChange={(e) => handleLevelChange(e.target.value as FeatureLevel)}
+                className={errors.level ? 'error' : ''}
+              >
+                {FEATURE_LEVELS.map(option => (
+                  <option key={option} value={option}>{FEATURE_LEVEL_LABELS[option]}</option>
+                ))}
+              </select>
+              {errors.level && <span className="error-message">{errors.level}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="feature-parent">Parent:</label>
+              <select
+                id="feature-parent"
+                value={formData.parentId || ''}
+                onChange={(e) => handleParentChange(e.target.value)}
+                className={errors.parentId ? 'error' : ''}
+                disabled={level === 'epic'}
+              >
+                <option value="">None (top level)</option>
+                {parentOptions.map(option => (
+                  <option key={option.id} value={option.id}>
+                    {option.id} - {FEATURE_LEVEL_LABELS[getFeatureLevel(option)]}: {option.description}
+                  </option>
+                ))}
+              </select>
+              {errors.parentId && <span className="error-message">{errors.parentId}</span>}
+              {isGroup && <small className="form-help">Man days and costs of the children are rolled up into this item</small>}
+            </div>
+
             {/* Category Field */}
             <div className="form-group">
               <label htmlFor="feature-category">Category:</label>
@@ -369,8 +499,70 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
                 </select>
             </div>
 
-            {/* Real Man Days Field */}
+            {/* Three-Point Estimate Toggle */}
             <div className="form-group">
+              <label className="checkbox-label" htmlFor="feature-three-point">
+                <input
+                  type="checkbox"
+                  id="feature-three-point"
+                  checked={isThreePoint}
+                  onChange={(e) => toggleThreePoint(e.target.checked)}
+                />
+                Three-point estimate (PERT)
+              </label>
+              <small className="form-help">Estimate optimistic, most likely and pessimistic man days to track how uncertain the feature is</small>
+            </div>
+
+            {/* Three-Point Estimate Fields */}
+            {isThreePoint && (
+              <div className="form-group">
+                <div className="three-point-fields">
+                  <div>
+                    <label htmlFor="feature-optimistic-man-days">Optimistic:</label>
+                    <input
+                      type="number"
+                      id="feature-optimistic-man-days"
+                      value={formData.optimisticManDays ?? 0}
+                      onChange={(e) => handleInputChange('optimisticManDays', parseFloat(e.target.value) || 0)}
+                      className={errors.threePoint ? 'error' : ''}
+                      min="0.1"
+                      step="0.1"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="feature-most-likely-man-days">Most Likely:</label>
+                    <input
+                      type="number"
+                      id="feature-most-likely-man-days"
+                      value={formData.mostLikelyManDays ?? 0}
+                      onChange={(e) => handleInputChange('mostLikelyManDays', parseFloat(e.target.value) || 0)}
+                      className={errors.threePoint ? 'error' : ''}
+                      min="0.1"
+                      step="0.1"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="feature-pessimistic-man-days">Pessimistic:</label>
+                    <input
+                      type="number"
+                      id="feature-pessimistic-man-days"
+                      value={formData.pessimisticManDays ?? 0}
+                      onChange={(e) => handleInputChange('pessimisticManDays', parseFloat(e.target.value) || 0)}
+                      className={errors.threePoint ? 'error' : ''}
+                      min="0.1"
+                      step="0.1"
+                    />
+                  </div>
+                </div>
+                <small className="form-help">
+                  Expected: {formData.pertExpectedManDays ?? 0} MD (± {formData.pertStandardDeviation ?? 0}) = (Optimistic + 4 × Most Likely + Pessimistic) ÷ 6
+                </small>
+                {errors.threePoint && <span className="error-message">{errors.threePoint}</span>}
+              </div>
+            )}
+
+            {/* Real Man Days Field (calculated for a three-point estimate) */}
+            <div className={`form-group ${isThreePoint ? 'calculated-field' : ''}`}>
               <label htmlFor="feature-real-man-days">Real Man Days:</label>
               <input
                 type="number"
@@ -380,9 +572,14 @@ const FeatureModal: React.FC<FeatureModalProps> = ({ feature, onSave, onClose })
                 className={errors.realManDays ? 'error' : ''}
                 min="0.1"
                 step="0.1"
+                readOnly={isThreePoint}
                 required
               />
-              <small className="form-help">Actual effort needed without considering expertise level</small>
+              <small className="form-help">
+                {isThreePoint
+                  ? 'PERT expected value of the three-point estimate'
+                  : 'Actual effort needed without considering expertise level'}
+              </small>
               {errors.realManDays && <span className="error-message">{errors.realManDays}</span>}
             </div>
 
@@ -0,0 +1,105 @@
+/**
+ * Feature Move Modal
+ *
+ * Moves the features selected in the table to another saved project: they
+ * are appended to that project's file (with a new ID when the ID is already
+ * used there) and removed from the open project, which is left to be saved.
+ *
+ * Integrates with:
+ * - FeatureBulkActions for the list of projects and the move
+ * - FeatureManager, which owns the selection and opens it
+ */
+
+import React, { useEffect, useState } from 'react';
+import Button from './Button';
+import { featureBulkActions } from '../actions/FeatureBulkActions';
+import type { MoveTargetProject } from '../actions/FeatureBulkActions';
+import '../../styles/feature-bulk-edit.css';
+
+interface FeatureMoveModalProps {
+  featureIds: string[];
+  onMoved: (message: string) => void;
+  onClose: () => void;
+}
+
+const formatCost = (value: number): string => `€${Math.round(value).toLocaleString()}`;
+
+const FeatureMoveModal: React.FC<FeatureMoveModalProps> = ({ featureIds, onMoved, onClose }) => {
+  const [targets, setTargets] = useState<MoveTargetProject[] | null>(null);
+  const [targetPath, setTargetPath] = useState('');
+  const [isMoving, setIsMoving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const totals = featureBulkActions.getSelectionTotals(featureIds);
+
+  useEffect(() => {
+    featureBulkActions.listMoveTargets()
+      .then(setTargets)
+      .catch(err => {
+        setTargets([]);
+        setError(err instanceof Error ? err.message : 'Failed to list the projects');
+      });
+  }, []);
+
+  const handleMove = async () => {
+    setIsMoving(true);
+    setError(null);
+    try {
+      const result = await featureBulkActions.moveFeatures(featureIds, targetPath);
+      const renamed = result.renamed.length > 0
+        ? ` (renamed: ${result.renamed.map(item => `${item.from} → ${item.to}`).join(', ')})`
+        : '';
+      onMoved(`${result.moved} feature(s) moved to ${result.targetName}${renamed}. Save this project to keep the change.`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to move the features');
+      setIsMoving(false);
+    }
+  };
+
+  return (
+    <div className="modal active">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h3>Move {featureIds.length} Feature(s)</h3>
+          <button className="modal-close" onClick={onClose} disabled={isMoving}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="bulk-edit-intro">
+            The features are added to the chosen project and removed from this one:
+            <strong className="decrease"> -{totals.manDays} MD, -{formatCost(totals.cost)}</strong>.
+            Features whose ID is already used in the chosen project get a new ID.
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="move-target-project">Move to Project:</label>
+            <select id="move-target-project" value={targetPath} disabled={!targets || isMoving}
+              onChange={e => setTargetPath(e.target.value)}>
+              <option value="">{targets ? (targets.length > 0 ? 'Select a project' : 'No other saved projects') : 'Loading projects...'}</option>
+              {(targets || []).map(target => <option key={target.filePath} value={target.filePath}>{target.name}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onClose} disabled={isMoving}>Cancel</Button>
+          <Button variant="primary" onClick={handleMove} disabled={!targetPath} loading={isMoving}
+            icon={<i className="fas fa-file-export" />}>
+            Move
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FeatureMoveModal;
@@ -2,17 +2,59 @@ import React, { useState, useMemo } from 'react';
 import { Feature } from '../hooks/useStore';
 import { useFeatureActions } from '../hooks/useFeatureActions';
 import Button from './Button';
+import { getEstimateConfidence, hasThreePointEstimate } from '../utils/pertEstimation';
+import { FEATURE_LEVEL_LABELS, getFeatureLevel, validateFeatureParent } from '../utils/featureHierarchy';
+import '../../styles/pert-estimation.css';
+import '../../styles/feature-hierarchy.css';
 
 interface FeatureTableProps {
   features: Feature[];
   onEdit: (feature: Feature) => void;
   onDelete: (featureId: string) => void;
   onDuplicate: (feature: Feature) => void;
+  selectedIds?: string[];
+  onSelectionChange?: (featureIds: string[]) => void;
+  /** All project features: the roll-ups include children hidden by a filter */
+  allFeatures?: Feature[];
+  onAddChild?: (parent: Feature) => void;
+  /** Drag-and-drop reparenting; a null parent moves the feature to the top level */
+  onReparent?: (featureId: string, parentId: string | null) => void;
 }
 
-const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete, onDuplicate }) => {
+const FeatureTable: React.FC<FeatureTableProps> = ({
+  features,
+  onEdit,
+  onDelete,
+  onDuplicate,
+  selectedIds = [],
+  onSelectionChange,
+  allFeatures = features,
+  onAddChild,
+  onReparent
+}) => {
   const featureActions = useFeatureActions();
   const [expandedRows, setExpandedRows] = useState<string[]>([]);
+  const [collapsedIds, setCollapsedIds] = useState<string[]>([]);
+  const [draggedId, setDraggedId] = useState<string | null>(null);
+  const [dropTargetId, setDropTargetId] = useState<string | null>(null);
+
+  // Displayed features in tree order, with the roll-ups of the whole project
+  const treeRows = useMemo(() => featureActions.getFeatureTree(features), [features, featureActions]);
+  const rollUps = useMemo(() => {
+    const byId = new Map<string, { manDays: number; cost: number; descendants: number }>();
+    featureActions.getFeatureTree(allFeatures).forEach(row => byId.set(row.feature.id, row.rollUp));
+    return byId;
+  }, [allFeatures, featureActions]);
+
+  // Rows under a collapsed parent are hidden
+  const visibleRows = useMemo(() => {
+    let hiddenBelowDepth: number | null = null;
+    return treeRows.filter(row => {
+      if (hiddenBelowDepth !== null && row.depth > hiddenBelowDepth) return false;
+      hiddenBelowDepth = row.children > 0 && collapsedIds.includes(row.feature.id) ? row.depth : null;
+      return true;
+    });
+  }, [treeRows, collapsedIds]);
 
   // Memoize resource display strings to prevent infinite loops
   const resourceDisplayStrings = useMemo(() => {
@@ -39,6 +81,70 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
     );
   };
 
+  const toggleCollapsed = (featureId: string) => {
+    setCollapsedIds(prev =>
+      prev.includes(featureId)
+        ? prev.filter(id => id !== featureId)
+        : [...prev, featureId]
+    );
+  };
+
+  // Drag-and-drop reparenting: a row accepts the drop when it can contain the dragged feature
+  const canDropOn = (parentId: string | null): boolean => {
+    if (!draggedId) return false;
+    const dragged = allFeatures.find(feature => feature.id === draggedId);
+    if (!dragged || (dragged.parentId || null) === parentId) return false;
+    return validateFeatureParent(allFeatures, draggedId, getFeatureLevel(dragged), parentId) === null;
+  };
+
+  const handleDragStart = (e: React.DragEvent, featureId: string) => {
+    e.dataTransfer.setData('text/plain', featureId);
+    e.dataTransfer.effectAllowed = 'move';
+    setDraggedId(featureId);
+  };
+
+  const handleDragOver = (e: React.DragEvent, parentId: string | null) => {
+    if (!canDropOn(parentId)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetId(parentId ?? '');
+  };
+
+  const handleDrop = (e: React.DragEvent, parentId: string | null) => {
+    e.preventDefault();
+    const featureId = draggedId;
+    handleDragEnd();
+    if (featureId && parentId !== featureId) {
+      onReparent?.(featureId, parentId);
+    }
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTargetId(null);
+  };
+
+  // Select or unselect one row, or every displayed row
+  const toggleSelection = (featureId: string) => {
+    onSelectionChange?.(
+      selectedIds.includes(featureId)
+        ? selectedIds.filter(id => id !== featureId)
+        : [...selectedIds, featureId]
+    );
+  };
+
+  const allSelected = features.length > 0 && features.every(feature => selectedIds.includes(feature.id));
+  const someSelected = !allSelected && features.some(feature => selectedIds.includes(feature.id));
+
+  const toggleAllSelection = () => {
+    const displayedIds = features.map(feature => feature.id);
+    onSelectionChange?.(
+      allSelected
+        ? selectedIds.filter(id => !displayedIds.includes(id))
+        : [...new Set([...selectedIds, ...displayedIds])]
+    );
+  };
+
   // Format date helper
   const formatDate = (dateString: string) => {
     if (!dateString) return '';
@@ -59,6 +165,25 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
   const formatManDays = (value: number) => {
     return parseFloat(value.toFixed(1));
   };
+
+  const formatCost = (value: number) => `€${Math.round(value).toLocaleString()}`;
+
+  // Confidence badge from the spread of a three-point estimate
+  const renderConfidence = (feature: Feature) => {
+    const confidence = getEstimateConfidence(feature);
+    if (!confidence) {
+      return <span className="confidence-badge confidence-none" title="Single-value estimate">-</span>;
+    }
+    const spread = Math.round(confidence.coefficientOfVariation * 100);
+    return (
+      <span
+        className={`confidence-badge confidence-${confidence.level}`}
+        title={`Optimistic ${feature.optimisticManDays} / Most likely ${feature.mostLikelyManDays} / Pessimistic ${feature.pessimisticManDays} MD`}
+      >
+        {confidence.level.charAt(0).toUpperCase() + confidence.level.slice(1)} ±{spread}%
+      </span>
+    );
+  };
   if (features.length === 0) {
     return (
       <div className="empty-state">
@@ -71,9 +196,30 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
 
   return (
     <div className="feature-table-container">
+      {draggedId && onReparent && (
+        <div
+          className={`hierarchy-root-drop ${dropTargetId === '' ? 'drop-target' : ''} ${canDropOn(null) ? '' : 'disabled'}`}
+          onDragOver={e => handleDragOver(e, null)}
+          onDragLeave={() => setDropTargetId(null)}
+          onDrop={e => handleDrop(e, null)}
+        >
+          <i className="fas fa-level-up-alt"></i> Drop here to move {draggedId} to the top level
+        </div>
+      )}
       <table className="data-table feature-table">
         <thead>
           <tr>
+            {onSelectionChange && (
+              <th className="select-column">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  ref={input => { if (input) input.indeterminate = someSelected; }}
+                  onChange={toggleAllSelection}
+                  aria-label="Select all features"
+                />
+              </th>
+            )}
             <th className="expand-column"></th>
             <th>ID</th>
             <th>Description</th>
@@ -81,15 +227,38 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
             <th>Supplier</th>
             <th>Real MD</th>
             <th>Calculated MD</th>
+            <th>Confidence</th>
             <th>Actions</th>
           </tr>
         </thead>
         <tbody>
-          {features.map((feature) => {
+          {visibleRows.map(({ feature, depth, children }) => {
             const isExpanded = expandedRows.includes(feature.id);
+            const isSelected = selectedIds.includes(feature.id);
+            const isCollapsed = collapsedIds.includes(feature.id);
+            const level = getFeatureLevel(feature);
+            const rollUp = rollUps.get(feature.id);
             return (
               <React.Fragment key={feature.id}>
-                <tr className={`feature-row ${isExpanded ? 'expanded' : ''}`}>
+                <tr
+                  className={`feature-row level-${level} ${isExpanded ? 'expanded' : ''} ${isSelected ? 'selected' : ''} ${draggedId === feature.id ? 'dragging' : ''} ${dropTargetId === feature.id ? 'drop-target' : ''}`}
+                  draggable={!!onReparent}
+                  onDragStart={e => handleDragStart(e, feature.id)}
+                  onDragOver={e => handleDragOver(e, feature.id)}
+                  onDragLeave={() => setDropTargetId(prev => (prev === feature.id ? null : prev))}
+                  onDrop={e => handleDrop(e, feature.id)}
+                  onDragEnd={handleDragEnd}
+                >
+                  {onSelectionChange && (
+                    <td className="select-column">
+                      <input
+                        type="checkbox"
+                        checked={isSelected}
+                        onChange={() => toggleSelection(feature.id)}
+                        aria-label={`Select feature ${feature.id}`}
+                      />
+                    </td>
+                  )}
                   <td className="expand-column">
                     <button
                       className="expand-btn"
@@ -104,7 +273,24 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
                     <code>{feature.id}</code>
                   </td>
               <td className="feature-description">
-                {feature.description}
+                <div className="hierarchy-cell" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                  {children > 0 ? (
+                    <button
+                      className="hierarchy-toggle"
+                      onClick={() => toggleCollapsed(feature.id)}
+                      aria-label={isCollapsed ? `Show the ${children} children of ${feature.id}` : `Hide the children of ${feature.id}`}
+                      aria-expanded={!isCollapsed}
+                    >
+                      <i className={`fas fa-caret-${isCollapsed ? 'right' : 'down'}`}></i>
+                    </button>
+                  ) : (
+                    <span className="hierarchy-toggle-placeholder"></span>
+                  )}
+                  {(level !== 'feature' || depth > 0 || children > 0) && (
+                    <span className={`level-badge level-${level}`}>{FEATURE_LEVEL_LABELS[level]}</span>
+                  )}
+                  <span>{feature.description}</span>
+                </div>
               </td>
               <td className="feature-category">
                 <span className="category-badge">
@@ -119,9 +305,26 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
               </td>
               <td className="feature-calculated-md">
                 <strong>{formatManDays(feature.manDays || 0)}</strong>
+                {rollUp && rollUp.descendants > 0 && (
+                  <div className="hierarchy-rollup" title={`Own estimate plus ${rollUp.descendants} item(s) below`}>
+                    Σ {formatManDays(rollUp.manDays)} MD · {formatCost(rollUp.cost)}
+                  </div>
+                )}
+              </td>
+              <td className="feature-confidence">
+                {renderConfidence(feature)}
               </td>
               <td className="feature-actions">
                 <div className="row-actions">
+                  {onAddChild && level !== 'task' && (
+                    <Button
+                      variant="secondary"
+                      size="small"
+                      onClick={() => onAddChild(feature)}
+                      title={`Add ${level === 'epic' ? 'Feature' : 'Task'} Below`}
+                      icon={<i className="fas fa-sitemap" />}
+                    />
+                  )}
                   <Button
                     variant="secondary"
                     size="small"
@@ -150,7 +353,7 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
             {/* Expanded Row */}
             {isExpanded && (
               <tr className="feature-expanded-row">
-                <td colSpan={8} className="expanded-content">
+                <td colSpan={onSelectionChange ? 10 : 9} className="expanded-content">
                   <div className="expanded-detail-grid">
                     <div className="expanded-detail-entry">
                       <span className="expanded-detail-label">Feature Type</span>
@@ -158,6 +361,12 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
                         {featureActions.getFeatureTypeNameById(feature.category, feature.featureType)}
                       </span>
                     </div>
+                    {feature.parentId && (
+                      <div className="expanded-detail-entry">
+                        <span className="expanded-detail-label">Parent</span>
+                        <span className="expanded-detail-value"><code>{feature.parentId}</code></span>
+                      </div>
+                    )}
                     <div className="expanded-detail-entry">
                       <span className="expanded-detail-label">Expertise</span>
                       <span className="expanded-detail-value expertise-value">{formatPercentage(feature.expertise)}</span>
@@ -166,6 +375,15 @@ const FeatureTable: React.FC<FeatureTableProps> = ({ features, onEdit, onDelete,
                       <span className="expanded-detail-label">Risk Margin</span>
                       <span className="expanded-detail-value risk-value">{formatPercentage(feature.riskMargin)}</span>
                     </div>
+                    {hasThreePointEstimate(feature) && (
+                      <div className="expanded-detail-entry">
+                        <span className="expanded-detail-label">Three-Point (O / M / P)</span>
+                        <span className="expanded-detail-value">
+                          {feature.optimisticManDays} / {feature.mostLikelyManDays} / {feature.pessimisticManDays} MD
+                          (σ {feature.pertStandardDeviation ?? 0})
+                        </span>
+                      </div>
+                    )}
                     <div className="expanded-detail-entry">
                       <span className="expanded-detail-label">Created</span>
                       <span className="expanded-detail-value">{formatDate(feature.created)}</span>
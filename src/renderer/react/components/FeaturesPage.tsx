@@ -6,6 +6,7 @@ import FeaturesSearchBar from './FeaturesSearchBar';
 import FeaturesFilters from './FeaturesFilters';
 import FeatureManager from './FeatureManager';
 import FeaturesSummary from './FeaturesSummary';
+import FeatureImportWizard from './FeatureImportWizard';
 
 const FeaturesPage: React.FC = () => {
   const { currentProject } = useStore(state => ({
@@ -19,6 +20,7 @@ const FeaturesPage: React.FC = () => {
   const [categoryFilter, setCategoryFilter] = useState('');
   const [featureTypeFilter, setFeatureTypeFilter] = useState('');
   const [supplierFilter, setSupplierFilter] = useState('');
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   // Filtered features calculation
   const filteredFeatures = useMemo(() => {
@@ -67,6 +69,7 @@ const FeaturesPage: React.FC = () => {
     <div className="features-page">
       <FeaturesPageHeader 
         onAddFeature={handleAddFeature}
+        onImport={() => setIsImportOpen(true)}
       />
 
       <FeaturesSearchBar 
@@ -90,6 +93,10 @@ const FeaturesPage: React.FC = () => {
       <FeaturesSummary 
         filteredFeatures={filteredFeatures}
       />
+
+      {isImportOpen && (
+        <FeatureImportWizard onClose={() => setIsImportOpen(false)} />
+      )}
     </div>
   );
 };
@@ -3,13 +3,21 @@ import Button from './Button';
 
 interface FeaturesPageHeaderProps {
   onAddFeature: () => void;
+  onImport: () => void;
 }
 
-const FeaturesPageHeader: React.FC<FeaturesPageHeaderProps> = ({ onAddFeature }) => {
+const FeaturesPageHeader: React.FC<FeaturesPageHeaderProps> = ({ onAddFeature, onImport }) => {
   return (
     <div className="page-header">
       <h2>Features Management</h2>
       <div className="page-actions">
+        <Button
+          variant="secondary"
+          onClick={onImport}
+          icon={<i className="fas fa-file-import" />}
+        >
+          Import
+        </Button>
         <Button
           variant="primary"
           onClick={onAddFeature}
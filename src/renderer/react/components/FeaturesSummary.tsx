@@ -7,7 +7,7 @@ interface FeaturesSummaryProps {
 }
 
 const FeaturesSummary: React.FC<FeaturesSummaryProps> = ({ filteredFeatures }) => {
-  const { calculateSummary, updateCoverage, resetCoverage } = useFeatureActions();
+  const { calculateSummary, calculateConfidenceTotals, updateCoverage, resetCoverage } = useFeatureActions();
   const { currentProject, coverageIsAutoCalculated } = useStore(state => ({
     currentProject: state.currentProject,
     coverageIsAutoCalculated: state.currentProject?.coverageIsAutoCalculated
@@ -19,6 +19,7 @@ const FeaturesSummary: React.FC<FeaturesSummaryProps> = ({ filteredFeatures }) =
   const allFeatures = currentProject?.features || [];
   const totalSummary = calculateSummary(allFeatures);
   const filteredSummary = calculateSummary(filteredFeatures);
+  const confidenceTotals = calculateConfidenceTotals(allFeatures);
   
   // Combine the correct values
   const summary = {
@@ -87,6 +88,18 @@ const FeaturesSummary: React.FC<FeaturesSummaryProps> = ({ filteredFeatures }) =
         <span>{summary.filteredManDays.toFixed(1)}</span>
       </div>
       
+      {confidenceTotals.threePointCount > 0 && (
+        <div
+          className="summary-item confidence-totals"
+          title={`Total man days at 50/80/90% confidence, from ${confidenceTotals.threePointCount} three-point estimate(s)`}
+        >
+          <label>P50 / P80 / P90:</label>
+          <span>
+            {confidenceTotals.p50.toFixed(1)} / {confidenceTotals.p80.toFixed(1)} / {confidenceTotals.p90.toFixed(1)}
+          </span>
+        </div>
+      )}
+      
       <div className="summary-item coverage-item">
         <label>Coverage:</label>
         <div className="coverage-controls">
@@ -1,7 +1,11 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useFormValidation } from '../hooks/useFormValidation';
 import { ValidationRulesLibrary } from '../utils/validationRules';
+import { projectTemplateActions } from '../actions/ProjectTemplateActions';
+import type { ProjectTemplate } from '../actions/ProjectTemplateActions';
+import type { NewProjectFormData } from '../actions/ProjectsActions';
 import Button from './Button';
+import '../../styles/project-templates.css';
 
 interface FormData {
   code: string;
@@ -12,7 +16,7 @@ interface FormData {
 interface NewProjectModalProps {
   isOpen: boolean;
   onClose: () => void;
-  onCreateProject: (formData: FormData) => Promise<void>;
+  onCreateProject: (formData: NewProjectFormData) => Promise<void>;
 }
 
 const NewProjectModal: React.FC<NewProjectModalProps> = ({
@@ -20,6 +24,12 @@ const NewProjectModal: React.FC<NewProjectModalProps> = ({
   onClose,
   onCreateProject
 }) => {
+  const [templates, setTemplates] = useState<ProjectTemplate[]>([]);
+  const [templateId, setTemplateId] = useState('');
+  const [placeholderValues, setPlaceholderValues] = useState<Record<string, string>>({});
+
+  const template = templates.find(item => item.id === templateId);
+
   // Form validation hook
   const {
     formData,
@@ -60,25 +70,43 @@ const NewProjectModal: React.FC<NewProjectModalProps> = ({
         ValidationRulesLibrary.maxLength(500, 'Description must be less than 500 characters'),
       ],
     },
-    onSuccess: async (values) => {
-      await onCreateProject(values);
-      // Modal will be closed by parent component after successful creation
-    },
   });
 
   // Reset form when modal opens
   useEffect(() => {
     if (isOpen) {
       reset();
+      setTemplateId('');
+      setPlaceholderValues({});
+      projectTemplateActions.loadTemplates()
+        .then(setTemplates)
+        .catch(error => {
+          console.error('Failed to load project templates:', error);
+          setTemplates([]);
+        });
     }
   }, [isOpen]);
 
+  const handleDeleteTemplate = async () => {
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await projectTemplateActions.deleteTemplate(template.id);
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+      setTemplateId('');
+    } catch (error) {
+      console.error('Failed to delete project template:', error);
+    }
+  };
+
   // Handle form submission - project code should be uppercase
+  // (the only place the project is created: the modal is closed by the parent component)
   const handleSubmit = createHandleSubmit(async (values) => {
     // Ensure code is uppercase
     const normalizedValues = {
       ...values,
       code: values.code.toUpperCase(),
+      template,
+      placeholderValues: template ? placeholderValues : undefined,
     };
     await onCreateProject(normalizedValues);
   });
@@ -102,6 +130,38 @@ const NewProjectModal: React.FC<NewProjectModalProps> = ({
 
         <form onSubmit={handleSubmit}>
           <div className="modal-body">
+            {/* Template (Optional) */}
+            {templates.length > 0 && (
+              <div className="form-group">
+                <label htmlFor="project-template">Start From:</label>
+                <div className="template-select-row">
+                  <select
+                    id="project-template"
+                    value={templateId}
+                    disabled={isSubmitting}
+                    onChange={e => setTemplateId(e.target.value)}
+                  >
+                    <option value="">Empty project</option>
+                    {templates.map(item => (
+                      <option key={item.id} value={item.id}>{item.name}</option>
+                    ))}
+                  </select>
+                  {template && (
+                    <button type="button" className="pm-icon-btn pm-icon-btn-danger" title="Delete template"
+                      disabled={isSubmitting} onClick={handleDeleteTemplate}>
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  )}
+                </div>
+                {template && (
+                  <small className="form-help">
+                    {template.description || `Saved from ${template.source.name}`}:
+                    {' '}{template.content.features.length} feature(s), {template.content.assumptions.length} assumption(s)
+                  </small>
+                )}
+              </div>
+            )}
+
             {/* Project Code Field */}
             <div className="form-group">
               <label htmlFor="project-code">Project Code:</label>
@@ -140,6 +200,21 @@ const NewProjectModal: React.FC<NewProjectModalProps> = ({
               )}
             </div>
 
+            {/* Template placeholders */}
+            {template?.placeholders.map(placeholder => (
+              <div className="form-group" key={placeholder}>
+                <label htmlFor={`placeholder-${placeholder}`}>{projectTemplateActions.getPlaceholderLabel(placeholder)}:</label>
+                <input
+                  id={`placeholder-${placeholder}`}
+                  type="text"
+                  placeholder={`Replaces {{${placeholder}}} in the template`}
+                  value={placeholderValues[placeholder] || ''}
+                  disabled={isSubmitting}
+                  onChange={e => setPlaceholderValues(prev => ({ ...prev, [placeholder]: e.target.value }))}
+                />
+              </div>
+            ))}
+
             {/* Description Field (Optional) */}
             <div className="form-group">
               <label htmlFor="project-description">Description (Optional):</label>
@@ -169,7 +169,7 @@ const ProjectItem: React.FC<ProjectItemProps> = ({
           variant="danger"
           size="small"
           onClick={() => handleAction('delete')}
-          title="Delete Project"
+          title="Move Project to Trash"
           icon={<i className="fas fa-trash" />}
         />
       </div>
@@ -7,6 +7,9 @@ import Button from './Button';
 import ApprovalStatusIcon from './ApprovalStatusIcon';
 import NewProjectModal from './NewProjectModal';
 import LoadProjectModal from './LoadProjectModal';
+import RestoreBackupModal from './RestoreBackupModal';
+import SaveTemplateModal from './SaveTemplateModal';
+import TrashModal from './TrashModal';
 
 type SortField = 'name' | 'modified' | 'size' | 'version';
 type SortDirection = 'asc' | 'desc';
@@ -41,6 +44,9 @@ const ProjectManager: React.FC = () => {
   const [sortField, setSortField] = useState<SortField>('modified');
   const [sortDirection, setSortDirection] = useState<SortDirection>('desc');
   const [currentPage, setCurrentPage] = useState(1);
+  const [backupProject, setBackupProject] = useState<SavedProject | null>(null);
+  const [templateSource, setTemplateSource] = useState<any>(null);
+  const [showTrash, setShowTrash] = useState(false);
 
   const { currentProject, isDirty } = useStore(state => ({
     currentProject: state.currentProject,
@@ -49,7 +55,7 @@ const ProjectManager: React.FC = () => {
 
   const {
     createProject, loadRecentProject, loadProjectFromFile,
-    saveProject, closeProject, deleteProject, exportProject,
+    saveProject, closeProject, deleteProject, exportProject, importProject, validateProjectFile,
     handleUnsavedChanges
   } = useProjectActions();
 
@@ -72,6 +78,13 @@ const ProjectManager: React.FC = () => {
     return cleanup;
   }, [loadSavedProjects]);
 
+  // Live updates when project files are added, changed or deleted on disk
+  useEffect(() => {
+    return projectActions.setupProjectsFolderListener(change => {
+      setSavedProjects(prev => projectActions.applyProjectsFolderChange(prev, change));
+    });
+  }, []);
+
   const recentProjectIds = useMemo(() => {
     try {
       const stored = localStorage.getItem('recent-projects');
@@ -185,6 +198,34 @@ const ProjectManager: React.FC = () => {
     }
   };
 
+  const handleValidateProject = async (filePath?: string) => {
+    try {
+      await validateProjectFile(filePath);
+    } catch (error) {
+      console.error('Failed to validate project file:', error);
+    }
+  };
+
+  // Current project (from the store, with unsaved changes) or a saved one
+  const handleSaveAsTemplate = async (savedProject?: SavedProject) => {
+    try {
+      setTemplateSource(savedProject ? await projectActions.readSavedProject(savedProject.filePath) : currentProject);
+    } catch (error) {
+      console.error('Failed to read project for template:', error);
+    }
+  };
+
+  const handleImportProject = async () => {
+    try {
+      if (!(await handleUnsavedChanges())) return;
+      if (await importProject()) {
+        await loadSavedProjects();
+      }
+    } catch (error) {
+      console.error('Failed to import project:', error);
+    }
+  };
+
   const handleDeleteProject = async (filePath: string) => {
     try {
       await deleteProject(filePath);
@@ -211,6 +252,12 @@ const ProjectManager: React.FC = () => {
         <div className="page-actions">
           <Button variant="secondary" onClick={() => setShowLoadProjectModal(true)}
             icon={<i className="fas fa-folder-open" />}>Load Project</Button>
+          <Button variant="secondary" onClick={handleImportProject}
+            icon={<i className="fas fa-file-import" />}>Import</Button>
+          <Button variant="secondary" onClick={() => handleValidateProject()}
+            icon={<i className="fas fa-clipboard-check" />}>Validate</Button>
+          <Button variant="secondary" onClick={() => setShowTrash(true)}
+            icon={<i className="fas fa-trash-restore" />}>Trash</Button>
           <Button variant="primary" onClick={handleNewProject}
             icon={<i className="fas fa-plus" />}>New Project</Button>
         </div>
@@ -281,6 +328,8 @@ const ProjectManager: React.FC = () => {
             <Button variant={isDirty ? 'primary' : 'secondary'} size="small"
               disabled={!isDirty} onClick={() => saveProject()}
               icon={<i className="fas fa-save" />}>Save</Button>
+            <Button variant="secondary" size="small" onClick={() => handleSaveAsTemplate()}
+              icon={<i className="fas fa-clone" />}>Save as Template</Button>
             <Button variant="secondary" size="small" onClick={() => closeProject()}
               icon={<i className="fas fa-times" />}>Close</Button>
           </div>
@@ -355,11 +404,23 @@ const ProjectManager: React.FC = () => {
                         onClick={() => handleLoadSavedProject(p.filePath)}>
                         <i className="fas fa-folder-open"></i>
                       </button>
-                      <button className="pm-icon-btn" title="Export"
+                      <button className="pm-icon-btn" title="Export bundle (project with its configuration)"
                         onClick={() => handleExportProject(p.filePath)}>
                         <i className="fas fa-download"></i>
                       </button>
-                      <button className="pm-icon-btn pm-icon-btn-danger" title="Delete"
+                      <button className="pm-icon-btn" title="Save as template"
+                        onClick={() => handleSaveAsTemplate(p)}>
+                        <i className="fas fa-clone"></i>
+                      </button>
+                      <button className="pm-icon-btn" title="Validate against the project file schema"
+                        onClick={() => handleValidateProject(p.filePath)}>
+                        <i className="fas fa-clipboard-check"></i>
+                      </button>
+                      <button className="pm-icon-btn" title="Restore from backup"
+                        onClick={() => setBackupProject(p)}>
+                        <i className="fas fa-history"></i>
+                      </button>
+                      <button className="pm-icon-btn pm-icon-btn-danger" title="Move to trash"
                         onClick={() => handleDeleteProject(p.filePath)}>
                         <i className="fas fa-trash"></i>
                       </button>
@@ -402,6 +463,22 @@ const ProjectManager: React.FC = () => {
         onLoadFromFile={handleLoadFromFile}
         onLoadRecentProject={handleLoadRecentProject}
       />
+      {backupProject && (
+        <RestoreBackupModal
+          project={backupProject}
+          onClose={() => setBackupProject(null)}
+          onBeforeRestore={async () => !isCurrentProject(backupProject) || handleUnsavedChanges()}
+        />
+      )}
+      {templateSource && (
+        <SaveTemplateModal
+          projectData={templateSource}
+          onClose={() => setTemplateSource(null)}
+        />
+      )}
+      {showTrash && (
+        <TrashModal onClose={() => setShowTrash(false)} />
+      )}
     </>
   );
 };
@@ -0,0 +1,140 @@
+/**
+ * Project Merge Modal
+ *
+ * Shown when saving a project whose file was changed by someone else after it
+ * was opened. Changes made on only one side are combined automatically; for
+ * each item changed on both sides the user keeps their version or the other
+ * one. The file can also be overwritten with the user's version.
+ *
+ * Integrates with:
+ * - ProjectMergeActions for the merge result and item descriptions
+ * - ProjectBusinessLogic.showMergeDialog, which mounts it
+ */
+
+import React, { useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import { projectMergeActions } from '../actions/ProjectMergeActions';
+import type { MergeSide, ProjectMergeResult } from '../actions/ProjectMergeActions';
+import type { ProjectLockInfo } from '../utils/electronBridge';
+import '../../styles/project-merge.css';
+
+interface ProjectMergeModalProps {
+  merge: ProjectMergeResult;
+  lockedBy?: ProjectLockInfo | null; // Who has the file open, if known
+  onMerge: (resolutions: Record<string, MergeSide>) => void;
+  onOverwrite: () => void;
+  onCancel: () => void;
+}
+
+const SECTION_LABELS = {
+  features: 'Feature',
+  assumptions: 'Assumption',
+  phases: 'Phase'
+};
+
+const ProjectMergeModal: React.FC<ProjectMergeModalProps> = ({ merge, lockedBy, onMerge, onOverwrite, onCancel }) => {
+  const [resolutions, setResolutions] = useState<Record<string, MergeSide>>({});
+  const [confirmOverwrite, setConfirmOverwrite] = useState(false);
+
+  const unresolved = merge.conflicts.filter(conflict => !resolutions[conflict.key]).length;
+
+  const resolve = (key: string, side: MergeSide) => {
+    setResolutions(prev => ({ ...prev, [key]: side }));
+  };
+
+  const resolveAll = (side: MergeSide) => {
+    setResolutions(Object.fromEntries(merge.conflicts.map(conflict => [conflict.key, side])));
+  };
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Project Changed by Someone Else</h3>
+          <button className="modal-close" onClick={onCancel}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="merge-intro">
+            The project file was saved by {lockedBy ? <strong>{lockedBy.user} ({lockedBy.host})</strong> : 'someone else'} after
+            you opened it. {merge.myChanges} change(s) of yours and {merge.theirChanges} of theirs were found;
+            {merge.conflicts.length === 0
+              ? ' they do not overlap and can be combined.'
+              : ` ${merge.conflicts.length} item(s) were changed on both sides: choose which version to keep.`}
+          </p>
+
+          {merge.conflicts.length > 0 && (
+            <>
+              <div className="merge-bulk-actions">
+                <Button variant="secondary" size="small" onClick={() => resolveAll('mine')}>Keep all mine</Button>
+                <Button variant="secondary" size="small" onClick={() => resolveAll('theirs')}>Keep all theirs</Button>
+              </div>
+
+              <table className="merge-table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Mine</th>
+                    <th>Theirs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merge.conflicts.map(conflict => (
+                    <tr key={conflict.key}>
+                      <td>
+                        <span className="merge-section">{SECTION_LABELS[conflict.section]}</span> {conflict.label}
+                      </td>
+                      {(['mine', 'theirs'] as MergeSide[]).map(side => (
+                        <td key={side}>
+                          <label className={`merge-choice ${resolutions[conflict.key] === side ? 'selected' : ''}`}>
+                            <input
+                              type="radio"
+                              name={conflict.key}
+                              checked={resolutions[conflict.key] === side}
+                              onChange={() => resolve(conflict.key, side)}
+                            />
+                            {projectMergeActions.describeItem(conflict.section, conflict[side])}
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+          <Button variant="danger" onClick={() => setConfirmOverwrite(true)}>Overwrite with Mine</Button>
+          <Button
+            variant="primary"
+            onClick={() => onMerge(resolutions)}
+            disabled={unresolved > 0}
+            title={unresolved > 0 ? `${unresolved} conflict(s) to resolve` : undefined}
+            icon={<i className="fas fa-code-branch" />}
+          >
+            Save Merged
+          </Button>
+        </div>
+      </div>
+
+      {confirmOverwrite && (
+        <ConfirmDialog
+          title="Overwrite Project File"
+          message="Save your version over the file? The other changes are discarded (the file is kept in the project backups)."
+          confirmLabel="Overwrite"
+          confirmVariant="danger"
+          onConfirm={onOverwrite}
+          onCancel={() => setConfirmOverwrite(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProjectMergeModal;
@@ -0,0 +1,244 @@
+/**
+ * Resource Leveling Modal
+ *
+ * Two-step dialog opened from the Resource Overview:
+ * 1. Set each project's priority and whether its deadline is fixed
+ * 2. Preview the proposed moves (diff) and apply them all at once
+ *
+ * Integrates with:
+ * - ResourceLevelingActions for the leveling algorithm and apply
+ * - TeamHelpers for member names in the preview
+ */
+
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import { ResourceLevelingActions } from '../actions/ResourceLevelingActions';
+import { getTeamHelpers } from '../utils/electronBridge';
+import type { LevelingPlan, LevelingProjectSettings, ProjectPriority } from '../types/allocation';
+import '../../styles/resource-leveling.css';
+
+interface ResourceLevelingModalProps {
+    onClose: () => void;
+}
+
+export const ResourceLevelingModal: React.FC<ResourceLevelingModalProps> = ({ onClose }) => {
+    const levelingActions = useMemo(() => new ResourceLevelingActions(), []);
+
+    const [projectSettings, setProjectSettings] = useState<LevelingProjectSettings[]>(() => levelingActions.getProjectSettings());
+    const [plan, setPlan] = useState<LevelingPlan | null>(null);
+    const [isApplying, setIsApplying] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const updateProject = (projectId: string, updates: Partial<LevelingProjectSettings>) => {
+        setProjectSettings(settings => settings.map(project => project.projectId === projectId ? { ...project, ...updates } : project));
+    };
+
+    const handlePropose = () => {
+        try {
+            setError(null);
+            setPlan(levelingActions.proposeLevelingPlan(projectSettings));
+        } catch (err) {
+            console.error('Error leveling allocations:', err);
+            setError(err instanceof Error ? err.message : 'Failed to level allocations');
+        }
+    };
+
+    const handleApply = async () => {
+        if (!plan) return;
+
+        setIsApplying(true);
+        const result = await levelingActions.applyLevelingPlan(plan);
+        setIsApplying(false);
+
+        if (result.success) {
+            onClose();
+        } else {
+            setError(result.error || 'Failed to apply leveling plan');
+        }
+    };
+
+    const getMemberName = (memberId: string): string => {
+        return getTeamHelpers()?.getTeamMemberFullName(memberId) || memberId;
+    };
+
+    const formatMonth = (month: string | null): string => {
+        if (!month) return '-';
+        return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    };
+
+    const renderSettings = () => (
+        <>
+            <p className="leveling-intro">
+                Leveling resolves over-allocated months from today on: work is first reassigned to members with
+                the same role and free capacity, then shifted to later months. Lower priority projects move first
+                and nothing is shifted past a fixed deadline.
+            </p>
+
+            {projectSettings.length === 0 ? (
+                <div className="leveling-empty">No allocations to level</div>
+            ) : (
+                <table className="leveling-table">
+                    <thead>
+                        <tr>
+                            <th>Project</th>
+                            <th>Priority</th>
+                            <th>Last planned month</th>
+                            <th>Fixed deadline</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {projectSettings.map(project => (
+                            <tr key={project.projectId}>
+                                <td>{project.projectName}</td>
+                                <td>
+                                    <select
+                                        className="filter-select"
+                                        value={project.priority}
+                                        onChange={(e) => updateProject(project.projectId, { priority: e.target.value as ProjectPriority })}
+                                        aria-label={`Priority of ${project.projectName}`}
+                                    >
+                                        <option value="high">High</option>
+                                        <option value="medium">Medium</option>
+                                        <option value="low">Low</option>
+                                    </select>
+                                </td>
+                                <td>{formatMonth(project.deadlineMonth)}</td>
+                                <td>
+                                    <input
+                                        type="checkbox"
+                                        checked={project.fixedDeadline}
+                                        onChange={(e) => updateProject(project.projectId, { fixedDeadline: e.target.checked })}
+                                        aria-label={`Fixed deadline for ${project.projectName}`}
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </>
+    );
+
+    const renderPreview = (levelingPlan: LevelingPlan) => (
+        <>
+            <div className="leveling-summary">
+                <span>
+                    Over-allocated member-months: <strong>{levelingPlan.before.overloadedCells}</strong> → <strong>{levelingPlan.after.overloadedCells}</strong>
+                </span>
+                <span>
+                    Over-allocated MDs: <strong>{levelingPlan.before.overloadMDs.toFixed(1)}</strong> → <strong>{levelingPlan.after.overloadMDs.toFixed(1)}</strong>
+                </span>
+            </div>
+
+            {levelingPlan.moves.length === 0 ? (
+                <div className="leveling-empty">
+                    {levelingPlan.before.overloadedCells === 0
+                        ? 'No over-allocated months: nothing to level'
+                        : 'No free capacity found to resolve the over-allocations'}
+                </div>
+            ) : (
+                <table className="leveling-table">
+                    <thead>
+                        <tr>
+                            <th>Change</th>
+                            <th>Project</th>
+                            <th>From</th>
+                            <th>To</th>
+                            <th>MDs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {levelingPlan.moves.map((move, index) => (
+                            <tr key={`${move.allocationId}-${index}`}>
+                                <td>
+                                    <span className={`leveling-move-type ${move.type}`}>
+                                        {move.type === 'swap' ? 'Reassign' : 'Shift'}
+                                    </span>
+                                </td>
+                                <td>{move.projectName}</td>
+                                <td>{getMemberName(move.fromMemberId)} · {formatMonth(move.fromMonth)}</td>
+                                <td>{getMemberName(move.toMemberId)} · {formatMonth(move.toMonth)}</td>
+                                <td>{move.mds.toFixed(1)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {levelingPlan.unresolved.length > 0 && (
+                <div className="leveling-unresolved">
+                    <i className="fas fa-exclamation-triangle"></i>
+                    <div>
+                        <strong>Still over-allocated:</strong>
+                        <ul>
+                            {levelingPlan.unresolved.map(cell => (
+                                <li key={`${cell.memberId}-${cell.month}`}>
+                                    {getMemberName(cell.memberId)}, {formatMonth(cell.month)}: +{cell.excess.toFixed(1)} MDs
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+
+    return (
+        <div className="modal active">
+            <div className="modal-content large">
+                <div className="modal-header">
+                    <h3>{plan ? 'Review Leveling Plan' : 'Level Resources'}</h3>
+                    <button className="modal-close" onClick={onClose} disabled={isApplying}>
+                        &times;
+                    </button>
+                </div>
+
+                <div className="modal-body">
+                    {error && (
+                        <div className="error-message">
+                            <i className="fas fa-exclamation-triangle"></i>
+                            {error}
+                        </div>
+                    )}
+
+                    {plan ? renderPreview(plan) : renderSettings()}
+                </div>
+
+                <div className="modal-footer">
+                    {plan ? (
+                        <>
+                            <Button variant="secondary" onClick={() => setPlan(null)} disabled={isApplying}>
+                                Back
+                            </Button>
+                            <Button
+                                variant="primary"
+                                onClick={handleApply}
+                                loading={isApplying}
+                                disabled={plan.moves.length === 0}
+                                icon={!isApplying ? <i className="fas fa-check" /> : undefined}
+                            >
+                                Apply {plan.moves.length} Change{plan.moves.length !== 1 ? 's' : ''}
+                            </Button>
+                        </>
+                    ) : (
+                        <>
+                            <Button variant="secondary" onClick={onClose}>
+                                Cancel
+                            </Button>
+                            <Button
+                                variant="primary"
+                                onClick={handlePropose}
+                                disabled={projectSettings.length === 0}
+                                icon={<i className="fas fa-balance-scale" />}
+                            >
+                                Propose Plan
+                            </Button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResourceLevelingModal;
@@ -18,6 +18,7 @@ import { useResourceOverview } from '../hooks/useResourceOverview';
 import ResourceCapacityCard from './ResourceCapacityCard';
 import ResourceFilters from './ResourceFilters';
 import AssignmentModal from './AssignmentModal';
+import ScenarioSwitcher from './ScenarioSwitcher';
 import type { ResourceOverviewMember } from '../hooks/useResourceOverview';
 
 interface ResourceOverviewDashboardProps {
@@ -251,6 +252,9 @@ export const ResourceOverviewDashboard: React.FC<ResourceOverviewDashboardProps>
                 </p>
             </div>
 
+            {/* What-if scenarios */}
+            <ScenarioSwitcher year={parseInt(filters.month.substring(0, 4), 10)} />
+
             {/* Statistics */}
             {renderStats()}
 
@@ -15,9 +15,12 @@
 
 import React, { useState, useMemo } from 'react';
 import Button from './Button';
-import { useResourceOverviewHeatmap } from '../hooks/useResourceOverviewHeatmap';
+import { useResourceOverviewHeatmap, getMemberCalendarName, getMemberWorkingPatternLabel } from '../hooks/useResourceOverviewHeatmap';
 import type { HeatmapMember, HeatmapCell } from '../hooks/useResourceOverviewHeatmap';
 import { ResourceOverviewExportActions } from '../actions/ResourceOverviewExportActions';
+import { CalendarExportActions } from '../actions/CalendarExportActions';
+import ScenarioSwitcher from './ScenarioSwitcher';
+import ResourceLevelingModal from './ResourceLevelingModal';
 import { getCapacityActionsClass, getTeamHelpers, getElectronAPI } from '../utils/electronBridge';
 import '../../styles/capacity-heatmap.css';
 
@@ -51,6 +54,12 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
     // Modal state for drill-down
     const [selectedCell, setSelectedCell] = useState<{ member: HeatmapMember; month: number } | null>(null);
 
+    // Calendar export: one .ics per member or a single combined file
+    const [calendarExportMode, setCalendarExportMode] = useState<'per-member' | 'combined'>('per-member');
+
+    // Resource leveling dialog
+    const [showLevelingModal, setShowLevelingModal] = useState(false);
+
     // Calculate heatmap data for a specific year
     const calculateHeatmapForYear = async (targetYear: number): Promise<any[]> => {
         try {
@@ -112,6 +121,8 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
                     fullName,
                     role: member.role || 'No Role',
                     vendorName: member.vendorName || 'Internal',
+                    holidayCalendar: getMemberCalendarName(member),
+                    workingPattern: getMemberWorkingPatternLabel(member, targetYear),
                     email: member.email || '',
                     months,
                     yearlyAverage
@@ -156,6 +167,37 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
         }
     };
 
+    // Handle export of allocations and vacations to iCalendar (.ics)
+    const handleCalendarExport = async () => {
+        try {
+            const calendarActions = new CalendarExportActions();
+            const files = calendarActions.buildCalendarFiles(
+                members.map(member => member.id),
+                { combined: calendarExportMode === 'combined' }
+            );
+
+            if (files.length === 0) {
+                alert('No team members to export');
+                return;
+            }
+
+            const electronAPI = getElectronAPI();
+            if (!electronAPI) {
+                throw new Error('Electron API not available');
+            }
+            const result = await electronAPI.saveIcsFiles(files);
+
+            if (result.success) {
+                alert(`Calendar export successful!\n${result.filePaths?.length || 0} file(s) saved`);
+            } else if (!result.canceled) {
+                alert(`Calendar export failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Calendar export error:', error);
+            alert(`Calendar export error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        }
+    };
+
     // Month labels
     const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
@@ -234,6 +276,14 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
                     >
                         Refresh
                     </Button>
+                    <Button
+                        variant="secondary"
+                        title="Propose a rebalanced plan for over-allocated months"
+                        icon={<i className="fas fa-balance-scale" />}
+                        onClick={() => setShowLevelingModal(true)}
+                    >
+                        Level Resources
+                    </Button>
                     <Button
                         variant="secondary"
                         title="Export to CSV"
@@ -242,9 +292,29 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
                     >
                         Export
                     </Button>
+                    <select
+                        value={calendarExportMode}
+                        onChange={(e) => setCalendarExportMode(e.target.value as 'per-member' | 'combined')}
+                        className="filter-select"
+                        aria-label="Calendar export mode"
+                    >
+                        <option value="per-member">One .ics per member</option>
+                        <option value="combined">Combined .ics</option>
+                    </select>
+                    <Button
+                        variant="secondary"
+                        title="Export allocations and vacations of the listed members to iCalendar"
+                        icon={<i className="fas fa-calendar-alt" />}
+                        onClick={handleCalendarExport}
+                    >
+                        Calendar
+                    </Button>
                 </div>
             </div>
 
+            {/* What-if scenarios */}
+            <ScenarioSwitcher year={year} />
+
             {/* Search and Filters */}
             <div className="heatmap-filters">
                 {/* Search Box */}
@@ -390,6 +460,16 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
                                             <td className="cell-name">
                                                 <div className="member-name">{member.fullName}</div>
                                                 <div className="member-role">{member.role}</div>
+                                                {member.holidayCalendar && (
+                                                    <div className="member-calendar" title="Holiday calendar">
+                                                        {member.holidayCalendar}
+                                                    </div>
+                                                )}
+                                                {member.workingPattern !== 'Full time' && (
+                                                    <div className="member-calendar" title="Working pattern">
+                                                        {member.workingPattern}
+                                                    </div>
+                                                )}
                                             </td>
                                             {member.months.map((monthData, idx) => (
                                                 <td
@@ -461,6 +541,11 @@ export const ResourceOverviewHeatmap: React.FC<ResourceOverviewHeatmapProps> = (
                 <span className="stat-warning">⚠ <strong>{stats.underUtilizedCount}</strong> under-utilized</span>
             </div>
 
+            {/* Resource Leveling */}
+            {showLevelingModal && (
+                <ResourceLevelingModal onClose={() => setShowLevelingModal(false)} />
+            )}
+
             {/* Drill-down Modal (TODO: implement) */}
             {selectedCell && (
                 <div className="modal-overlay" onClick={() => setSelectedCell(null)}>
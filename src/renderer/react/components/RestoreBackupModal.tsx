@@ -0,0 +1,159 @@
+/**
+ * Restore Backup Modal
+ *
+ * Lists the rotating backups kept for a saved project (newest first) with a
+ * preview of each one's feature count and total cost, and restores the chosen
+ * backup over the project file.
+ */
+
+import React, { useEffect, useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import { ProjectBackup, SavedProject, projectActions } from '../actions/ProjectsActions';
+import '../../styles/project-backups.css';
+
+interface RestoreBackupModalProps {
+  project: SavedProject;
+  onClose: () => void;
+  onBeforeRestore: () => Promise<boolean>; // e.g. resolve unsaved changes; false cancels
+}
+
+const formatDate = (dateString: string): string => {
+  try {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  } catch {
+    return dateString;
+  }
+};
+
+const formatCost = (cost: number): string => `${cost.toLocaleString('en-US', { maximumFractionDigits: 0 })}€`;
+
+const RestoreBackupModal: React.FC<RestoreBackupModalProps> = ({ project, onClose, onBeforeRestore }) => {
+  const [backups, setBackups] = useState<ProjectBackup[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [pendingRestore, setPendingRestore] = useState<ProjectBackup | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    projectActions.listProjectBackups(project.filePath)
+      .then(list => { if (!cancelled) setBackups(list); })
+      .catch(err => { if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load backups'); })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+
+    return () => { cancelled = true; };
+  }, [project.filePath]);
+
+  const handleRestore = async (backup: ProjectBackup) => {
+    setPendingRestore(null);
+    if (!(await onBeforeRestore())) return;
+
+    setIsRestoring(true);
+    setError(null);
+    try {
+      if (await projectActions.restoreProjectBackup(project.filePath, backup.backupPath)) {
+        onClose();
+      } else {
+        setError('Failed to restore backup');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore backup');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const projectName = project.project?.name || project.fileName;
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Restore from Backup: {projectName}</h3>
+          <button className="modal-close" onClick={onClose} disabled={isRestoring}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="backup-intro">
+            A copy of the project is kept every time it is saved. Restoring replaces the saved
+            project with the chosen copy; the current version is backed up first.
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="backup-empty">Loading backups...</div>
+          ) : backups.length === 0 ? (
+            <div className="backup-empty">No backups yet: they are created when the project is saved again</div>
+          ) : (
+            <table className="backup-table">
+              <thead>
+                <tr>
+                  <th>Saved</th>
+                  <th>Version</th>
+                  <th>Features</th>
+                  <th>Total Cost</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {backups.map(backup => (
+                  <tr key={backup.backupPath}>
+                    <td>{formatDate(backup.createdAt)}</td>
+                    <td>{backup.version || '-'}</td>
+                    <td>{backup.featureCount}</td>
+                    <td>
+                      {formatCost(backup.totalCost)}
+                      {backup.costSource === 'features' && (
+                        <span className="backup-cost-source" title="No saved calculations: features MDs x rate">
+                          {' '}(features)
+                        </span>
+                      )}
+                    </td>
+                    <td className="backup-actions">
+                      <Button variant="secondary" size="small" disabled={isRestoring}
+                        onClick={() => setPendingRestore(backup)}
+                        icon={<i className="fas fa-undo" />}>Restore</Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onClose} disabled={isRestoring}>Close</Button>
+        </div>
+      </div>
+
+      {pendingRestore && (
+        <ConfirmDialog
+          title="Restore Backup"
+          message={
+            `Replace "${projectName}" with the backup saved on ${formatDate(pendingRestore.createdAt)}?\n\n` +
+            `${pendingRestore.featureCount} feature(s), total cost ${formatCost(pendingRestore.totalCost)}.`
+          }
+          confirmLabel="Restore"
+          confirmVariant="warning"
+          onConfirm={() => handleRestore(pendingRestore)}
+          onCancel={() => setPendingRestore(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RestoreBackupModal;
@@ -0,0 +1,138 @@
+/**
+ * Save Template Modal
+ *
+ * Saves a project as a reusable template. Texts specific to the project (the
+ * client's name, a system name...) can be replaced by placeholders, which are
+ * asked for when a new project is created from the template.
+ *
+ * Integrates with:
+ * - ProjectTemplateActions for building and storing the template
+ * - ProjectManager, which opens it for the current or a saved project
+ */
+
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import { projectTemplateActions, AUTOMATIC_PLACEHOLDERS } from '../actions/ProjectTemplateActions';
+import type { TemplateReplacement } from '../actions/ProjectTemplateActions';
+import '../../styles/project-templates.css';
+
+interface SaveTemplateModalProps {
+  projectData: any;
+  onClose: () => void;
+}
+
+const SaveTemplateModal: React.FC<SaveTemplateModalProps> = ({ projectData, onClose }) => {
+  const projectName = projectData.project?.name || '';
+  const [name, setName] = useState(`${projectName} template`);
+  const [description, setDescription] = useState('');
+  const [replacements, setReplacements] = useState<TemplateReplacement[]>([{ text: '', placeholder: 'clientName' }]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Placeholders the template will ask for, with the replacements as typed
+  const placeholders = useMemo(() => {
+    try {
+      return projectTemplateActions.createTemplate(projectData, { name: name || 'preview', replacements }).placeholders;
+    } catch {
+      return [];
+    }
+  }, [projectData, name, replacements]);
+
+  const updateReplacement = (index: number, changes: Partial<TemplateReplacement>) => {
+    setReplacements(prev => prev.map((replacement, i) => (i === index ? { ...replacement, ...changes } : replacement)));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await projectTemplateActions.saveAsTemplate(projectData, { name, description, replacements });
+      onClose();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal active">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h3>Save as Template: {projectName}</h3>
+          <button className="modal-close" onClick={onClose} disabled={isSaving}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="template-intro">
+            {projectData.features?.length || 0} feature(s), {projectData.assumptions?.length || 0} assumption(s),
+            the phase effort split, the selected resources and the working package settings are saved.
+            A template with the same name is replaced.
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="template-name">Template Name:</label>
+            <input id="template-name" type="text" value={name} maxLength={100} disabled={isSaving}
+              onChange={e => setName(e.target.value)} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="template-description">Description (Optional):</label>
+            <textarea id="template-description" rows={2} value={description} maxLength={500} disabled={isSaving}
+              onChange={e => setDescription(e.target.value)} />
+          </div>
+
+          <div className="form-group">
+            <label>Placeholders</label>
+            <small className="form-help">
+              Replace a text of this project in feature and assumption texts with a placeholder.
+              {' '}{AUTOMATIC_PLACEHOLDERS.map(placeholder => `{{${placeholder}}}`).join(', ')} are filled automatically.
+            </small>
+            {replacements.map((replacement, index) => (
+              <div className="template-replacement" key={index}>
+                <input type="text" placeholder="Text, e.g. ACME Corp" value={replacement.text} disabled={isSaving}
+                  onChange={e => updateReplacement(index, { text: e.target.value })} />
+                <span className="template-replacement-arrow">→ {'{{'}</span>
+                <input type="text" placeholder="clientName" value={replacement.placeholder} disabled={isSaving}
+                  onChange={e => updateReplacement(index, { placeholder: e.target.value.trim() })} />
+                <span className="template-replacement-arrow">{'}}'}</span>
+                <button className="pm-icon-btn" title="Remove" disabled={isSaving}
+                  onClick={() => setReplacements(prev => prev.filter((_, i) => i !== index))}>
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            ))}
+            <Button variant="secondary" size="small" disabled={isSaving}
+              onClick={() => setReplacements(prev => [...prev, { text: '', placeholder: '' }])}
+              icon={<i className="fas fa-plus" />}>Add Placeholder</Button>
+          </div>
+
+          {placeholders.length > 0 && (
+            <p className="template-placeholders">
+              Asked for when creating a project: {placeholders.map(placeholder => projectTemplateActions.getPlaceholderLabel(placeholder)).join(', ')}
+            </p>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onClose} disabled={isSaving}>Cancel</Button>
+          <Button variant="primary" onClick={handleSave} disabled={!name.trim()} loading={isSaving}
+            icon={<i className="fas fa-clone" />}>
+            Save Template
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveTemplateModal;
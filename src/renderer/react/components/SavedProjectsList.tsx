@@ -42,6 +42,13 @@ const SavedProjectsList: React.FC<SavedProjectsListProps> = ({
     return cleanup;
   }, [loadSavedProjects]);
 
+  // Live updates when project files are added, changed or deleted on disk
+  useEffect(() => {
+    return projectActions.setupProjectsFolderListener(change => {
+      setSavedProjects(prev => projectActions.applyProjectsFolderChange(prev, change));
+    });
+  }, []);
+
   const handleRefresh = async () => {
     setIsLoading(true);
     await projectActions.refreshSavedProjects();
@@ -0,0 +1,256 @@
+/**
+ * Scenario Switcher Component
+ *
+ * What-if planning bar for the Resource Overview pages:
+ * - Switch between baseline and named scenarios (the whole app follows)
+ * - Fork the allocations currently shown into a new scenario
+ * - Compare a scenario's overloads and changed cells against the baseline
+ * - Promote a scenario to baseline or discard it
+ *
+ * Integrates with:
+ * - ScenarioActions for all scenario operations
+ * - TeamHelpers for member names in the comparison
+ */
+
+import React, { useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import type { ConfirmDialogState } from './ConfirmDialog';
+import { useStore } from '../hooks/useStore';
+import { ScenarioActions } from '../actions/ScenarioActions';
+import { getTeamHelpers } from '../utils/electronBridge';
+import type { AllocationScenario, ScenarioComparison } from '../types/allocation';
+import '../../styles/scenario-planning.css';
+
+interface ScenarioSwitcherProps {
+    /** Year used for the baseline comparison */
+    year: number;
+}
+
+export const ScenarioSwitcher: React.FC<ScenarioSwitcherProps> = ({ year }) => {
+    const scenarios = useStore((state: any) => state.allocationScenarios || []) as AllocationScenario[];
+    const activeScenarioId = useStore((state: any) => state.activeScenarioId || null) as string | null;
+
+    const [isCreating, setIsCreating] = useState(false);
+    const [newScenarioName, setNewScenarioName] = useState('');
+    const [error, setError] = useState<string | null>(null);
+    const [comparison, setComparison] = useState<ScenarioComparison | null>(null);
+    const [confirm, setConfirm] = useState<ConfirmDialogState | null>(null);
+
+    const scenarioActions = new ScenarioActions();
+    const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId) || null;
+
+    const handleSwitch = async (scenarioId: string) => {
+        setComparison(null);
+        const result = await scenarioActions.switchScenario(scenarioId || null);
+        setError(result.success ? null : result.error || 'Failed to switch scenario');
+    };
+
+    const handleCreate = async () => {
+        const result = await scenarioActions.createScenario(newScenarioName);
+        if (!result.success || !result.scenario) {
+            setError(result.error || 'Failed to create scenario');
+            return;
+        }
+
+        setIsCreating(false);
+        setNewScenarioName('');
+        await handleSwitch(result.scenario.id);
+    };
+
+    const handleCompare = () => {
+        if (!activeScenarioId) return;
+        setComparison(comparison ? null : scenarioActions.compareScenario(activeScenarioId, year));
+    };
+
+    const handlePromote = () => {
+        if (!activeScenario) return;
+        setConfirm({
+            title: 'Promote Scenario',
+            message: `Replace the baseline allocations with "${activeScenario.name}"?\nThe scenario will be removed and the baseline overwritten.`,
+            confirmLabel: 'Promote',
+            confirmVariant: 'warning',
+            onConfirm: async () => {
+                const result = await scenarioActions.promoteScenario(activeScenario.id);
+                setComparison(null);
+                setError(result.success ? null : result.error || 'Failed to promote scenario');
+            }
+        });
+    };
+
+    const handleDiscard = () => {
+        if (!activeScenario) return;
+        setConfirm({
+            title: 'Discard Scenario',
+            message: `Discard "${activeScenario.name}"? Its allocations will be lost.`,
+            confirmLabel: 'Discard',
+            confirmVariant: 'danger',
+            onConfirm: async () => {
+                const result = await scenarioActions.discardScenario(activeScenario.id);
+                setComparison(null);
+                setError(result.success ? null : result.error || 'Failed to discard scenario');
+            }
+        });
+    };
+
+    const getMemberName = (memberId: string): string => {
+        return getTeamHelpers()?.getTeamMemberFullName(memberId) || memberId;
+    };
+
+    const formatMonth = (month: string): string => {
+        return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    };
+
+    const renderDelta = (baseline: number, scenario: number) => {
+        const delta = scenario - baseline;
+        if (delta === 0) return <span className="scenario-delta neutral">±0</span>;
+        // Fewer overloads is an improvement
+        return <span className={`scenario-delta ${delta < 0 ? 'better' : 'worse'}`}>{delta > 0 ? `+${delta}` : delta}</span>;
+    };
+
+    const renderComparison = () => {
+        if (!comparison) return null;
+
+        return (
+            <div className="scenario-comparison">
+                <div className="scenario-comparison-stats">
+                    <div className="scenario-stat">
+                        <span className="scenario-stat-label">Overloaded member-months ({year})</span>
+                        <span className="scenario-stat-value">
+                            {comparison.baseline.overloadedCells} → {comparison.scenario.overloadedCells}
+                            {renderDelta(comparison.baseline.overloadedCells, comparison.scenario.overloadedCells)}
+                        </span>
+                    </div>
+                    <div className="scenario-stat">
+                        <span className="scenario-stat-label">Overloaded members</span>
+                        <span className="scenario-stat-value">
+                            {comparison.baseline.overloadedMembers} → {comparison.scenario.overloadedMembers}
+                            {renderDelta(comparison.baseline.overloadedMembers, comparison.scenario.overloadedMembers)}
+                        </span>
+                    </div>
+                    <div className="scenario-stat">
+                        <span className="scenario-stat-label">Allocated MDs</span>
+                        <span className="scenario-stat-value">
+                            {comparison.baseline.totalAllocated.toFixed(1)} → {comparison.scenario.totalAllocated.toFixed(1)}
+                        </span>
+                    </div>
+                </div>
+
+                {comparison.changedCells.length === 0 ? (
+                    <div className="scenario-comparison-empty">No allocation differences with the baseline in {year}</div>
+                ) : (
+                    <table className="scenario-comparison-table">
+                        <thead>
+                            <tr>
+                                <th>Member</th>
+                                <th>Month</th>
+                                <th>Capacity</th>
+                                <th>Baseline</th>
+                                <th>Scenario</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparison.changedCells.map(cell => (
+                                <tr key={`${cell.memberId}-${cell.month}`}>
+                                    <td>{getMemberName(cell.memberId)}</td>
+                                    <td>{formatMonth(cell.month)}</td>
+                                    <td>{cell.capacity.toFixed(1)}</td>
+                                    <td className={cell.baseline > cell.capacity ? 'over' : ''}>{cell.baseline.toFixed(1)}</td>
+                                    <td className={cell.scenario > cell.capacity ? 'over' : ''}>{cell.scenario.toFixed(1)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className={`scenario-switcher ${activeScenario ? 'scenario-active' : ''}`}>
+            <div className="scenario-bar">
+                <label className="scenario-label" htmlFor="scenario-select">
+                    <i className="fas fa-flask" /> Scenario
+                </label>
+                <select
+                    id="scenario-select"
+                    className="filter-select"
+                    value={activeScenarioId || ''}
+                    onChange={(e) => handleSwitch(e.target.value)}
+                >
+                    <option value="">Baseline (saved allocations)</option>
+                    {scenarios.map(scenario => (
+                        <option key={scenario.id} value={scenario.id}>{scenario.name}</option>
+                    ))}
+                </select>
+
+                {isCreating ? (
+                    <div className="scenario-create">
+                        <input
+                            type="text"
+                            className="search-input"
+                            placeholder="Scenario name"
+                            value={newScenarioName}
+                            onChange={(e) => setNewScenarioName(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') handleCreate();
+                                if (e.key === 'Escape') setIsCreating(false);
+                            }}
+                            autoFocus
+                            aria-label="Scenario name"
+                        />
+                        <Button variant="primary" size="small" onClick={handleCreate}>Create</Button>
+                        <Button variant="secondary" size="small" onClick={() => setIsCreating(false)}>Cancel</Button>
+                    </div>
+                ) : (
+                    <Button
+                        variant="secondary"
+                        size="small"
+                        icon={<i className="fas fa-code-branch" />}
+                        title="Copy the allocations shown into a new what-if scenario"
+                        onClick={() => { setError(null); setIsCreating(true); }}
+                    >
+                        New Scenario
+                    </Button>
+                )}
+
+                {activeScenario && (
+                    <div className="scenario-actions">
+                        <Button variant="secondary" size="small" icon={<i className="fas fa-columns" />} onClick={handleCompare}>
+                            {comparison ? 'Hide Comparison' : 'Compare with Baseline'}
+                        </Button>
+                        <Button variant="warning" size="small" icon={<i className="fas fa-check" />} onClick={handlePromote}>
+                            Promote
+                        </Button>
+                        <Button variant="danger" size="small" icon={<i className="fas fa-trash" />} onClick={handleDiscard}>
+                            Discard
+                        </Button>
+                    </div>
+                )}
+            </div>
+
+            {activeScenario && (
+                <div className="scenario-notice">
+                    Editing scenario <strong>{activeScenario.name}</strong>: allocation changes are kept in the sandbox until promoted.
+                </div>
+            )}
+
+            {error && <div className="scenario-error">{error}</div>}
+
+            {renderComparison()}
+
+            {confirm && (
+                <ConfirmDialog
+                    title={confirm.title}
+                    message={confirm.message}
+                    confirmLabel={confirm.confirmLabel}
+                    confirmVariant={confirm.confirmVariant}
+                    onConfirm={() => { confirm.onConfirm(); setConfirm(null); }}
+                    onCancel={() => setConfirm(null)}
+                />
+            )}
+        </div>
+    );
+};
+
+export default ScenarioSwitcher;
@@ -0,0 +1,96 @@
+/**
+ * Schema Validation Modal
+ *
+ * Report of the "Validate Project File" command: the kind of file recognised,
+ * the schema upgrade it will get when opened (project files) and every problem
+ * found against the published JSON Schema, with its JSON path.
+ *
+ * Integrates with:
+ * - SchemaValidationActions.validateFile for the result
+ * - ProjectBusinessLogic.showValidationReport, which mounts it
+ */
+
+import React from 'react';
+import Button from './Button';
+import { schemaValidationActions } from '../actions/SchemaValidationActions';
+import type { FileValidationResult } from '../actions/SchemaValidationActions';
+import '../../styles/schema-validation.css';
+
+interface SchemaValidationModalProps {
+  fileName: string;
+  result: FileValidationResult;
+  onClose: () => void;
+}
+
+const SchemaValidationModal: React.FC<SchemaValidationModalProps> = ({ fileName, result, onClose }) => {
+  const migration = result.migration;
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Validate: {fileName}</h3>
+          <button className="modal-close" onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {result.fileType && (
+            <p className="schema-validation-type">
+              {schemaValidationActions.getFileTypeLabel(result.fileType)}
+              {migration && !migration.newerThanSupported && ` (schema version ${migration.fromVersion})`}
+            </p>
+          )}
+
+          {migration?.migrated && (
+            <p className="schema-validation-note">
+              <i className="fas fa-info-circle"></i> Saved with an older format: it is upgraded to schema version {migration.toVersion} when
+              opened, and checked as upgraded.
+            </p>
+          )}
+          {migration?.newerThanSupported && (
+            <p className="schema-validation-note">
+              <i className="fas fa-exclamation-triangle"></i> Saved with a newer version of the application (schema version {migration.fromVersion}):
+              it is checked against the schema of this version.
+            </p>
+          )}
+
+          {result.valid ? (
+            <div className="schema-validation-summary valid">
+              <i className="fas fa-check-circle"></i> No problems found
+            </div>
+          ) : (
+            <>
+              <div className="schema-validation-summary invalid">
+                <i className="fas fa-times-circle"></i> {result.errors.length} problem(s) found
+              </div>
+              <table className="schema-validation-table">
+                <thead>
+                  <tr>
+                    <th>Path</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.errors.map((error, index) => (
+                    <tr key={`${error.path}-${index}`}>
+                      <td className="schema-validation-path">{error.path}</td>
+                      <td>{error.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="primary" onClick={onClose}>Close</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchemaValidationModal;
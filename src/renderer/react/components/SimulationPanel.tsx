@@ -0,0 +1,207 @@
+/**
+ * Simulation Panel
+ *
+ * Monte Carlo simulation of the feature-based estimate on the Calculations
+ * page: samples feature effort (three-point ranges or risk margin), phase
+ * effort splits and vendor rates, then shows the cost / effort histogram
+ * with percentiles and the features contributing most to the cost variance.
+ *
+ * Integrates with:
+ * - SimulationActions, which runs the simulation in a Web Worker
+ */
+
+import React, { useEffect, useState } from 'react';
+import Button from './Button';
+import { simulationActions, SIMULATION_CANCELLED } from '../actions/SimulationActions';
+import type { SimulationResult } from '../actions/SimulationActions';
+import type { DistributionSummary } from '../utils/monteCarloSimulation';
+import SimulationWorker from '../workers/monteCarloSimulation.worker?worker&inline';
+import '../../styles/monte-carlo-simulation.css';
+
+const ITERATION_CHOICES = [1000, 5000, 10000, 20000];
+
+const formatCost = (value: number): string => `€${Math.round(value).toLocaleString()}`;
+const formatManDays = (value: number): string => `${value.toFixed(1)} MD`;
+const formatPercent = (value: number): string => `${Math.round(value * 100)}%`;
+
+const SimulationPanel: React.FC = () => {
+  const [iterations, setIterations] = useState(5000);
+  const [rateVariation, setRateVariation] = useState(10);
+  const [effortSplitVariation, setEffortSplitVariation] = useState(20);
+  const [metric, setMetric] = useState<'cost' | 'effort'>('cost');
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState<SimulationResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // Stop a running simulation when leaving the page
+  useEffect(() => () => simulationActions.cancelSimulation(), []);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setProgress(0);
+    setError(null);
+    try {
+      const simulation = await simulationActions.runSimulation(
+        { iterations, rateVariation: rateVariation / 100, effortSplitVariation: effortSplitVariation / 100 },
+        {
+          createWorker: () => new SimulationWorker(),
+          onProgress: (completed, total) => setProgress(total > 0 ? completed / total : 0)
+        }
+      );
+      setResult(simulation);
+    } catch (err) {
+      if (!(err instanceof Error && err.message === SIMULATION_CANCELLED)) {
+        setError(err instanceof Error ? err.message : 'Simulation failed');
+      }
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const renderHistogram = (summary: DistributionSummary, deterministic: number, format: (value: number) => string) => {
+    const maxCount = Math.max(...summary.histogram.map(bin => bin.count), 1);
+    return (
+      <div className="simulation-histogram" role="img" aria-label={`${metric} distribution histogram`}>
+        {summary.histogram.map((bin, index) => {
+          const isDeterministic = deterministic >= bin.from && (deterministic < bin.to || index === summary.histogram.length - 1);
+          const isAboveP80 = bin.from >= summary.p80;
+          return (
+            <div
+              key={index}
+              className={`simulation-bar ${isAboveP80 ? 'above-p80' : ''} ${isDeterministic ? 'deterministic' : ''}`}
+              style={{ height: `${(bin.count / maxCount) * 100}%` }}
+              title={`${format(bin.from)} - ${format(bin.to)}: ${bin.count} iteration(s)`}
+            />
+          );
+        })}
+      </div>
+    );
+  };
+
+  const summary = result ? result[metric] : null;
+  const deterministic = result ? result.deterministic[metric] : 0;
+  const format = metric === 'cost' ? formatCost : formatManDays;
+
+  return (
+    <div className="simulation-panel">
+      <div className="simulation-header">
+        <h3>Monte Carlo Simulation</h3>
+        <p className="simulation-intro">
+          Samples each feature's effort (three-point range, or its risk margin as the expected overrun),
+          the share of each role in the phases and the vendor rates to show how likely the estimate is to hold.
+        </p>
+      </div>
+
+      <div className="simulation-settings">
+        <div className="form-group">
+          <label htmlFor="simulation-iterations">Iterations:</label>
+          <select id="simulation-iterations" value={iterations} disabled={isRunning}
+            onChange={e => setIterations(parseInt(e.target.value))}>
+            {ITERATION_CHOICES.map(choice => <option key={choice} value={choice}>{choice.toLocaleString()}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="simulation-rate-variation">Rate Variation (±%):</label>
+          <input id="simulation-rate-variation" type="number" min="0" max="50" value={rateVariation} disabled={isRunning}
+            onChange={e => setRateVariation(Math.min(50, Math.max(0, parseFloat(e.target.value) || 0)))} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="simulation-split-variation">Effort Split Variation (±%):</label>
+          <input id="simulation-split-variation" type="number" min="0" max="50" value={effortSplitVariation} disabled={isRunning}
+            onChange={e => setEffortSplitVariation(Math.min(50, Math.max(0, parseFloat(e.target.value) || 0)))} />
+        </div>
+        <div className="simulation-run">
+          {isRunning ? (
+            <>
+              <div className="simulation-progress">
+                <div className="simulation-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <Button variant="secondary" onClick={() => simulationActions.cancelSimulation()}>Cancel</Button>
+            </>
+          ) : (
+            <Button variant="primary" onClick={handleRun} icon={<i className="fas fa-dice" />}>
+              {result ? 'Run Again' : 'Run Simulation'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {result && summary && (
+        <div className="simulation-results">
+          <div className="simulation-metric-toggle">
+            <button className={`mode-btn ${metric === 'cost' ? 'active' : ''}`} onClick={() => setMetric('cost')}
+              aria-pressed={metric === 'cost'}>Cost</button>
+            <button className={`mode-btn ${metric === 'effort' ? 'active' : ''}`} onClick={() => setMetric('effort')}
+              aria-pressed={metric === 'effort'}>Effort</button>
+          </div>
+
+          <div className="simulation-percentiles">
+            {([['P10', summary.p10], ['P50', summary.p50], ['P80', summary.p80], ['P90', summary.p90], ['Mean', summary.mean]] as const)
+              .map(([label, value]) => (
+                <div key={label} className="simulation-percentile">
+                  <span className="simulation-percentile-label">{label}</span>
+                  <span className="simulation-percentile-value">{format(value)}</span>
+                </div>
+              ))}
+            <div className="simulation-percentile">
+              <span className="simulation-percentile-label">Deterministic</span>
+              <span className="simulation-percentile-value">{format(deterministic)}</span>
+              <small>{formatPercent(summary.deterministicConfidence)} confidence</small>
+            </div>
+          </div>
+
+          {renderHistogram(summary, deterministic, format)}
+          <div className="simulation-histogram-axis">
+            <span>{format(summary.min)}</span>
+            <span className="simulation-legend">
+              <span className="simulation-legend-swatch deterministic" /> Deterministic estimate
+              <span className="simulation-legend-swatch above-p80" /> Above P80
+            </span>
+            <span>{format(summary.max)}</span>
+          </div>
+
+          <h4>Largest Contributors to Cost Variance</h4>
+          {result.topContributors.length === 0 ? (
+            <p className="simulation-empty">No feature adds uncertainty: add three-point estimates or risk margins.</p>
+          ) : (
+            <table className="simulation-contributors">
+              <thead>
+                <tr>
+                  <th>Feature</th>
+                  <th>Share of Variance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.topContributors.map(contributor => (
+                  <tr key={contributor.featureId}>
+                    <td><code>{contributor.featureId}</code> {contributor.name}</td>
+                    <td>
+                      <div className="simulation-share">
+                        <div className="simulation-share-bar" style={{ width: formatPercent(contributor.share) }} />
+                        <span>{formatPercent(contributor.share)}</span>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <small className="form-help">
+            {result.iterations.toLocaleString()} iterations (seed {result.seed}). The remaining variance comes from
+            rates, effort splits and the features not listed.
+          </small>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulationPanel;
@@ -6,6 +6,7 @@
  *
  * Features:
  * - Color-coded background based on utilization
+ * - Vacation markers per leave type (holiday, sick, training, other)
  * - Tooltip with detailed capacity info on hover
  * - Click handler for drill-down
  */
@@ -15,6 +16,7 @@ import React, { useState } from 'react';
 interface MonthCapacityData {
     baseWorkingDays: number;
     vacationDays: number;
+    vacationByType?: Record<string, number>;
     existingAllocations: number;
     availableCapacity: number;
     monthlyCapacity: number;
@@ -33,6 +35,15 @@ interface TimelineMonthCellProps {
     onClick?: (month: string, memberName: string, data: MonthCapacityData) => void;
 }
 
+const VACATION_TYPE_STYLES: Array<{ type: string; label: string; color: string }> = [
+    { type: 'holiday', label: 'Vacation', color: '#dcdcaa' },
+    { type: 'sick', label: 'Sick leave', color: '#c586c0' },
+    { type: 'training', label: 'Training', color: '#569cd6' },
+    { type: 'other', label: 'Other leave', color: '#ce9178' }
+];
+
+const formatDays = (days: number): string => `${Number(days.toFixed(2))} ${days === 1 ? 'day' : 'days'}`;
+
 export const TimelineMonthCell: React.FC<TimelineMonthCellProps> = ({
     month,
     monthLabel,
@@ -118,10 +129,19 @@ export const TimelineMonthCell: React.FC<TimelineMonthCellProps> = ({
                         <span style={{ color: 'var(--text-primary)', fontWeight: '600' }}>{data.baseWorkingDays} days</span>
                     </div>
 
-                    {data.vacationDays > 0 && (
+                    {data.vacationByType ? (
+                        VACATION_TYPE_STYLES
+                            .filter(({ type }) => (data.vacationByType?.[type] || 0) > 0)
+                            .map(({ type, label, color }) => (
+                                <div key={type} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                    <span style={{ color: '#858585' }}>{label}:</span>
+                                    <span style={{ color, fontWeight: '600' }}>{formatDays(data.vacationByType![type])}</span>
+                                </div>
+                            ))
+                    ) : data.vacationDays > 0 && (
                         <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                             <span style={{ color: '#858585' }}>Vacation:</span>
-                            <span style={{ color: '#dcdcaa', fontWeight: '600' }}>{data.vacationDays} days</span>
+                            <span style={{ color: '#dcdcaa', fontWeight: '600' }}>{formatDays(data.vacationDays)}</span>
                         </div>
                     )}
 
@@ -206,6 +226,21 @@ export const TimelineMonthCell: React.FC<TimelineMonthCellProps> = ({
             {/* Background with color coding - horizontal fill bar */}
             <div style={getBackgroundStyle()} />
 
+            {/* Leave markers - one dot per leave type in this month */}
+            {data.vacationByType && (
+                <div style={{ position: 'absolute', top: '3px', right: '3px', display: 'flex', gap: '2px', zIndex: 1 }}>
+                    {VACATION_TYPE_STYLES
+                        .filter(({ type }) => (data.vacationByType?.[type] || 0) > 0)
+                        .map(({ type, label, color }) => (
+                            <span
+                                key={type}
+                                title={`${label}: ${formatDays(data.vacationByType![type])}`}
+                                style={{ width: '6px', height: '6px', borderRadius: '50%', backgroundColor: color }}
+                            />
+                        ))}
+                </div>
+            )}
+
             {/* Content */}
             <div style={{
                 position: 'relative',
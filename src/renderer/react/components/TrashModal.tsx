@@ -0,0 +1,178 @@
+/**
+ * Trash Modal
+ *
+ * Lists the deleted projects kept in the trash (most recently deleted first)
+ * with a preview of each one, and restores them to the saved projects or
+ * deletes them permanently. Projects older than the retention period set in
+ * Settings → Storage are purged automatically.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import type { ConfirmDialogState } from './ConfirmDialog';
+import { TrashedProject, projectActions } from '../actions/ProjectsActions';
+import '../../styles/project-backups.css';
+
+interface TrashModalProps {
+  onClose: () => void;
+}
+
+const formatDate = (dateString: string): string => {
+  try {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+  } catch {
+    return dateString;
+  }
+};
+
+const formatCost = (cost: number): string => `${cost.toLocaleString('en-US', { maximumFractionDigits: 0 })}€`;
+
+const TrashModal: React.FC<TrashModalProps> = ({ onClose }) => {
+  const [items, setItems] = useState<TrashedProject[]>([]);
+  const [retentionDays, setRetentionDays] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [confirm, setConfirm] = useState<ConfirmDialogState | null>(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const trash = await projectActions.listTrash();
+      setItems(trash.items);
+      setRetentionDays(trash.retentionDays);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the trash');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadTrash(); }, [loadTrash]);
+
+  const run = async (operation: () => Promise<unknown>, failure: string) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      if (!(await operation())) {
+        setError(failure);
+      }
+      await loadTrash();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : failure);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = (item: TrashedProject) =>
+    run(() => projectActions.restoreFromTrash(item.trashPath), `Failed to restore "${item.projectName || item.fileName}"`);
+
+  const confirmPurge = (item: TrashedProject) => setConfirm({
+    title: 'Delete Permanently',
+    message: `Permanently delete "${item.projectName || item.fileName}"?\n\nThis cannot be undone.`,
+    confirmLabel: 'Delete',
+    confirmVariant: 'danger',
+    onConfirm: () => run(() => projectActions.purgeTrash(item.trashPath), 'Failed to delete the project')
+  });
+
+  const confirmEmpty = () => setConfirm({
+    title: 'Empty Trash',
+    message: `Permanently delete the ${items.length} project(s) in the trash?\n\nThis cannot be undone.`,
+    confirmLabel: 'Empty Trash',
+    confirmVariant: 'danger',
+    onConfirm: () => run(() => projectActions.purgeTrash(), 'Failed to empty the trash')
+  });
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Trash</h3>
+          <button className="modal-close" onClick={onClose} disabled={isWorking}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="backup-intro">
+            Deleted projects are kept here until they are restored or deleted permanently
+            {retentionDays > 0
+              ? `, and purged automatically ${retentionDays} day(s) after deletion (Settings → Storage).`
+              : '. Automatic purge is off (Settings → Storage).'}
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          {isLoading ? (
+            <div className="backup-empty">Loading the trash...</div>
+          ) : items.length === 0 ? (
+            <div className="backup-empty">The trash is empty</div>
+          ) : (
+            <table className="backup-table">
+              <thead>
+                <tr>
+                  <th>Project</th>
+                  <th>Code</th>
+                  <th>Features</th>
+                  <th>Total Cost</th>
+                  <th>Deleted</th>
+                  <th>Purged On</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => (
+                  <tr key={item.trashPath}>
+                    <td>{item.projectName || item.fileName}</td>
+                    <td><code>{item.projectCode || '-'}</code></td>
+                    <td>{item.featureCount}</td>
+                    <td>{formatCost(item.totalCost)}</td>
+                    <td>{formatDate(item.deletedAt)}</td>
+                    <td>{item.expiresAt ? formatDate(item.expiresAt) : '-'}</td>
+                    <td className="backup-actions">
+                      <Button variant="secondary" size="small" disabled={isWorking}
+                        onClick={() => handleRestore(item)}
+                        icon={<i className="fas fa-undo" />}>Restore</Button>
+                      <button className="pm-icon-btn pm-icon-btn-danger" title="Delete permanently"
+                        disabled={isWorking} onClick={() => confirmPurge(item)}>
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="danger" onClick={confirmEmpty} disabled={isWorking || items.length === 0}
+            icon={<i className="fas fa-trash" />}>Empty Trash</Button>
+          <Button variant="secondary" onClick={onClose} disabled={isWorking}>Close</Button>
+        </div>
+      </div>
+
+      {confirm && (
+        <ConfirmDialog
+          title={confirm.title}
+          message={confirm.message}
+          confirmLabel={confirm.confirmLabel}
+          confirmVariant={confirm.confirmVariant}
+          onConfirm={() => { confirm.onConfirm(); setConfirm(null); }}
+          onCancel={() => setConfirm(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TrashModal;
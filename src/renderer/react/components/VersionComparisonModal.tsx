@@ -10,9 +10,22 @@
 import React, { useMemo } from 'react';
 import { useStore } from '../hooks/useStore';
 import { useVersionHistoryActions } from '../hooks/useVersionHistoryActions';
-import { ComparisonData, ComparisonField } from '../actions/VersionHistoryActions';
+import type { FeatureRegrouping } from '../actions/VersionHistoryActions';
+import { FEATURE_LEVEL_LABELS } from '../utils/featureHierarchy';
 import Button from './Button';
 
+// "Moved: E001 → top level", "Level: Feature → Epic" (both when they changed)
+const formatRegrouping = (change: FeatureRegrouping): string => {
+  const parts: string[] = [];
+  if (change.fromParentId !== change.toParentId) {
+    parts.push(`Moved: ${change.fromParentId || 'top level'} → ${change.toParentId || 'top level'}`);
+  }
+  if (change.fromLevel !== change.toLevel) {
+    parts.push(`Level: ${FEATURE_LEVEL_LABELS[change.fromLevel]} → ${FEATURE_LEVEL_LABELS[change.toLevel]}`);
+  }
+  return parts.join(', ');
+};
+
 const VersionComparisonModal: React.FC = () => {
   // Read-only from store - Specific selectors for maximum reactivity
   const modalState = useStore(state => state.versionHistoryData?.modalStates?.compareModal || { isOpen: false, selectedVersion: null });
@@ -302,7 +315,10 @@ const VersionComparisonModal: React.FC = () => {
                         {comparisonData.featureChanges.added.map((feature: any) => (
                           <div key={feature.id} className="change-item added">
                             <span className="change-id">{feature.id}</span>
-                            <span className="change-description">{feature.description}</span>
+                            <span className="change-description">
+                              {feature.description}
+                              {feature.parentId && <span className="change-hierarchy"> (under {feature.parentId})</span>}
+                            </span>
                             <span className="change-impact">+{feature.manDays || 0} MD</span>
                           </div>
                         ))}
@@ -341,13 +357,16 @@ const VersionComparisonModal: React.FC = () => {
                     <div className="change-group features">
                       <h6><i className="fas fa-list-ul"></i> Modified Features ({comparisonData.featureChanges.modified.length})</h6>
                       <div className="change-items">
-                        {comparisonData.featureChanges.modified.map((feature: any) => (
-                          <div key={feature.id} className="change-item modified">
-                            <span className="change-id">{feature.id}</span>
-                            <span className="change-description">{feature.description}</span>
-                            <span className="change-status">Modified</span>
-                          </div>
-                        ))}
+                        {comparisonData.featureChanges.modified.map((feature: any) => {
+                          const regrouping = comparisonData.featureChanges.regrouped.find(change => change.id === feature.id);
+                          return (
+                            <div key={feature.id} className="change-item modified">
+                              <span className="change-id">{feature.id}</span>
+                              <span className="change-description">{feature.description}</span>
+                              <span className="change-status">{regrouping ? formatRegrouping(regrouping) : 'Modified'}</span>
+                            </div>
+                          );
+                        })}
                       </div>
                     </div>
                   )}
@@ -391,7 +410,10 @@ const VersionComparisonModal: React.FC = () => {
                         {comparisonData.featureChanges.removed.map((feature: any) => (
                           <div key={feature.id} className="change-item removed">
                             <span className="change-id">{feature.id}</span>
-                            <span className="change-description">{feature.description}</span>
+                            <span className="change-description">
+                              {feature.description}
+                              {feature.parentId && <span className="change-hierarchy"> (under {feature.parentId})</span>}
+                            </span>
                             <span className="change-impact">-{feature.manDays || 0} MD</span>
                           </div>
                         ))}
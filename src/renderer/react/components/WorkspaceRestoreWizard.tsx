@@ -0,0 +1,230 @@
+/**
+ * Workspace Restore Wizard
+ *
+ * Shows the files of a workspace backup grouped by category, each compared
+ * with the workspace: new (missing locally), identical, or conflict (the local
+ * file differs). New files are selected by default; overwriting a local file
+ * must be chosen explicitly and confirmed. The last step lists what was
+ * restored and offers to reload the application.
+ *
+ * Integrates with:
+ * - WorkspaceBackupActions for grouping, labels and the restore itself
+ * - StorageConfigManager, which opens the backup and mounts it
+ */
+
+import React, { useMemo, useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import { workspaceBackupActions } from '../actions/WorkspaceBackupActions';
+import type { WorkspaceBackupManifest, WorkspaceRestoreResult } from '../actions/WorkspaceBackupActions';
+import '../../styles/workspace-backup.css';
+
+interface WorkspaceRestoreWizardProps {
+  manifest: WorkspaceBackupManifest;
+  onClose: () => void;
+}
+
+const STATUS_LABELS = {
+  new: 'New',
+  identical: 'Identical',
+  conflict: 'Conflict'
+};
+
+const formatDate = (dateString?: string | null): string => {
+  if (!dateString) return '-';
+  try {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric', month: 'short', day: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+  } catch {
+    return dateString;
+  }
+};
+
+const WorkspaceRestoreWizard: React.FC<WorkspaceRestoreWizardProps> = ({ manifest, onClose }) => {
+  const entries = manifest.entries || [];
+  const groups = useMemo(() => workspaceBackupActions.groupEntries(entries), [entries]);
+  const [selected, setSelected] = useState<Set<string>>(() => new Set(workspaceBackupActions.getDefaultSelection(entries)));
+  const [confirmOverwrite, setConfirmOverwrite] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<WorkspaceRestoreResult | null>(null);
+
+  const selectable = entries.filter(entry => entry.status !== 'identical');
+  const overwrites = entries.filter(entry => entry.status === 'conflict' && selected.has(entry.path)).length;
+
+  const toggle = (path: string) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const handleRestore = async () => {
+    setConfirmOverwrite(false);
+    setIsRestoring(true);
+    setError(null);
+    try {
+      setResult(await workspaceBackupActions.restoreBackup(manifest, [...selected]));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore backup');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const describe = (path: string) => {
+    const entry = entries.find(item => item.path === path);
+    return entry ? workspaceBackupActions.describeEntry(entry) : path;
+  };
+
+  if (result) {
+    const restored = result.restored || [];
+    const errors = result.errors || [];
+
+    return (
+      <div className="modal active">
+        <div className="modal-content large">
+          <div className="modal-header">
+            <h3>Workspace Restored</h3>
+            <button className="modal-close" onClick={onClose}>
+              &times;
+            </button>
+          </div>
+
+          <div className="modal-body">
+            <p className="workspace-backup-intro">
+              {restored.length} file(s) restored. Reload the application to use the restored data.
+            </p>
+
+            {errors.length > 0 && (
+              <div className="error-message">
+                <i className="fas fa-exclamation-triangle"></i>
+                {errors.length} file(s) could not be restored:
+                <ul className="workspace-backup-errors">
+                  {errors.map(item => (
+                    <li key={item.path}>{describe(item.path)}: {item.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <Button variant="secondary" onClick={onClose}>Close</Button>
+            <Button variant="primary" onClick={() => window.location.reload()} disabled={restored.length === 0}
+              icon={<i className="fas fa-sync" />}>Reload Now</Button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Restore Workspace Backup</h3>
+          <button className="modal-close" onClick={onClose} disabled={isRestoring}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="workspace-backup-intro">
+            Backup created on {formatDate(manifest.createdAt)}
+            {manifest.projectsPath && <> from <code>{manifest.projectsPath}</code></>}.
+            Choose the files to restore: files marked as conflict replace different local files
+            (overwritten projects are kept in their project backups).
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          <div className="workspace-backup-bulk-actions">
+            <Button variant="secondary" size="small" onClick={() => setSelected(new Set(selectable.map(entry => entry.path)))}>Select all</Button>
+            <Button variant="secondary" size="small" onClick={() => setSelected(new Set(workspaceBackupActions.getDefaultSelection(entries)))}>Only new files</Button>
+            <Button variant="secondary" size="small" onClick={() => setSelected(new Set())}>Select none</Button>
+          </div>
+
+          <table className="workspace-backup-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>File</th>
+                <th>In Backup</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            {groups.map(group => (
+              <tbody key={group.category}>
+                <tr className="workspace-backup-group">
+                  <td colSpan={4}>{group.label}</td>
+                </tr>
+                {group.entries.map(entry => (
+                  <tr key={entry.path}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(entry.path)}
+                        disabled={entry.status === 'identical' || isRestoring}
+                        onChange={() => toggle(entry.path)}
+                      />
+                    </td>
+                    <td>
+                      {workspaceBackupActions.describeEntry(entry)}
+                      <div className="workspace-backup-path">{entry.path}</div>
+                    </td>
+                    <td>{formatDate(entry.modified)}</td>
+                    <td>
+                      <span className={`workspace-backup-status ${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+                      {entry.status === 'conflict' && (
+                        <div className="workspace-backup-path">Local: {formatDate(entry.localModified)}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+
+        <div className="modal-footer">
+          <Button variant="secondary" onClick={onClose} disabled={isRestoring}>Cancel</Button>
+          <Button
+            variant="primary"
+            onClick={() => (overwrites > 0 ? setConfirmOverwrite(true) : handleRestore())}
+            disabled={selected.size === 0}
+            loading={isRestoring}
+            icon={<i className="fas fa-undo" />}
+          >
+            Restore {selected.size} File(s)
+          </Button>
+        </div>
+      </div>
+
+      {confirmOverwrite && (
+        <ConfirmDialog
+          title="Overwrite Local Files"
+          message={`${overwrites} selected file(s) differ from the files in the workspace and will be replaced. Continue?`}
+          confirmLabel="Restore"
+          confirmVariant="warning"
+          onConfirm={handleRestore}
+          onCancel={() => setConfirmOverwrite(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceRestoreWizard;
@@ -0,0 +1,120 @@
+/**
+ * Workspace Switcher
+ *
+ * Title bar menu showing the active workspace, listing the others for a quick
+ * switch and opening the workspaces manager. Switching asks about unsaved
+ * changes, then reloads the application on the new workspace.
+ *
+ * Integrates with:
+ * - WorkspaceActions for listing and switching workspaces
+ * - ProjectsActions for the unsaved changes dialog
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { workspaceActions } from '../actions/WorkspaceActions';
+import type { Workspace } from '../actions/WorkspaceActions';
+import { projectActions } from '../actions/ProjectsActions';
+import { getAppStore } from '../utils/electronBridge';
+import WorkspacesModal from './WorkspacesModal';
+import '../../styles/workspaces.css';
+
+const WorkspaceSwitcher: React.FC = () => {
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState<string | null>(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [showManager, setShowManager] = useState(false);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      const result = await workspaceActions.loadWorkspaces();
+      setWorkspaces(result.workspaces);
+      setActiveWorkspaceId(result.activeWorkspaceId);
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+    }
+  }, []);
+
+  useEffect(() => { loadWorkspaces(); }, [loadWorkspaces]);
+
+  // Close the menu on a click outside it
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (event: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(event.target as Node)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleSwitch = async (workspace: Workspace) => {
+    setIsOpen(false);
+    if (workspace.id === activeWorkspaceId) return;
+
+    if (getAppStore()?.getState().isDirty) {
+      const save = await projectActions.showUnsavedChangesDialog();
+      if (save === null) return;
+      if (save) await projectActions.saveProject();
+    }
+
+    setIsSwitching(true);
+    try {
+      if (await workspaceActions.switchWorkspace(workspace.id)) {
+        window.location.reload();
+        return;
+      }
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+    }
+    setIsSwitching(false);
+  };
+
+  // Nothing to switch between without file system storage
+  if (!activeWorkspaceId) return null;
+
+  const active = workspaces.find(workspace => workspace.id === activeWorkspaceId);
+
+  return (
+    <div className="workspace-switcher" ref={menuRef}>
+      <button className="workspace-switcher-button" onClick={() => setIsOpen(open => !open)}
+        disabled={isSwitching} title={active?.projectsPath}>
+        <i className={isSwitching ? 'fas fa-spinner fa-spin' : 'fas fa-briefcase'}></i>
+        <span className="workspace-switcher-name">{active?.name || 'Workspace'}</span>
+        <i className="fas fa-chevron-down"></i>
+      </button>
+
+      {isOpen && (
+        <div className="workspace-switcher-menu" role="menu">
+          {workspaces.map(workspace => (
+            <button key={workspace.id} role="menuitem"
+              className={`workspace-switcher-item ${workspace.id === activeWorkspaceId ? 'active' : ''}`}
+              onClick={() => handleSwitch(workspace)}>
+              <i className={workspace.id === activeWorkspaceId ? 'fas fa-check' : 'fas fa-folder'}></i>
+              <span>
+                {workspace.name}
+                <small>{workspace.projectsPath}</small>
+              </span>
+            </button>
+          ))}
+          <div className="workspace-switcher-separator"></div>
+          <button role="menuitem" className="workspace-switcher-item"
+            onClick={() => { setIsOpen(false); setShowManager(true); }}>
+            <i className="fas fa-cog"></i>
+            <span>Manage Workspaces...</span>
+          </button>
+        </div>
+      )}
+
+      {showManager && (
+        <WorkspacesModal
+          activeWorkspaceId={activeWorkspaceId}
+          onChanged={loadWorkspaces}
+          onClose={() => setShowManager(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,204 @@
+/**
+ * Workspaces Modal
+ *
+ * Lists the workspaces and adds, edits or removes them. A workspace is a
+ * projects folder with optionally its own global configuration file and
+ * allocations file (by default the ones inside the folder).
+ *
+ * Integrates with:
+ * - WorkspaceActions for validation, storage and the file pickers
+ * - WorkspaceSwitcher, which opens it and refreshes its menu on changes
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import Button from './Button';
+import ConfirmDialog from './ConfirmDialog';
+import { workspaceActions } from '../actions/WorkspaceActions';
+import type { Workspace } from '../actions/WorkspaceActions';
+
+interface WorkspacesModalProps {
+  activeWorkspaceId: string;
+  onChanged: () => void;
+  onClose: () => void;
+}
+
+const EMPTY_WORKSPACE: Partial<Workspace> = { name: '', projectsPath: '', configPath: '', allocationsPath: '' };
+
+const WorkspacesModal: React.FC<WorkspacesModalProps> = ({ activeWorkspaceId, onChanged, onClose }) => {
+  const [workspaces, setWorkspaces] = useState<Workspace[]>([]);
+  const [editing, setEditing] = useState<Partial<Workspace> | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [pendingRemove, setPendingRemove] = useState<Workspace | null>(null);
+
+  const loadWorkspaces = useCallback(async () => {
+    try {
+      setWorkspaces((await workspaceActions.loadWorkspaces()).workspaces);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load workspaces');
+    }
+  }, []);
+
+  useEffect(() => { loadWorkspaces(); }, [loadWorkspaces]);
+
+  const updateEditing = (changes: Partial<Workspace>) => setEditing(prev => ({ ...prev, ...changes }));
+
+  const browse = async (field: 'projectsPath' | 'configPath' | 'allocationsPath') => {
+    const selected = field === 'projectsPath'
+      ? await workspaceActions.chooseFolder()
+      : await workspaceActions.chooseFile(field === 'configPath' ? 'Global Configuration File' : 'Allocations File');
+    if (selected) updateEditing({ [field]: selected });
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      await workspaceActions.saveWorkspace(editing);
+      setEditing(null);
+      await loadWorkspaces();
+      onChanged();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save the workspace');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (workspace: Workspace) => {
+    setPendingRemove(null);
+    setError(null);
+    try {
+      if (await workspaceActions.deleteWorkspace(workspace.id)) {
+        await loadWorkspaces();
+        onChanged();
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to remove the workspace');
+    }
+  };
+
+  const renderPathField = (field: 'projectsPath' | 'configPath' | 'allocationsPath', label: string, placeholder: string) => (
+    <div className="form-group">
+      <label htmlFor={`workspace-${field}`}>{label}</label>
+      <div className="workspace-path-field">
+        <input id={`workspace-${field}`} type="text" value={editing?.[field] || ''} placeholder={placeholder}
+          disabled={isSaving} onChange={e => updateEditing({ [field]: e.target.value })} />
+        <Button variant="secondary" size="small" disabled={isSaving} onClick={() => browse(field)}
+          icon={<i className="fas fa-folder-open" />}>Browse</Button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="modal active">
+      <div className="modal-content large">
+        <div className="modal-header">
+          <h3>Workspaces</h3>
+          <button className="modal-close" onClick={onClose} disabled={isSaving}>
+            &times;
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="workspace-intro">
+            Each workspace has its own projects, recent projects and capacity allocations. Removing a
+            workspace only removes it from this list: its folder and files are left untouched.
+          </p>
+
+          {error && (
+            <div className="error-message">
+              <i className="fas fa-exclamation-triangle"></i>
+              {error}
+            </div>
+          )}
+
+          {editing ? (
+            <div className="workspace-form">
+              <div className="form-group">
+                <label htmlFor="workspace-name">Name:</label>
+                <input id="workspace-name" type="text" value={editing.name || ''} maxLength={100}
+                  placeholder="e.g. ACME Corp" disabled={isSaving}
+                  onChange={e => updateEditing({ name: e.target.value })} />
+              </div>
+              {renderPathField('projectsPath', 'Projects Folder:', 'Folder holding the project files')}
+              {renderPathField('configPath', 'Global Configuration File (Optional):', 'config/defaults.json in the projects folder')}
+              {renderPathField('allocationsPath', 'Allocations File (Optional):', 'capacity/allocations.json in the projects folder')}
+              {!editing.id && (
+                <small className="form-help">
+                  A new workspace without a configuration file starts from a copy of the active workspace's configuration.
+                </small>
+              )}
+            </div>
+          ) : (
+            <table className="workspace-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Projects Folder</th>
+                  <th>Configuration</th>
+                  <th>Allocations</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {workspaces.map(workspace => (
+                  <tr key={workspace.id} className={workspace.id === activeWorkspaceId ? 'workspace-row-active' : ''}>
+                    <td>
+                      {workspace.name}
+                      {workspace.id === activeWorkspaceId && <span className="workspace-active-badge">Active</span>}
+                    </td>
+                    <td><code>{workspace.projectsPath}</code></td>
+                    <td>{workspace.configPath ? <code>{workspace.configPath}</code> : <span className="workspace-default">In folder</span>}</td>
+                    <td>{workspace.allocationsPath ? <code>{workspace.allocationsPath}</code> : <span className="workspace-default">In folder</span>}</td>
+                    <td className="workspace-actions">
+                      <button className="pm-icon-btn" title="Edit"
+                        onClick={() => setEditing({ ...workspace, configPath: workspace.configPath || '', allocationsPath: workspace.allocationsPath || '' })}>
+                        <i className="fas fa-edit"></i>
+                      </button>
+                      <button className="pm-icon-btn pm-icon-btn-danger" title="Remove from the list"
+                        disabled={workspace.id === activeWorkspaceId} onClick={() => setPendingRemove(workspace)}>
+                        <i className="fas fa-times"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {editing ? (
+            <>
+              <Button variant="secondary" onClick={() => { setEditing(null); setError(null); }} disabled={isSaving}>Cancel</Button>
+              <Button variant="primary" onClick={handleSave} loading={isSaving}
+                disabled={!editing.name?.trim() || !editing.projectsPath?.trim()}
+                icon={<i className="fas fa-save" />}>Save Workspace</Button>
+            </>
+          ) : (
+            <>
+              <Button variant="secondary" onClick={onClose}>Close</Button>
+              <Button variant="primary" onClick={() => setEditing({ ...EMPTY_WORKSPACE })}
+                icon={<i className="fas fa-plus" />}>Add Workspace</Button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {pendingRemove && (
+        <ConfirmDialog
+          title="Remove Workspace"
+          message={`Remove "${pendingRemove.name}" from the workspaces?\n\nIts folder (${pendingRemove.projectsPath}) and files are kept.`}
+          confirmLabel="Remove"
+          confirmVariant="warning"
+          onConfirm={() => handleRemove(pendingRemove)}
+          onCancel={() => setPendingRemove(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WorkspacesModal;
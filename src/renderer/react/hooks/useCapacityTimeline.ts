@@ -39,6 +39,7 @@ export interface TimelineMemberCapacity {
         [month: string]: {
             baseWorkingDays: number;
             vacationDays: number;
+            vacationByType?: Record<string, number>;
             existingAllocations: number;
             availableCapacity: number;
             monthlyCapacity: number;
@@ -154,6 +155,7 @@ export const useCapacityTimeline = (monthsToShow: number = 8) => {
                     monthlyData[month] = {
                         baseWorkingDays: capacityResult.baseWorkingDays,
                         vacationDays: capacityResult.vacationDays,
+                        vacationByType: capacityResult.vacationByType,
                         existingAllocations: capacityResult.existingAllocations,
                         availableCapacity: capacityResult.availableCapacity,
                         monthlyCapacity: capacityResult.monthlyCapacity,
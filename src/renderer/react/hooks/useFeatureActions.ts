@@ -32,6 +32,18 @@ export const useFeatureActions = () => {
     }
   }, []);
 
+  const deleteFeatures = useCallback((featureIds: string[]) => {
+    return featureActions.deleteFeatures(featureIds);
+  }, []);
+
+  const setFeatureParent = useCallback((featureId: string, parentId: string | null) => {
+    featureActions.setFeatureParent(featureId, parentId);
+  }, []);
+
+  const getFeatureTree = useCallback((features: any[]) => {
+    return featureActions.getFeatureTree(features);
+  }, []);
+
   const filterFeatures = useCallback((features: any[], filters: FeatureFilters): any[] => {
     try {
       return featureActions.filterFeatures(features, filters);
@@ -48,6 +60,10 @@ export const useFeatureActions = () => {
     }
   }, []);
 
+  const calculateConfidenceTotals = useCallback((features: any[]) => {
+    return featureActions.calculateConfidenceTotals(features);
+  }, []);
+
   const updateCoverage = useCallback((coverageValue: number, isAutoCalculated?: boolean) => {
     try {
       featureActions.updateCoverage(coverageValue, isAutoCalculated);
@@ -96,6 +112,10 @@ export const useFeatureActions = () => {
     }
   }, []);
 
+  const openAddChildModal = useCallback((parent: any) => {
+    featureActions.openAddChildFeatureModal(parent);
+  }, []);
+
   const duplicateFeature = useCallback((feature: any) => {
     try {
       featureActions.duplicateFeature(feature);
@@ -173,10 +193,16 @@ export const useFeatureActions = () => {
     addFeature,
     updateFeature,
     deleteFeature,
+    deleteFeatures,
+    
+    // Hierarchy
+    setFeatureParent,
+    getFeatureTree,
     
     // Feature filtering and search
     filterFeatures,
     calculateSummary,
+    calculateConfidenceTotals,
     
     // Coverage operations
     updateCoverage,
@@ -188,6 +214,7 @@ export const useFeatureActions = () => {
     // Modal operations
     openAddModal,
     openEditModal,
+    openAddChildModal,
     closeModal,
     duplicateFeature,
     
@@ -77,6 +77,22 @@ export const useProjectActions = () => {
     }
   }, []);
 
+  const importProject = useCallback(async () => {
+    try {
+      return await projectActions.importProject();
+    } catch (error) {
+      throw error;
+    }
+  }, []);
+
+  const validateProjectFile = useCallback(async (filePath?: string) => {
+    try {
+      await projectActions.validateProjectFile(filePath);
+    } catch (error) {
+      throw error;
+    }
+  }, []);
+
   const removeRecentProject = useCallback((projectId: string) => {
     try {
       projectActions.removeRecentProject(projectId);
@@ -135,6 +151,8 @@ export const useProjectActions = () => {
     closeProject,
     deleteProject,
     exportProject,
+    importProject,
+    validateProjectFile,
 
     // Recent projects management
     removeRecentProject,
@@ -8,6 +8,7 @@
 
 import { useState, useEffect, useMemo } from 'react';
 import { useStore } from './useStore';
+import { CapacityActions } from '../actions/CapacityActions';
 
 // Extend window interface for global Actions
 declare global {
@@ -31,6 +32,8 @@ export interface HeatmapMember {
     fullName: string;
     role: string;
     vendorName: string;
+    holidayCalendar: string; // Display name of the member's holiday calendar, e.g. 'Italy - Milan'
+    workingPattern: string; // Working pattern(s) during the year, e.g. '80% Mon-Thu'
     email: string;
     months: HeatmapCell[]; // 12 months
     yearlyAverage: number; // Average utilization across 12 months
@@ -65,6 +68,61 @@ interface UseResourceOverviewHeatmapReturn {
     refresh: () => void;
 }
 
+/**
+ * Get the holiday calendar display name for a team member
+ */
+export const getMemberCalendarName = (member: any): string => {
+    const calculator = (window as any).WorkingDaysCalculator;
+    if (!calculator?.holidayCalendar) {
+        return '';
+    }
+    const code = new CapacityActions().getCountryForMember(member);
+    return calculator.holidayCalendar.getCalendarName(code);
+};
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Describe a single working pattern, e.g. 'Full time' or '80% Mon-Thu'
+ */
+const describeWorkingPattern = (pattern: any): string => {
+    const fte = pattern.ftePercentage ?? 100;
+    const weekdays: number[] = [...(pattern.weekdays || [1, 2, 3, 4, 5])].sort((a, b) => a - b);
+    const isStandardWeek = weekdays.join(',') === '1,2,3,4,5';
+
+    if (fte === 100 && isStandardWeek) {
+        return 'Full time';
+    }
+
+    const isConsecutive = weekdays.every((day, index) => index === 0 || day === weekdays[index - 1] + 1);
+    const days = isConsecutive && weekdays.length > 2
+        ? `${WEEKDAY_LABELS[weekdays[0]]}-${WEEKDAY_LABELS[weekdays[weekdays.length - 1]]}`
+        : weekdays.map(day => WEEKDAY_LABELS[day]).join('/');
+
+    return `${fte}% ${days}`;
+};
+
+/**
+ * Get the working pattern label for a team member in a year.
+ * Patterns that change during the year are listed with their start date.
+ */
+export const getMemberWorkingPatternLabel = (member: any, year: number): string => {
+    const calculator = (window as any).WorkingDaysCalculator;
+    if (!calculator?.hasWorkingPattern?.(member)) {
+        return 'Full time';
+    }
+
+    const yearStart = `${year}-01-01`;
+    const labels = [describeWorkingPattern(calculator.getWorkingPattern(member, yearStart))];
+
+    member.workingPatterns
+        .filter((pattern: any) => pattern.effectiveFrom && pattern.effectiveFrom > yearStart && pattern.effectiveFrom.startsWith(`${year}-`))
+        .sort((a: any, b: any) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+        .forEach((pattern: any) => labels.push(`${describeWorkingPattern(pattern)} from ${pattern.effectiveFrom}`));
+
+    return labels.join(', ');
+};
+
 export const useResourceOverviewHeatmap = (initialYear: number): UseResourceOverviewHeatmapReturn => {
     // Subscribe to resource allocations from store
     const resourceAllocations = useStore((state: any) => state.resourceAllocations);
@@ -156,6 +214,8 @@ export const useResourceOverviewHeatmap = (initialYear: number): UseResourceOver
                     fullName,
                     role: member.role || 'No Role',
                     vendorName: member.vendorName || 'Internal',
+                    holidayCalendar: getMemberCalendarName(member),
+                    workingPattern: getMemberWorkingPatternLabel(member, year),
                     email: member.email || '',
                     months,
                     yearlyAverage
@@ -209,6 +269,7 @@ export const useResourceOverviewHeatmap = (initialYear: number): UseResourceOver
                 m.fullName.toLowerCase().includes(query) ||
                 m.role.toLowerCase().includes(query) ||
                 m.vendorName.toLowerCase().includes(query) ||
+                m.holidayCalendar.toLowerCase().includes(query) ||
                 m.email?.toLowerCase().includes(query)
             );
         }
@@ -27,6 +27,15 @@ export interface Feature {
   expertise: number;
   riskMargin: number;
   manDays: number;
+  // Optional three-point (PERT) estimate; realManDays then holds the expected value
+  optimisticManDays?: number;
+  mostLikelyManDays?: number;
+  pessimisticManDays?: number;
+  pertExpectedManDays?: number;
+  pertStandardDeviation?: number;
+  // Optional hierarchy: epic > feature > task (no level means 'feature')
+  level?: 'epic' | 'feature' | 'task';
+  parentId?: string;
   notes?: string;
   created: string;
   modified: string;
@@ -13,6 +13,11 @@ import SavedProjectsList from './components/SavedProjectsList';
 import ProjectItem from './components/ProjectItem';
 import NewProjectModal from './components/NewProjectModal';
 import LoadProjectModal from './components/LoadProjectModal';
+import ProjectMergeModal from './components/ProjectMergeModal';
+import WorkspaceRestoreWizard from './components/WorkspaceRestoreWizard';
+import BundleImportModal from './components/BundleImportModal';
+import SchemaValidationModal from './components/SchemaValidationModal';
+import WorkspaceSwitcher from './components/WorkspaceSwitcher';
 
 // Import phases components
 import PhasesManager from './components/PhasesManager';
@@ -53,9 +58,23 @@ import AssignmentModal from './components/AssignmentModal';
 // Import Actions classes for global registration
 import { NavigationActions } from './actions/NavigationActions';
 import { versionHistoryActions } from './actions/VersionHistoryActions';
+import { projectMergeActions } from './actions/ProjectMergeActions';
+import { workspaceBackupActions } from './actions/WorkspaceBackupActions';
+import { projectBundleActions } from './actions/ProjectBundleActions';
+import { projectMigrationActions } from './actions/ProjectMigrationActions';
+import { schemaValidationActions } from './actions/SchemaValidationActions';
+import { projectTemplateActions } from './actions/ProjectTemplateActions';
+import { workspaceActions } from './actions/WorkspaceActions';
+import { simulationActions } from './actions/SimulationActions';
+import { featureImportActions } from './actions/FeatureImportActions';
+import { featureBulkActions } from './actions/FeatureBulkActions';
 import { calculationsActions } from './actions/CalculationsActions';
 import { CapacityActions } from './actions/CapacityActions';
 import { AllocationActions } from './actions/AllocationActions';
+import { ScenarioActions } from './actions/ScenarioActions';
+import { ResourceLevelingActions } from './actions/ResourceLevelingActions';
+import { CandidateSuggestionActions } from './actions/CandidateSuggestionActions';
+import { AllocationAuditActions } from './actions/AllocationAuditActions';
 import { TicketDashboardActions } from './actions/TicketDashboardActions';
 import '../js/actions/ReactPageWrapperActions.js';
 
@@ -66,6 +85,10 @@ import '../js/store/app-store.js';
 // This ensures Actions are available when React components initialize
 window.CapacityActions = CapacityActions;
 window.AllocationActions = AllocationActions;
+window.ScenarioActions = ScenarioActions;
+window.ResourceLevelingActions = ResourceLevelingActions;
+window.CandidateSuggestionActions = CandidateSuggestionActions;
+window.AllocationAuditActions = AllocationAuditActions;
 window.TicketDashboardActions = TicketDashboardActions;
 if (import.meta.env?.DEV) console.log('Actions exported BEFORE React components mount');
 
@@ -84,6 +107,11 @@ declare global {
       ProjectItem: typeof ProjectItem;
       NewProjectModal: typeof NewProjectModal;
       LoadProjectModal: typeof LoadProjectModal;
+      ProjectMergeModal: typeof ProjectMergeModal;
+      WorkspaceRestoreWizard: typeof WorkspaceRestoreWizard;
+      BundleImportModal: typeof BundleImportModal;
+      SchemaValidationModal: typeof SchemaValidationModal;
+      WorkspaceSwitcher: typeof WorkspaceSwitcher;
       PhasesManager: typeof PhasesManager;
       PhasesTable: typeof PhasesTable;
       PhaseRow: typeof PhaseRow;
@@ -111,9 +139,23 @@ declare global {
     };
     NavigationActions: typeof NavigationActions;
     versionHistoryActions: typeof versionHistoryActions;
+    projectMergeActions: typeof projectMergeActions;
+    workspaceBackupActions: typeof workspaceBackupActions;
+    projectBundleActions: typeof projectBundleActions;
+    projectMigrationActions: typeof projectMigrationActions;
+    schemaValidationActions: typeof schemaValidationActions;
+    projectTemplateActions: typeof projectTemplateActions;
+    workspaceActions: typeof workspaceActions;
+    simulationActions: typeof simulationActions;
+    featureImportActions: typeof featureImportActions;
+    featureBulkActions: typeof featureBulkActions;
     calculationsActions: typeof calculationsActions;
     CapacityActions: typeof CapacityActions;
     AllocationActions: typeof AllocationActions;
+    ScenarioActions: typeof ScenarioActions;
+    ResourceLevelingActions: typeof ResourceLevelingActions;
+    CandidateSuggestionActions: typeof CandidateSuggestionActions;
+    AllocationAuditActions: typeof AllocationAuditActions;
     ReactPageWrapperActions: any;
   }
 }
@@ -131,6 +173,11 @@ window.ReactComponents = {
   ProjectItem,
   NewProjectModal,
   LoadProjectModal,
+  ProjectMergeModal,
+  WorkspaceRestoreWizard,
+  BundleImportModal,
+  SchemaValidationModal,
+  WorkspaceSwitcher,
   PhasesManager,
   PhasesTable,
   PhaseRow,
@@ -160,6 +207,16 @@ window.ReactComponents = {
 // Make remaining Actions classes available globally
 window.NavigationActions = NavigationActions;
 window.versionHistoryActions = versionHistoryActions;
+window.projectMergeActions = projectMergeActions;
+window.workspaceBackupActions = workspaceBackupActions;
+window.projectBundleActions = projectBundleActions;
+window.projectMigrationActions = projectMigrationActions;
+window.schemaValidationActions = schemaValidationActions;
+window.projectTemplateActions = projectTemplateActions;
+window.workspaceActions = workspaceActions;
+window.simulationActions = simulationActions;
+window.featureImportActions = featureImportActions;
+window.featureBulkActions = featureBulkActions;
 window.calculationsActions = calculationsActions;
 // Note: CapacityActions and AllocationActions already exported at top of file
 
@@ -43,6 +43,7 @@ export interface AllocationFormData {
 
     monthlyAllocations?: MonthlyAllocations;
     notes?: string;
+    reason?: string; // Why the allocation was made, recorded in the audit log
 }
 
 /**
@@ -59,7 +60,7 @@ export interface ResourceAllocation {
     phaseAllocations?: PhaseAllocation[];
     phaseMonthlyBreakdown: Record<string, Record<string, number>>; // phaseId → month → MDs
     originalPhaseMonthlyBreakdown: Record<string, Record<string, number>>; // Original auto-calculated breakdown (for reset functionality)
-    monthlyAllocations: Record<string, { planned: number; actual: number }>;
+    monthlyAllocations: Record<string, { planned: number; actual: number; locked?: boolean }>;
 
     // Date range
     startDate: string;
@@ -211,3 +212,192 @@ export interface AutoDistributionOptions {
     excludeExistingAllocations?: boolean; // Exclude allocations from other projects (default: false)
     preferEvenDistribution?: boolean; // Try to distribute evenly vs. sequential (default: false)
 }
+
+/**
+ * Allocation Scenario (what-if sandbox)
+ * A named copy of the global allocations stored in capacity/scenarios.json
+ */
+export interface AllocationScenario {
+    id: string;
+    name: string;
+    description?: string;
+    allocations: ResourceAllocation[];
+    created: string;
+    lastModified: string;
+}
+
+/**
+ * Scenario Result (operation outcome)
+ * Returned by ScenarioActions mutating methods
+ */
+export interface ScenarioResult {
+    success: boolean;
+    scenario?: AllocationScenario;
+    error?: string;
+}
+
+/**
+ * Allocation set totals used when comparing a scenario with the baseline
+ */
+export interface ScenarioCapacitySummary {
+    totalAllocated: number;
+    overloadedCells: number; // Member-months allocated above capacity
+    overloadedMembers: number;
+}
+
+/**
+ * One member-month whose allocated MDs differ between baseline and scenario
+ */
+export interface ScenarioCellDiff {
+    memberId: string;
+    month: string; // 'YYYY-MM'
+    capacity: number;
+    baseline: number;
+    scenario: number;
+}
+
+/**
+ * Scenario Comparison
+ * Returned by ScenarioActions.compareAllocations()
+ */
+export interface ScenarioComparison {
+    months: string[];
+    baseline: ScenarioCapacitySummary;
+    scenario: ScenarioCapacitySummary;
+    changedCells: ScenarioCellDiff[];
+}
+
+/**
+ * Project Priority used by resource leveling
+ * Lower priority projects are moved first
+ */
+export type ProjectPriority = 'high' | 'medium' | 'low';
+
+/**
+ * Per-project input for resource leveling
+ */
+export interface LevelingProjectSettings {
+    projectId: string;
+    projectName: string;
+    priority: ProjectPriority;
+    fixedDeadline: boolean; // MDs may not be shifted past deadlineMonth
+    deadlineMonth: string | null; // 'YYYY-MM', last planned month of the project
+}
+
+/**
+ * One change proposed by resource leveling
+ * - shift: same member, MDs moved to a later month
+ * - swap: same month, MDs moved to an equally skilled member
+ */
+export interface LevelingMove {
+    type: 'shift' | 'swap';
+    allocationId: string;
+    projectId: string;
+    projectName: string;
+    fromMemberId: string;
+    toMemberId: string;
+    fromMonth: string; // 'YYYY-MM'
+    toMonth: string;   // 'YYYY-MM'
+    mds: number;
+}
+
+/**
+ * Over-allocation totals before/after leveling
+ */
+export interface LevelingSummary {
+    overloadedCells: number; // Member-months allocated above capacity
+    overloadMDs: number;     // MDs allocated above capacity
+}
+
+/**
+ * Leveling Plan
+ * Returned by ResourceLevelingActions.levelAllocations(), applied as a whole
+ */
+export interface LevelingPlan {
+    months: string[]; // Months that were leveled
+    moves: LevelingMove[];
+    before: LevelingSummary;
+    after: LevelingSummary;
+    unresolved: Array<{ memberId: string; month: string; excess: number }>;
+    allocations: ResourceAllocation[]; // Rebalanced allocations
+}
+
+/**
+ * Leveling Options
+ * Options for ResourceLevelingActions.levelAllocations()
+ */
+export interface LevelingOptions {
+    fromMonth?: string;     // First month that may change (default: current month)
+    horizonMonths?: number; // Months past the last planned month MDs may be shifted into (default: 6)
+}
+
+/**
+ * Candidate Criteria
+ * What a project phase needs, used to rank team members in the Assignment modal
+ */
+export interface CandidateCriteria {
+    role?: string; // Required role (G1, G2, TA, PM); members with other roles are left out
+    requiredMDsByRole?: Record<string, number>; // MDs the phase needs per role (from phase effort %)
+    startDate: string; // Phase window 'YYYY-MM-DD'
+    endDate: string;
+    vendorId?: string;   // Preferred vendor
+    jobCluster?: string; // Preferred job cluster
+    seniority?: string;  // Preferred seniority
+    seniorityLevels?: string[]; // Seniorities from junior to senior (default: rate matrix order)
+}
+
+/**
+ * One line of a candidate's ranking explanation
+ */
+export interface CandidateReason {
+    kind: 'positive' | 'negative' | 'neutral';
+    text: string;
+}
+
+/**
+ * Candidate Suggestion
+ * Returned by CandidateSuggestionActions, best candidate first
+ */
+export interface CandidateSuggestion {
+    memberId: string;
+    fullName: string;
+    role: string;
+    score: number;       // 0-100
+    freeMDs: number;     // Free capacity over the phase window
+    requiredMDs: number; // MDs needed from this member's role (0 if unknown)
+    reasons: CandidateReason[];
+}
+
+/**
+ * Allocation Audit Action
+ */
+export type AllocationAuditAction = 'create' | 'update' | 'delete';
+
+/**
+ * Planned MDs of one month before and after a change
+ */
+export interface AllocationAuditMonthChange {
+    month: string; // 'YYYY-MM'
+    before: number;
+    after: number;
+}
+
+/**
+ * Allocation Audit Entry
+ * One event of the append-only audit trail in capacity/audit-log.jsonl
+ */
+export interface AllocationAuditEntry {
+    id: string;
+    timestamp: string; // ISO date-time
+    user: string;      // userName from settings
+    action: AllocationAuditAction;
+    allocationId: string;
+    projectId: string;
+    projectName: string;
+    teamMemberId: string;
+    previousTeamMemberId?: string; // Set when the allocation moved to another member
+    changes: AllocationAuditMonthChange[]; // Only months whose planned MDs changed
+    totalBefore: number;
+    totalAfter: number;
+    reason: string;
+}
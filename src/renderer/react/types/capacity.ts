@@ -17,11 +17,51 @@ export interface TeamMember {
     vendorId: string;
     vendorType: 'supplier' | 'internal';
     monthlyCapacity: number; // Working days per month (default 22)
+    holidayCalendar?: {
+        country: string; // Calendar code, e.g. 'IT'
+        region?: string | null; // Office/region code, e.g. 'MI'
+    };
+    workingPatterns?: WorkingPattern[]; // Part-time / non-standard weeks (default: full time Mon-Fri)
     vacationDays?: {
-        [year: number]: string[]; // Array of ISO date strings 'YYYY-MM-DD'
+        [year: number]: Array<string | VacationEntry>; // 'YYYY-MM-DD' strings are full-day holidays
     };
 }
 
+/**
+ * Vacation Type
+ */
+export type VacationType = 'holiday' | 'sick' | 'training' | 'other';
+
+/**
+ * Vacation Entry
+ * Partial days are expressed as a fraction of a day or as hours (8h = 1 day)
+ */
+export interface VacationEntry {
+    date: string; // 'YYYY-MM-DD'
+    type: VacationType;
+    fraction?: number; // 0-1, e.g. 0.5 for half a day (default 1)
+    hours?: number; // Takes precedence over fraction
+    note?: string;
+}
+
+/**
+ * Vacation days in a month split by type
+ */
+export interface VacationBreakdown {
+    total: number;
+    byType: Record<VacationType, number>;
+}
+
+/**
+ * Working Pattern
+ * FTE percentage and weekdays worked, effective from a date
+ */
+export interface WorkingPattern {
+    ftePercentage: number; // 100 = full time
+    weekdays: number[]; // Days worked, Date.getDay() numbering (1 = Monday)
+    effectiveFrom: string | null; // 'YYYY-MM-DD', null = since always
+}
+
 /**
  * Capacity Calculation Result
  * Returned by calculateAvailableCapacity()
@@ -32,7 +72,8 @@ export interface CapacityResult {
     memberId: string;
     month: string; // Format: 'YYYY-MM'
     baseWorkingDays: number; // Working days in month (excludes weekends/holidays)
-    vacationDays: number; // Vacation days that fall on working days
+    vacationDays: number; // Vacation days that fall on working days (fractional for half days/hours)
+    vacationByType?: Record<VacationType, number>; // Vacation days split by type
     existingAllocations: number; // Total MDs already allocated (across ALL projects)
     availableCapacity: number; // baseWorkingDays - vacationDays - existingAllocations
     monthlyCapacity: number; // Member's monthly capacity (default 22)
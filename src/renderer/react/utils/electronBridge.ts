@@ -22,19 +22,117 @@
 // ElectronAPI -- shape exposed by src/preload.js via contextBridge
 // ---------------------------------------------------------------------------
 
+/** Project file state recorded at load/save, to detect edits made by someone else */
+export interface ProjectFileFingerprint {
+  mtimeMs: number;
+  size: number;
+  hash: string;
+}
+
+/** Content of a project lock file (<folder>/.locks/<file>.lock) */
+export interface ProjectLockInfo {
+  sessionId: string;
+  user: string;
+  host: string;
+  pid: number;
+  openedAt: string;
+  updatedAt: string;
+}
+
+export interface ProjectSaveOptions {
+  expectedFilePath?: string | null;
+  expectedFingerprint?: ProjectFileFingerprint | null;
+  force?: boolean;
+}
+
+export interface ProjectSaveResult {
+  success: boolean;
+  filePath?: string;
+  fileName?: string;
+  error?: string;
+  fingerprint?: ProjectFileFingerprint | null;
+  // Set when the file changed on disk: data/fingerprint describe the other version
+  conflict?: boolean;
+  data?: unknown;
+  lockedBy?: ProjectLockInfo | null;
+}
+
+/** Live event of the projects folder watcher (project: the new list entry, on add/change) */
+export interface ProjectsFolderChange {
+  type: 'add' | 'change' | 'delete';
+  filePath: string;
+  project?: unknown;
+}
+
+/** Named projects folder; configPath/allocationsPath null: the files inside the folder */
+export interface Workspace {
+  id: string;
+  name: string;
+  projectsPath: string;
+  configPath: string | null;
+  allocationsPath: string | null;
+}
+
+/** File of a workspace backup archive, compared with the current workspace */
+export interface WorkspaceBackupEntry {
+  path: string; // Relative to the projects folder ('settings.json': the application settings)
+  category: 'project' | 'capacity' | 'config' | 'settings';
+  projectName?: string | null;
+  size: number;
+  modified: string | null;
+  status: 'new' | 'identical' | 'conflict';
+  localModified?: string | null;
+}
+
+export interface WorkspaceBackupManifest {
+  success: boolean;
+  backupPath?: string;
+  createdAt?: string;
+  projectsPath?: string;
+  entries?: WorkspaceBackupEntry[];
+  canceled?: boolean;
+  error?: string;
+}
+
+export interface WorkspaceRestoreResult {
+  success: boolean;
+  restored?: string[];
+  errors?: { path: string; error: string }[];
+  error?: string;
+}
+
 export interface ElectronAPI {
   // Project file operations
-  saveProjectFile: (projectData: unknown) => Promise<{ success: boolean; filePath?: string; error?: string }>;
+  saveProjectFile: (projectData: unknown, options?: ProjectSaveOptions) => Promise<ProjectSaveResult>;
   loadProjectFile: (filePath: string) => Promise<unknown>;
-  deleteProjectFile: (filePath: string) => Promise<{ success: boolean; error?: string }>;
+  deleteProjectFile: (filePath: string) => Promise<{ success: boolean; trashPath?: string; error?: string }>;
   checkFileExists: (filePath: string) => Promise<boolean>;
   listProjects: () => Promise<unknown[]>;
+  listProjectBackups: (filePath: string) => Promise<{ success: boolean; backups: unknown[]; error?: string }>;
+  restoreProjectBackup: (filePath: string, backupPath: string) => Promise<{ success: boolean; filePath?: string; error?: string }>;
+  writeProjectFile: (filePath: string, projectData: unknown) => Promise<{ success: boolean; filePath?: string; lockedBy?: ProjectLockInfo; error?: string }>;
+  listTrash: () => Promise<{ success: boolean; items: unknown[]; retentionDays?: number; error?: string }>;
+  restoreFromTrash: (trashPath: string) => Promise<{ success: boolean; filePath?: string; error?: string }>;
+  purgeFromTrash: (trashPath: string) => Promise<{ success: boolean; error?: string }>;
+  emptyTrash: () => Promise<{ success: boolean; purged?: number; error?: string }>;
+  acquireProjectLock: (filePath: string) => Promise<{ success: boolean; acquired?: boolean; lockedBy?: ProjectLockInfo; error?: string }>;
+  releaseProjectLock: (filePath: string) => Promise<{ success: boolean; error?: string }>;
+  onProjectsFolderChanged: (callback: (change: ProjectsFolderChange) => void) => () => void;
+  createWorkspaceBackup: (options?: { includeSettings?: boolean }) => Promise<{ success: boolean; filePath?: string; fileCount?: number; canceled?: boolean; error?: string }>;
+  inspectWorkspaceBackup: (backupPath?: string | null) => Promise<WorkspaceBackupManifest>;
+  restoreWorkspaceBackup: (backupPath: string, selectedPaths: string[]) => Promise<WorkspaceRestoreResult>;
 
   // Projects folder operations
   getProjectsPath: () => Promise<string>;
   setProjectsPath: (newPath: string) => Promise<{ success: boolean; error?: string }>;
   chooseProjectsFolder: () => Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }>;
   openProjectsFolder: () => Promise<{ success: boolean; error?: string }>;
+  listWorkspaces: () => Promise<{ success: boolean; workspaces: Workspace[]; activeWorkspaceId?: string; error?: string }>;
+  saveWorkspace: (workspace: Partial<Workspace>) => Promise<{ success: boolean; workspace?: Workspace; error?: string }>;
+  deleteWorkspace: (workspaceId: string) => Promise<{ success: boolean; error?: string }>;
+  switchWorkspace: (workspaceId: string) => Promise<{ success: boolean; workspace?: Workspace; previousWorkspaceId?: string; error?: string }>;
+  chooseWorkspaceFile: (title?: string) => Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }>;
+  getGlobalConfigPath: () => Promise<string>;
 
   // Settings operations
   getSettings: () => Promise<Record<string, unknown>>;
@@ -44,10 +142,22 @@ export interface ElectronAPI {
   createDefaultConfig: (configData: unknown) => Promise<{ success: boolean; error?: string }>;
   updateDefaultConfig: (configData: unknown) => Promise<{ success: boolean; error?: string }>;
 
-  // Resource Allocations (global capacity/allocations.json)
+  // Resource Allocations (the workspace's allocations file, capacity/allocations.json by default)
   loadResourceAllocations: () => Promise<unknown[]>;
   saveResourceAllocations: (allocations: unknown[]) => Promise<{ success: boolean; error?: string }>;
 
+  // Project templates (global config/templates.json)
+  loadProjectTemplates: () => Promise<{ success: boolean; data: unknown[]; error?: string }>;
+  saveProjectTemplates: (templates: unknown[]) => Promise<{ success: boolean; error?: string }>;
+
+  // What-if allocation scenarios (next to the allocations file, capacity/scenarios.json by default)
+  loadAllocationScenarios: () => Promise<{ success: boolean; data: unknown[]; error?: string }>;
+  saveAllocationScenarios: (scenarios: unknown[]) => Promise<{ success: boolean; error?: string }>;
+
+  // Allocation audit trail (next to the allocations file, capacity/audit-log.jsonl by default, append-only)
+  loadAllocationAudit: () => Promise<{ success: boolean; data: unknown[]; error?: string }>;
+  appendAllocationAudit: (entries: unknown[]) => Promise<{ success: boolean; count?: number; error?: string }>;
+
   // Menu actions
   onMenuAction: (callback: (event: unknown, action: string) => void) => void;
 
@@ -58,11 +168,13 @@ export interface ElectronAPI {
   // File operations (legacy export helpers)
   saveFile: (defaultPath: string, data: string) => Promise<{ success: boolean; filePath?: string; error?: string }>;
   openFile: () => Promise<string | null>;
+  saveIcsFiles: (files: Array<{ filename: string; content: string }>) => Promise<{ success: boolean; filePaths?: string[]; canceled?: boolean; error?: string }>;
 
   // Excel export
   saveExcelFile: (filename: string, data: unknown) => Promise<{ success: boolean; error?: string }>;
   exportTicketReport: (exportData: unknown) => Promise<{ success: boolean; error?: string }>;
   exportResourceOverview: (exportData: unknown) => Promise<{ success: boolean; error?: string }>;
+  exportAllocationAudit: (exportData: unknown) => Promise<{ success: boolean; filename?: string; path?: string; error?: string }>;
 
   // Window controls
   minimize: () => Promise<void>;
@@ -102,12 +214,17 @@ export interface AppStoreState {
 
   // Resource allocations
   resourceAllocations: unknown[];
+  allocationScenarios: unknown[];
+  activeScenarioId: string | null;
+  baselineAllocations: unknown[] | null;
 
   // Mutators (subset -- add as needed)
   setProject: (project: unknown) => void;
   markDirty: () => void;
   setGlobalConfig: (config: unknown) => void;
   setResourceAllocations: (allocations: unknown[]) => void;
+  setAllocationScenarios: (scenarios: unknown[]) => void;
+  setActiveScenario: (scenarioId: string | null, allocations: unknown[], baselineAllocations?: unknown[] | null) => void;
   addProjectFeature: (feature: unknown) => void;
 
   [key: string]: unknown; // escape hatch for untyped slices
@@ -167,11 +284,37 @@ export interface ConfigManager {
 export interface DataManager {
   saveAllocations: (allocations: unknown) => Promise<{ success: boolean }>;
   loadAllocations: () => Promise<unknown[]>;
-  saveProject: (project: unknown) => Promise<{ success: boolean }>;
+  saveProject: (project: unknown, filePath?: string | null, options?: { force?: boolean }) => Promise<ProjectSaveResult>;
   loadProject: (filePath?: string) => Promise<unknown | null>;
   listProjects: () => Promise<unknown[]>;
   saveResourceAllocations?: (allocations: unknown) => Promise<{ success: boolean }>;
   loadResourceAllocations?: () => Promise<unknown[]>;
+  saveAllocationScenarios?: (scenarios: unknown) => Promise<boolean>;
+  loadAllocationScenarios?: () => Promise<unknown[]>;
+  saveProjectTemplates?: (templates: unknown[]) => Promise<boolean>;
+  loadProjectTemplates?: () => Promise<unknown[]>;
+  appendAllocationAuditEntries?: (entries: unknown) => Promise<boolean>;
+  loadAllocationAuditLog?: () => Promise<unknown[]>;
+  listProjectBackups?: (filePath: string) => Promise<unknown[]>;
+  readProject?: (filePath: string) => Promise<unknown | null>;
+  writeProject?: (projectData: unknown, filePath: string) => Promise<boolean>;
+  restoreProjectBackup?: (filePath: string, backupPath: string) => Promise<boolean>;
+  listTrash?: () => Promise<{ items: unknown[]; retentionDays: number }>;
+  listWorkspaces?: () => Promise<{ workspaces: Workspace[]; activeWorkspaceId: string | null }>;
+  saveWorkspace?: (workspace: Partial<Workspace>) => Promise<Workspace | null>;
+  deleteWorkspace?: (workspaceId: string) => Promise<boolean>;
+  switchWorkspace?: (workspaceId: string) => Promise<Workspace | null>;
+  chooseWorkspaceFile?: (title?: string) => Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }>;
+  chooseProjectsFolder?: () => Promise<{ success: boolean; path?: string; canceled?: boolean; error?: string }>;
+  restoreFromTrash?: (trashPath: string) => Promise<string | null>;
+  purgeFromTrash?: (trashPath: string) => Promise<boolean>;
+  emptyTrash?: () => Promise<number>;
+  currentProjectPath?: string | null;
+  currentProjectLock?: ProjectLockInfo | null;
+  acceptExternalVersion?: (conflict: ProjectSaveResult) => void;
+  createBackup?: (includeSettings?: boolean) => Promise<{ success: boolean; filePath?: string; fileCount?: number; canceled?: boolean; error?: string }>;
+  inspectBackup?: (backupPath?: string | null) => Promise<WorkspaceBackupManifest>;
+  restoreBackup?: (backupData: unknown, selectedPaths?: string[]) => Promise<WorkspaceRestoreResult | boolean>;
 }
 
 // ---------------------------------------------------------------------------
@@ -210,6 +353,8 @@ export interface TeamMemberInfo {
   role?: string;
   vendorId?: string;
   country?: string;
+  holidayCalendar?: MemberHolidayCalendar;
+  workingPatterns?: WorkingPattern[];
   capacity?: number;
   vacationDays?: string[];
   dailyRate?: number;
@@ -244,6 +389,23 @@ export interface TeamHelpers {
 // WorkingDaysCalculator -- window.WorkingDaysCalculator (instance, not class)
 // ---------------------------------------------------------------------------
 
+export interface HolidayInfo {
+  date: string; // YYYY-MM-DD
+  name: string;
+  type: 'holiday' | 'closure';
+}
+
+export interface MemberHolidayCalendar {
+  country: string; // Calendar code, e.g. 'IT'
+  region?: string | null; // Office/region code, e.g. 'MI'
+}
+
+export interface WorkingPattern {
+  ftePercentage: number; // 100 = full time
+  weekdays: number[]; // Days worked, Date.getDay() numbering (1 = Monday)
+  effectiveFrom: string | null; // YYYY-MM-DD, null = since always
+}
+
 export interface WorkingDaysCalculator {
   calculateWorkingDays: (month: number, year: number, country?: string) => number;
   calculateAvailableCapacity: (
@@ -253,8 +415,19 @@ export interface WorkingDaysCalculator {
     excludeExistingAllocations?: boolean,
     phaseEndDate?: string | null
   ) => number;
-  calculateWorkingDaysBetween: (startDate: string | Date, endDate: string | Date) => number;
+  calculateWorkingDaysBetween: (startDate: string | Date, endDate: string | Date, country?: string) => number;
   isNationalHoliday: (date: Date, country?: string) => boolean;
+  getHolidays: (year: number, country?: string) => HolidayInfo[];
+  configureHolidays: (globalConfig: unknown) => void;
+  resolveMemberCalendar: (teamMember: unknown, fallback?: string) => string;
+  hasWorkingPattern: (teamMember: unknown) => boolean;
+  getWorkingPattern: (teamMember: unknown, date: Date | string) => WorkingPattern;
+  getDailyCapacityFactor: (teamMember: unknown, date: Date | string) => number;
+  calculateMemberWorkingDays: (teamMember: unknown, startDate: Date, endDate: Date) => number;
+  getVacationBreakdown: (teamMember: unknown, month: string) => {
+    total: number;
+    byType: Record<'holiday' | 'sick' | 'training' | 'other', number>;
+  };
   setExistingAllocations: (teamMemberId: string, month: string, allocatedMDs: number) => void;
   clearCache: () => void;
 }
@@ -0,0 +1,193 @@
+/**
+ * Feature Hierarchy Utilities
+ * Optional epic → feature → task grouping of the flat feature list: each item
+ * has a level and the ID of its parent. Man days and costs roll up from the
+ * children to their parents; every item keeps its own estimate, so the
+ * project totals (the sum of all items) are unchanged by the grouping.
+ * Used by FeatureActions, FeatureTable, FeatureModal and the exports
+ */
+
+export type FeatureLevel = 'epic' | 'feature' | 'task';
+
+export const FEATURE_LEVELS: FeatureLevel[] = ['epic', 'feature', 'task'];
+
+export const FEATURE_LEVEL_LABELS: Record<FeatureLevel, string> = {
+  epic: 'Epic',
+  feature: 'Feature',
+  task: 'Task'
+};
+
+export interface FeatureRollUp {
+  /** Own man days plus those of every descendant */
+  manDays: number;
+  cost: number;
+  /** Number of descendants */
+  descendants: number;
+}
+
+export interface FeatureTreeRow {
+  feature: any;
+  depth: number;
+  children: number;
+  rollUp: FeatureRollUp;
+}
+
+const round = (value: number, decimals: number): number => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Level of a feature (features saved before the hierarchy are plain features)
+ */
+export function getFeatureLevel(feature: any): FeatureLevel {
+  return FEATURE_LEVELS.includes(feature?.level) ? feature.level : 'feature';
+}
+
+/**
+ * Whether an item of the first level can contain items of the second:
+ * epics contain features and tasks, features contain tasks
+ */
+export function canContain(parentLevel: FeatureLevel, childLevel: FeatureLevel): boolean {
+  return FEATURE_LEVELS.indexOf(parentLevel) < FEATURE_LEVELS.indexOf(childLevel);
+}
+
+/**
+ * IDs of the children of each feature, in list order; features whose parent
+ * is not in the list are roots
+ */
+function groupChildren(features: any[]): { roots: any[]; childrenOf: Map<string, any[]> } {
+  const ids = new Set(features.map(feature => feature.id));
+  const childrenOf = new Map<string, any[]>();
+  const roots: any[] = [];
+
+  features.forEach(feature => {
+    if (feature.parentId && feature.parentId !== feature.id && ids.has(feature.parentId)) {
+      const siblings = childrenOf.get(feature.parentId) || [];
+      siblings.push(feature);
+      childrenOf.set(feature.parentId, siblings);
+    } else {
+      roots.push(feature);
+    }
+  });
+
+  return { roots, childrenOf };
+}
+
+/**
+ * Features in tree order (each parent followed by its children) with their
+ * depth and roll-ups
+ *
+ * @param getRate - Daily rate of a feature, for the cost roll-up
+ */
+export function buildFeatureTree(features: any[], getRate: (feature: any) => number = feature => feature.rate || 0): FeatureTreeRow[] {
+  const { roots, childrenOf } = groupChildren(features);
+  const rows: FeatureTreeRow[] = [];
+  const visited = new Set<string>();
+
+  const visit = (feature: any, depth: number): FeatureRollUp => {
+    visited.add(feature.id);
+    const row: FeatureTreeRow = { feature, depth, children: 0, rollUp: { manDays: 0, cost: 0, descendants: 0 } };
+    rows.push(row);
+
+    let manDays = feature.manDays || 0;
+    let cost = manDays * (getRate(feature) || 0);
+    let descendants = 0;
+    (childrenOf.get(feature.id) || []).forEach(child => {
+      // A parent loop in a hand-edited file must not recurse forever
+      if (visited.has(child.id)) return;
+      row.children++;
+      const childRollUp = visit(child, depth + 1);
+      manDays += childRollUp.manDays;
+      cost += childRollUp.cost;
+      descendants += childRollUp.descendants + 1;
+    });
+
+    row.rollUp = { manDays: round(manDays, 1), cost: round(cost, 2), descendants };
+    return { manDays, cost, descendants };
+  };
+
+  roots.forEach(feature => visit(feature, 0));
+  // Items only reachable through a parent loop are listed as roots
+  features.forEach(feature => {
+    if (!visited.has(feature.id)) visit(feature, 0);
+  });
+
+  return rows;
+}
+
+/**
+ * IDs of every descendant of a feature
+ */
+export function getDescendantIds(features: any[], featureId: string): string[] {
+  const { childrenOf } = groupChildren(features);
+  const descendants: string[] = [];
+  const pending = [...(childrenOf.get(featureId) || [])];
+  while (pending.length > 0) {
+    const child = pending.shift();
+    if (child.id === featureId || descendants.includes(child.id)) continue;
+    descendants.push(child.id);
+    pending.push(...(childrenOf.get(child.id) || []));
+  }
+  return descendants;
+}
+
+/**
+ * Problem with placing a feature of the given level under a parent, or null
+ * when it is allowed (no parent is always allowed)
+ */
+export function validateFeatureParent(features: any[], featureId: string, level: FeatureLevel, parentId: string | null | undefined): string | null {
+  if (!parentId) {
+    return null;
+  }
+  if (parentId === featureId) {
+    return 'A feature cannot be its own parent';
+  }
+  const parent = features.find(feature => feature.id === parentId);
+  if (!parent) {
+    return `Parent ${parentId} not found`;
+  }
+  if (getDescendantIds(features, featureId).includes(parentId)) {
+    return 'A feature cannot be moved under one of its own children';
+  }
+  const parentLevel = getFeatureLevel(parent);
+  if (!canContain(parentLevel, level)) {
+    return `A ${FEATURE_LEVEL_LABELS[parentLevel].toLowerCase()} cannot contain a ${FEATURE_LEVEL_LABELS[level].toLowerCase()}`;
+  }
+  return null;
+}
+
+/**
+ * Problem with a level for a feature that already has children, or null
+ */
+export function validateFeatureLevel(features: any[], featureId: string, level: FeatureLevel): string | null {
+  const child = features.find(feature => feature.parentId === featureId && feature.id !== featureId && !canContain(level, getFeatureLevel(feature)));
+  return child
+    ? `A ${FEATURE_LEVEL_LABELS[level].toLowerCase()} cannot contain ${child.id} (${FEATURE_LEVEL_LABELS[getFeatureLevel(child)].toLowerCase()})`
+    : null;
+}
+
+/**
+ * Features without those removed; the children of a removed feature move up
+ * to its closest remaining ancestor (or become roots)
+ */
+export function removeFromHierarchy(features: any[], removedIds: string[]): any[] {
+  const removed = new Set(removedIds);
+  const parentOf = new Map(features.map(feature => [feature.id, feature.parentId]));
+
+  return features
+    .filter(feature => !removed.has(feature.id))
+    .map(feature => {
+      if (!feature.parentId || !removed.has(feature.parentId)) {
+        return feature;
+      }
+      let parentId = feature.parentId;
+      const seen = new Set<string>();
+      while (parentId && removed.has(parentId) && !seen.has(parentId)) {
+        seen.add(parentId);
+        parentId = parentOf.get(parentId);
+      }
+      const { parentId: _removedParent, ...rest } = feature;
+      return parentId && !removed.has(parentId) ? { ...rest, parentId } : rest;
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * JSON Schema Validator
+ * Validates data against the subset of JSON Schema (draft 2020-12) used by the
+ * published file schemas in ../schemas, collecting every problem with its JSON path
+ *
+ * Supported keywords: $ref (local "#/$defs/..."), type, enum, const, anyOf,
+ * required, properties, additionalProperties, items, minItems,
+ * minimum, exclusiveMinimum, maximum, minLength, pattern
+ */
+
+export interface SchemaValidationError {
+  path: string; // JSON path of the invalid value, e.g. $.features[2].manDays
+  message: string;
+}
+
+type JsonSchema = Record<string, any> | boolean;
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+export const childPath = (path: string, key: string | number): string => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+};
+
+const typeOf = (value: any): string => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value: any, type: string): boolean => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+const describeTypes = (types: string[]): string => {
+  const names = types.map(type => (type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+};
+
+export class JsonSchemaValidator {
+  constructor(private rootSchema: Record<string, any>) {}
+
+  /**
+   * Every problem found in the data (an empty list when it is valid)
+   * @param basePath - Path of the data inside a larger document
+   */
+  validate(data: any, basePath = '$'): SchemaValidationError[] {
+    const errors: SchemaValidationError[] = [];
+    this.validateNode(this.rootSchema, data, basePath, errors);
+    return errors;
+  }
+
+  private resolve(schema: JsonSchema): JsonSchema {
+    let resolved = schema;
+    while (typeof resolved === 'object' && typeof resolved.$ref === 'string') {
+      const ref: string = resolved.$ref;
+      if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+      }
+      resolved = ref.slice(2).split('/').reduce((node: any, key) => node?.[key], this.rootSchema);
+      if (resolved === undefined) {
+        throw new Error(`Unresolved schema reference: ${ref}`);
+      }
+    }
+    return resolved;
+  }
+
+  private validateNode(schemaOrRef: JsonSchema, value: any, path: string, errors: SchemaValidationError[]) {
+    const schema = this.resolve(schemaOrRef);
+    if (schema === true) return;
+    if (schema === false) {
+      errors.push({ path, message: 'is not allowed' });
+      return;
+    }
+
+    if (schema.type) {
+      const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push({ path, message: `must be ${describeTypes(types)}` });
+        return;
+      }
+    }
+
+    if ('const' in schema && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of: ${schema.enum.map((option: any) => JSON.stringify(option)).join(', ')}` });
+    }
+
+    if (schema.anyOf) {
+      this.validateAnyOf(schema.anyOf, value, path, errors);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path, message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must have at least ${schema.minLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: `must match the format ${schema.pattern}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => this.validateNode(schema.items, item, childPath(path, index), errors));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach((key: string) => {
+        if (value[key] === undefined) {
+          errors.push({ path: childPath(path, key), message: 'is required' });
+        }
+      });
+
+      const properties = schema.properties || {};
+      Object.entries(value).forEach(([key, propertyValue]) => {
+        if (propertyValue === undefined) return;
+        if (key in properties) {
+          this.validateNode(properties[key], propertyValue, childPath(path, key), errors);
+        } else if (schema.additionalProperties !== undefined) {
+          this.validateNode(schema.additionalProperties, propertyValue, childPath(path, key), errors);
+        }
+      });
+    }
+  }
+
+  // Problems of the alternative the value looks like (same type), or a summary when none does
+  private validateAnyOf(alternatives: JsonSchema[], value: any, path: string, errors: SchemaValidationError[]) {
+    const results = alternatives.map(alternative => {
+      const alternativeErrors: SchemaValidationError[] = [];
+      this.validateNode(alternative, value, path, alternativeErrors);
+      return { schema: this.resolve(alternative), errors: alternativeErrors };
+    });
+    if (results.some(result => result.errors.length === 0)) return;
+
+    const sameType = results.filter(result => {
+      if (typeof result.schema !== 'object' || !result.schema.type) return true;
+      const types: string[] = Array.isArray(result.schema.type) ? result.schema.type : [result.schema.type];
+      return types.some(type => matchesType(value, type));
+    });
+
+    if (sameType.length === 1) {
+      errors.push(...sameType[0].errors);
+    } else {
+      const types = results.flatMap(result => (typeof result.schema === 'object' && result.schema.type) || []);
+      errors.push({ path, message: types.length > 0 ? `must be ${describeTypes(Array.from(new Set(types)))}` : 'does not match any allowed format' });
+    }
+  }
+}
@@ -0,0 +1,404 @@
+/**
+ * Monte Carlo Simulation Utilities
+ * Samples feature effort, phase effort splits and vendor rates to give the
+ * cost and effort distribution of a feature-based estimate
+ * Used by SimulationActions, in a Web Worker or inline
+ */
+
+import { hasThreePointEstimate } from './pertEstimation';
+
+export type SimulationRole = 'G1' | 'G2' | 'TA' | 'PM';
+
+export const SIMULATION_ROLES: SimulationRole[] = ['G1', 'G2', 'TA', 'PM'];
+
+export type EffortSplit = Record<SimulationRole, number>;
+
+/**
+ * Distribution of a feature's calculated man days:
+ * - 'pert': Beta-PERT over the three-point estimate
+ * - 'triangular': from the effort without risk margin, with the same mean as the calculated man days
+ * - 'fixed': no uncertainty
+ */
+export interface SimulationFeature {
+  id: string;
+  name: string;
+  distribution: 'pert' | 'triangular' | 'fixed';
+  min: number;
+  mode: number;
+  max: number;
+  /** Calculated man days of the deterministic estimate */
+  manDays: number;
+  /** Daily rate of the feature's G2 share (the feature's own rate, or the development G2 rate) */
+  rate: number;
+}
+
+export interface SimulationPhase {
+  id: string;
+  /** Man days of the phase; the development phase takes the sampled features plus coverage instead */
+  manDays: number;
+  effort: EffortSplit;
+  isDevelopment: boolean;
+}
+
+export interface SimulationModel {
+  features: SimulationFeature[];
+  coverageManDays: number;
+  phases: SimulationPhase[];
+  rates: Record<SimulationRole, number>;
+}
+
+export interface SimulationOptions {
+  iterations: number;
+  /** Relative spread of the vendor rates (0.1 = ±10%) */
+  rateVariation: number;
+  /** Relative spread of each role's share of a phase's effort (0.2 = ±20%, the phase total unchanged) */
+  effortSplitVariation: number;
+  /** Seed of the random generator, for reproducible runs */
+  seed?: number;
+  histogramBins?: number;
+}
+
+export interface HistogramBin {
+  from: number;
+  to: number;
+  count: number;
+}
+
+export interface DistributionSummary {
+  mean: number;
+  standardDeviation: number;
+  min: number;
+  max: number;
+  p10: number;
+  p50: number;
+  p80: number;
+  p90: number;
+  histogram: HistogramBin[];
+  /** Share of iterations at or below the deterministic total */
+  deterministicConfidence: number;
+}
+
+export interface VarianceContributor {
+  featureId: string;
+  name: string;
+  /** Share of the total cost variance (contributions of all inputs add up to 1) */
+  share: number;
+}
+
+export interface SimulationResult {
+  iterations: number;
+  seed: number;
+  deterministic: { cost: number; effort: number };
+  cost: DistributionSummary;
+  effort: DistributionSummary;
+  topContributors: VarianceContributor[];
+}
+
+export const DEFAULT_SIMULATION_OPTIONS: SimulationOptions = {
+  iterations: 5000,
+  rateVariation: 0.1,
+  effortSplitVariation: 0.2,
+  histogramBins: 30
+};
+
+const MAX_CONTRIBUTORS = 10;
+
+// ======================
+// MODEL
+// ======================
+
+/**
+ * Distribution of a feature's calculated man days from its three-point
+ * estimate or, failing that, its risk margin: the risk margin is taken as the
+ * expected overrun of the effort without it, on a triangular distribution
+ * from that effort (most likely) up to three times the margin
+ */
+export function buildFeatureDistribution(feature: any, fallbackRate: number): SimulationFeature {
+  const manDays = parseFloat(feature.manDays) || 0;
+  const base = {
+    id: feature.id,
+    name: feature.description || feature.name || feature.id,
+    manDays,
+    rate: parseFloat(feature.rate) || fallbackRate
+  };
+
+  if (hasThreePointEstimate(feature) && feature.realManDays > 0
+    && feature.pessimisticManDays > feature.optimisticManDays) {
+    // Same expertise and risk margin scaling as the calculated man days
+    const scale = manDays / feature.realManDays;
+    return {
+      ...base,
+      distribution: 'pert',
+      min: feature.optimisticManDays * scale,
+      mode: feature.mostLikelyManDays * scale,
+      max: feature.pessimisticManDays * scale
+    };
+  }
+
+  const riskMargin = (parseFloat(feature.riskMargin) || 0) / 100;
+  if (riskMargin > 0 && manDays > 0) {
+    const withoutRisk = manDays / (1 + riskMargin);
+    return { ...base, distribution: 'triangular', min: withoutRisk, mode: withoutRisk, max: withoutRisk * (1 + 3 * riskMargin) };
+  }
+
+  return { ...base, distribution: 'fixed', min: manDays, mode: manDays, max: manDays };
+}
+
+// ======================
+// SAMPLING
+// ======================
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(random: () => number): number {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia-Tsang, for shape >= 1 (always the case for Beta-PERT)
+function sampleGamma(shape: number, random: () => number): number {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x: number;
+    let v: number;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+function sampleTriangular(min: number, mode: number, max: number, random: () => number): number {
+  if (max <= min) return mode;
+  const u = random();
+  const split = (mode - min) / (max - min);
+  return u < split
+    ? min + Math.sqrt(u * (max - min) * (mode - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+}
+
+function samplePert(min: number, mode: number, max: number, random: () => number): number {
+  if (max <= min) return mode;
+  const alpha = 1 + 4 * (mode - min) / (max - min);
+  const beta = 1 + 4 * (max - mode) / (max - min);
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return min + (x / (x + y)) * (max - min);
+}
+
+export function sampleFeatureManDays(feature: SimulationFeature, random: () => number): number {
+  switch (feature.distribution) {
+    case 'pert':
+      return samplePert(feature.min, feature.mode, feature.max, random);
+    case 'triangular':
+      return sampleTriangular(feature.min, feature.mode, feature.max, random);
+    default:
+      return feature.mode;
+  }
+}
+
+/**
+ * Shares (0-1) of a phase's effort by role, each varied then scaled back to the phase's total share
+ */
+function sampleEffortSplit(effort: EffortSplit, variation: number, random: () => number): EffortSplit {
+  const sampled = { G1: 0, G2: 0, TA: 0, PM: 0 };
+  let total = 0;
+  let sampledTotal = 0;
+  SIMULATION_ROLES.forEach(role => {
+    const share = (effort[role] || 0) / 100;
+    sampled[role] = share > 0 ? share * sampleTriangular(1 - variation, 1, 1 + variation, random) : 0;
+    total += share;
+    sampledTotal += sampled[role];
+  });
+  if (sampledTotal <= 0) return sampled;
+  SIMULATION_ROLES.forEach(role => { sampled[role] = sampled[role] * total / sampledTotal; });
+  return sampled;
+}
+
+// ======================
+// SIMULATION
+// ======================
+
+interface IterationInputs {
+  featureManDays: number[];
+  rateFactors: Record<SimulationRole, number>;
+  splits: EffortSplit[];
+}
+
+/**
+ * Cost and effort of one set of sampled inputs, plus each feature's share of the cost
+ * (the deterministic estimate is the same calculation on unsampled inputs)
+ */
+function evaluate(model: SimulationModel, inputs: IterationInputs, featureCosts?: number[]): { cost: number; effort: number } {
+  const { featureManDays, rateFactors, splits } = inputs;
+  const rates = {
+    G1: model.rates.G1 * rateFactors.G1,
+    G2: model.rates.G2 * rateFactors.G2,
+    TA: model.rates.TA * rateFactors.TA,
+    PM: model.rates.PM * rateFactors.PM
+  };
+  const featuresTotal = featureManDays.reduce((sum, manDays) => sum + manDays, 0);
+
+  let cost = 0;
+  let effort = 0;
+  model.phases.forEach((phase, index) => {
+    const split = splits[index];
+    const manDays = phase.isDevelopment ? featuresTotal + model.coverageManDays : phase.manDays;
+    effort += manDays;
+
+    if (!phase.isDevelopment) {
+      SIMULATION_ROLES.forEach(role => { cost += manDays * split[role] * rates[role]; });
+      return;
+    }
+
+    // Development: the G2 share of each feature is paid at the feature's own rate
+    const otherRolesRate = split.G1 * rates.G1 + split.TA * rates.TA + split.PM * rates.PM;
+    model.features.forEach((feature, featureIndex) => {
+      const featureCost = featureManDays[featureIndex] * (otherRolesRate + split.G2 * feature.rate * rateFactors.G2);
+      cost += featureCost;
+      if (featureCosts) featureCosts[featureIndex] = featureCost;
+    });
+    cost += model.coverageManDays * (otherRolesRate + split.G2 * rates.G2);
+  });
+
+  return { cost, effort };
+}
+
+const percentile = (sorted: Float64Array, p: number): number =>
+  sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+
+function summarize(values: Float64Array, deterministic: number, bins: number): DistributionSummary {
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  const min = sorted[0];
+  const max = sorted[count - 1];
+
+  let sum = 0;
+  let sumSquares = 0;
+  let atOrBelow = 0;
+  sorted.forEach(value => {
+    sum += value;
+    sumSquares += value * value;
+    if (value <= deterministic + 1e-9) atOrBelow++;
+  });
+  const mean = sum / count;
+
+  const binCount = max > min ? bins : 1;
+  const width = (max - min) / binCount;
+  const histogram: HistogramBin[] = Array.from({ length: binCount }, (_, index) => ({
+    from: min + index * width,
+    to: index === binCount - 1 ? max : min + (index + 1) * width,
+    count: 0
+  }));
+  sorted.forEach(value => {
+    const index = width > 0 ? Math.min(binCount - 1, Math.floor((value - min) / width)) : 0;
+    histogram[index].count++;
+  });
+
+  return {
+    mean,
+    standardDeviation: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+    min,
+    max,
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p80: percentile(sorted, 0.8),
+    p90: percentile(sorted, 0.9),
+    histogram,
+    deterministicConfidence: atOrBelow / count
+  };
+}
+
+/**
+ * Run the simulation; onProgress is called with the number of completed iterations
+ */
+export function runMonteCarloSimulation(
+  model: SimulationModel,
+  options: Partial<SimulationOptions> = {},
+  onProgress?: (completed: number) => void
+): SimulationResult {
+  const settings = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+  const iterations = Math.max(1, Math.floor(settings.iterations));
+  const seed = settings.seed ?? Date.now();
+  const random = createRandom(seed);
+  const progressStep = Math.max(1, Math.floor(iterations / 20));
+
+  const deterministic = evaluate(model, {
+    featureManDays: model.features.map(feature => feature.manDays),
+    rateFactors: { G1: 1, G2: 1, TA: 1, PM: 1 },
+    splits: model.phases.map(phase => sampleEffortSplit(phase.effort, 0, random))
+  });
+
+  const costs = new Float64Array(iterations);
+  const efforts = new Float64Array(iterations);
+  const featureCount = model.features.length;
+  const featureCosts = new Array<number>(featureCount).fill(0);
+  const featureSums = new Float64Array(featureCount);
+  const featureCrossSums = new Float64Array(featureCount);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const rateFactors = {
+      G1: sampleTriangular(1 - settings.rateVariation, 1, 1 + settings.rateVariation, random),
+      G2: sampleTriangular(1 - settings.rateVariation, 1, 1 + settings.rateVariation, random),
+      TA: sampleTriangular(1 - settings.rateVariation, 1, 1 + settings.rateVariation, random),
+      PM: sampleTriangular(1 - settings.rateVariation, 1, 1 + settings.rateVariation, random)
+    };
+    const inputs: IterationInputs = {
+      featureManDays: model.features.map(feature => sampleFeatureManDays(feature, random)),
+      rateFactors,
+      splits: model.phases.map(phase => sampleEffortSplit(phase.effort, settings.effortSplitVariation, random))
+    };
+
+    featureCosts.fill(0);
+    const { cost, effort } = evaluate(model, inputs, featureCosts);
+    costs[iteration] = cost;
+    efforts[iteration] = effort;
+    for (let index = 0; index < featureCount; index++) {
+      featureSums[index] += featureCosts[index];
+      featureCrossSums[index] += featureCosts[index] * cost;
+    }
+
+    if (onProgress && (iteration + 1) % progressStep === 0) {
+      onProgress(iteration + 1);
+    }
+  }
+
+  const bins = settings.histogramBins ?? DEFAULT_SIMULATION_OPTIONS.histogramBins!;
+  const cost = summarize(costs, deterministic.cost, bins);
+  const effort = summarize(efforts, deterministic.effort, bins);
+
+  // Contribution to variance: covariance of the feature's cost with the total, over the total variance
+  const variance = cost.standardDeviation * cost.standardDeviation;
+  const topContributors: VarianceContributor[] = variance > 0
+    ? model.features
+      .map((feature, index) => ({
+        featureId: feature.id,
+        name: feature.name,
+        share: (featureCrossSums[index] / iterations - (featureSums[index] / iterations) * cost.mean) / variance
+      }))
+      .filter(contributor => contributor.share > 0.001)
+      .sort((a, b) => b.share - a.share)
+      .slice(0, MAX_CONTRIBUTORS)
+    : [];
+
+  return { iterations, seed, deterministic, cost, effort, topContributors };
+}
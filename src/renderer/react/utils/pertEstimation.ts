@@ -0,0 +1,141 @@
+/**
+ * PERT (Three-Point) Estimation Utilities
+ * Expected value, standard deviation and confidence levels from optimistic /
+ * most likely / pessimistic man days
+ * Used by FeatureModal, FeatureTable, FeaturesSummary and the Calculations page
+ */
+
+export interface ThreePointEstimate {
+  optimisticManDays?: number;
+  mostLikelyManDays?: number;
+  pessimisticManDays?: number;
+}
+
+export interface PertEstimate {
+  expected: number;
+  standardDeviation: number;
+}
+
+export type ConfidenceLevel = 'high' | 'medium' | 'low';
+
+export interface EstimateConfidence {
+  level: ConfidenceLevel;
+  /** Standard deviation relative to the expected value (0.1 = ±10%) */
+  coefficientOfVariation: number;
+}
+
+export interface ConfidenceTotals {
+  expected: number;
+  standardDeviation: number;
+  p50: number;
+  p80: number;
+  p90: number;
+  /** Number of features with a three-point estimate (the others count with no spread) */
+  threePointCount: number;
+}
+
+// Standard normal quantiles of the project-level percentiles
+const Z_P80 = 0.8416;
+const Z_P90 = 1.2816;
+
+// Coefficient of variation thresholds between the confidence levels
+const HIGH_CONFIDENCE_MAX_CV = 0.1;
+const MEDIUM_CONFIDENCE_MAX_CV = 0.25;
+
+const round = (value: number, decimals: number): number => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Whether a feature has all three estimates
+ */
+export function hasThreePointEstimate(estimate: ThreePointEstimate | null | undefined): boolean {
+  return !!estimate
+    && typeof estimate.optimisticManDays === 'number'
+    && typeof estimate.mostLikelyManDays === 'number'
+    && typeof estimate.pessimisticManDays === 'number';
+}
+
+/**
+ * Problem with a three-point estimate, or null when it is valid
+ */
+export function validateThreePointEstimate(optimistic: number, mostLikely: number, pessimistic: number): string | null {
+  if (!(optimistic > 0) || !(mostLikely > 0) || !(pessimistic > 0)) {
+    return 'Optimistic, most likely and pessimistic man days must be greater than 0';
+  }
+  if (optimistic > mostLikely || mostLikely > pessimistic) {
+    return 'Estimates must be ordered: optimistic ≤ most likely ≤ pessimistic';
+  }
+  return null;
+}
+
+/**
+ * PERT expected value (O + 4M + P) / 6 and standard deviation (P - O) / 6
+ *
+ * @example
+ * calculatePertEstimate(4, 6, 14);
+ * // Returns { expected: 7, standardDeviation: 1.67 }
+ */
+export function calculatePertEstimate(optimistic: number, mostLikely: number, pessimistic: number): PertEstimate {
+  return {
+    expected: round((optimistic + 4 * mostLikely + pessimistic) / 6, 1),
+    standardDeviation: round((pessimistic - optimistic) / 6, 2)
+  };
+}
+
+/**
+ * Standard deviation of a feature in calculated man days: the PERT standard
+ * deviation scaled by the same expertise and risk margin as the expected value
+ */
+export function getFeatureStandardDeviation(feature: any): number {
+  if (!hasThreePointEstimate(feature) || !feature.realManDays) {
+    return 0;
+  }
+  const standardDeviation = feature.pertStandardDeviation
+    ?? calculatePertEstimate(feature.optimisticManDays, feature.mostLikelyManDays, feature.pessimisticManDays).standardDeviation;
+  return standardDeviation * (feature.manDays || 0) / feature.realManDays;
+}
+
+/**
+ * Confidence level of a feature from the spread of its three-point estimate,
+ * or null for a single-value estimate
+ */
+export function getEstimateConfidence(feature: any): EstimateConfidence | null {
+  if (!hasThreePointEstimate(feature) || !feature.manDays) {
+    return null;
+  }
+  const coefficientOfVariation = getFeatureStandardDeviation(feature) / feature.manDays;
+  const level: ConfidenceLevel = coefficientOfVariation <= HIGH_CONFIDENCE_MAX_CV
+    ? 'high'
+    : coefficientOfVariation <= MEDIUM_CONFIDENCE_MAX_CV ? 'medium' : 'low';
+  return { level, coefficientOfVariation };
+}
+
+/**
+ * Project-level P50/P80/P90 man days: the feature man days summed, with the
+ * feature variances summed on the normal approximation of the total
+ */
+export function calculateConfidenceTotals(features: any[]): ConfidenceTotals {
+  let expected = 0;
+  let variance = 0;
+  let threePointCount = 0;
+
+  features.forEach(feature => {
+    expected += feature.manDays || 0;
+    if (hasThreePointEstimate(feature)) {
+      threePointCount++;
+      variance += Math.pow(getFeatureStandardDeviation(feature), 2);
+    }
+  });
+
+  const standardDeviation = Math.sqrt(variance);
+  return {
+    expected: round(expected, 1),
+    standardDeviation: round(standardDeviation, 1),
+    p50: round(expected, 1),
+    p80: round(expected + Z_P80 * standardDeviation, 1),
+    p90: round(expected + Z_P90 * standardDeviation, 1),
+    threePointCount
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * Monte Carlo Simulation Worker
+ * Runs the simulation requested by SimulationActions off the main thread,
+ * posting progress then the result
+ */
+
+import { runMonteCarloSimulation } from '../utils/monteCarloSimulation';
+import type { SimulationRequest, SimulationWorkerMessage } from '../actions/SimulationActions';
+
+const post = (message: SimulationWorkerMessage) => self.postMessage(message);
+
+self.onmessage = (event: MessageEvent<SimulationRequest>) => {
+  try {
+    const { model, options } = event.data;
+    const result = runMonteCarloSimulation(model, options, completed => post({ type: 'progress', completed }));
+    post({ type: 'result', result });
+  } catch (error) {
+    post({ type: 'error', message: error instanceof Error ? error.message : 'Simulation failed' });
+  }
+};
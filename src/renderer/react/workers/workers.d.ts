@@ -0,0 +1,5 @@
+// Vite bundles "?worker&inline" imports as a Worker constructor
+declare module '*?worker&inline' {
+  const WorkerConstructor: new () => Worker;
+  export default WorkerConstructor;
+}